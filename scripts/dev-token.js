@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { signJwt } from '../src/auth/jwt.js';
+import { DEV_SIGNING_KEY } from '../src/auth/devKey.js';
+
+// Print a JWT signed with the local development key. The registry only accepts it when
+// started with REGISTRY_DEV_AUTH=true, e.g. npm run dev:token -- --role publisher --org acme --team platform
+const { values } = parseArgs({
+  options: {
+    role: { type: 'string', default: 'reader' },
+    org: { type: 'string' },
+    team: { type: 'string', multiple: true, default: [] },
+    sub: { type: 'string', default: 'dev-user' },
+    'expires-in': { type: 'string', default: '3600' }
+  }
+});
+
+console.log(signJwt({
+  sub: values.sub,
+  role: values.role,
+  ...(values.org && { org: values.org }),
+  teams: values.team
+}, DEV_SIGNING_KEY, { expiresIn: parseInt(values['expires-in']) }));
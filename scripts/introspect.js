@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+import { store } from '../src/storage/index.js';
+import { stripManagedFields } from '../src/lib/entries.js';
+import { introspectServer } from '../src/introspection/index.js';
+
+// Introspect the given server ids (or every server) against the configured storage backend.
+// Secret placeholders are filled from this process's environment, e.g. GITHUB_TOKEN=... npm run introspect
+const ids = process.argv.slice(2);
+const timeoutMs = parseInt(process.env.INTROSPECTION_TIMEOUT_MS) || 30000;
+const servers = ids.length > 0
+  ? await Promise.all(ids.map(id => store.get(id)))
+  : await store.list();
+
+let failures = 0;
+
+for (const [index, record] of servers.entries()) {
+  if (!record) {
+    console.error(`❌ ${ids[index]}: not found`);
+    failures++;
+    continue;
+  }
+
+  if (!record.configuration) {
+    console.log(`⏭️  ${record.id}: remote only, skipped`);
+    continue;
+  }
+
+  console.log(`🔍 Introspecting ${record.id}...`);
+  const introspection = await introspectServer(stripManagedFields(record), { secrets: process.env, timeoutMs });
+  const latest = await store.get(record.id);
+  if (latest) {
+    await store.replace(record.id, { ...latest, introspection });
+  }
+
+  if (introspection.status === 'failed') {
+    console.error(`❌ ${record.id}: ${introspection.error}`);
+    failures++;
+  } else if (introspection.diff.inSync) {
+    console.log(`✅ ${record.id}: ${introspection.tools.length} tools, in sync with the catalog`);
+  } else {
+    const { missing, undeclared, changed } = introspection.diff;
+    console.log(`⚠️  ${record.id}: ${missing.length} missing, ${undeclared.length} undeclared, ${changed.length} changed tools`);
+  }
+}
+
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,28 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Who is acting for the code currently running
+ * The audit middleware opens a context per request so the log can attribute
+ * catalog changes made deep inside routes, the MCP tools or the store.
+ * Work started outside a request (scheduled syncs) runs as a system actor.
+ */
+
+const storage = new AsyncLocalStorage();
+
+export function runInAuditContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getAuditContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Runs `fn` as the named system actor unless a request context is active
+ */
+export function runAsSystem(subject, fn) {
+  if (getAuditContext()) {
+    return fn();
+  }
+  return storage.run({ actor: { subject, role: 'system', org: null }, request: null }, fn);
+}
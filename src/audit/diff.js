@@ -0,0 +1,41 @@
+/**
+ * Field-level differences between two versions of a server entry, as
+ * { path, before, after } changes with JSON Pointer paths. Objects are
+ * compared key by key and arrays as a whole; `versions` is left out because
+ * it only repeats earlier definitions, and `updatedAt` because the event has
+ * its own timestamp.
+ */
+
+const IGNORED_FIELDS = ['versions', 'updatedAt'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeKey(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function collect(before, after, path, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      collect(before[key], after[key], `${path}/${escapeKey(key)}`, changes);
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, before: before ?? null, after: after ?? null });
+  }
+  return changes;
+}
+
+export function diffEntries(before, after) {
+  const strip = entry => Object.fromEntries(
+    Object.entries(entry || {}).filter(([key]) => !IGNORED_FIELDS.includes(key))
+  );
+  return collect(strip(before), strip(after), '', []);
+}
+
+export default diffEntries;
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { JsonLinesFile } from '../storage/jsonFile.js';
+import { getAuditContext } from './context.js';
+
+/**
+ * Append-only audit log
+ * Events are kept in memory, or appended as JSON Lines to the file named by
+ * REGISTRY_AUDIT_PATH. Nothing is ever rewritten or removed; queries read the
+ * whole log and filter it.
+ */
+
+const UNKNOWN_ACTOR = { subject: null, role: 'system', org: null };
+
+export class AuditLog {
+  constructor(filePath = null) {
+    this.file = new JsonLinesFile(filePath);
+  }
+
+  read() {
+    return this.file.read();
+  }
+
+  append(event) {
+    return this.file.append(() => event);
+  }
+
+  /**
+   * Records an event ({ action, serverId, diff, details }) attributed to the
+   * actor and request of the current audit context
+   */
+  record({ action, serverId = null, diff, details }) {
+    const context = getAuditContext();
+    if (context) {
+      context.recorded = (context.recorded || 0) + 1;
+    }
+    return this.append({
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: context?.actor || UNKNOWN_ACTOR,
+      action,
+      serverId,
+      request: context?.request || null,
+      ...(diff && { diff }),
+      ...(details && { details })
+    });
+  }
+
+  /**
+   * Events matching every given filter, newest first. `since` and `until`
+   * are inclusive timestamps in milliseconds.
+   */
+  async query({ actor, serverId, action, since = null, until = null } = {}) {
+    const events = await this.read();
+    return events
+      .filter(event => !actor || event.actor.subject === actor)
+      .filter(event => !serverId || event.serverId === serverId)
+      .filter(event => !action || event.action === action || event.action.startsWith(`${action}.`))
+      .filter(event => since === null || Date.parse(event.timestamp) >= since)
+      .filter(event => until === null || Date.parse(event.timestamp) <= until)
+      .reverse();
+  }
+
+  /**
+   * Number of events of `action` per server id, as a Map
+   */
+  async countByServer(action) {
+    const counts = new Map();
+    for (const event of await this.read()) {
+      if (event.action === action && event.serverId) {
+        counts.set(event.serverId, (counts.get(event.serverId) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+}
+
+export const auditLog = new AuditLog(process.env.REGISTRY_AUDIT_PATH || null);
+
+export default auditLog;
@@ -0,0 +1,58 @@
+import { getState } from '../lib/lifecycle.js';
+import { diffEntries } from './diff.js';
+
+/**
+ * Store wrapper that writes every catalog change to the audit log, whichever
+ * route, tool or background job made it, with the before/after diff
+ */
+
+const REVIEW_ACTIONS = {
+  approved: 'server.approve',
+  deprecated: 'server.deprecate',
+  revoked: 'server.revoke'
+};
+
+function changeAction(before, after, diff) {
+  if (getState(before) !== getState(after)) {
+    return REVIEW_ACTIONS[getState(after)] || 'server.update';
+  }
+  if (diff.every(change => change.path.startsWith('/introspection'))) {
+    return 'server.introspect';
+  }
+  return 'server.update';
+}
+
+export function withAudit(store, auditLog) {
+  return {
+    list: () => store.list(),
+    get: id => store.get(id),
+
+    async create(server) {
+      const created = await store.create(server);
+      await auditLog.record({ action: 'server.create', serverId: server.id, diff: diffEntries(null, created) });
+      return created;
+    },
+
+    async replace(id, server) {
+      const before = await store.get(id);
+      const replaced = await store.replace(id, server);
+      if (replaced) {
+        const diff = diffEntries(before, replaced);
+        if (diff.length > 0) {
+          await auditLog.record({ action: changeAction(before, replaced, diff), serverId: id, diff });
+        }
+      }
+      return replaced;
+    },
+
+    async remove(id) {
+      const removed = await store.remove(id);
+      if (removed) {
+        await auditLog.record({ action: 'server.delete', serverId: id, diff: diffEntries(removed, null) });
+      }
+      return removed;
+    }
+  };
+}
+
+export default withAudit;
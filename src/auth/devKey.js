@@ -0,0 +1,8 @@
+/**
+ * Signing key for local development and tests
+ * Accepted only when REGISTRY_DEV_AUTH=true and never in production. Mint
+ * tokens with `npm run dev:token -- --role publisher --org acme`.
+ */
+export const DEV_SIGNING_KEY = 'dynamic-mcp-registry-dev-signing-key-not-for-production';
+
+export default DEV_SIGNING_KEY;
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+/**
+ * Minimal JSON Web Token support (RFC 7519) for registry credentials
+ * HMAC tokens (HS256/384/512) are verified with a shared secret and RSA
+ * tokens (RS256) with a PEM public key. Unsigned tokens are always rejected.
+ */
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const CLOCK_SKEW_SECONDS = 30;
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = 'INVALID_TOKEN';
+  }
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decode(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new TokenError('Malformed token');
+  }
+}
+
+function hmac(algorithm, secret, input) {
+  return crypto.createHmac(HMAC_ALGORITHMS[algorithm], secret).update(input).digest();
+}
+
+export function looksLikeJwt(token) {
+  return token.split('.').length === 3;
+}
+
+/**
+ * Signs `claims` with an HMAC secret. Adds iat and, unless `expiresIn` is
+ * null, exp (seconds from now).
+ */
+export function signJwt(claims, secret, { algorithm = 'HS256', expiresIn = 3600 } = {}) {
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { iat, ...(expiresIn !== null && { exp: iat + expiresIn }), ...claims };
+  const input = `${encode({ alg: algorithm, typ: 'JWT' })}.${encode(payload)}`;
+  return `${input}.${hmac(algorithm, secret, input).toString('base64url')}`;
+}
+
+/**
+ * Verifies a token's signature and time, issuer and audience claims.
+ * Returns the claims or throws TokenError.
+ */
+export function verifyJwt(token, { secret, publicKey, issuer, audience, now = Date.now() } = {}) {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+  const header = decode(headerSegment);
+  const input = `${headerSegment}.${payloadSegment}`;
+  const signature = Buffer.from(signatureSegment || '', 'base64url');
+
+  if (Object.hasOwn(HMAC_ALGORITHMS, header.alg)) {
+    if (!secret) {
+      throw new TokenError(`${header.alg} tokens are not accepted`);
+    }
+    const expected = hmac(header.alg, secret, input);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw new TokenError('Invalid token signature');
+    }
+  } else if (header.alg === 'RS256') {
+    if (!publicKey || !crypto.verify('RSA-SHA256', Buffer.from(input), publicKey, signature)) {
+      throw new TokenError('Invalid token signature');
+    }
+  } else {
+    throw new TokenError(`Unsupported token algorithm ${header.alg}`);
+  }
+
+  const claims = decode(payloadSegment);
+  const seconds = Math.floor(now / 1000);
+
+  if (typeof claims.exp === 'number' && seconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new TokenError('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new TokenError('Token is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new TokenError('Token issuer is not accepted');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new TokenError('Token audience is not accepted');
+  }
+
+  return claims;
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { JsonFile } from '../storage/jsonFile.js';
+import { ROLES } from './principal.js';
+
+/**
+ * API key storage
+ * Keys are random `mcpr_` tokens returned once on creation; only their
+ * SHA-256 hash is kept. Kept in memory, or in the JSON file named by
+ * REGISTRY_KEYS_PATH (readable by the owner only, and written like the
+ * catalog's JSON backend) so keys survive restarts.
+ */
+
+export const KEY_PREFIX = 'mcpr_';
+
+export class KeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyError';
+    this.code = 'INVALID_KEY';
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Key records without the hash, as listed to admins
+function describe({ hash, ...key }) {
+  return key;
+}
+
+/**
+ * Checks a key request ({ name, role, org, teams, expiresAt }) and returns
+ * the normalized fields or throws KeyError
+ */
+export function checkKeyRequest(body) {
+  const { name, role, org = null, teams = [], expiresAt = null } = body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new KeyError('name is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new KeyError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (org !== null && (typeof org !== 'string' || !org.trim())) {
+    throw new KeyError('org must be a non-empty string');
+  }
+  if (!Array.isArray(teams) || !teams.every(team => typeof team === 'string' && team.trim())) {
+    throw new KeyError('teams must be an array of team names');
+  }
+  if (teams.length > 0 && !org) {
+    throw new KeyError('teams require an org');
+  }
+  if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+    throw new KeyError('expiresAt must be an ISO timestamp');
+  }
+
+  return {
+    name: name.trim(),
+    role,
+    org: org && org.trim(),
+    teams: teams.map(team => team.trim()),
+    expiresAt: expiresAt && new Date(expiresAt).toISOString()
+  };
+}
+
+export class KeyStore {
+  constructor(filePath = null) {
+    this.file = new JsonFile(filePath, { mode: 0o600 });
+  }
+
+  async hasKeys() {
+    return (await this.file.read()).length > 0;
+  }
+
+  async list() {
+    return (await this.file.read()).map(describe);
+  }
+
+  /**
+   * Creates a key and returns { key, record }. The plain key is only
+   * available here.
+   */
+  create(request, now = new Date()) {
+    const fields = checkKeyRequest(request);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      ...fields,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      createdAt: now.toISOString()
+    };
+    return this.file.mutate(keys => ({ data: [...keys, record], value: { key, record: describe(record) } }));
+  }
+
+  revoke(id) {
+    return this.file.mutate(keys => {
+      const record = keys.find(key => key.id === id);
+      if (!record) {
+        return { value: null };
+      }
+      return { data: keys.filter(key => key.id !== id), value: describe(record) };
+    });
+  }
+
+  // Returns the record of an unexpired key, or null
+  async authenticate(key, now = Date.now()) {
+    const hash = Buffer.from(hashKey(key));
+    const record = (await this.file.read()).find(candidate =>
+      crypto.timingSafeEqual(Buffer.from(candidate.hash), hash));
+
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= now)) {
+      return null;
+    }
+    return describe(record);
+  }
+}
+
+export const keyStore = new KeyStore(process.env.REGISTRY_KEYS_PATH || null);
+
+export default keyStore;
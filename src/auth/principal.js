@@ -0,0 +1,70 @@
+import { getState } from '../lib/lifecycle.js';
+
+/**
+ * Callers and what they may see and change
+ * Every request runs as a principal with a role (reader, publisher or admin,
+ * or anonymous without credentials) and optional org and teams. Servers are
+ * public unless their `visibility` limits them to the owner's org or team.
+ * Servers still pending review are seen only by admins and their publisher.
+ */
+
+export const ROLES = ['reader', 'publisher', 'admin'];
+export const VISIBILITY_LEVELS = ['public', 'org', 'team'];
+
+const RANK = { anonymous: 0, reader: 1, publisher: 2, admin: 3 };
+
+export const ANONYMOUS = Object.freeze({ subject: null, role: 'anonymous', org: null, teams: [] });
+
+export function hasRole(principal, role) {
+  return RANK[principal.role] >= RANK[role];
+}
+
+function inOrg(principal, owner) {
+  return Boolean(owner?.org) && principal.org === owner.org;
+}
+
+function inTeam(principal, owner) {
+  return inOrg(principal, owner) && Boolean(owner.team) && principal.teams.includes(owner.team);
+}
+
+export function canView(principal, server) {
+  if (hasRole(principal, 'admin')) {
+    return true;
+  }
+  if (getState(server) === 'pending') {
+    return canManage(principal, server);
+  }
+  switch (server.visibility || 'public') {
+    case 'public':
+      return true;
+    case 'org':
+      return inOrg(principal, server.owner);
+    case 'team':
+      return inTeam(principal, server.owner);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether the principal may change a server: admins always, publishers for
+ * servers owned by their org (and team, when the server names one)
+ */
+export function canManage(principal, server) {
+  if (hasRole(principal, 'admin')) {
+    return true;
+  }
+  if (!hasRole(principal, 'publisher')) {
+    return false;
+  }
+  return server.owner?.team ? inTeam(principal, server.owner) : inOrg(principal, server.owner);
+}
+
+/**
+ * Fills in a server's owner when the request leaves it out: the existing
+ * entry's owner, else the caller's org
+ */
+export function withOwner(principal, server, existing = null) {
+  const owner = server.owner ?? existing?.owner ?? (principal.org ? { org: principal.org } : undefined);
+  return owner ? { ...server, owner } : server;
+}
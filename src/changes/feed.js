@@ -0,0 +1,106 @@
+import { EventEmitter } from 'events';
+import { JsonLinesFile } from '../storage/jsonFile.js';
+import { getState } from '../lib/lifecycle.js';
+import { stripManagedFields } from '../lib/entries.js';
+import { canView, hasRole } from '../auth/principal.js';
+
+/**
+ * Catalog change feed
+ * Every catalog change gets the next sequence number, so clients can resume
+ * from the last one they saw. Changes are kept in memory, or appended as JSON
+ * Lines to the file named by REGISTRY_CHANGES_PATH so numbering survives
+ * restarts and is shared by replicas appending to the same file. Listeners
+ * (the SSE stream and webhooks) get a `change` event.
+ */
+
+export const CHANGE_TYPES = [
+  'server.created',
+  'server.updated',
+  'server.approved',
+  'server.deprecated',
+  'server.revoked',
+  'server.deleted'
+];
+
+export class ChangeFeed extends EventEmitter {
+  constructor(filePath = null) {
+    super();
+    // One listener per open SSE stream
+    this.setMaxListeners(0);
+    this.file = new JsonLinesFile(filePath);
+  }
+
+  // The latest change, or null before the first one. Re-read every time,
+  // since other replicas may append to the same file.
+  getLastChange() {
+    return this.file.readLast();
+  }
+
+  async getLastSeq() {
+    return (await this.getLastChange())?.seq || 0;
+  }
+
+  /**
+   * Appends a change ({ type, serverId, ... }) numbered after the last one in
+   * the file, then notifies listeners
+   */
+  async publish(change) {
+    const entry = await this.file.append(last => ({
+      seq: (last?.seq || 0) + 1,
+      timestamp: new Date().toISOString(),
+      ...change
+    }));
+    this.emit('change', entry);
+    return entry;
+  }
+
+  // Changes after `since`, oldest first
+  async since(since = 0) {
+    return (await this.file.read()).filter(change => change.seq > since);
+  }
+}
+
+/**
+ * Whether a principal may see a change: servers they can view, and no
+ * changes to pending servers unless they are an admin
+ */
+export function canSeeChange(principal, change) {
+  return canView(principal, change) && (change.status !== 'pending' || hasRole(principal, 'admin'));
+}
+
+/**
+ * The change a catalog write amounts to, or null when nothing published
+ * changed (introspection results, for example)
+ */
+export function describeChange(before, after) {
+  const server = after || before;
+  const change = {
+    serverId: server.id,
+    version: server.version,
+    status: getState(server),
+    visibility: server.visibility || 'public',
+    ...(server.owner && { owner: server.owner })
+  };
+
+  if (!before) {
+    return { type: 'server.created', ...change };
+  }
+  if (!after) {
+    return { type: 'server.deleted', ...change };
+  }
+  if (getState(before) !== getState(after)) {
+    return { type: `server.${getState(after)}`, ...change };
+  }
+  if (JSON.stringify(stripManagedFields(before)) === JSON.stringify(stripManagedFields(after))) {
+    return null;
+  }
+  return {
+    type: 'server.updated',
+    ...change,
+    ...(before.version !== after.version && { previousVersion: before.version })
+  };
+}
+
+export const changeFeed = new ChangeFeed(process.env.REGISTRY_CHANGES_PATH || null);
+
+export default changeFeed;
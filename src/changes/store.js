@@ -0,0 +1,43 @@
+import { describeChange } from './feed.js';
+
+/**
+ * Store wrapper that publishes every catalog change to the change feed
+ */
+export function withChangeFeed(store, feed) {
+  async function publish(before, after) {
+    const change = describeChange(before, after);
+    if (change) {
+      await feed.publish(change);
+    }
+  }
+
+  return {
+    list: () => store.list(),
+    get: id => store.get(id),
+
+    async create(server) {
+      const created = await store.create(server);
+      await publish(null, created);
+      return created;
+    },
+
+    async replace(id, server) {
+      const before = await store.get(id);
+      const replaced = await store.replace(id, server);
+      if (replaced && before) {
+        await publish(before, replaced);
+      }
+      return replaced;
+    },
+
+    async remove(id) {
+      const removed = await store.remove(id);
+      if (removed) {
+        await publish(removed, null);
+      }
+      return removed;
+    }
+  };
+}
+
+export default withChangeFeed;
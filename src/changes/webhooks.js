@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { JsonFile } from '../storage/jsonFile.js';
+import { CHANGE_TYPES, changeFeed } from './feed.js';
+
+/**
+ * Outbound webhooks for catalog changes
+ * Subscriptions are kept in memory, or in the JSON file named by
+ * REGISTRY_WEBHOOKS_PATH. Each change a subscription asks for is POSTed to
+ * its URL, signed with the subscription's secret:
+ *
+ *   X-Registry-Signature: sha256=HMAC_SHA256(secret, `${X-Registry-Timestamp}.${body}`)
+ *
+ * Network errors, 5xx and 429 responses are retried with exponential backoff
+ * (REGISTRY_WEBHOOK_RETRY_MS, doubling) up to REGISTRY_WEBHOOK_MAX_ATTEMPTS.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.REGISTRY_WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_MS = parseInt(process.env.REGISTRY_WEBHOOK_RETRY_MS) || 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERIES_KEPT = 20;
+
+export class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = 'INVALID_WEBHOOK';
+  }
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks a subscription request ({ url, events, description, secret }) and
+ * returns the normalized fields or throws WebhookError
+ */
+export function checkWebhookRequest(body) {
+  const { url, events = CHANGE_TYPES, description = null, secret } = body || {};
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError('url must be an absolute URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookError('url must use http or https');
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => CHANGE_TYPES.includes(event))) {
+    throw new WebhookError(`events must be a non-empty list of: ${CHANGE_TYPES.join(', ')}`);
+  }
+  if (description !== null && typeof description !== 'string') {
+    throw new WebhookError('description must be a string');
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new WebhookError('secret must be at least 16 characters');
+  }
+
+  return {
+    url: parsed.href,
+    events: [...new Set(events)],
+    description,
+    secret: secret ?? crypto.randomBytes(32).toString('base64url')
+  };
+}
+
+// Subscriptions as listed, without their secret
+function describe({ secret, ...subscription }) {
+  return subscription;
+}
+
+export class WebhookStore {
+  constructor(filePath = null) {
+    this.file = new JsonFile(filePath, { mode: 0o600 });
+    this.deliveries = new Map();
+  }
+
+  async list() {
+    return (await this.file.read()).map(describe);
+  }
+
+  // Subscriptions with their secrets, for delivery
+  async listForDelivery() {
+    return this.file.read();
+  }
+
+  /**
+   * Creates a subscription and returns { subscription, secret }. The secret
+   * is only available here.
+   */
+  create(request, now = new Date()) {
+    const fields = checkWebhookRequest(request);
+    const subscription = { id: crypto.randomUUID(), ...fields, createdAt: now.toISOString() };
+    return this.file.mutate(subscriptions => ({
+      data: [...subscriptions, subscription],
+      value: { subscription: describe(subscription), secret: subscription.secret }
+    }));
+  }
+
+  remove(id) {
+    return this.file.mutate(subscriptions => {
+      const subscription = subscriptions.find(candidate => candidate.id === id);
+      if (!subscription) {
+        return { value: null };
+      }
+      this.deliveries.delete(id);
+      return { data: subscriptions.filter(candidate => candidate.id !== id), value: describe(subscription) };
+    });
+  }
+
+  // Latest deliveries of a subscription, newest first
+  getDeliveries(id) {
+    return this.deliveries.get(id) || [];
+  }
+
+  recordDelivery(id, delivery) {
+    const deliveries = this.getDeliveries(id).filter(entry => entry.id !== delivery.id);
+    this.deliveries.set(id, [delivery, ...deliveries].slice(0, DELIVERIES_KEPT));
+  }
+}
+
+function isRetryable(status) {
+  return status >= 500 || status === 429;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delivers one change to one subscription, retrying with backoff, and
+ * records the outcome of every attempt. Resolves with the final delivery.
+ */
+export async function deliver(subscription, change, {
+  store = webhookStore,
+  fetch: fetchImpl = fetch,
+  maxAttempts = MAX_ATTEMPTS,
+  retryMs = RETRY_MS
+} = {}) {
+  const id = crypto.randomUUID();
+  const body = JSON.stringify({ delivery: id, change });
+  const delivery = { id, seq: change.seq, type: change.type, status: 'pending', attempts: 0, responseStatus: null, error: null };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let retry = true;
+
+    Object.assign(delivery, { attempts: attempt, lastAttemptAt: new Date().toISOString() });
+    try {
+      const response = await fetchImpl(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'dynamic-mcp-registry-webhooks',
+          'X-Registry-Event': change.type,
+          'X-Registry-Delivery': id,
+          'X-Registry-Timestamp': timestamp,
+          'X-Registry-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      Object.assign(delivery, { responseStatus: response.status, error: null });
+      if (response.ok) {
+        delivery.status = 'delivered';
+        store.recordDelivery(subscription.id, delivery);
+        return delivery;
+      }
+      delivery.error = `Responded with ${response.status}`;
+      retry = isRetryable(response.status);
+    } catch (error) {
+      Object.assign(delivery, { responseStatus: null, error: error.message });
+    }
+
+    store.recordDelivery(subscription.id, { ...delivery });
+    if (!retry) {
+      break;
+    }
+    if (attempt < maxAttempts) {
+      await sleep(retryMs * 2 ** (attempt - 1));
+    }
+  }
+
+  delivery.status = 'failed';
+  store.recordDelivery(subscription.id, delivery);
+  return delivery;
+}
+
+/**
+ * Sends each change on the feed to the subscriptions that asked for its type.
+ * Returns a function that stops listening.
+ */
+export function startWebhooks({ feed = changeFeed, store = webhookStore, ...options } = {}) {
+  const listener = async change => {
+    try {
+      const subscriptions = (await store.listForDelivery())
+        .filter(subscription => subscription.events.includes(change.type));
+      await Promise.all(subscriptions.map(subscription => deliver(subscription, change, { store, ...options })));
+    } catch (error) {
+      console.error(`Webhook delivery of change ${change.seq} failed:`, error.message);
+    }
+  };
+
+  feed.on('change', listener);
+  return () => feed.off('change', listener);
+}
+
+export const webhookStore = new WebhookStore(process.env.REGISTRY_WEBHOOKS_PATH || null);
+
+export default webhookStore;
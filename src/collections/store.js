@@ -0,0 +1,175 @@
+import { JsonFile } from '../storage/jsonFile.js';
+import { isValidVersionQuery, resolveVersion } from '../lib/versions.js';
+import { getState } from '../lib/lifecycle.js';
+
+/**
+ * Curated server collections
+ * A collection is a named set of catalog entries that are installed together,
+ * such as "frontend-dev" = Playwright + GitHub. Members refer to servers by id,
+ * optionally pinned to a version or range and limited to an allowlist of
+ * tools. Collections are kept in memory, or in the JSON file named by
+ * REGISTRY_COLLECTIONS_PATH; every update bumps the collection's version.
+ * Members are looked up in the catalog when a collection is read, so a server
+ * removed after it was added shows up as a dangling reference.
+ */
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+export class CollectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CollectionError';
+    this.code = 'INVALID_COLLECTION';
+  }
+}
+
+export function isValidCollectionName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+function checkMember(member, index) {
+  const { id, version = null, tools = null, ...rest } = member || {};
+  const at = `members[${index}]`;
+
+  if (typeof member !== 'object' || Array.isArray(member)) {
+    throw new CollectionError(`${at} must be an object`);
+  }
+  if (Object.keys(rest).length > 0) {
+    throw new CollectionError(`${at} has unknown fields: ${Object.keys(rest).join(', ')}`);
+  }
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new CollectionError(`${at}.id must be a server id`);
+  }
+  if (version !== null && (typeof version !== 'string' || !isValidVersionQuery(version))) {
+    throw new CollectionError(`${at}.version must be a version or semver range`);
+  }
+  if (tools !== null && (!Array.isArray(tools) || tools.length === 0 ||
+      !tools.every(tool => typeof tool === 'string' && tool.length > 0))) {
+    throw new CollectionError(`${at}.tools must be a non-empty list of tool names`);
+  }
+  return { id, version, tools: tools && [...new Set(tools)] };
+}
+
+/**
+ * Checks a collection request ({ name, description, members }) and returns
+ * the normalized fields or throws CollectionError. `name` is taken from the
+ * route on updates.
+ */
+export function checkCollectionRequest(body) {
+  const { name, description = null, members } = body || {};
+
+  if (!isValidCollectionName(name)) {
+    throw new CollectionError('name must be 1-64 lowercase letters, digits, dots, dashes or underscores');
+  }
+  if (description !== null && typeof description !== 'string') {
+    throw new CollectionError('description must be a string');
+  }
+  if (!Array.isArray(members) || members.length === 0) {
+    throw new CollectionError('members must be a non-empty list');
+  }
+
+  const checked = members.map(checkMember);
+  const duplicates = checked.map(member => member.id).filter((id, index, ids) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    throw new CollectionError(`Servers listed more than once: ${[...new Set(duplicates)].join(', ')}`);
+  }
+  return { name, description, members: checked };
+}
+
+/**
+ * Looks a member up in the catalog. `record` is the member's catalog entry,
+ * or null when it is missing or hidden from the caller. Returns the member
+ * with its `status` (ok, dangling, unresolved or revoked), the
+ * `resolvedVersion` its pin selects and allowlisted tools the resolved
+ * version does not declare (`unknownTools`).
+ */
+export function resolveMember(member, record) {
+  if (!record) {
+    return { ...member, status: 'dangling', resolvedVersion: null };
+  }
+
+  const resolved = member.version ? resolveVersion(record, member.version) : record;
+  if (!resolved) {
+    return { ...member, status: 'unresolved', resolvedVersion: null };
+  }
+
+  const declared = new Set((resolved.tools || []).map(tool => tool.name));
+  const unknownTools = declared.size > 0 ? (member.tools || []).filter(tool => !declared.has(tool)) : [];
+  return {
+    ...member,
+    status: getState(record) === 'revoked' ? 'revoked' : 'ok',
+    resolvedVersion: resolved.version,
+    ...(unknownTools.length > 0 && { unknownTools })
+  };
+}
+
+export class CollectionStore {
+  constructor(filePath = null) {
+    this.file = new JsonFile(filePath);
+  }
+
+  async list() {
+    return [...await this.file.read()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(name) {
+    return (await this.file.read()).find(collection => collection.name === name) || null;
+  }
+
+  // Collections with a member referring to the server `id`
+  async findByMember(id) {
+    return (await this.list()).filter(collection => collection.members.some(member => member.id === id));
+  }
+
+  /**
+   * Adds a collection at version 1. Resolves with null when the name is taken.
+   */
+  create(fields, owner = null, now = new Date()) {
+    const timestamp = now.toISOString();
+    const collection = {
+      ...fields,
+      ...(owner && { owner }),
+      version: 1,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    return this.file.mutate(collections => {
+      if (collections.some(existing => existing.name === fields.name)) {
+        return { value: null };
+      }
+      return { data: [...collections, collection], value: collection };
+    });
+  }
+
+  /**
+   * Replaces the description and members of a collection and bumps its
+   * version. Resolves with null when there is no such collection.
+   */
+  update(name, { description, members }, now = new Date()) {
+    return this.file.mutate(collections => {
+      const existing = collections.find(collection => collection.name === name);
+      if (!existing) {
+        return { value: null };
+      }
+      const collection = { ...existing, description, members, version: existing.version + 1, updatedAt: now.toISOString() };
+      return {
+        data: collections.map(candidate => candidate === existing ? collection : candidate),
+        value: collection
+      };
+    });
+  }
+
+  remove(name) {
+    return this.file.mutate(collections => {
+      const collection = collections.find(candidate => candidate.name === name);
+      if (!collection) {
+        return { value: null };
+      }
+      return { data: collections.filter(candidate => candidate !== collection), value: collection };
+    });
+  }
+}
+
+export const collectionStore = new CollectionStore(process.env.REGISTRY_COLLECTIONS_PATH || null);
+
+export default collectionStore;
@@ -0,0 +1,257 @@
+import { getVersionHistory } from '../lib/versions.js';
+import { findPlaceholders, getVariables } from '../lib/variables.js';
+import { RUNTIMES, parsePackage } from '../lib/packages.js';
+import { getState } from '../lib/lifecycle.js';
+
+/**
+ * Conversion between registry entries and the official MCP Registry
+ * `server.json` format (packages, remotes, transport and _meta).
+ * Registry-specific fields without a server.json equivalent (tags,
+ * capabilities, tools, raw configuration) travel in publisher-provided _meta
+ * so entries survive a round trip unchanged.
+ */
+
+export const SERVER_JSON_SCHEMA = 'https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json';
+export const OFFICIAL_META_KEY = 'io.modelcontextprotocol.registry/official';
+export const REGISTRY_META_KEY = 'io.github.petercort/dynamic-mcp-registry';
+
+const DEFAULT_NAMESPACE = process.env.REGISTRY_NAMESPACE || 'local.mcp-registry';
+
+// Registry remote types and their server.json transport names
+const REMOTE_TYPES = {
+  http: 'streamable-http',
+  sse: 'sse'
+};
+
+/**
+ * Reverse-DNS server name, e.g. io.github.github/github-mcp-server
+ */
+export function toServerName(server) {
+  if (server.registryName) {
+    return server.registryName;
+  }
+  const match = /github\.com\/([^/]+)\//i.exec(server.repository?.url || '');
+  const namespace = match ? `io.github.${match[1].toLowerCase()}` : DEFAULT_NAMESPACE;
+  return `${namespace}/${server.id}`;
+}
+
+// Variables set to a single declared placeholder take its description, format and flags
+function toEnvironmentVariables(env = {}, variables = new Map()) {
+  return Object.entries(env).map(([name, value]) => {
+    const placeholders = findPlaceholders({ env: { [name]: value } });
+    const secret = placeholders.length > 0;
+    const variable = value === `{${placeholders[0]}}` ? variables.get(placeholders[0]) : null;
+    if (variable) {
+      return {
+        name,
+        ...(variable.description && { description: variable.description }),
+        isRequired: variable.required,
+        isSecret: variable.secret,
+        ...(variable.format && { format: variable.format }),
+        ...(variable.default !== undefined && !variable.secret && { default: String(variable.default) })
+      };
+    }
+    return {
+      name,
+      isRequired: secret,
+      isSecret: secret,
+      ...(!secret && { default: value })
+    };
+  });
+}
+
+function toPackage(server) {
+  const pkg = parsePackage(server.configuration);
+  if (!pkg) {
+    return null;
+  }
+  const environmentVariables = toEnvironmentVariables(server.configuration.env, getVariables(server, server.configuration));
+
+  if (pkg.registryType === 'oci') {
+    return {
+      registryType: 'oci',
+      identifier: pkg.identifier,
+      version: pkg.version || server.version,
+      transport: { type: 'stdio' },
+      ...(pkg.packageArgs.length > 0 && {
+        packageArguments: pkg.packageArgs.map(value => ({ type: 'positional', value }))
+      }),
+      environmentVariables
+    };
+  }
+
+  return {
+    registryType: pkg.registryType,
+    registryBaseUrl: pkg.registryBaseUrl,
+    identifier: pkg.identifier,
+    // server.json needs a concrete version; floating tags fall back to the entry version
+    version: pkg.version && pkg.version !== 'latest' ? pkg.version : server.version,
+    runtimeHint: pkg.runtime,
+    transport: { type: 'stdio' },
+    ...(pkg.packageArgs.length > 0 && {
+      packageArguments: pkg.packageArgs.map(value => ({ type: 'positional', value }))
+    }),
+    environmentVariables
+  };
+}
+
+function toRemote(remote) {
+  return {
+    type: REMOTE_TYPES[remote.type],
+    url: remote.url,
+    ...(remote.headers && Object.keys(remote.headers).length > 0 && {
+      headers: Object.entries(remote.headers).map(([name, value]) => {
+        const secret = findPlaceholders({ headers: { [name]: value } }).length > 0;
+        return { name, value, isRequired: secret, isSecret: secret };
+      })
+    })
+  };
+}
+
+function fromRemote(remote) {
+  const type = Object.keys(REMOTE_TYPES).find(key => REMOTE_TYPES[key] === remote.type);
+  if (!type) {
+    return null;
+  }
+  const headers = Object.fromEntries((remote.headers || []).map(header => [
+    header.name,
+    header.value ?? `{${header.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}}`
+  ]));
+  return {
+    type,
+    url: remote.url,
+    ...(Object.keys(headers).length > 0 && { headers })
+  };
+}
+
+/**
+ * Converts a registry entry (current or version snapshot) to server.json
+ */
+export function toServerJson(server) {
+  const pkg = toPackage(server);
+  return {
+    $schema: SERVER_JSON_SCHEMA,
+    name: toServerName(server),
+    title: server.name,
+    description: server.description,
+    version: server.version,
+    ...(server.homepage && { websiteUrl: server.homepage }),
+    ...(server.repository?.url && {
+      repository: {
+        url: server.repository.url.replace(/\.git$/, ''),
+        source: /github\.com/i.test(server.repository.url) ? 'github' : server.repository.type || 'git'
+      }
+    }),
+    ...(pkg && { packages: [pkg] }),
+    ...(server.remotes && { remotes: server.remotes.map(toRemote) }),
+    _meta: {
+      'io.modelcontextprotocol.registry/publisher-provided': {
+        [REGISTRY_META_KEY]: {
+          id: server.id,
+          configuration: server.configuration,
+          remotes: server.remotes,
+          variables: server.variables,
+          compatibility: server.compatibility,
+          capabilities: server.capabilities,
+          tools: server.tools,
+          tags: server.tags
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Wraps a server in the official registry response shape with its registry metadata
+ */
+export function toServerResponse(record, snapshot = record) {
+  const history = getVersionHistory(record);
+  const published = history.find(entry => entry.version === snapshot.version) || {};
+  const latest = history[history.length - 1] || {};
+  return {
+    server: toServerJson(snapshot),
+    _meta: {
+      [OFFICIAL_META_KEY]: {
+        status: getState(record) === 'deprecated' ? 'deprecated' : 'active',
+        publishedAt: published.publishedAt || null,
+        updatedAt: latest.publishedAt || null,
+        isLatest: snapshot.version === record.version
+      }
+    }
+  };
+}
+
+function toLaunchConfig(pkg) {
+  const variables = pkg.environmentVariables || [];
+  const env = Object.fromEntries(variables.map(variable => [
+    variable.name,
+    variable.isSecret || variable.default === undefined ? `{${variable.name}}` : String(variable.default)
+  ]));
+  const packageArgs = (pkg.packageArguments || []).map(arg =>
+    arg.type === 'named' ? `${arg.name}${arg.value !== undefined ? `=${arg.value}` : ''}` : arg.value ?? arg.valueHint
+  ).filter(arg => arg !== undefined);
+
+  if (pkg.registryType === 'oci') {
+    return {
+      command: 'docker',
+      args: ['run', '-i', '--rm', ...variables.flatMap(variable => ['-e', variable.name]), `${pkg.identifier}:${pkg.version}`, ...packageArgs],
+      env
+    };
+  }
+
+  const [command, runtime] = Object.entries(RUNTIMES).find(([, r]) => r.registryType === pkg.registryType) || [];
+  if (!command) {
+    return null;
+  }
+  return {
+    command: pkg.runtimeHint || command,
+    args: [`${pkg.identifier}${runtime.separator}${pkg.version}`, ...packageArgs],
+    env
+  };
+}
+
+export class ServerJsonError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServerJsonError';
+    this.code = 'UNSUPPORTED_SERVER_JSON';
+  }
+}
+
+/**
+ * Converts a server.json document to a registry entry. Throws
+ * ServerJsonError when it has neither a package this registry can launch
+ * nor a streamable HTTP or SSE remote.
+ */
+export function fromServerJson(serverJson) {
+  const meta = serverJson._meta?.['io.modelcontextprotocol.registry/publisher-provided']?.[REGISTRY_META_KEY] || {};
+  const [, shortName = serverJson.name] = String(serverJson.name || '').split('/');
+  const pkg = (serverJson.packages || []).find(p => (p.transport?.type || 'stdio') === 'stdio');
+  const configuration = meta.configuration || (pkg && toLaunchConfig(pkg));
+  const remotes = meta.remotes || (serverJson.remotes || []).map(fromRemote).filter(Boolean);
+
+  if (!configuration && remotes.length === 0) {
+    throw new ServerJsonError(`${serverJson.name} has no stdio package (npm, pypi, nuget or oci) or remote that this registry can use`);
+  }
+
+  const id = meta.id || String(shortName).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+/, '');
+
+  return {
+    id,
+    registryName: serverJson.name,
+    name: serverJson.title || shortName,
+    description: serverJson.description || '',
+    version: serverJson.version,
+    ...(serverJson.websiteUrl && { homepage: serverJson.websiteUrl }),
+    ...(serverJson.repository?.url && {
+      repository: { type: 'git', url: serverJson.repository.url }
+    }),
+    ...(configuration && { configuration }),
+    ...(remotes.length > 0 && { remotes }),
+    ...(meta.variables && { variables: meta.variables }),
+    ...(meta.compatibility && { compatibility: meta.compatibility }),
+    capabilities: meta.capabilities || [],
+    tools: meta.tools || [],
+    tags: meta.tags || []
+  };
+}
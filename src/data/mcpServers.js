@@ -1,8 +1,20 @@
 /**
  * MCP Server Registry Data
  * Contains the catalog of available MCP servers for Azure API Center deployment
+ *
+ * Tools describe their arguments with a JSON Schema `inputSchema`, as returned
+ * by MCP's tools/list. A plain `parameters` list of argument names is still
+ * accepted for servers that have not been described in detail yet.
  */
 
+const repositoryOwner = { type: "string", description: "Repository owner (user or organization)" };
+const repositoryName = { type: "string", description: "Repository name" };
+
+// MCP tool annotations: hints about what a tool does to the world it works on
+const readOnly = { readOnlyHint: true, openWorldHint: true };
+const additive = { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true };
+const destructive = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true };
+
 export const mcpServers = [
   {
     id: "github-mcp-server",
@@ -23,6 +35,29 @@ export const mcpServers = [
         GITHUB_TOKEN: "{GITHUB_TOKEN}"
       }
     },
+    remotes: [
+      {
+        type: "http",
+        url: "https://api.githubcopilot.com/mcp/",
+        headers: {
+          Authorization: "Bearer {GITHUB_TOKEN}"
+        },
+        auth: {
+          type: "header",
+          description: "GitHub personal access token"
+        }
+      }
+    ],
+    variables: [
+      {
+        name: "GITHUB_TOKEN",
+        description: "GitHub personal access token",
+        required: true,
+        secret: true,
+        pattern: "^(gh[pousr]_|github_pat_)[A-Za-z0-9_]+$",
+        obtainFrom: "https://github.com/settings/personal-access-tokens"
+      }
+    ],
     capabilities: [
       "repository-management",
       "issue-management", 
@@ -35,70 +70,206 @@ export const mcpServers = [
       {
         name: "get_repository",
         description: "Get detailed information about a specific repository",
-        parameters: ["owner", "repo"]
+        annotations: readOnly,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName
+          },
+          required: ["owner", "repo"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            full_name: { type: "string" },
+            description: { type: ["string", "null"] },
+            default_branch: { type: "string" },
+            private: { type: "boolean" },
+            html_url: { type: "string", format: "uri" }
+          }
+        }
       },
       {
         name: "list_repositories", 
         description: "List repositories for the authenticated user",
-        parameters: ["type", "sort"]
+        annotations: readOnly,
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["all", "owner", "public", "private", "member"], description: "Type of repositories to list" },
+            sort: { type: "string", enum: ["created", "updated", "pushed", "full_name"], description: "Property to sort by" }
+          }
+        }
       },
       {
         name: "create_repository",
-        description: "Create a new GitHub repository", 
-        parameters: ["name", "description", "private"]
+        description: "Create a new GitHub repository",
+        annotations: additive,
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Repository name" },
+            description: { type: "string", description: "Repository description" },
+            private: { type: "boolean", description: "Whether the repository is private", default: false }
+          },
+          required: ["name"]
+        }
       },
       {
         name: "list_branches",
         description: "List branches in a repository",
-        parameters: ["owner", "repo", "protected", "per_page"]
+        annotations: readOnly,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            protected: { type: "boolean", description: "Only return protected branches" },
+            per_page: { type: "integer", minimum: 1, maximum: 100, description: "Results per page" }
+          },
+          required: ["owner", "repo"]
+        }
       },
       {
         name: "create_branch",
         description: "Create a new branch",
-        parameters: ["owner", "repo", "branch", "sha"]
+        annotations: additive,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            branch: { type: "string", description: "Name of the new branch" },
+            sha: { type: "string", description: "Commit SHA to branch from (defaults to the default branch head)" }
+          },
+          required: ["owner", "repo", "branch"]
+        }
       },
       {
         name: "delete_branch", 
         description: "Delete a branch",
-        parameters: ["owner", "repo", "branch"]
+        annotations: { ...destructive, idempotentHint: true },
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            branch: { type: "string", description: "Name of the branch to delete" }
+          },
+          required: ["owner", "repo", "branch"]
+        }
       },
       {
         name: "create_issue",
         description: "Create a new issue in a repository",
-        parameters: ["owner", "repo", "title", "body", "labels"]
+        annotations: additive,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            title: { type: "string", description: "Issue title" },
+            body: { type: "string", description: "Issue body in Markdown" },
+            labels: { type: "array", items: { type: "string" }, description: "Labels to apply" }
+          },
+          required: ["owner", "repo", "title"]
+        }
       },
       {
         name: "list_issues",
-        description: "List issues in a repository", 
-        parameters: ["owner", "repo", "state", "labels"]
+        description: "List issues in a repository",
+        annotations: readOnly,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            state: { type: "string", enum: ["open", "closed", "all"], description: "Issue state" },
+            labels: { type: "array", items: { type: "string" }, description: "Only return issues with these labels" }
+          },
+          required: ["owner", "repo"]
+        }
       },
       {
         name: "create_pull_request",
         description: "Create a new pull request",
-        parameters: ["owner", "repo", "title", "head", "base", "body"]
+        annotations: additive,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            title: { type: "string", description: "Pull request title" },
+            head: { type: "string", description: "Branch containing the changes" },
+            base: { type: "string", description: "Branch to merge into" },
+            body: { type: "string", description: "Pull request description in Markdown" }
+          },
+          required: ["owner", "repo", "title", "head", "base"]
+        }
       },
       {
         name: "merge_pull_request",
         description: "Merge a pull request",
-        parameters: ["owner", "repo", "pull_number", "commit_title", "commit_message", "merge_method"]
+        annotations: destructive,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            pull_number: { type: "integer", description: "Pull request number" },
+            commit_title: { type: "string", description: "Title of the merge commit" },
+            commit_message: { type: "string", description: "Message of the merge commit" },
+            merge_method: { type: "string", enum: ["merge", "squash", "rebase"], description: "Merge method" }
+          },
+          required: ["owner", "repo", "pull_number"]
+        }
       },
       {
         name: "update_file",
         description: "Create or update a file in a repository",
-        parameters: ["owner", "repo", "path", "message", "content", "sha", "branch"]
+        annotations: { ...destructive, idempotentHint: true },
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            path: { type: "string", description: "Path of the file in the repository" },
+            message: { type: "string", description: "Commit message" },
+            content: { type: "string", description: "New file content" },
+            sha: { type: "string", description: "Blob SHA of the file being replaced (required when updating)" },
+            branch: { type: "string", description: "Branch to commit to" }
+          },
+          required: ["owner", "repo", "path", "message", "content"]
+        }
       },
       {
         name: "create_release",
-        description: "Create a new release", 
-        parameters: ["owner", "repo", "tag_name", "name", "body", "draft", "prerelease"]
+        description: "Create a new release",
+        annotations: additive,
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: repositoryOwner,
+            repo: repositoryName,
+            tag_name: { type: "string", description: "Tag for the release" },
+            name: { type: "string", description: "Release title" },
+            body: { type: "string", description: "Release notes in Markdown" },
+            draft: { type: "boolean", description: "Create as a draft" },
+            prerelease: { type: "boolean", description: "Mark as a pre-release" }
+          },
+          required: ["owner", "repo", "tag_name"]
+        }
       }
     ],
     tags: ["github", "version-control", "collaboration", "development"],
+    compatibility: {
+      protocolVersions: ["2025-03-26", "2025-06-18"],
+      runtimes: { node: ">=18.0.0" },
+      os: ["linux", "darwin", "win32"],
+      clients: { vscode: ">=1.99.0", "claude-desktop": ">=0.10.0", cursor: ">=0.47.0" }
+    },
     deployment: {
-      requirements: {
-        node: ">=18.0.0",
-        environment: ["GITHUB_TOKEN"]
-      },
       docker: {
         image: "node:18-alpine",
         ports: ["3000"]
@@ -138,70 +309,84 @@ export const mcpServers = [
       {
         name: "browser_navigate",
         description: "Navigate to a URL",
+        annotations: destructive,
         parameters: ["url"]
       },
       {
         name: "browser_click",
         description: "Perform click on a web page",
+        annotations: destructive,
         parameters: ["element", "ref", "doubleClick", "button", "modifiers"]
       },
       {
         name: "browser_type",
-        description: "Type text into editable element", 
+        description: "Type text into editable element",
+        annotations: destructive,
         parameters: ["element", "ref", "text", "submit", "slowly"]
       },
       {
         name: "browser_snapshot",
         description: "Capture accessibility snapshot of the current page",
+        annotations: readOnly,
         parameters: []
       },
       {
         name: "browser_take_screenshot",
         description: "Take a screenshot of the current page",
+        annotations: readOnly,
         parameters: ["type", "filename", "element", "ref", "fullPage"]
       },
       {
         name: "browser_fill_form",
         description: "Fill multiple form fields",
+        annotations: destructive,
         parameters: ["fields"]
       },
       {
         name: "browser_select_option",
         description: "Select an option in a dropdown",
+        annotations: destructive,
         parameters: ["element", "ref", "values"]
       },
       {
         name: "browser_wait_for",
         description: "Wait for text to appear or disappear or a specified time to pass",
+        annotations: readOnly,
         parameters: ["time", "text", "textGone"]
       },
       {
         name: "browser_evaluate",
         description: "Evaluate JavaScript expression on page or element",
+        annotations: destructive,
         parameters: ["function", "element", "ref"]
       },
       {
         name: "browser_console_messages",
         description: "Returns all console messages",
+        annotations: readOnly,
         parameters: []
       },
       {
         name: "browser_network_requests",
         description: "Returns all network requests since loading the page",
+        annotations: readOnly,
         parameters: []
       },
       {
         name: "browser_tabs",
         description: "List, create, close, or select a browser tab",
+        annotations: destructive,
         parameters: ["action", "index"]
       }
     ],
     tags: ["playwright", "browser-automation", "testing", "web-scraping", "accessibility"],
+    compatibility: {
+      protocolVersions: ["2025-03-26", "2025-06-18"],
+      runtimes: { node: ">=18.0.0" },
+      os: ["linux", "darwin", "win32"],
+      clients: { vscode: ">=1.99.0", "claude-desktop": "*", cursor: ">=0.47.0" }
+    },
     deployment: {
-      requirements: {
-        node: ">=18.0.0", 
-        environment: []
-      },
       docker: {
         image: "mcr.microsoft.com/playwright/mcp",
         ports: ["3000"]
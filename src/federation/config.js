@@ -0,0 +1,111 @@
+import fs from 'fs';
+
+/**
+ * Upstream registry configuration
+ * REGISTRY_UPSTREAMS holds a JSON array of upstreams, or the path of a JSON
+ * file containing one. Each upstream is mirrored into the local catalog:
+ *
+ *   {
+ *     "name": "acme",                       // required, lowercase id
+ *     "url": "https://registry.acme.dev",   // required, base URL
+ *     "format": "registry",                 // "registry" (this project) or "official" (server.json)
+ *     "namespace": "acme",                  // id prefix, defaults to name; null mirrors ids unchanged
+ *     "allow": ["github-*"],                // upstream ids to mirror (* wildcard), default all
+ *     "deny": ["*-experimental"],           // upstream ids to skip
+ *     "onConflict": "keep-local",           // or "prefer-upstream" to replace colliding local entries
+ *     "intervalMs": 900000,                 // sync interval
+ *     "headers": { "Authorization": "Bearer ..." }
+ *   }
+ */
+
+export const DEFAULT_SYNC_INTERVAL_MS = parseInt(process.env.REGISTRY_SYNC_INTERVAL_MS) || 15 * 60 * 1000;
+
+const UPSTREAM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const FORMATS = ['registry', 'official'];
+const CONFLICT_RULES = ['keep-local', 'prefer-upstream'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function normalizeUpstream(upstream, index) {
+  const label = upstream?.name || `#${index}`;
+  const fail = message => {
+    throw new Error(`Invalid upstream ${label}: ${message}`);
+  };
+  
+  if (!upstream || typeof upstream !== 'object' || Array.isArray(upstream)) {
+    fail('must be an object');
+  }
+  if (typeof upstream.name !== 'string' || !UPSTREAM_NAME_PATTERN.test(upstream.name)) {
+    fail('name must be a lowercase identifier');
+  }
+  if (typeof upstream.url !== 'string' || !/^https?:\/\//.test(upstream.url)) {
+    fail('url must be an http(s) URL');
+  }
+  
+  const {
+    format = 'registry',
+    namespace = upstream.name,
+    allow = ['*'],
+    deny = [],
+    onConflict = 'keep-local',
+    intervalMs = DEFAULT_SYNC_INTERVAL_MS,
+    headers = {}
+  } = upstream;
+  
+  if (!FORMATS.includes(format)) {
+    fail(`format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (namespace !== null && (typeof namespace !== 'string' || !UPSTREAM_NAME_PATTERN.test(namespace))) {
+    fail('namespace must be a lowercase identifier or null');
+  }
+  if (!isStringList(allow) || !isStringList(deny)) {
+    fail('allow and deny must be arrays of id patterns');
+  }
+  if (!CONFLICT_RULES.includes(onConflict)) {
+    fail(`onConflict must be one of ${CONFLICT_RULES.join(', ')}`);
+  }
+  if (!Number.isInteger(intervalMs) || intervalMs < 1000) {
+    fail('intervalMs must be an integer of at least 1000');
+  }
+  
+  return {
+    name: upstream.name,
+    url: upstream.url.replace(/\/+$/, ''),
+    format,
+    namespace,
+    allow,
+    deny,
+    onConflict,
+    intervalMs,
+    headers
+  };
+}
+
+/**
+ * Parses and validates upstream definitions. Throws on invalid configuration
+ * so a misconfigured registry fails at startup rather than syncing wrongly.
+ */
+export function parseUpstreams(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+  
+  const json = value.trim().startsWith('[') ? value : fs.readFileSync(value, 'utf8');
+  const upstreams = JSON.parse(json);
+  
+  if (!Array.isArray(upstreams)) {
+    throw new Error('REGISTRY_UPSTREAMS must be a JSON array of upstreams');
+  }
+  
+  const normalized = upstreams.map(normalizeUpstream);
+  const names = normalized.map(upstream => upstream.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  
+  if (duplicate) {
+    throw new Error(`Duplicate upstream name ${duplicate}`);
+  }
+  
+  return normalized;
+}
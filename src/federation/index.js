@@ -0,0 +1,63 @@
+import { store as defaultStore } from '../storage/index.js';
+import { parseUpstreams } from './config.js';
+import { syncUpstream } from './sync.js';
+import { runAsSystem } from '../audit/context.js';
+
+/**
+ * Federation with upstream registries
+ * Upstreams from REGISTRY_UPSTREAMS are synced on start and then on their
+ * interval. Syncs run one at a time so concurrent mirrors never interleave
+ * writes, and a failed sync leaves previously mirrored entries in place.
+ * Scheduled syncs are audited as the upstream; manual ones as the admin.
+ */
+
+export const upstreams = parseUpstreams(process.env.REGISTRY_UPSTREAMS);
+
+const status = new Map(upstreams.map(upstream => [upstream.name, {
+  lastSyncAt: null,
+  lastSuccessAt: null,
+  lastError: null,
+  lastResult: null
+}]));
+
+let queue = Promise.resolve();
+
+/**
+ * Queues a sync of one upstream and resolves with its result
+ */
+export function syncNow(upstream, { store = defaultStore, fetch: fetchImpl = fetch } = {}) {
+  const run = queue.then(async () => {
+    const state = status.get(upstream.name);
+    state.lastSyncAt = new Date().toISOString();
+    try {
+      const result = await runAsSystem(`upstream:${upstream.name}`, () => syncUpstream(upstream, { store, fetch: fetchImpl }));
+      Object.assign(state, { lastSuccessAt: result.syncedAt, lastError: null, lastResult: result });
+      return result;
+    } catch (error) {
+      state.lastError = error.message;
+      throw error;
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+export function getFederationStatus() {
+  return upstreams.map(({ headers, ...upstream }) => ({ ...upstream, ...status.get(upstream.name) }));
+}
+
+/**
+ * Starts syncing every configured upstream. Returns a function that stops the timers.
+ */
+export function startFederation(options = {}) {
+  const sync = upstream => syncNow(upstream, options).catch(error => {
+    console.error(`Federation sync of ${upstream.name} failed:`, error.message);
+  });
+  
+  const timers = upstreams.map(upstream => {
+    sync(upstream);
+    return setInterval(() => sync(upstream), upstream.intervalMs).unref();
+  });
+  
+  return () => timers.forEach(clearInterval);
+}
@@ -0,0 +1,172 @@
+import { validateServer } from '../validation/index.js';
+import { stripManagedFields } from '../lib/entries.js';
+import { publishVersion } from '../lib/versions.js';
+import { fromServerJson, ServerJsonError } from '../compat/serverJson.js';
+
+/**
+ * Mirroring of a single upstream registry into a store
+ */
+
+const PAGE_LIMIT = 100;
+const MAX_PAGES = 1000;
+const FETCH_TIMEOUT_MS = 10000;
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+export function isAllowed(upstream, id) {
+  const matches = patterns => patterns.some(pattern => globToRegExp(pattern).test(id));
+  return matches(upstream.allow) && !matches(upstream.deny);
+}
+
+export function mirroredId(upstream, id) {
+  return upstream.namespace ? `${upstream.namespace}.${id}` : id;
+}
+
+async function fetchJson(url, upstream, fetchImpl) {
+  const response = await fetchImpl(url, {
+    headers: { Accept: 'application/json', ...upstream.headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`${upstream.name} responded ${response.status} for ${url}`);
+  }
+  
+  return response.json();
+}
+
+// Reads one page of entries and the cursor of the next, in either upstream format
+async function fetchPage(upstream, cursor, fetchImpl) {
+  const params = new URLSearchParams({ limit: String(PAGE_LIMIT) });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  
+  if (upstream.format === 'official') {
+    const body = await fetchJson(`${upstream.url}/v0.1/servers?${params}`, upstream, fetchImpl);
+    return { entries: body.servers.map(item => item.server), cursor: body.metadata?.nextCursor };
+  }
+  
+  const body = await fetchJson(`${upstream.url}/api/v0/servers?${params}`, upstream, fetchImpl);
+  return { entries: body.data.servers, cursor: body.data.cursor };
+}
+
+/**
+ * Fetches every entry an upstream serves. Official-format entries are
+ * converted from server.json; `invalid` lists those that cannot be.
+ */
+export async function fetchUpstreamEntries(upstream, fetchImpl = fetch) {
+  const entries = [];
+  const invalid = [];
+  let cursor = null;
+  
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await fetchPage(upstream, cursor, fetchImpl);
+    
+    for (const entry of result.entries) {
+      if (upstream.format !== 'official') {
+        entries.push(entry);
+        continue;
+      }
+      try {
+        entries.push(fromServerJson(entry));
+      } catch (error) {
+        if (!(error instanceof ServerJsonError)) {
+          throw error;
+        }
+        invalid.push({ id: entry.name, reason: error.message });
+      }
+    }
+    
+    cursor = result.cursor;
+    if (!cursor) {
+      break;
+    }
+  }
+  
+  return { entries, invalid };
+}
+
+/**
+ * Mirrors an upstream into `store`. Mirrored entries get a namespaced id and
+ * a `source` recording where they came from; entries the upstream no longer
+ * serves (or that the allow/deny lists now exclude) are removed. Ids that
+ * collide with local entries follow the upstream's onConflict rule; entries
+ * mirrored from another upstream are never replaced.
+ */
+export async function syncUpstream(upstream, { store, fetch: fetchImpl = fetch, now = new Date() }) {
+  const { entries, invalid } = await fetchUpstreamEntries(upstream, fetchImpl);
+  const syncedAt = now.toISOString();
+  const result = {
+    upstream: upstream.name,
+    syncedAt,
+    added: 0,
+    updated: 0,
+    removed: 0,
+    filtered: 0,
+    invalid,
+    conflicts: []
+  };
+  const mirrored = new Set();
+  
+  for (const entry of entries) {
+    if (!isAllowed(upstream, entry.id)) {
+      result.filtered++;
+      continue;
+    }
+    
+    const id = mirroredId(upstream, entry.id);
+    const definition = { ...stripManagedFields(entry), id };
+    const violations = validateServer(definition);
+    
+    if (violations.length > 0) {
+      result.invalid.push({ id: entry.id, reason: violations.map(v => `${v.path}: ${v.message}`).join('; ') });
+      continue;
+    }
+    
+    if (mirrored.has(id)) {
+      continue;
+    }
+    
+    const existing = await store.get(id);
+    const owner = existing?.source?.upstream;
+    
+    if (existing && owner !== upstream.name) {
+      const replace = !owner && upstream.onConflict === 'prefer-upstream';
+      result.conflicts.push({ id, with: owner || 'local', resolution: replace ? 'replaced' : 'kept' });
+      if (!replace) {
+        continue;
+      }
+    }
+    
+    const source = {
+      type: 'upstream',
+      upstream: upstream.name,
+      url: upstream.url,
+      id: entry.id,
+      syncedAt
+    };
+    const record = { ...publishVersion(existing, definition, syncedAt), source };
+    
+    mirrored.add(id);
+    if (existing) {
+      await store.replace(id, record);
+      result.updated++;
+    } else {
+      await store.create(record);
+      result.added++;
+    }
+  }
+  
+  for (const record of await store.list()) {
+    if (record.source?.upstream === upstream.name && !mirrored.has(record.id)) {
+      await store.remove(record.id);
+      result.removed++;
+    }
+  }
+  
+  return result;
+}
@@ -7,8 +7,25 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import mcpServersRouter from './routes/mcpServers.js';
+import configRouter from './routes/config.js';
+import toolsRouter from './routes/tools.js';
+import mcpRouter from './routes/mcp.js';
+import registryCompatRouter from './routes/registryCompat.js';
+import federationRouter from './routes/federation.js';
+import adminRouter from './routes/admin.js';
+import auditRouter from './routes/audit.js';
+import changesRouter from './routes/changes.js';
+import webhooksRouter from './routes/webhooks.js';
+import collectionsRouter from './routes/collections.js';
+import { authenticate } from './middleware/auth.js';
+import { recordAudit } from './middleware/audit.js';
+import { startFederation } from './federation/index.js';
+import { startWebhooks } from './changes/webhooks.js';
 
 const app = express();
+
+// Strong ETags from response bodies; Express answers matching conditional GETs with 304
+app.set('etag', 'strong');
 const PORT = process.env.PORT || 3000;
 const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
 const USE_HTTPS = process.env.USE_HTTPS === 'true' || process.env.NODE_ENV === 'development';
@@ -41,8 +58,8 @@ app.use(helmet({
 // CORS configuration
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : true,
-  methods: ['GET', 'HEAD', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Mcp-Protocol-Version', 'Mcp-Session-Id'],
   maxAge: 86400 // 24 hours
 }));
 
@@ -71,20 +88,71 @@ app.get('/', (req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     documentation: {
       openapi: '/api/docs',
-      health: '/api/v0/health'
+      health: '/api/v0/health',
+      mcp: '/mcp'
     },
     endpoints: {
       'GET /api/v0/servers': 'Get all MCP servers',
       'GET /api/v0/servers/:id': 'Get specific MCP server',
       'GET /api/mcp-servers/:id/config': 'Get MCP server configuration',
-      'GET /api/mcp-servers/:id/tools': 'Get MCP server tools'
+      'POST /api/v0/servers/:id/config/resolve': 'Get an MCP server configuration with variable values filled in',
+      'GET /api/mcp-servers/:id/tools': 'Get MCP server tools',
+      'GET /api/v0/servers/:id/tools/:toolName': 'Get a single MCP server tool with its schemas',
+      'GET /api/v0/servers/:id/versions': 'List published versions of an MCP server',
+      'GET /api/v0/servers/:id/security': 'Get the security report and risk score of an MCP server',
+      'GET /api/v0/servers/:id/compatibility': 'Check whether an MCP server runs with a client, protocol, OS and runtime versions',
+      'GET /api/v0/servers/:id/packages': 'Get npm, PyPI or OCI registry metadata of the packages an MCP server is distributed as',
+      'GET /api/v0/config': 'Get a combined client configuration for several MCP servers',
+      'GET /api/v0/tools/search': 'Search tools across all MCP servers',
+      'POST /mcp': 'MCP streamable HTTP endpoint exposing the registry as MCP tools',
+      'POST /api/v0/servers': 'Publish a new MCP server (publisher role required)',
+      'PUT /api/v0/servers/:id': 'Replace an MCP server (publisher role required)',
+      'PATCH /api/v0/servers/:id': 'Update an MCP server (publisher role required)',
+      'DELETE /api/v0/servers/:id': 'Remove an MCP server (publisher role required)',
+      'POST /api/v0/servers/:id/introspect': 'Introspect an MCP server over stdio (publisher role required)',
+      'GET /api/v0/servers/:id/introspection': 'Get the latest introspection result (publisher role required)',
+      'POST /api/v0/servers/:id/review': 'Approve, deprecate or revoke an MCP server (admin role required)',
+      'GET /api/v0/servers/:id/lifecycle': 'Get the approval state and review history of an MCP server',
+      'GET /api/v0/federation': 'List upstream registries and their sync state',
+      'POST /api/v0/federation/sync': 'Sync upstream registries now (admin role required)',
+      'GET /v0.1/servers': 'List servers as server.json (official MCP Registry API)',
+      'GET /v0.1/servers/:serverName/versions/:version': 'Get a server version as server.json (official MCP Registry API)',
+      'POST /v0.1/publish': 'Publish a server.json document (publisher role required)',
+      'GET /api/v0/admin/keys': 'List API keys (admin role required)',
+      'POST /api/v0/admin/keys': 'Issue an API key for a role and org (admin role required)',
+      'DELETE /api/v0/admin/keys/:keyId': 'Revoke an API key (admin role required)',
+      'POST /api/v0/admin/reload': 'Re-apply the seed catalog (admin role required)',
+      'GET /api/v0/admin/packages': 'Flag catalog entries whose version lags their package registry (admin role required)',
+      'GET /api/v0/audit': 'Query the audit log by actor, server and time (admin role required)',
+      'GET /api/v0/audit/export': 'Export the audit log as JSON Lines (admin role required)',
+      'GET /api/v0/changes': 'List catalog changes after a sequence number',
+      'GET /api/v0/changes/stream': 'Stream catalog changes as Server-Sent Events',
+      'GET /api/v0/webhooks': 'List webhook subscriptions (admin role required)',
+      'POST /api/v0/webhooks': 'Subscribe a URL to catalog changes (admin role required)',
+      'DELETE /api/v0/webhooks/:webhookId': 'Remove a webhook subscription (admin role required)',
+      'GET /api/v0/webhooks/:webhookId/deliveries': 'List recent webhook deliveries (admin role required)',
+      'GET /api/v0/collections': 'List curated collections of MCP servers',
+      'POST /api/v0/collections': 'Create a collection (publisher role required)',
+      'GET /api/v0/collections/:name': 'Get a collection with its pinned members and dangling references',
+      'PUT /api/v0/collections/:name': 'Replace the members of a collection (publisher role required)',
+      'DELETE /api/v0/collections/:name': 'Delete a collection (publisher role required)',
+      'GET /api/v0/collections/:name/config': 'Get a combined client configuration for a collection'
     },
     examples: {
       'Get all servers': '/api/v0/servers',
       'Get servers by tag': '/api/v0/servers?tags=github,automation',
       'Get servers by capability': '/api/v0/servers?capability=browser',
+      'Search servers': '/api/v0/servers?q=pull+request',
+      'Search tools': '/api/v0/tools/search?q=take+a+screenshot',
+      'Get local servers only': '/api/v0/servers?source=local',
+      'Get remotely hosted servers': '/api/v0/servers?transport=http',
       'Get GitHub server': '/api/v0/servers/github-mcp-server',
-      'Get Playwright server': '/api/v0/servers/playwright-mcp-server'
+      'Get Playwright server': '/api/v0/servers/playwright-mcp-server',
+      'Get GitHub server 1.x': '/api/v0/servers/github-mcp-server?version=^1.0',
+      'Get VS Code config for GitHub server': '/api/v0/servers/github-mcp-server/config?client=vscode',
+      'Get combined VS Code config': '/api/v0/config?ids=github-mcp-server,playwright-mcp-server&client=vscode',
+      'Get changes since sequence 42': '/api/v0/changes?since=42',
+      'Get GitHub server as server.json': '/v0.1/servers/io.github.github%2Fgithub-mcp-server/versions/latest'
     }
   });
 });
@@ -122,6 +190,16 @@ app.get('/api/docs', (req, res) => {
           summary: 'Get all MCP servers',
           description: 'Retrieve all available MCP servers in the registry with optional filtering',
           parameters: [
+            {
+              name: 'q',
+              in: 'query',
+              description: 'Full-text search over names, descriptions, tags, capabilities and tools; results are ordered by relevance',
+              required: false,
+              schema: {
+                type: 'string',
+                example: 'create a pull request'
+              }
+            },
             {
               name: 'tags',
               in: 'query',
@@ -142,6 +220,36 @@ app.get('/api/docs', (req, res) => {
                 example: 'browser-automation'
               }
             },
+            {
+              name: 'transport',
+              in: 'query',
+              description: 'Filter by transport',
+              required: false,
+              schema: {
+                type: 'string',
+                enum: ['stdio', 'http', 'sse']
+              }
+            },
+            {
+              name: 'source',
+              in: 'query',
+              description: 'Filter by origin: "local" or the name of an upstream registry',
+              required: false,
+              schema: {
+                type: 'string',
+                example: 'local'
+              }
+            },
+            {
+              name: 'status',
+              in: 'query',
+              description: 'Lifecycle states to include, comma-separated, or "all" (default: approved). Other states require the admin role.',
+              required: false,
+              schema: {
+                type: 'string',
+                example: 'pending,approved'
+              }
+            },
             {
               name: 'limit',
               in: 'query',
@@ -154,10 +262,44 @@ app.get('/api/docs', (req, res) => {
                 default: 50
               }
             },
+            { $ref: '#/components/parameters/ReadOnlyFilter' },
+            { $ref: '#/components/parameters/DestructiveFilter' },
+            { $ref: '#/components/parameters/IdempotentFilter' },
+            { $ref: '#/components/parameters/OpenWorldFilter' },
+            {
+              name: 'maxRisk',
+              in: 'query',
+              description: 'Only servers assessed at this risk level or lower',
+              required: false,
+              schema: {
+                type: 'string',
+                enum: ['low', 'medium', 'high', 'critical']
+              }
+            },
+            {
+              name: 'sort',
+              in: 'query',
+              description: 'Sort by name, last update or popularity (how often the configuration was fetched). Defaults to relevance when searching with q, otherwise name.',
+              required: false,
+              schema: {
+                type: 'string',
+                enum: ['name', 'updated', 'popularity']
+              }
+            },
+            {
+              name: 'order',
+              in: 'query',
+              description: 'Sort order (default: asc for name, desc otherwise)',
+              required: false,
+              schema: {
+                type: 'string',
+                enum: ['asc', 'desc']
+              }
+            },
             {
               name: 'cursor',
               in: 'query',
-              description: 'Cursor for pagination',
+              description: 'Opaque cursor of the next page. Only valid with the filters, sort and order it was returned for.',
               required: false,
               schema: {
                 type: 'string'
@@ -193,8 +335,17 @@ app.get('/api/docs', (req, res) => {
                             type: 'integer',
                             example: 50
                           },
+                          sort: {
+                            type: 'string',
+                            example: 'name'
+                          },
+                          order: {
+                            type: 'string',
+                            example: 'asc'
+                          },
                           cursor: {
                             type: 'string',
+                            nullable: true,
                             example: null
                           }
                         }
@@ -203,7 +354,32 @@ app.get('/api/docs', (req, res) => {
                   }
                 }
               }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '400': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        },
+        post: {
+          summary: 'Publish a new MCP server',
+          description: 'Add a new MCP server to the registry',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/MCPServer'
+                }
+              }
             }
+          },
+          responses: {
+            '201': { $ref: '#/components/responses/ServerResponse' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '409': { $ref: '#/components/responses/ErrorResponse' },
+            '422': { $ref: '#/components/responses/ValidationErrorResponse' }
           }
         }
       },
@@ -226,7 +402,7 @@ app.get('/api/docs', (req, res) => {
               name: 'version',
               in: 'query',
               required: false,
-              description: 'Specific version of the MCP server',
+              description: 'Exact version or semver range (e.g. ^1.2) to resolve',
               schema: {
                 type: 'string',
                 example: '1.0.0'
@@ -258,8 +434,10 @@ app.get('/api/docs', (req, res) => {
                 }
               }
             },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
             '404': {
-              description: 'MCP server not found',
+              description: 'MCP server or requested version not found',
               content: {
                 'application/json': {
                   schema: {
@@ -267,171 +445,2687 @@ app.get('/api/docs', (req, res) => {
                   }
                 }
               }
-            }
-          }
-        }
-      }
-    },
-    components: {
-      schemas: {
-        MCPServer: {
-          type: 'object',
-          properties: {
-            id: {
-              type: 'string',
-              description: 'Unique identifier for the server',
-              example: 'github-mcp-server'
-            },
-            name: {
-              type: 'string',
-              description: 'Display name of the server',
-              example: 'GitHub MCP Server'
-            },
-            description: {
-              type: 'string',
-              description: 'Description of the server functionality',
-              example: 'Official GitHub MCP server for GitHub API integration'
-            },
-            version: {
-              type: 'string',
-              description: 'Current version of the server',
-              example: '1.0.0'
-            },
-            author: {
-              type: 'string',
-              description: 'Author/organization of the server',
-              example: 'GitHub'
-            },
-            license: {
-              type: 'string',
-              description: 'License type',
-              example: 'MIT'
             },
-            configuration: {
-              type: 'object',
-              description: 'Configuration object for deployment',
-              properties: {
-                command: {
-                  type: 'string',
-                  example: 'npx'
-                },
-                args: {
-                  type: 'array',
-                  items: {
-                    type: 'string'
-                  },
-                  example: ['@github/github-mcp-server']
-                },
-                env: {
-                  type: 'object',
-                  additionalProperties: {
-                    type: 'string'
-                  },
-                  example: {
-                    'GITHUB_TOKEN': '{GITHUB_TOKEN}'
-                  }
-                }
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        },
+        put: {
+          summary: 'Replace an MCP server',
+          description: 'Replace the full definition of an existing MCP server',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
               }
-            },
-            capabilities: {
-              type: 'array',
-              items: {
-                type: 'string'
-              },
-              description: 'Array of server capabilities',
-              example: ['repository-management', 'issue-management']
-            },
-            tools: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  name: {
-                    type: 'string',
-                    example: 'get_repository'
-                  },
-                  description: {
-                    type: 'string',
-                    example: 'Get detailed information about a specific repository'
-                  },
-                  parameters: {
-                    type: 'array',
-                    items: {
-                      type: 'string'
-                    },
-                    example: ['owner', 'repo']
-                  }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/MCPServer'
                 }
-              },
-              description: 'Array of available tools/functions'
-            },
-            tags: {
-              type: 'array',
-              items: {
-                type: 'string'
-              },
-              description: 'Array of tags for categorization',
-              example: ['github', 'version-control', 'collaboration']
+              }
             }
+          },
+          responses: {
+            '200': { $ref: '#/components/responses/ServerResponse' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' },
+            '422': { $ref: '#/components/responses/ValidationErrorResponse' }
           }
         },
-        Error: {
-          type: 'object',
-          properties: {
-            success: {
-              type: 'boolean',
-              example: false
-            },
-            error: {
-              type: 'object',
-              properties: {
-                message: {
-                  type: 'string',
-                  example: 'MCP server not found'
-                },
-                code: {
-                  type: 'string',
-                  example: 'SERVER_NOT_FOUND'
+        patch: {
+          summary: 'Update an MCP server',
+          description: 'Merge the given top-level fields into an existing MCP server',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object'
                 }
               }
             }
+          },
+          responses: {
+            '200': { $ref: '#/components/responses/ServerResponse' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' },
+            '422': { $ref: '#/components/responses/ValidationErrorResponse' }
+          }
+        },
+        delete: {
+          summary: 'Remove an MCP server',
+          description: 'Remove an MCP server from the registry. The response lists the collections that still refer to it in danglingIn.',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          responses: {
+            '200': { $ref: '#/components/responses/ServerResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
           }
         }
-      }
-    }
-  };
-  
-  res.json(openApiSpec);
-});
-
-// Mount API routes
-app.use('/api/v0/servers', mcpServersRouter);
-
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: {
-      message: 'Internal server error',
-      ...(process.env.NODE_ENV === 'development' && { details: err.message })
-    }
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: {
-      message: 'Endpoint not found',
-      code: 'NOT_FOUND'
-    }
-  });
-});
-
-// Function to start HTTP server
-function startHttpServer() {
+      },
+      '/api/v0/servers/{id}/versions': {
+        get: {
+          summary: 'List published versions',
+          description: 'List every published version of an MCP server, newest first',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Successful response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: {
+                        type: 'boolean',
+                        example: true
+                      },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          current: {
+                            type: 'string',
+                            example: '1.0.0'
+                          },
+                          versions: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                version: { type: 'string', example: '1.0.0' },
+                                publishedAt: { type: 'string', format: 'date-time', nullable: true },
+                                isCurrent: { type: 'boolean', example: true }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/config': {
+        get: {
+          summary: 'Get MCP server configuration',
+          description: 'Get the configuration of an MCP server as stored in the registry or shaped for a specific MCP client. JSON uses the standard response envelope; YAML and TOML are returned as plain documents.',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            },
+            {
+              name: 'format',
+              in: 'query',
+              required: false,
+              description: 'Serialization format',
+              schema: {
+                type: 'string',
+                enum: ['json', 'yaml', 'toml'],
+                default: 'json'
+              }
+            },
+            {
+              name: 'client',
+              in: 'query',
+              required: false,
+              description: 'Build the configuration file for this MCP client',
+              schema: {
+                type: 'string',
+                enum: ['vscode', 'claude-desktop', 'cursor']
+              }
+            },
+            {
+              name: 'transport',
+              in: 'query',
+              required: false,
+              description: 'Connect over this transport (default: stdio when available, else the first remote)',
+              schema: {
+                type: 'string',
+                enum: ['stdio', 'http', 'sse']
+              }
+            },
+            {
+              name: 'version',
+              in: 'query',
+              required: false,
+              description: 'Exact version or semver range to resolve',
+              schema: {
+                type: 'string'
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Successful response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: {
+                        type: 'boolean',
+                        example: true
+                      },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          client: {
+                            type: 'string',
+                            example: 'vscode'
+                          },
+                          fileName: {
+                            type: 'string',
+                            example: '.vscode/mcp.json'
+                          },
+                          transport: {
+                            type: 'string',
+                            enum: ['stdio', 'http', 'sse']
+                          },
+                          configuration: {
+                            type: 'object'
+                          },
+                          variables: {
+                            type: 'array',
+                            items: { $ref: '#/components/schemas/Variable' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                'application/yaml': {
+                  schema: {
+                    type: 'string'
+                  }
+                },
+                'application/toml': {
+                  schema: {
+                    type: 'string'
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/config/resolve': {
+        post: {
+          summary: 'Resolve MCP server configuration',
+          description: 'Fill the configuration variables with the supplied values and return the ready-to-use configuration, optionally shaped for an MCP client. Values are checked against the variable declarations and are never stored or logged.',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', example: 'github-mcp-server' } },
+            { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['json', 'yaml', 'toml'], default: 'json' } },
+            { name: 'client', in: 'query', required: false, schema: { type: 'string', enum: ['vscode', 'claude-desktop', 'cursor'] } },
+            { name: 'transport', in: 'query', required: false, schema: { type: 'string', enum: ['stdio', 'http', 'sse'] } },
+            { name: 'version', in: 'query', required: false, schema: { type: 'string' } }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['values'],
+                  properties: {
+                    values: {
+                      type: 'object',
+                      additionalProperties: { type: ['string', 'number', 'boolean'] },
+                      example: { GITHUB_TOKEN: 'ghp_...' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Configuration with every variable filled in; sent with Cache-Control: no-store',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          client: { type: 'string', example: 'vscode' },
+                          fileName: { type: 'string', example: '.vscode/mcp.json' },
+                          transport: { type: 'string', enum: ['stdio', 'http', 'sse'] },
+                          configuration: { type: 'object' }
+                        }
+                      }
+                    }
+                  }
+                },
+                'application/yaml': { schema: { type: 'string' } },
+                'application/toml': { schema: { type: 'string' } }
+              }
+            },
+            '400': {
+              description: 'Invalid request, or values that are missing, unknown or do not match their declarations (code INVALID_VARIABLES, listed in error.violations)',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/Error' }
+                }
+              }
+            },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/config': {
+        get: {
+          summary: 'Get a combined configuration for several MCP servers',
+          description: 'Merge the configurations of several MCP servers into one client configuration file, sharing secret prompts and reporting clashing keys',
+          parameters: [
+            {
+              name: 'ids',
+              in: 'query',
+              required: true,
+              description: 'Comma-separated server IDs, each optionally pinned with @version or @range',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server,playwright-mcp-server'
+              }
+            },
+            {
+              name: 'client',
+              in: 'query',
+              required: false,
+              description: 'Build the configuration file for this MCP client',
+              schema: {
+                type: 'string',
+                enum: ['vscode', 'claude-desktop', 'cursor']
+              }
+            },
+            {
+              name: 'format',
+              in: 'query',
+              required: false,
+              description: 'Serialization format',
+              schema: {
+                type: 'string',
+                enum: ['json', 'yaml', 'toml'],
+                default: 'json'
+              }
+            },
+            {
+              name: 'transport',
+              in: 'query',
+              required: false,
+              description: 'Connect every server over this transport (default: the first available for each server)',
+              schema: {
+                type: 'string',
+                enum: ['stdio', 'http', 'sse']
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Successful response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: {
+                        type: 'boolean',
+                        example: true
+                      },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          client: { type: 'string', example: 'vscode' },
+                          fileName: { type: 'string', example: '.vscode/mcp.json' },
+                          configuration: { type: 'object' },
+                          servers: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                id: { type: 'string' },
+                                version: { type: 'string' }
+                              }
+                            }
+                          },
+                          sharedSecrets: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                name: { type: 'string', example: 'GITHUB_TOKEN' },
+                                servers: { type: 'array', items: { type: 'string' } }
+                              }
+                            }
+                          },
+                          collisions: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                type: { type: 'string', enum: ['server', 'input', 'env'] },
+                                key: { type: 'string' },
+                                servers: { type: 'array', items: { type: 'string' } },
+                                values: { type: 'array', items: { type: 'string' } }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/tools/search': {
+        get: {
+          summary: 'Search tools across all MCP servers',
+          description: 'Find tools by what they do, ranked by relevance, together with the server that provides them',
+          parameters: [
+            {
+              name: 'q',
+              in: 'query',
+              required: true,
+              description: 'Search query',
+              schema: {
+                type: 'string',
+                example: 'create a pull request'
+              }
+            },
+            { $ref: '#/components/parameters/ReadOnlyFilter' },
+            { $ref: '#/components/parameters/DestructiveFilter' },
+            { $ref: '#/components/parameters/IdempotentFilter' },
+            { $ref: '#/components/parameters/OpenWorldFilter' },
+            {
+              name: 'limit',
+              in: 'query',
+              required: false,
+              description: 'Limit number of results (max 100)',
+              schema: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100,
+                default: 20
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Successful response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: {
+                        type: 'boolean',
+                        example: true
+                      },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          results: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                server: {
+                                  type: 'object',
+                                  properties: {
+                                    id: { type: 'string' },
+                                    name: { type: 'string' },
+                                    version: { type: 'string' }
+                                  }
+                                },
+                                tool: { type: 'object' },
+                                score: { type: 'number' }
+                              }
+                            }
+                          },
+                          total: {
+                            type: 'integer'
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/tools': {
+        get: {
+          summary: 'Get MCP server tools',
+          description: 'Get the tools of an MCP server. Every tool includes a JSON Schema inputSchema; tools registered with a plain parameter list get an untyped schema derived from it. The annotation filters select tools by their MCP hints.',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            },
+            { $ref: '#/components/parameters/ReadOnlyFilter' },
+            { $ref: '#/components/parameters/DestructiveFilter' },
+            { $ref: '#/components/parameters/IdempotentFilter' },
+            { $ref: '#/components/parameters/OpenWorldFilter' },
+            {
+              name: 'version',
+              in: 'query',
+              required: false,
+              description: 'Exact version or semver range to resolve',
+              schema: {
+                type: 'string'
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Successful response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: {
+                        type: 'boolean',
+                        example: true
+                      },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          tools: {
+                            type: 'array',
+                            items: {
+                              $ref: '#/components/schemas/MCPServer/properties/tools/items'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/tools/{toolName}': {
+        get: {
+          summary: 'Get a single MCP server tool',
+          description: 'Get one tool of an MCP server, including its input and output schemas',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            },
+            {
+              name: 'toolName',
+              in: 'path',
+              required: true,
+              description: 'Name of the tool',
+              schema: {
+                type: 'string',
+                example: 'get_repository'
+              }
+            },
+            {
+              name: 'version',
+              in: 'query',
+              required: false,
+              description: 'Exact version or semver range to resolve',
+              schema: {
+                type: 'string'
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Successful response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: {
+                        type: 'boolean',
+                        example: true
+                      },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          tool: {
+                            $ref: '#/components/schemas/MCPServer/properties/tools/items'
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/introspect': {
+        post: {
+          summary: 'Introspect an MCP server',
+          description: 'Launch the server from its stdio configuration under the INTROSPECTION_SANDBOX_WRAPPER sandbox, run the MCP handshake and store the tools, resources and prompts it reports together with a diff against the declared tools. Answers 503 when no sandbox is configured.',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    secrets: {
+                      type: 'object',
+                      description: 'Values for {PLACEHOLDER} variables, used for this run only',
+                      additionalProperties: { type: 'string' }
+                    },
+                    timeoutMs: {
+                      type: 'integer',
+                      minimum: 1000,
+                      maximum: 120000
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': { $ref: '#/components/responses/IntrospectionResponse' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '503': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/introspection': {
+        get: {
+          summary: 'Get the latest introspection result',
+          description: 'Only admins and publishers who manage the server can read it',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          responses: {
+            '200': { $ref: '#/components/responses/IntrospectionResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/mcp': {
+        post: {
+          summary: 'MCP streamable HTTP endpoint',
+          description: 'Serve the registry as an MCP server over the streamable HTTP transport (stateless). Tools: search_servers, get_server, get_server_config, search_tools.',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  description: 'JSON-RPC 2.0 request or notification',
+                  properties: {
+                    jsonrpc: { type: 'string', example: '2.0' },
+                    id: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+                    method: { type: 'string', example: 'tools/call' },
+                    params: { type: 'object' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'JSON-RPC response',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object'
+                  }
+                }
+              }
+            },
+            '202': {
+              description: 'Notification accepted'
+            }
+          }
+        }
+      },
+      '/v0.1/servers': {
+        get: {
+          summary: 'List servers (official MCP Registry format)',
+          description: 'List the latest version of every server as server.json in the official MCP Registry response shape. Also served under /v0.',
+          parameters: [
+            { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search servers by name and description' },
+            { name: 'updated_since', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Only servers published at or after this time' },
+            { name: 'version', in: 'query', schema: { type: 'string', enum: ['latest'] } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 30 } },
+            { name: 'cursor', in: 'query', schema: { type: 'string' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Page of servers',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      servers: { type: 'array', items: { $ref: '#/components/schemas/ServerJsonResponse' } },
+                      metadata: {
+                        type: 'object',
+                        properties: {
+                          nextCursor: { type: 'string', nullable: true },
+                          count: { type: 'integer' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ProblemResponse' }
+          }
+        }
+      },
+      '/v0.1/servers/{serverName}/versions/{version}': {
+        get: {
+          summary: 'Get a server version (official MCP Registry format)',
+          description: 'Retrieve one version of a server as server.json. Use "latest" for the current version. GET /v0.1/servers/{serverName}/versions lists every version.',
+          parameters: [
+            { name: 'serverName', in: 'path', required: true, schema: { type: 'string' }, example: 'io.github.github/github-mcp-server' },
+            { name: 'version', in: 'path', required: true, schema: { type: 'string' }, example: 'latest' }
+          ],
+          responses: {
+            '200': {
+              description: 'Server version',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/ServerJsonResponse' }
+                }
+              }
+            },
+            '404': { $ref: '#/components/responses/ProblemResponse' }
+          }
+        }
+      },
+      '/v0.1/publish': {
+        post: {
+          summary: 'Publish a server.json document',
+          description: 'Ingest a server.json document as a new server or a new version of a known server. The first stdio package becomes the launch configuration.',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { type: 'object', description: 'server.json (https://static.modelcontextprotocol.io/schemas/2025-12-11/server.schema.json)' }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'Published server',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/ServerJsonResponse' }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ProblemResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '409': { $ref: '#/components/responses/ProblemResponse' },
+            '422': { $ref: '#/components/responses/ProblemResponse' }
+          }
+        }
+      },
+      '/api/v0/federation': {
+        get: {
+          summary: 'List upstream registries',
+          description: 'List the upstream registries mirrored into this catalog (REGISTRY_UPSTREAMS) with the state of their last sync',
+          responses: {
+            '200': {
+              description: 'Upstreams and sync state',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          upstreams: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                name: { type: 'string', example: 'acme' },
+                                url: { type: 'string', format: 'uri' },
+                                format: { type: 'string', enum: ['registry', 'official'] },
+                                namespace: { type: 'string', nullable: true },
+                                allow: { type: 'array', items: { type: 'string' } },
+                                deny: { type: 'array', items: { type: 'string' } },
+                                onConflict: { type: 'string', enum: ['keep-local', 'prefer-upstream'] },
+                                intervalMs: { type: 'integer' },
+                                lastSyncAt: { type: 'string', format: 'date-time', nullable: true },
+                                lastSuccessAt: { type: 'string', format: 'date-time', nullable: true },
+                                lastError: { type: 'string', nullable: true },
+                                lastResult: { $ref: '#/components/schemas/SyncResult' }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/api/v0/federation/sync': {
+        post: {
+          summary: 'Sync upstream registries now',
+          description: 'Sync every upstream, or only the named one, without waiting for the schedule',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'upstream',
+              in: 'query',
+              description: 'Name of the upstream to sync',
+              required: false,
+              schema: {
+                type: 'string'
+              }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'Sync results',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          results: {
+                            type: 'array',
+                            items: { $ref: '#/components/schemas/SyncResult' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/review': {
+        post: {
+          summary: 'Review an MCP server',
+          description: 'Move a server through the approval workflow. pending → approved or revoked; approved → deprecated or revoked; deprecated → approved or revoked. Revocation is final.',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['state', 'reviewer'],
+                  properties: {
+                    state: { type: 'string', enum: ['approved', 'deprecated', 'revoked'] },
+                    reviewer: { type: 'string', example: 'security-team' },
+                    reason: { type: 'string', description: 'Required for deprecated and revoked' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': { $ref: '#/components/responses/LifecycleResponse' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/lifecycle': {
+        get: {
+          summary: 'Get the lifecycle of an MCP server',
+          description: 'Get the approval state of an MCP server with its review history, including for revoked servers',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              description: 'Unique identifier of the MCP server',
+              schema: {
+                type: 'string',
+                example: 'github-mcp-server'
+              }
+            }
+          ],
+          responses: {
+            '200': { $ref: '#/components/responses/LifecycleResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/admin/keys': {
+        get: {
+          summary: 'List API keys',
+          description: 'List issued API keys. Key values are never returned after creation.',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Issued keys',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          keys: { type: 'array', items: { $ref: '#/components/schemas/ApiKey' } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        },
+        post: {
+          summary: 'Issue an API key',
+          description: 'Issue an API key for a role, optionally scoped to an org and its teams. The key is only returned in this response.',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name', 'role'],
+                  properties: {
+                    name: { type: 'string', example: 'partner-portal' },
+                    role: { type: 'string', enum: ['reader', 'publisher', 'admin'] },
+                    org: { type: 'string', example: 'acme' },
+                    teams: { type: 'array', items: { type: 'string' } },
+                    expiresAt: { type: 'string', format: 'date-time' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'The new key and its record',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          key: { type: 'string', example: 'mcpr_3fK9aQ...' },
+                          record: { $ref: '#/components/schemas/ApiKey' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/admin/keys/{keyId}': {
+        delete: {
+          summary: 'Revoke an API key',
+          description: 'Revoke an API key; requests using it are rejected from then on',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: 'keyId',
+              in: 'path',
+              required: true,
+              schema: { type: 'string', format: 'uuid' }
+            }
+          ],
+          responses: {
+            '200': {
+              description: 'The revoked key',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          record: { $ref: '#/components/schemas/ApiKey' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/admin/reload': {
+        post: {
+          summary: 'Reload the seed catalog',
+          description: 'Restore deleted seed servers and reset seed servers whose current version was edited. Seed servers published at another version and mirrored entries are skipped.',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Seed server ids by outcome',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          restored: { type: 'array', items: { type: 'string' } },
+                          reset: { type: 'array', items: { type: 'string' } },
+                          unchanged: { type: 'array', items: { type: 'string' } },
+                          skipped: { type: 'array', items: { type: 'string' } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/audit': {
+        get: {
+          summary: 'Query the audit log',
+          description: 'Audit events, newest first: catalog changes with before/after diffs, reviews, API key changes, config fetches and rejected writes',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'actor', in: 'query', description: 'Subject of the actor (JWT sub, key:<id> or token)', schema: { type: 'string' } },
+            { name: 'serverId', in: 'query', description: 'Server the event is about', schema: { type: 'string' } },
+            { name: 'action', in: 'query', description: 'Action (server.update) or action family (server)', schema: { type: 'string' } },
+            { name: 'since', in: 'query', description: 'Earliest event time', schema: { type: 'string', format: 'date-time' } },
+            { name: 'until', in: 'query', description: 'Latest event time', schema: { type: 'string', format: 'date-time' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } },
+            { name: 'cursor', in: 'query', schema: { type: 'string' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Matching audit events',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          events: { type: 'array', items: { $ref: '#/components/schemas/AuditEvent' } },
+                          total: { type: 'integer' },
+                          limit: { type: 'integer' },
+                          cursor: { type: 'string', nullable: true }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/audit/export': {
+        get: {
+          summary: 'Export the audit log',
+          description: 'Matching audit events as JSON Lines, oldest first. Takes the same filters as /api/v0/audit.',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'One audit event per line',
+              content: {
+                'application/x-ndjson': {
+                  schema: { type: 'string' }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/changes': {
+        get: {
+          summary: 'List catalog changes',
+          description: 'Catalog changes after a sequence number, oldest first. Changes to servers the caller cannot see, and to pending servers (except for admins), are left out.',
+          parameters: [
+            { name: 'since', in: 'query', description: 'Return changes with a higher sequence number', schema: { type: 'integer', minimum: 0, default: 0 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } }
+          ],
+          responses: {
+            '200': {
+              description: 'Changes after since',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          changes: { type: 'array', items: { $ref: '#/components/schemas/Change' } },
+                          nextSince: { type: 'integer', description: 'Value of since for the next request' },
+                          lastSeq: { type: 'integer', description: 'Latest sequence number in the feed' },
+                          hasMore: { type: 'boolean' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/changes/stream': {
+        get: {
+          summary: 'Stream catalog changes',
+          description: 'Server-Sent Events: changes after since (or Last-Event-ID) are replayed, then new ones follow. Event ids are sequence numbers and event names are change types.',
+          parameters: [
+            { name: 'since', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+            { name: 'Last-Event-ID', in: 'header', description: 'Sequence number to resume after', schema: { type: 'integer' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Event stream',
+              content: {
+                'text/event-stream': {
+                  schema: { type: 'string' }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/webhooks': {
+        get: {
+          summary: 'List webhook subscriptions',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            '200': {
+              description: 'Subscriptions, without their secrets',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          webhooks: { type: 'array', items: { $ref: '#/components/schemas/Webhook' } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        },
+        post: {
+          summary: 'Subscribe to catalog changes',
+          description: 'Matching changes are POSTed as { delivery, change } with an X-Registry-Signature header: sha256= and the hex HMAC-SHA256 of "<X-Registry-Timestamp>.<body>" keyed with the secret. Failed deliveries are retried with exponential backoff.',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['url'],
+                  properties: {
+                    url: { type: 'string', format: 'uri' },
+                    events: { type: 'array', items: { type: 'string' }, description: 'Change types to deliver (default: all)' },
+                    description: { type: 'string' },
+                    secret: { type: 'string', minLength: 16, description: 'Signing secret (default: generated)' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'The subscription and its signing secret',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          webhook: { $ref: '#/components/schemas/Webhook' },
+                          secret: { type: 'string' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/webhooks/{webhookId}': {
+        delete: {
+          summary: 'Remove a webhook subscription',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'webhookId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+          ],
+          responses: {
+            '200': { description: 'The removed subscription' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/webhooks/{webhookId}/deliveries': {
+        get: {
+          summary: 'List recent webhook deliveries',
+          description: 'The latest deliveries to a subscription, newest first, with their attempts and outcome',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'webhookId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Recent deliveries',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          deliveries: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                id: { type: 'string', format: 'uuid' },
+                                seq: { type: 'integer' },
+                                type: { type: 'string' },
+                                status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+                                attempts: { type: 'integer' },
+                                responseStatus: { type: 'integer', nullable: true },
+                                error: { type: 'string', nullable: true },
+                                lastAttemptAt: { type: 'string', format: 'date-time' }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/security': {
+        get: {
+          summary: 'Get MCP server security report',
+          description: 'Trust signals computed from the entry (homepage and repository match, version pinning, SPDX license, destructive or code-executing tools) and the resulting risk score and level.',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', example: 'playwright-mcp-server' } },
+            { name: 'version', in: 'query', required: false, description: 'Exact version or semver range to assess', schema: { type: 'string' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Security report',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: { $ref: '#/components/schemas/SecurityReport' }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/collections': {
+        get: {
+          summary: 'List collections',
+          description: 'Curated collections of MCP servers, by name, with the members that are no longer in the catalog listed in dangling',
+          responses: {
+            '200': {
+              description: 'Collections',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          collections: { type: 'array', items: { $ref: '#/components/schemas/Collection' } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' }
+          }
+        },
+        post: {
+          summary: 'Create a collection',
+          description: 'Members refer to catalog servers by id, optionally pinned to a version or range and limited to a tool allowlist. Every member must exist, resolve to a published version and not be revoked.',
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name', 'members'],
+                  properties: {
+                    name: { type: 'string', pattern: '^[a-z0-9][a-z0-9._-]{0,63}$', example: 'frontend-dev' },
+                    description: { type: 'string' },
+                    members: {
+                      type: 'array',
+                      minItems: 1,
+                      items: {
+                        type: 'object',
+                        required: ['id'],
+                        properties: {
+                          id: { type: 'string' },
+                          version: { type: 'string' },
+                          tools: { type: 'array', items: { type: 'string' }, minItems: 1 }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'The created collection',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          collection: { $ref: '#/components/schemas/Collection' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '409': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/collections/{name}': {
+        get: {
+          summary: 'Get a collection',
+          description: 'A collection with each member\'s resolved version and status (ok, dangling, unresolved or revoked)',
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'frontend-dev' } }
+          ],
+          responses: {
+            '200': {
+              description: 'The collection',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          collection: { $ref: '#/components/schemas/Collection' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        },
+        put: {
+          summary: 'Update a collection',
+          description: 'Replace the description and members of a collection and bump its version',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'frontend-dev' } }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['members'],
+                  properties: {
+                    description: { type: 'string' },
+                    members: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/CollectionMember' } }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            '200': { description: 'The updated collection' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        },
+        delete: {
+          summary: 'Delete a collection',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'frontend-dev' } }
+          ],
+          responses: {
+            '200': { description: 'The deleted collection' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      },
+      '/api/v0/collections/{name}/config': {
+        get: {
+          summary: 'Get the combined configuration of a collection',
+          description: 'Resolve every member at its pinned version and merge their configurations as /api/v0/config does. Tool allowlists are returned with each server.',
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'frontend-dev' } },
+            { name: 'client', in: 'query', required: false, schema: { type: 'string', enum: ['vscode', 'claude-desktop', 'cursor'] } },
+            { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['json', 'yaml', 'toml'], default: 'json' } },
+            { name: 'transport', in: 'query', required: false, schema: { type: 'string', enum: ['stdio', 'http', 'sse'] } }
+          ],
+          responses: {
+            '200': {
+              description: 'Combined configuration',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          collection: {
+                            type: 'object',
+                            properties: {
+                              name: { type: 'string', example: 'frontend-dev' },
+                              version: { type: 'integer', example: 2 }
+                            }
+                          },
+                          client: { type: 'string', example: 'vscode' },
+                          fileName: { type: 'string', example: '.vscode/mcp.json' },
+                          configuration: { type: 'object' },
+                          servers: {
+                            type: 'array',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                id: { type: 'string' },
+                                version: { type: 'string' },
+                                tools: { type: 'array', items: { type: 'string' } }
+                              }
+                            }
+                          },
+                          sharedSecrets: { type: 'array', items: { type: 'object' } },
+                          collisions: { type: 'array', items: { type: 'object' } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '409': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/compatibility': {
+        get: {
+          summary: 'Check MCP server compatibility',
+          description: 'Evaluate the server\'s declared compatibility against the caller\'s environment. The client, protocol and OS are checked when given; every runtime the server needs is checked, or reported as unknown when its version is not given. Versions may be partial, such as 1.95.',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', example: 'github-mcp-server' } },
+            { name: 'version', in: 'query', required: false, description: 'Exact version or semver range to check', schema: { type: 'string' } },
+            { name: 'client', in: 'query', required: false, schema: { type: 'string', example: 'vscode' } },
+            { name: 'clientVersion', in: 'query', required: false, description: 'Requires client', schema: { type: 'string', example: '1.95' } },
+            { name: 'protocolVersion', in: 'query', required: false, schema: { type: 'string', example: '2025-06-18' } },
+            { name: 'os', in: 'query', required: false, schema: { type: 'string', enum: ['linux', 'darwin', 'win32'] } },
+            { name: 'node', in: 'query', required: false, schema: { type: 'string', example: '18.17' } },
+            { name: 'python', in: 'query', required: false, schema: { type: 'string', example: '3.12' } },
+            { name: 'dotnet', in: 'query', required: false, schema: { type: 'string', example: '8.0' } },
+            { name: 'docker', in: 'query', required: false, schema: { type: 'string', example: '27.0' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Compatibility report',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: { $ref: '#/components/schemas/CompatibilityReport' }
+                    }
+                  }
+                }
+              }
+            },
+            '304': { $ref: '#/components/responses/NotModified' },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/servers/{id}/packages': {
+        get: {
+          summary: 'Get MCP server package metadata',
+          description: 'Look up the packages the server is distributed as (the package its configuration launches and its deployment Docker image) in npm, PyPI or their OCI registry. lagging flags entries whose declared version is older than the latest release of the launched package. Lookups are cached.',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string', example: 'playwright-mcp-server' } },
+            { name: 'version', in: 'query', required: false, description: 'Exact version or semver range to check', schema: { type: 'string' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Package metadata',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: { $ref: '#/components/schemas/PackageReport' }
+                    }
+                  }
+                }
+              }
+            },
+            '404': { $ref: '#/components/responses/ErrorResponse' },
+            '410': { $ref: '#/components/responses/RevokedResponse' }
+          }
+        }
+      },
+      '/api/v0/admin/packages': {
+        get: {
+          summary: 'Check catalog entries against their package registries',
+          description: 'Package metadata of every catalog entry, with the ids of entries whose declared version lags the latest release of their package',
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'lagging', in: 'query', required: false, description: 'true to only list lagging entries', schema: { type: 'boolean' } }
+          ],
+          responses: {
+            '200': {
+              description: 'Package metadata by entry',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          servers: { type: 'array', items: { $ref: '#/components/schemas/PackageReport' } },
+                          lagging: { type: 'array', items: { type: 'string' }, example: ['playwright-mcp-server'] }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '400': { $ref: '#/components/responses/ErrorResponse' },
+            '401': { $ref: '#/components/responses/ErrorResponse' },
+            '403': { $ref: '#/components/responses/ErrorResponse' }
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A JWT (role or roles, org and teams claims) signed with REGISTRY_JWT_SECRET or REGISTRY_JWT_PUBLIC_KEY, an API key issued through /api/v0/admin/keys, or a token from REGISTRY_API_TOKENS (admin). Servers with org or team visibility are only visible to matching callers.'
+        }
+      },
+      responses: {
+        NotModified: {
+          description: 'Not modified: the ETag in If-None-Match, or the time in If-Modified-Since, is still current',
+          headers: {
+            ETag: { schema: { type: 'string' } },
+            'Last-Modified': { schema: { type: 'string' } },
+            'Cache-Control': { schema: { type: 'string', example: 'public, no-cache' } }
+          }
+        },
+        ServerResponse: {
+          description: 'The affected MCP server',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: {
+                    type: 'boolean',
+                    example: true
+                  },
+                  data: {
+                    type: 'object',
+                    properties: {
+                      server: {
+                        $ref: '#/components/schemas/MCPServer'
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ErrorResponse: {
+          description: 'Error response',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
+        },
+        IntrospectionResponse: {
+          description: 'Introspection result',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: {
+                    type: 'boolean',
+                    example: true
+                  },
+                  data: {
+                    type: 'object',
+                    properties: {
+                      introspection: {
+                        type: 'object',
+                        properties: {
+                          status: { type: 'string', enum: ['succeeded', 'failed'] },
+                          startedAt: { type: 'string', format: 'date-time' },
+                          completedAt: { type: 'string', format: 'date-time' },
+                          serverVersion: { type: 'string' },
+                          protocolVersion: { type: 'string' },
+                          serverInfo: { type: 'object' },
+                          capabilities: { type: 'object' },
+                          tools: { type: 'array', items: { type: 'object' } },
+                          resources: { type: 'array', items: { type: 'object' } },
+                          prompts: { type: 'array', items: { type: 'object' } },
+                          diff: {
+                            type: 'object',
+                            properties: {
+                              inSync: { type: 'boolean' },
+                              missing: { type: 'array', items: { type: 'string' } },
+                              undeclared: { type: 'array', items: { type: 'string' } },
+                              changed: { type: 'array', items: { type: 'object' } }
+                            }
+                          },
+                          error: { type: 'string' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        RevokedResponse: {
+          description: 'The MCP server has been revoked',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: {
+                    type: 'boolean',
+                    example: false
+                  },
+                  error: {
+                    type: 'object',
+                    properties: {
+                      message: {
+                        type: 'string',
+                        example: 'example-server has been revoked: Exfiltrates tokens'
+                      },
+                      code: {
+                        type: 'string',
+                        example: 'SERVER_REVOKED'
+                      },
+                      reason: {
+                        type: 'string'
+                      },
+                      reviewer: {
+                        type: 'string'
+                      },
+                      revokedAt: {
+                        type: 'string',
+                        format: 'date-time'
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        LifecycleResponse: {
+          description: 'Lifecycle of the MCP server',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: {
+                    type: 'boolean',
+                    example: true
+                  },
+                  data: {
+                    type: 'object',
+                    properties: {
+                      lifecycle: {
+                        $ref: '#/components/schemas/Lifecycle'
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ProblemResponse: {
+          description: 'Official MCP Registry error (RFC 9457 problem details)',
+          content: {
+            'application/problem+json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: {
+                    type: 'string',
+                    example: 'Not Found'
+                  },
+                  status: {
+                    type: 'integer',
+                    example: 404
+                  },
+                  detail: {
+                    type: 'string',
+                    example: 'Server not found'
+                  }
+                }
+              }
+            }
+          }
+        },
+        ValidationErrorResponse: {
+          description: 'The entry does not conform to the MCP server schema',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: {
+                    type: 'boolean',
+                    example: false
+                  },
+                  error: {
+                    type: 'object',
+                    properties: {
+                      message: {
+                        type: 'string',
+                        example: 'MCP server entry failed schema validation'
+                      },
+                      code: {
+                        type: 'string',
+                        example: 'VALIDATION_FAILED'
+                      },
+                      violations: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            path: {
+                              type: 'string',
+                              example: '/tags'
+                            },
+                            message: {
+                              type: 'string',
+                              example: 'must be array'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      parameters: {
+        ReadOnlyFilter: {
+          name: 'readOnly',
+          in: 'query',
+          required: false,
+          description: 'Filter on readOnlyHint (missing hints take the MCP defaults)',
+          schema: { type: 'boolean' }
+        },
+        DestructiveFilter: {
+          name: 'destructive',
+          in: 'query',
+          required: false,
+          description: 'Filter on destructiveHint',
+          schema: { type: 'boolean' }
+        },
+        IdempotentFilter: {
+          name: 'idempotent',
+          in: 'query',
+          required: false,
+          description: 'Filter on idempotentHint',
+          schema: { type: 'boolean' }
+        },
+        OpenWorldFilter: {
+          name: 'openWorld',
+          in: 'query',
+          required: false,
+          description: 'Filter on openWorldHint',
+          schema: { type: 'boolean' }
+        }
+      },
+      schemas: {
+        MCPServer: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier for the server',
+              example: 'github-mcp-server'
+            },
+            registryName: {
+              type: 'string',
+              description: 'Reverse-DNS name used by the official MCP Registry (derived from the repository when omitted)',
+              example: 'io.github.github/github-mcp-server'
+            },
+            name: {
+              type: 'string',
+              description: 'Display name of the server',
+              example: 'GitHub MCP Server'
+            },
+            description: {
+              type: 'string',
+              description: 'Description of the server functionality',
+              example: 'Official GitHub MCP server for GitHub API integration'
+            },
+            version: {
+              type: 'string',
+              description: 'Current version of the server',
+              example: '1.0.0'
+            },
+            author: {
+              type: 'string',
+              description: 'Author/organization of the server',
+              example: 'GitHub'
+            },
+            license: {
+              type: 'string',
+              description: 'License type',
+              example: 'MIT'
+            },
+            configuration: {
+              type: 'object',
+              description: 'Configuration for running the server locally over stdio (required unless remotes are given)',
+              properties: {
+                command: {
+                  type: 'string',
+                  example: 'npx'
+                },
+                args: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  },
+                  example: ['@github/github-mcp-server']
+                },
+                env: {
+                  type: 'object',
+                  additionalProperties: {
+                    type: 'string'
+                  },
+                  example: {
+                    'GITHUB_TOKEN': '{GITHUB_TOKEN}'
+                  }
+                }
+              }
+            },
+            variables: {
+              type: 'array',
+              description: 'Declarations of the {PLACEHOLDER} variables used by configuration and remotes',
+              items: { $ref: '#/components/schemas/Variable' }
+            },
+            compatibility: { $ref: '#/components/schemas/Compatibility' },
+            remotes: {
+              type: 'array',
+              description: 'Remote endpoints reachable over streamable HTTP or SSE (required unless configuration is given)',
+              items: {
+                type: 'object',
+                required: ['type', 'url'],
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['http', 'sse']
+                  },
+                  url: {
+                    type: 'string',
+                    example: 'https://api.githubcopilot.com/mcp/'
+                  },
+                  headers: {
+                    type: 'object',
+                    additionalProperties: {
+                      type: 'string'
+                    },
+                    description: 'Required request headers; secrets as {PLACEHOLDER}',
+                    example: {
+                      Authorization: 'Bearer {GITHUB_TOKEN}'
+                    }
+                  },
+                  auth: {
+                    type: 'object',
+                    required: ['type'],
+                    properties: {
+                      type: {
+                        type: 'string',
+                        enum: ['none', 'header', 'oauth2']
+                      },
+                      authorizationServer: {
+                        type: 'string',
+                        format: 'uri'
+                      },
+                      scopes: {
+                        type: 'array',
+                        items: {
+                          type: 'string'
+                        }
+                      },
+                      description: {
+                        type: 'string'
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            capabilities: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Array of server capabilities',
+              example: ['repository-management', 'issue-management']
+            },
+            tools: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'get_repository'
+                  },
+                  description: {
+                    type: 'string',
+                    example: 'Get detailed information about a specific repository'
+                  },
+                  parameters: {
+                    type: 'array',
+                    items: {
+                      type: 'string'
+                    },
+                    description: 'Argument names (legacy; prefer inputSchema)',
+                    example: ['owner', 'repo']
+                  },
+                  inputSchema: {
+                    type: 'object',
+                    description: 'JSON Schema of the tool arguments, as returned by MCP tools/list',
+                    example: {
+                      type: 'object',
+                      properties: {
+                        owner: { type: 'string' },
+                        repo: { type: 'string' }
+                      },
+                      required: ['owner', 'repo']
+                    }
+                  },
+                  outputSchema: {
+                    type: 'object',
+                    description: 'JSON Schema of the structured tool result'
+                  },
+                  annotations: {
+                    type: 'object',
+                    description: 'MCP tool annotations',
+                    properties: {
+                      title: { type: 'string' },
+                      readOnlyHint: { type: 'boolean', description: 'Does not modify its environment (default: false)' },
+                      destructiveHint: { type: 'boolean', description: 'May perform destructive updates (default: true)' },
+                      idempotentHint: { type: 'boolean', description: 'Repeated calls with the same arguments have no further effect (default: false)' },
+                      openWorldHint: { type: 'boolean', description: 'Interacts with external entities (default: true)' }
+                    },
+                    example: { readOnlyHint: true, openWorldHint: true }
+                  }
+                }
+              },
+              description: 'Array of available tools/functions'
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Array of tags for categorization',
+              example: ['github', 'version-control', 'collaboration']
+            },
+            visibility: {
+              type: 'string',
+              enum: ['public', 'org', 'team'],
+              default: 'public',
+              description: 'Who may see the server: anyone, members of the owning org, or members of the owning team'
+            },
+            owner: {
+              type: 'object',
+              description: 'Owning org and team; defaults to the publisher\'s org',
+              required: ['org'],
+              properties: {
+                org: { type: 'string', example: 'acme' },
+                team: { type: 'string', example: 'platform' }
+              }
+            },
+            status: {
+              type: 'string',
+              readOnly: true,
+              enum: ['pending', 'approved', 'deprecated', 'revoked'],
+              description: 'Lifecycle state, set through the review endpoint'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true,
+              description: 'Last change to the definition or lifecycle state; served as Last-Modified'
+            },
+            security: {
+              type: 'object',
+              readOnly: true,
+              description: 'Risk score and level; the full report is at /api/v0/servers/{id}/security',
+              properties: {
+                score: { type: 'integer', minimum: 0, maximum: 100, example: 40 },
+                level: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+              }
+            },
+            source: {
+              type: 'object',
+              readOnly: true,
+              description: 'Origin of the entry, set by the registry',
+              properties: {
+                type: { type: 'string', enum: ['local', 'upstream'] },
+                upstream: { type: 'string', description: 'Upstream registry the entry is mirrored from', example: 'acme' },
+                url: { type: 'string', format: 'uri' },
+                id: { type: 'string', description: 'Id of the entry in the upstream registry' },
+                syncedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        },
+        Variable: {
+          type: 'object',
+          required: ['name'],
+          description: 'Declaration of a {PLACEHOLDER} used by configuration or remotes',
+          properties: {
+            name: { type: 'string', example: 'GITHUB_TOKEN' },
+            description: { type: 'string', example: 'GitHub personal access token' },
+            required: { type: 'boolean', description: 'Defaults to true unless a default is given' },
+            secret: { type: 'boolean', default: false },
+            default: { type: ['string', 'number', 'boolean'], description: 'Value used when none is supplied; never returned for secrets' },
+            format: { type: 'string', enum: ['string', 'number', 'boolean', 'filepath'] },
+            pattern: { type: 'string', description: 'Regular expression values must match', example: '^(gh[pousr]_|github_pat_)[A-Za-z0-9_]+$' },
+            obtainFrom: { type: 'string', description: 'URL or instructions for getting a value', example: 'https://github.com/settings/personal-access-tokens' }
+          }
+        },
+        Compatibility: {
+          type: 'object',
+          description: 'Where the server can run',
+          properties: {
+            protocolVersions: { type: 'array', items: { type: 'string' }, description: 'Supported MCP protocol revisions', example: ['2025-03-26', '2025-06-18'] },
+            runtimes: {
+              type: 'object',
+              description: 'Semver ranges of the runtimes the server needs',
+              properties: {
+                node: { type: 'string', example: '>=18.0.0' },
+                python: { type: 'string', example: '>=3.10' },
+                dotnet: { type: 'string', example: '>=8.0.0' },
+                docker: { type: 'string', example: '>=20.10.0' }
+              }
+            },
+            os: { type: 'array', items: { type: 'string', enum: ['linux', 'darwin', 'win32'] } },
+            clients: {
+              type: 'object',
+              description: 'Supported clients and the semver range of client versions each needs',
+              additionalProperties: { type: 'string' },
+              example: { vscode: '>=1.99.0', 'claude-desktop': '>=0.10.0', cursor: '>=0.47.0' }
+            }
+          }
+        },
+        CompatibilityReport: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'github-mcp-server' },
+            version: { type: 'string', example: '1.0.0' },
+            compatible: { type: 'boolean', description: 'Whether no check failed' },
+            checks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', description: 'client, protocol, os or a runtime name', example: 'client' },
+                  status: { type: 'string', enum: ['pass', 'fail', 'unknown'] },
+                  message: { type: 'string', example: 'Requires vscode >=1.99.0, but 1.95.0 was given' },
+                  required: { nullable: true, description: 'Declared range or list of supported values' },
+                  actual: { type: 'string', nullable: true, example: '1.95.0' },
+                  client: { type: 'string', description: 'Client check: the client that was checked' },
+                  supported: { type: 'array', items: { type: 'string' }, description: 'Client check: declared clients when the client is not one of them' }
+                }
+              }
+            },
+            compatibility: { $ref: '#/components/schemas/Compatibility' }
+          }
+        },
+        PackageReport: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'playwright-mcp-server' },
+            version: { type: 'string', description: 'Declared version of the entry', example: '0.0.39' },
+            latestVersion: { type: 'string', nullable: true, description: 'Latest release of the package that launches the server', example: '0.0.41' },
+            lagging: { type: 'boolean', description: 'Whether the declared version is older than latestVersion' },
+            packages: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  registryType: { type: 'string', enum: ['npm', 'pypi', 'nuget', 'oci'] },
+                  identifier: { type: 'string', example: '@playwright/mcp' },
+                  pinnedVersion: { type: 'string', nullable: true, description: 'Version written in the package spec', example: 'latest' },
+                  source: { type: 'string', enum: ['configuration', 'deployment'] },
+                  status: { type: 'string', enum: ['ok', 'not-found', 'unsupported', 'error'] },
+                  checkedAt: { type: 'string', format: 'date-time', nullable: true },
+                  latestVersion: { type: 'string', nullable: true },
+                  publishedAt: { type: 'string', format: 'date-time', nullable: true },
+                  weeklyDownloads: { type: 'integer', nullable: true },
+                  deprecated: { type: 'boolean', nullable: true },
+                  deprecationMessage: { type: 'string', nullable: true },
+                  error: { type: 'string', description: 'Why the lookup failed' }
+                }
+              }
+            }
+          }
+        },
+        SecurityReport: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'playwright-mcp-server' },
+            version: { type: 'string', example: '1.0.0' },
+            score: { type: 'integer', minimum: 0, maximum: 100, example: 45 },
+            level: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+            checks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', enum: ['source', 'pinning', 'license', 'tools'] },
+                  status: { type: 'string', enum: ['pass', 'warn', 'fail'] },
+                  risk: { type: 'integer', description: 'Risk points the check adds to the score' },
+                  message: { type: 'string' },
+                  tools: {
+                    type: 'array',
+                    description: 'Tools check: tools that can destroy data or execute code',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string', example: 'browser_evaluate' },
+                        risks: { type: 'array', items: { type: 'string', enum: ['code-execution', 'destructive'] } }
+                      }
+                    }
+                  }
+                },
+                additionalProperties: true
+              }
+            }
+          }
+        },
+        Change: {
+          type: 'object',
+          properties: {
+            seq: { type: 'integer', example: 42 },
+            type: {
+              type: 'string',
+              enum: ['server.created', 'server.updated', 'server.approved', 'server.deprecated', 'server.revoked', 'server.deleted']
+            },
+            serverId: { type: 'string', example: 'github-mcp-server' },
+            version: { type: 'string', example: '1.1.0' },
+            previousVersion: { type: 'string', description: 'Version before an update that published a new version', example: '1.0.0' },
+            status: { type: 'string', enum: ['pending', 'approved', 'deprecated', 'revoked'] },
+            visibility: { type: 'string', enum: ['public', 'org', 'team'] },
+            owner: { type: 'object', properties: { org: { type: 'string' }, team: { type: 'string' } } },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            url: { type: 'string', format: 'uri', example: 'https://portal.example.com/hooks/registry' },
+            events: { type: 'array', items: { type: 'string' }, example: ['server.created', 'server.updated', 'server.deprecated'] },
+            description: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        CollectionMember: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', example: 'github-mcp-server' },
+            version: { type: 'string', nullable: true, description: 'Version or semver range to install (default: current)', example: '^1.0.0' },
+            tools: { type: 'array', items: { type: 'string' }, nullable: true, description: 'Tools to enable (default: all)', example: ['create_pull_request'] },
+            status: { type: 'string', enum: ['ok', 'dangling', 'unresolved', 'revoked'], readOnly: true },
+            resolvedVersion: { type: 'string', nullable: true, readOnly: true, example: '1.0.0' },
+            unknownTools: { type: 'array', items: { type: 'string' }, readOnly: true, description: 'Allowlisted tools the resolved version does not declare' }
+          }
+        },
+        Collection: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'frontend-dev' },
+            description: { type: 'string', nullable: true },
+            members: { type: 'array', items: { $ref: '#/components/schemas/CollectionMember' } },
+            dangling: { type: 'array', items: { type: 'string' }, description: 'Members no longer in the catalog or hidden from the caller' },
+            owner: { type: 'object', properties: { org: { type: 'string' } } },
+            version: { type: 'integer', description: 'Bumped on every update', example: 1 },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        AuditEvent: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            timestamp: { type: 'string', format: 'date-time' },
+            actor: {
+              type: 'object',
+              properties: {
+                subject: { type: 'string', nullable: true, example: 'pat' },
+                role: { type: 'string', enum: ['anonymous', 'reader', 'publisher', 'admin', 'system'] },
+                org: { type: 'string', nullable: true, example: 'acme' }
+              }
+            },
+            action: {
+              type: 'string',
+              description: 'server.create, server.update, server.delete, server.approve, server.deprecate, server.revoke, server.introspect, config.read, key.create, key.revoke, webhook.create, webhook.delete, catalog.reload or request',
+              example: 'server.update'
+            },
+            serverId: { type: 'string', nullable: true },
+            request: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'string' },
+                method: { type: 'string' },
+                path: { type: 'string' },
+                ip: { type: 'string' }
+              }
+            },
+            diff: {
+              type: 'array',
+              description: 'Changed fields, as JSON Pointer paths with their values before and after',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string', example: '/description' },
+                  before: {},
+                  after: {}
+                }
+              }
+            },
+            details: { type: 'object' }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'partner-portal' },
+            role: { type: 'string', enum: ['reader', 'publisher', 'admin'] },
+            org: { type: 'string', nullable: true, example: 'acme' },
+            teams: { type: 'array', items: { type: 'string' } },
+            prefix: { type: 'string', example: 'mcpr_3fK9aQ' },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        Lifecycle: {
+          type: 'object',
+          properties: {
+            state: { type: 'string', enum: ['pending', 'approved', 'deprecated', 'revoked'] },
+            reviewer: { type: 'string', nullable: true },
+            reason: { type: 'string', nullable: true },
+            submittedAt: { type: 'string', format: 'date-time', nullable: true },
+            reviewedAt: { type: 'string', format: 'date-time', nullable: true },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  state: { type: 'string' },
+                  reviewer: { type: 'string' },
+                  reason: { type: 'string' },
+                  at: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        },
+        SyncResult: {
+          type: 'object',
+          properties: {
+            upstream: { type: 'string', example: 'acme' },
+            syncedAt: { type: 'string', format: 'date-time' },
+            added: { type: 'integer' },
+            updated: { type: 'integer' },
+            removed: { type: 'integer' },
+            filtered: { type: 'integer', description: 'Entries excluded by the allow/deny lists' },
+            invalid: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  reason: { type: 'string' }
+                }
+              }
+            },
+            conflicts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  with: { type: 'string', description: '"local" or the upstream owning the id' },
+                  resolution: { type: 'string', enum: ['kept', 'replaced'] }
+                }
+              }
+            },
+            error: { type: 'string', description: 'Set instead of the counts when the sync failed' }
+          }
+        },
+        ServerJsonResponse: {
+          type: 'object',
+          properties: {
+            server: {
+              type: 'object',
+              description: 'server.json document',
+              properties: {
+                name: { type: 'string', example: 'io.github.github/github-mcp-server' },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                version: { type: 'string' },
+                websiteUrl: { type: 'string', format: 'uri' },
+                repository: { type: 'object' },
+                packages: { type: 'array', items: { type: 'object' } },
+                remotes: { type: 'array', items: { type: 'object' } },
+                _meta: { type: 'object' }
+              }
+            },
+            _meta: {
+              type: 'object',
+              properties: {
+                'io.modelcontextprotocol.registry/official': {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'active' },
+                    publishedAt: { type: 'string', format: 'date-time', nullable: true },
+                    updatedAt: { type: 'string', format: 'date-time', nullable: true },
+                    isLatest: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            error: {
+              type: 'object',
+              properties: {
+                message: {
+                  type: 'string',
+                  example: 'MCP server not found'
+                },
+                code: {
+                  type: 'string',
+                  example: 'SERVER_NOT_FOUND'
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  res.json(openApiSpec);
+});
+
+// Resolve the caller's role and org for every API route, and attribute what they do in the audit log
+app.use(authenticate);
+app.use(recordAudit);
+
+// Mount API routes
+app.use('/api/v0/servers', mcpServersRouter);
+app.use('/api/v0/config', configRouter);
+app.use('/api/v0/tools', toolsRouter);
+app.use('/api/v0/federation', federationRouter);
+app.use('/api/v0/admin', adminRouter);
+app.use('/api/v0/audit', auditRouter);
+app.use('/api/v0/changes', changesRouter);
+app.use('/api/v0/webhooks', webhooksRouter);
+app.use('/api/v0/collections', collectionsRouter);
+app.use('/mcp', mcpRouter);
+app.use(['/v0', '/v0.1'], registryCompatRouter);
+
+// Global error handler
+app.use((err, req, res, next) => {
+  // Client errors from the body parser, e.g. malformed or oversized JSON
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    const codes = { 'entity.parse.failed': 'INVALID_JSON', 'entity.too.large': 'PAYLOAD_TOO_LARGE' };
+    return res.status(err.status).json({
+      success: false,
+      error: {
+        message: err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.message,
+        code: codes[err.type] || 'BAD_REQUEST'
+      }
+    });
+  }
+  
+  console.error('Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    error: {
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { details: err.message })
+    }
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: {
+      message: 'Endpoint not found',
+      code: 'NOT_FOUND'
+    }
+  });
+});
+
+// Function to start HTTP server
+function startHttpServer() {
   app.listen(PORT, () => {
     console.log(`🚀 Dynamic MCP Registry API (HTTP) is running on port ${PORT}`);
     console.log(`📖 API Documentation: http://localhost:${PORT}/api/docs`);
@@ -491,4 +3185,8 @@ if (USE_HTTPS) {
   startHttpServer();
 }
 
+// Mirror upstream registries configured in REGISTRY_UPSTREAMS
+startFederation();
+startWebhooks();
+
 export default app;
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { isDeepStrictEqual } from 'util';
+import { getToolHints } from '../lib/tools.js';
+
+/**
+ * Compares the tools declared in a registry entry with the tools a server
+ * reported over MCP. Declared tools with only a legacy parameter list are
+ * compared by argument names, since their types are unknown. Annotations are
+ * compared, with MCP defaults for missing hints, when the entry declares them.
+ */
+export function diffTools(declared = [], discovered = []) {
+  const declaredByName = new Map(declared.map(tool => [tool.name, tool]));
+  const discoveredByName = new Map(discovered.map(tool => [tool.name, tool]));
+
+  const missing = declared
+    .filter(tool => !discoveredByName.has(tool.name))
+    .map(tool => tool.name);
+
+  const undeclared = discovered
+    .filter(tool => !declaredByName.has(tool.name))
+    .map(tool => tool.name);
+
+  const changed = declared
+    .filter(tool => discoveredByName.has(tool.name))
+    .map(tool => {
+      const actual = discoveredByName.get(tool.name);
+      const fields = [];
+
+      if ((tool.description || '') !== (actual.description || '')) {
+        fields.push('description');
+      }
+
+      if (tool.inputSchema) {
+        if (!isDeepStrictEqual(tool.inputSchema, actual.inputSchema)) {
+          fields.push('inputSchema');
+        }
+      } else {
+        const declaredNames = [...(tool.parameters || [])].sort();
+        const actualNames = Object.keys(actual.inputSchema?.properties || {}).sort();
+        if (!isDeepStrictEqual(declaredNames, actualNames)) {
+          fields.push('parameters');
+        }
+      }
+
+      if (tool.annotations && !isDeepStrictEqual(getToolHints(tool), getToolHints(actual))) {
+        fields.push('annotations');
+      }
+
+      return { name: tool.name, fields };
+    })
+    .filter(change => change.fields.length > 0);
+
+  return {
+    inSync: missing.length === 0 && undeclared.length === 0 && changed.length === 0,
+    missing,
+    undeclared,
+    changed
+  };
+}
+
+export default diffTools;
@@ -0,0 +1,146 @@
+import { StdioClient, getSandboxWrapper } from './stdioClient.js';
+import { diffTools } from './diff.js';
+
+/**
+ * Server introspection
+ * Launches a registered server from its stdio `configuration`, performs the
+ * MCP handshake and lists its tools, resources and prompts, then diffs the
+ * tools against the ones declared in the registry entry.
+ */
+
+export { getSandboxWrapper };
+
+export const PROTOCOL_VERSION = '2025-06-18';
+
+const CLIENT_INFO = {
+  name: 'dynamic-mcp-registry',
+  version: process.env.npm_package_version || '1.0.0'
+};
+
+const MAX_PAGES = 50;
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Substitutes `{NAME}` placeholders with the supplied secrets. Environment
+ * variables whose placeholders have no value are left out and reported.
+ */
+export function resolveLaunchConfig(configuration, secrets = {}) {
+  const unresolved = new Set();
+  const substitute = value => String(value).replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (Object.hasOwn(secrets, name)) {
+      return secrets[name];
+    }
+    unresolved.add(name);
+    return match;
+  });
+
+  const args = (configuration.args || []).map(substitute);
+  const env = {};
+  Object.entries(configuration.env || {}).forEach(([key, value]) => {
+    const before = unresolved.size;
+    const resolved = substitute(value);
+    if (unresolved.size === before) {
+      env[key] = resolved;
+    }
+  });
+
+  return { command: configuration.command, args, env, unresolved: [...unresolved] };
+}
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of `value` with every supplied secret replaced by [REDACTED], so a
+ * server that echoes its credentials (in stderr, error text or its own
+ * responses) does not get them stored with the result
+ */
+export function redactSecrets(value, secrets = {}) {
+  const values = Object.values(secrets).map(String).filter(Boolean).sort((a, b) => b.length - a.length);
+  const redact = item => {
+    if (typeof item === 'string') {
+      return values.reduce((text, secret) => text.split(secret).join(REDACTED), item);
+    }
+    if (Array.isArray(item)) {
+      return item.map(redact);
+    }
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [redact(key), redact(entry)]));
+    }
+    return item;
+  };
+  return values.length > 0 ? redact(value) : value;
+}
+
+async function listAll(client, method, key) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await client.request(method, cursor ? { cursor } : {});
+    items.push(...(result?.[key] || []));
+    cursor = result?.nextCursor;
+    if (!cursor) {
+      break;
+    }
+  }
+  return items;
+}
+
+/**
+ * Runs the introspection handshake against a server entry and returns a
+ * result record, with the secrets redacted. Failures are captured in the
+ * record rather than thrown.
+ */
+export async function introspectServer(server, options = {}) {
+  return redactSecrets(await runIntrospection(server, options), options.secrets);
+}
+
+async function runIntrospection(server, { secrets = {}, timeoutMs = 30000, createClient = options => new StdioClient(options) } = {}) {
+  const startedAt = new Date().toISOString();
+  const launch = resolveLaunchConfig(server.configuration || {}, secrets);
+  const client = createClient({ ...launch, timeoutMs });
+
+  try {
+    client.start();
+
+    const initialized = await client.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+    client.notify('notifications/initialized');
+
+    const capabilities = initialized?.capabilities || {};
+    const tools = capabilities.tools ? await listAll(client, 'tools/list', 'tools') : [];
+    const resources = capabilities.resources ? await listAll(client, 'resources/list', 'resources') : [];
+    const prompts = capabilities.prompts ? await listAll(client, 'prompts/list', 'prompts') : [];
+
+    return {
+      status: 'succeeded',
+      startedAt,
+      completedAt: new Date().toISOString(),
+      serverVersion: server.version,
+      unresolvedSecrets: launch.unresolved,
+      protocolVersion: initialized?.protocolVersion,
+      serverInfo: initialized?.serverInfo,
+      instructions: initialized?.instructions,
+      capabilities,
+      tools,
+      resources,
+      prompts,
+      diff: diffTools(server.tools, tools)
+    };
+  } catch (error) {
+    return {
+      status: 'failed',
+      startedAt,
+      completedAt: new Date().toISOString(),
+      serverVersion: server.version,
+      unresolvedSecrets: launch.unresolved,
+      error: error.message
+    };
+  } finally {
+    await client.close();
+  }
+}
+
+export default introspectServer;
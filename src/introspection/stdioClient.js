@@ -0,0 +1,177 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Minimal MCP client for the stdio transport
+ * Launches a server process and exchanges newline-delimited JSON-RPC messages
+ * with it. The process runs in a throwaway working directory with only the
+ * environment it is given, output is capped, and it is killed when the client
+ * closes or a request times out. None of that isolates it from the host, so
+ * INTROSPECTION_SANDBOX_WRAPPER must prefix the command with an OS-level
+ * sandbox (e.g. "bwrap --unshare-net ...") before the API will launch
+ * anything.
+ */
+
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+const MAX_STDERR_BYTES = 64 * 1024;
+
+// Variables a typical command needs to start, copied from the registry's own environment
+const INHERITED_ENV = ['PATH', 'SYSTEMROOT', 'COMSPEC', 'PATHEXT', 'LANG', 'TZ'];
+
+/**
+ * The sandbox command prefix from INTROSPECTION_SANDBOX_WRAPPER, empty when
+ * none is configured
+ */
+export function getSandboxWrapper() {
+  return (process.env.INTROSPECTION_SANDBOX_WRAPPER || '').split(' ').filter(Boolean);
+}
+
+export class StdioClient {
+  constructor({ command, args = [], env = {}, timeoutMs = 30000 }) {
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.timeoutMs = timeoutMs;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.buffer = '';
+    this.stderr = '';
+    this.closed = false;
+  }
+
+  start() {
+    this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-introspect-'));
+
+    const [command, ...args] = [...getSandboxWrapper(), this.command, ...this.args];
+    const inherited = Object.fromEntries(
+      INHERITED_ENV.filter(key => process.env[key]).map(key => [key, process.env[key]])
+    );
+
+    this.child = spawn(command, args, {
+      cwd: this.workDir,
+      env: { ...inherited, HOME: this.workDir, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      shell: false,
+      windowsHide: true
+    });
+
+    this.exited = new Promise(resolve => {
+      this.child.on('exit', (code, signal) => {
+        this.fail(new Error(`MCP server exited (${signal || `code ${code}`})${this.stderr ? `: ${this.stderr.trim()}` : ''}`));
+        resolve();
+      });
+      this.child.on('error', error => {
+        this.fail(new Error(`Failed to start MCP server: ${error.message}`));
+        resolve();
+      });
+    });
+    this.child.stdin.on('error', () => {});
+
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', chunk => this.receive(chunk));
+    this.child.stderr.setEncoding('utf8');
+    this.child.stderr.on('data', chunk => {
+      this.stderr = (this.stderr + chunk).slice(-MAX_STDERR_BYTES);
+    });
+
+    return this;
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    if (this.buffer.length > MAX_MESSAGE_BYTES) {
+      this.fail(new Error('MCP server sent a message larger than the introspection limit'));
+      this.close();
+      return;
+    }
+
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line) {
+        this.handleMessage(line);
+      }
+    }
+  }
+
+  handleMessage(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      // Servers sometimes print banners on stdout; ignore anything that is not JSON-RPC
+      return;
+    }
+
+    if (message.id === undefined || !this.pending.has(message.id)) {
+      return;
+    }
+
+    const { resolve, reject, timer } = this.pending.get(message.id);
+    clearTimeout(timer);
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      const error = new Error(message.error.message || 'MCP request failed');
+      error.code = message.error.code;
+      reject(error);
+    } else {
+      resolve(message.result);
+    }
+  }
+
+  send(message) {
+    this.child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  }
+
+  request(method, params = {}) {
+    if (this.closed) {
+      return Promise.reject(this.failure || new Error('MCP client is closed'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request ${method} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send({ id, method, params });
+    });
+  }
+
+  notify(method, params = {}) {
+    if (!this.closed) {
+      this.send({ method, params });
+    }
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    this.closed = true;
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(this.failure);
+    });
+    this.pending.clear();
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.child && this.child.pid && this.child.exitCode === null && this.child.signalCode === null) {
+      this.child.stdin.end();
+      const killTimer = setTimeout(() => this.child.kill('SIGKILL'), 2000);
+      this.child.kill('SIGTERM');
+      await this.exited;
+      clearTimeout(killTimer);
+    }
+    if (this.workDir) {
+      fs.rmSync(this.workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+export default StdioClient;
@@ -0,0 +1,32 @@
+import { stripManagedFields } from './entries.js';
+import { publishVersion } from './versions.js';
+
+/**
+ * Re-applies the seed catalog to a store: seed entries that were deleted are
+ * restored and entries whose current version drifted from the seed definition
+ * are reset to it. Entries on another version, and mirrored entries, are left
+ * alone. Returns the affected ids by outcome.
+ */
+export async function reloadCatalog(store, seed) {
+  const result = { restored: [], reset: [], unchanged: [], skipped: [] };
+
+  for (const entry of seed) {
+    const existing = await store.get(entry.id);
+
+    if (!existing) {
+      await store.create(structuredClone(entry));
+      result.restored.push(entry.id);
+    } else if (existing.source || existing.version !== entry.version) {
+      result.skipped.push(entry.id);
+    } else if (JSON.stringify(stripManagedFields(existing)) === JSON.stringify(entry)) {
+      result.unchanged.push(entry.id);
+    } else {
+      await store.replace(entry.id, publishVersion(existing, structuredClone(entry)));
+      result.reset.push(entry.id);
+    }
+  }
+
+  return result;
+}
+
+export default reloadCatalog;
@@ -0,0 +1,213 @@
+import { findPlaceholders, replacePlaceholders, getVariables } from './variables.js';
+
+export { findPlaceholders };
+
+/**
+ * Client-specific configuration builders
+ * Turns registry `configuration` objects (stdio) and `remotes` (streamable
+ * HTTP or SSE endpoints) into the files MCP clients read. Secrets are written
+ * as `{VARIABLE}` placeholders in the catalog; each client gets them in its
+ * own substitution syntax, or the values supplied when resolving a config.
+ */
+
+export const TRANSPORTS = ['stdio', 'http', 'sse'];
+
+/**
+ * Transports a server can be reached over, in order of preference
+ */
+export function getTransports(server) {
+  const transports = server.configuration ? ['stdio'] : [];
+  (server.remotes || []).forEach(remote => {
+    if (!transports.includes(remote.type)) {
+      transports.push(remote.type);
+    }
+  });
+  return transports;
+}
+
+/**
+ * Picks how to connect to a server: its stdio configuration or one of its
+ * remotes. Without a transport the first available one is used. Returns
+ * `{ transport, configuration }`, or null when the server does not offer it.
+ */
+export function selectConnection(server, transport = getTransports(server)[0]) {
+  if (transport === 'stdio') {
+    return server.configuration ? { transport, configuration: server.configuration } : null;
+  }
+  const remote = (server.remotes || []).find(candidate => candidate.type === transport);
+  return remote ? { transport, configuration: remote } : null;
+}
+
+function toInputId(name) {
+  return name.toLowerCase().replace(/_/g, '-');
+}
+
+function stdioEntry({ command, args, env }) {
+  return {
+    command,
+    args,
+    ...(Object.keys(env).length > 0 && { env })
+  };
+}
+
+function remoteEntry({ url, headers }) {
+  return {
+    url,
+    ...(Object.keys(headers).length > 0 && { headers })
+  };
+}
+
+// Clients without native remote support reach remotes through the mcp-remote stdio bridge
+function bridgeEntry({ type, url, headers }) {
+  return {
+    command: 'npx',
+    args: [
+      '-y',
+      'mcp-remote',
+      url,
+      ...Object.entries(headers).flatMap(([name, value]) => ['--header', `${name}: ${value}`]),
+      '--transport',
+      type === 'sse' ? 'sse-only' : 'http-only'
+    ]
+  };
+}
+
+export const CLIENTS = {
+  vscode: {
+    name: 'Visual Studio Code',
+    fileName: '.vscode/mcp.json',
+    build(connections) {
+      const inputs = new Map();
+      const entries = connections.map(({ id, transport, configuration, variables }) => {
+        findPlaceholders(configuration).forEach(name => {
+          const variable = variables.get(name);
+          inputs.set(toInputId(name), {
+            type: 'promptString',
+            id: toInputId(name),
+            description: variable.description || name,
+            password: variable.secret,
+            ...(variable.default !== undefined && !variable.secret && { default: String(variable.default) })
+          });
+        });
+        const substituted = replacePlaceholders(configuration, name => `\${input:${toInputId(name)}}`);
+        return [id, transport === 'stdio'
+          ? { type: 'stdio', ...stdioEntry(substituted) }
+          : { type: transport, ...remoteEntry(substituted) }];
+      });
+      return {
+        inputs: [...inputs.values()],
+        servers: Object.fromEntries(entries)
+      };
+    }
+  },
+  'claude-desktop': {
+    name: 'Claude Desktop',
+    fileName: 'claude_desktop_config.json',
+    build(connections) {
+      // Claude Desktop has no secret prompts, so placeholders stay for the user to fill in
+      return {
+        mcpServers: Object.fromEntries(connections.map(({ id, transport, configuration }) => {
+          const substituted = replacePlaceholders(configuration, name => `<${name}>`);
+          return [id, transport === 'stdio' ? stdioEntry(substituted) : bridgeEntry(substituted)];
+        }))
+      };
+    }
+  },
+  cursor: {
+    name: 'Cursor',
+    fileName: '.cursor/mcp.json',
+    build(connections) {
+      // Cursor resolves ${env:NAME} from the user's environment
+      return {
+        mcpServers: Object.fromEntries(connections.map(({ id, transport, configuration }) => {
+          const substituted = replacePlaceholders(configuration, name => `\${env:${name}}`);
+          return [id, transport === 'stdio' ? stdioEntry(substituted) : remoteEntry(substituted)];
+        }))
+      };
+    }
+  }
+};
+
+// `values` fills placeholders in up front (optional ones without a value become empty),
+// leaving clients nothing to prompt for
+function toConnections(servers, transport, values = null) {
+  return servers.map(server => {
+    const { configuration, ...connection } = selectConnection(server, transport);
+    return {
+      id: server.id,
+      ...connection,
+      configuration: values ? replacePlaceholders(configuration, name => values[name] ?? '') : configuration,
+      variables: getVariables(server, configuration)
+    };
+  });
+}
+
+/**
+ * Servers among `servers` that cannot be reached over `transport`
+ */
+export function findUnavailable(servers, transport) {
+  return servers.filter(server => !selectConnection(server, transport)).map(server => server.id);
+}
+
+/**
+ * Builds a client file for `servers`, each over `transport` (default: its
+ * first available one). Callers check availability with findUnavailable first.
+ * With `values`, placeholders are filled in instead of prompted for.
+ */
+export function buildClientConfig(client, servers, transport, values = null) {
+  return CLIENTS[client].build(toConnections(servers, transport, values));
+}
+
+/**
+ * Secret placeholders used by more than one server, which clients share a single prompt for
+ */
+export function findSharedSecrets(servers, transport) {
+  const usage = new Map();
+  toConnections(servers, transport).forEach(({ id, configuration }) => {
+    findPlaceholders(configuration).forEach(name => {
+      usage.set(name, [...(usage.get(name) || []), id]);
+    });
+  });
+  return [...usage.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([name, ids]) => ({ name, servers: ids }));
+}
+
+/**
+ * Keys that would clash when several servers are merged into one file:
+ * distinct placeholders that map to the same VS Code input id, and
+ * environment variables that servers set to different values
+ */
+export function findCollisions(servers, transport) {
+  const collisions = [];
+  const connections = toConnections(servers, transport);
+
+  const inputNames = new Map();
+  connections.forEach(({ configuration }) => {
+    findPlaceholders(configuration).forEach(name => {
+      const names = inputNames.get(toInputId(name)) || new Set();
+      inputNames.set(toInputId(name), names.add(name));
+    });
+  });
+  inputNames.forEach((names, key) => {
+    if (names.size > 1) {
+      collisions.push({ type: 'input', key, values: [...names] });
+    }
+  });
+
+  const envValues = new Map();
+  connections.forEach(({ id, configuration }) => {
+    Object.entries(configuration.env || {}).forEach(([key, value]) => {
+      envValues.set(key, [...(envValues.get(key) || []), { server: id, value }]);
+    });
+  });
+  envValues.forEach((entries, key) => {
+    if (new Set(entries.map(entry => entry.value)).size > 1) {
+      collisions.push({ type: 'env', key, servers: entries.map(entry => entry.server), values: entries.map(entry => entry.value) });
+    }
+  });
+
+  return collisions;
+}
+
+export default buildClientConfig;
@@ -0,0 +1,168 @@
+import semver from 'semver';
+import { parsePackage } from './packages.js';
+
+/**
+ * Client and runtime compatibility
+ * Entries declare where they can run in `compatibility`: the MCP protocol
+ * versions they speak, semver ranges for the runtimes they need (node,
+ * python, dotnet, docker), the operating systems they support and the
+ * clients they work with, each with a minimum version range. An environment
+ * described by the caller is checked against them; requirements an entry
+ * does not declare never fail, so entries without metadata stay usable.
+ */
+
+export const RUNTIME_NAMES = ['node', 'python', 'dotnet', 'docker'];
+export const OPERATING_SYSTEMS = ['linux', 'darwin', 'win32'];
+
+// MCP protocol revisions are dates, e.g. 2025-06-18
+export const PROTOCOL_VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Runtime needed by each package runner
+const LAUNCHER_RUNTIMES = { npx: 'node', uvx: 'python', dnx: 'dotnet', docker: 'docker' };
+
+export class CompatibilityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompatibilityError';
+    this.code = 'INVALID_ENVIRONMENT';
+  }
+}
+
+function coerceVersion(value, name) {
+  const version = semver.coerce(String(value));
+  if (!version) {
+    throw new CompatibilityError(`${name} must be a version such as 1.95 or 18.17.0`);
+  }
+  return version.version;
+}
+
+/**
+ * Reads the caller's environment from query parameters: client and
+ * clientVersion, protocolVersion, os and a version per runtime. Versions may
+ * be partial (1.95). Throws CompatibilityError for malformed values.
+ */
+export function parseEnvironment(query = {}) {
+  const { client, clientVersion, protocolVersion, os } = query;
+
+  if (clientVersion !== undefined && !client) {
+    throw new CompatibilityError('clientVersion requires client');
+  }
+  if (protocolVersion !== undefined && !PROTOCOL_VERSION_PATTERN.test(String(protocolVersion))) {
+    throw new CompatibilityError('protocolVersion must be an MCP protocol revision such as 2025-06-18');
+  }
+  if (os !== undefined && !OPERATING_SYSTEMS.includes(String(os))) {
+    throw new CompatibilityError(`os must be one of: ${OPERATING_SYSTEMS.join(', ')}`);
+  }
+
+  return {
+    ...(client && { client: String(client) }),
+    ...(clientVersion !== undefined && { clientVersion: coerceVersion(clientVersion, 'clientVersion') }),
+    ...(protocolVersion !== undefined && { protocolVersion: String(protocolVersion) }),
+    ...(os !== undefined && { os: String(os) }),
+    runtimes: Object.fromEntries(RUNTIME_NAMES
+      .filter(name => query[name] !== undefined)
+      .map(name => [name, coerceVersion(query[name], name)]))
+  };
+}
+
+/**
+ * Declared compatibility of an entry. The older
+ * `deployment.requirements.node` counts as the node runtime range.
+ */
+export function getCompatibility(server) {
+  const { compatibility = {}, deployment } = server;
+  const legacyNode = deployment?.requirements?.node;
+  return {
+    ...compatibility,
+    runtimes: { ...(legacyNode && { node: legacyNode }), ...compatibility.runtimes }
+  };
+}
+
+/**
+ * Runtimes an entry needs: those it declares plus the one its launcher
+ * implies (npx needs node, uvx python, dnx dotnet, docker docker)
+ */
+export function getRequiredRuntimes(server) {
+  const declared = Object.keys(getCompatibility(server).runtimes);
+  const launcher = server.configuration && parsePackage(server.configuration)?.runtime;
+  const implied = LAUNCHER_RUNTIMES[launcher];
+  return RUNTIME_NAMES.filter(name => declared.includes(name) || name === implied);
+}
+
+function check(id, status, message, details = {}) {
+  return { id, status, message, ...details };
+}
+
+function checkRange(id, label, range, version) {
+  const details = { required: range || null, actual: version || null };
+  if (!range) {
+    return check(id, 'pass', `No ${label} version requirement is declared`, details);
+  }
+  if (semver.validRange(range) === '*') {
+    return check(id, 'pass', `Any ${label} version is supported`, details);
+  }
+  if (!version) {
+    return check(id, 'unknown', `Requires ${label} ${range}; no version was given`, details);
+  }
+  if (!semver.satisfies(version, range, { includePrerelease: true })) {
+    return check(id, 'fail', `Requires ${label} ${range}, but ${version} was given`, details);
+  }
+  return check(id, 'pass', `${label} ${version} satisfies ${range}`, details);
+}
+
+function checkClient({ clients }, { client, clientVersion = null }) {
+  if (!clients) {
+    return check('client', 'pass', 'No client requirements are declared', { client, required: null, actual: clientVersion });
+  }
+  if (!Object.hasOwn(clients, client)) {
+    return check('client', 'fail', `${client} is not a supported client`, {
+      client,
+      required: null,
+      actual: clientVersion,
+      supported: Object.keys(clients)
+    });
+  }
+  return { client, ...checkRange('client', client, clients[client], clientVersion) };
+}
+
+function checkProtocol({ protocolVersions }, { protocolVersion }) {
+  const details = { required: protocolVersions || null, actual: protocolVersion };
+  if (!protocolVersions) {
+    return check('protocol', 'unknown', 'No supported MCP protocol versions are declared', details);
+  }
+  if (!protocolVersions.includes(protocolVersion)) {
+    return check('protocol', 'fail', `MCP protocol ${protocolVersion} is not supported`, details);
+  }
+  return check('protocol', 'pass', `MCP protocol ${protocolVersion} is supported`, details);
+}
+
+function checkOs({ os }, environment) {
+  const details = { required: os || null, actual: environment.os };
+  if (!os) {
+    return check('os', 'pass', 'No operating system requirements are declared', details);
+  }
+  if (!os.includes(environment.os)) {
+    return check('os', 'fail', `${environment.os} is not a supported operating system`, details);
+  }
+  return check('os', 'pass', `${environment.os} is supported`, details);
+}
+
+/**
+ * Checks a server against an environment from parseEnvironment. The client,
+ * protocol and OS are only checked when the environment names them; every
+ * runtime the server needs is checked, and reported as unknown when the
+ * environment gives no version for it. Returns { compatible, checks }: each
+ * check has an id, a status (pass, fail or unknown), a message and the
+ * required and actual values. Servers are compatible when no check fails.
+ */
+export function checkCompatibility(server, environment) {
+  const compatibility = getCompatibility(server);
+  const checks = [
+    ...(environment.client ? [checkClient(compatibility, environment)] : []),
+    ...(environment.protocolVersion ? [checkProtocol(compatibility, environment)] : []),
+    ...(environment.os ? [checkOs(compatibility, environment)] : []),
+    ...getRequiredRuntimes(server).map(name =>
+      checkRange(name, name, compatibility.runtimes[name], environment.runtimes[name]))
+  ];
+  return { compatible: checks.every(({ status }) => status !== 'fail'), checks };
+}
@@ -0,0 +1,42 @@
+/**
+ * Registry-managed fields of stored server entries
+ * Stored entries carry data the registry maintains itself next to the
+ * published definition. These fields are never accepted from publishers,
+ * are left out of version snapshots, and are served by dedicated endpoints
+ * (or, for `source`, `updatedAt` and the lifecycle state, added to list and detail responses).
+ * `status` and `security` are only ever computed for responses; they are
+ * listed so a response body sent back, or mirrored from another registry,
+ * does not store them.
+ */
+export const MANAGED_FIELDS = ['versions', 'introspection', 'source', 'lifecycle', 'updatedAt', 'status', 'security'];
+
+export const LOCAL_SOURCE = { type: 'local' };
+
+// Entries never changed through the registry count as updated when it started
+const STARTED_AT = new Date().toISOString();
+
+export function stripManagedFields(server) {
+  return Object.fromEntries(
+    Object.entries(server).filter(([key]) => !MANAGED_FIELDS.includes(key))
+  );
+}
+
+export function pickManagedFields(server) {
+  return Object.fromEntries(
+    Object.entries(server || {}).filter(([key]) => MANAGED_FIELDS.includes(key))
+  );
+}
+
+/**
+ * Where an entry comes from: published here, or mirrored from an upstream registry
+ */
+export function getSource(server) {
+  return server.source || LOCAL_SOURCE;
+}
+
+/**
+ * When the served definition or lifecycle state of an entry last changed
+ */
+export function getUpdatedAt(server) {
+  return server.updatedAt || STARTED_AT;
+}
@@ -0,0 +1,62 @@
+import { searchServers } from './search.js';
+import { getTransports } from './clientConfig.js';
+import { isWithinRisk } from './security.js';
+import { parseToolFilters, serverMatchesToolFilters } from './tools.js';
+
+/**
+ * Catalog filters shared by the REST list route and the registry's MCP tools
+ */
+export function filterServers(servers, query = {}) {
+  const { tags, capability, transport, source, maxRisk, q } = query;
+  let filteredServers = servers;
+  
+  // Filter by tags
+  if (tags) {
+    const filterTags = String(tags).split(',').map(tag => tag.trim().toLowerCase());
+    filteredServers = filteredServers.filter(server => 
+      server.tags.some(tag => filterTags.includes(tag.toLowerCase()))
+    );
+  }
+  
+  // Filter by capability
+  if (capability) {
+    const capabilityFilter = String(capability).toLowerCase();
+    filteredServers = filteredServers.filter(server =>
+      server.capabilities.some(cap => cap.toLowerCase().includes(capabilityFilter))
+    );
+  }
+  
+  // Filter by transport: stdio, http or sse
+  if (transport) {
+    const transportFilter = String(transport).toLowerCase();
+    filteredServers = filteredServers.filter(server => getTransports(server).includes(transportFilter));
+  }
+  
+  // Filter by origin: "local" or an upstream name (servers must carry `source`)
+  if (source) {
+    const sourceFilter = String(source);
+    filteredServers = filteredServers.filter(server => sourceFilter === 'local'
+      ? server.source?.type === 'local'
+      : server.source?.upstream === sourceFilter);
+  }
+  
+  // Filter by risk level: servers assessed at most `maxRisk` (low, medium, high or critical)
+  if (maxRisk) {
+    filteredServers = filteredServers.filter(server => isWithinRisk(server, String(maxRisk)));
+  }
+  
+  // Filter by tool annotations: every tool must match, e.g. readOnly=true
+  const toolFilters = parseToolFilters(query) || {};
+  if (Object.keys(toolFilters).length > 0) {
+    filteredServers = filteredServers.filter(server => serverMatchesToolFilters(server, toolFilters));
+  }
+  
+  // Full-text search, ordered by relevance
+  if (q) {
+    filteredServers = searchServers(filteredServers, q).map(result => result.server);
+  }
+  
+  return filteredServers;
+}
+
+export default filterServers;
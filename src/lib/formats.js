@@ -0,0 +1,25 @@
+import YAML from 'yaml';
+import { stringify as toToml } from 'smol-toml';
+
+/**
+ * Serialization formats supported by the config export endpoints
+ */
+export const FORMATS = {
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    serialize: value => JSON.stringify(value, null, 2)
+  },
+  yaml: {
+    contentType: 'application/yaml',
+    extension: 'yaml',
+    serialize: value => YAML.stringify(value)
+  },
+  toml: {
+    contentType: 'application/toml',
+    extension: 'toml',
+    serialize: value => toToml(value)
+  }
+};
+
+export default FORMATS;
@@ -0,0 +1,82 @@
+/**
+ * Server lifecycle for the approval workflow
+ * Entries published through the API start as `pending` and are reviewed into
+ * `approved`, `deprecated` or `revoked`. The `lifecycle` field records the
+ * current state, the last review and every transition. Entries without one
+ * (the seed catalog and mirrored entries) were vetted elsewhere and count as
+ * approved.
+ */
+
+export const STATES = ['pending', 'approved', 'deprecated', 'revoked'];
+
+// States developers see by default
+export const VISIBLE_STATES = ['approved'];
+
+// Allowed review transitions; revocation is final
+const TRANSITIONS = {
+  pending: ['approved', 'revoked'],
+  approved: ['deprecated', 'revoked'],
+  deprecated: ['approved', 'revoked'],
+  revoked: []
+};
+
+// States a review must give a reason for
+const REASON_REQUIRED = ['deprecated', 'revoked'];
+
+export function getLifecycle(server) {
+  return server.lifecycle || { state: 'approved', submittedAt: null, history: [] };
+}
+
+export function getState(server) {
+  return getLifecycle(server).state;
+}
+
+export function isVisible(server, states = VISIBLE_STATES) {
+  return states.includes(getState(server));
+}
+
+/**
+ * Lifecycle of a newly submitted server
+ */
+export function submitLifecycle(submittedAt = new Date().toISOString()) {
+  return {
+    state: 'pending',
+    submittedAt,
+    history: [{ state: 'pending', at: submittedAt }]
+  };
+}
+
+/**
+ * Checks a review. Returns an error message, or null when it is allowed.
+ */
+export function checkReview(server, { state, reason }) {
+  const current = getState(server);
+
+  if (!STATES.includes(state)) {
+    return `state must be one of ${STATES.join(', ')}`;
+  }
+  if (!TRANSITIONS[current].includes(state)) {
+    return `A ${current} server cannot become ${state}`;
+  }
+  if (REASON_REQUIRED.includes(state) && !reason) {
+    return `A reason is required to mark a server ${state}`;
+  }
+  return null;
+}
+
+/**
+ * Lifecycle after a review, recording the reviewer, reason and time
+ */
+export function reviewLifecycle(server, { state, reviewer, reason }, at = new Date().toISOString()) {
+  const lifecycle = getLifecycle(server);
+  const review = { state, reviewer, ...(reason && { reason }), at };
+
+  return {
+    ...lifecycle,
+    state,
+    reviewer,
+    reason: reason || null,
+    reviewedAt: at,
+    history: [...lifecycle.history, review]
+  };
+}
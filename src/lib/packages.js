@@ -0,0 +1,109 @@
+/**
+ * Packages launched by stdio configurations
+ * Recognizes the package runners (npx, uvx, dnx) and `docker run` images that
+ * start a server, and splits the package spec into identifier and version.
+ */
+
+// Package runners and the package registries they install from
+export const RUNTIMES = {
+  npx: { registryType: 'npm', registryBaseUrl: 'https://registry.npmjs.org', separator: '@' },
+  uvx: { registryType: 'pypi', registryBaseUrl: 'https://pypi.org', separator: '==' },
+  dnx: { registryType: 'nuget', registryBaseUrl: 'https://api.nuget.org', separator: '@' }
+};
+
+// `docker run` options that take the next argument as their value
+const DOCKER_VALUE_FLAGS = new Set([
+  '-e', '--env', '--env-file', '-v', '--volume', '--mount', '-p', '--publish', '--name',
+  '-w', '--workdir', '-u', '--user', '--network', '--net', '--entrypoint', '-l', '--label',
+  '--label-file', '--platform', '--pull', '--add-host', '--cap-add', '--cap-drop', '--device',
+  '--dns', '-h', '--hostname', '-m', '--memory', '--cpus', '--gpus', '--restart', '--runtime',
+  '--security-opt', '--tmpfs', '--ulimit', '--log-driver', '--log-opt', '--ipc', '--pid',
+  '--shm-size', '--stop-signal', '--cidfile'
+]);
+
+/**
+ * Splits `docker run` arguments at the image: the first argument that is
+ * neither an option nor an option's value. Arguments after it go to the image.
+ */
+function splitDockerArgs(args) {
+  let index = args[0] === 'run' ? 1 : 0;
+  while (index < args.length && args[index].startsWith('-')) {
+    const flag = args[index];
+    index += DOCKER_VALUE_FLAGS.has(flag) ? 2 : 1;
+  }
+  return { image: args[index], imageArgs: args.slice(index + 1) };
+}
+
+export function splitVersion(spec, separator) {
+  const index = spec.lastIndexOf(separator);
+  // A leading @ belongs to an npm scope, not to a version
+  if (index <= 0) {
+    return { identifier: spec };
+  }
+  return { identifier: spec.slice(0, index), version: spec.slice(index + separator.length) };
+}
+
+/**
+ * The package a stdio configuration launches, as { registryType, identifier,
+ * version, digest, runtime, registryBaseUrl, packageArgs }. `version` is the
+ * one written in the spec, if any. Returns null when the command is neither a
+ * known package runner nor `docker run`.
+ */
+export function parsePackage(configuration = {}) {
+  const { command, args = [] } = configuration;
+
+  if (command === 'docker') {
+    const { image, imageArgs } = splitDockerArgs(args);
+    if (!image) {
+      return null;
+    }
+    const [reference, digest] = image.split('@');
+    // A colon before the last slash is a registry port, not a tag
+    const tagged = reference.slice(reference.lastIndexOf('/') + 1).includes(':');
+    return {
+      registryType: 'oci',
+      ...(tagged ? splitVersion(reference, ':') : { identifier: reference }),
+      ...(digest && { digest }),
+      runtime: command,
+      packageArgs: imageArgs
+    };
+  }
+
+  const runtime = RUNTIMES[command];
+  const [spec, ...packageArgs] = args.filter(arg => arg !== '-y' && arg !== '--yes');
+  if (!runtime || !spec) {
+    return null;
+  }
+  return {
+    registryType: runtime.registryType,
+    registryBaseUrl: runtime.registryBaseUrl,
+    ...splitVersion(spec, runtime.separator),
+    runtime: command,
+    packageArgs
+  };
+}
+
+/**
+ * Packages an entry is distributed as: the one its stdio configuration
+ * launches, then its `deployment.docker.image`, each tagged with its
+ * `source`. The first one is the package that launches the server.
+ */
+export function getPackageReferences(server) {
+  const references = [
+    ...(server.configuration ? [{ ...parsePackage(server.configuration), source: 'configuration' }] : []),
+    ...(server.deployment?.docker?.image
+      ? [{ ...parsePackage({ command: 'docker', args: [server.deployment.docker.image] }), source: 'deployment' }]
+      : [])
+  ].filter(reference => reference.registryType);
+
+  return references
+    .filter((reference, index) => references.findIndex(other =>
+      other.registryType === reference.registryType && other.identifier === reference.identifier) === index)
+    .map(({ registryType, identifier, version, digest, source }) => ({
+      registryType,
+      identifier,
+      pinnedVersion: version || null,
+      ...(digest && { digest }),
+      source
+    }));
+}
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import { getUpdatedAt } from './entries.js';
+
+/**
+ * Keyset pagination for catalog lists
+ * A cursor records where the previous page ended: the sort key and id of its
+ * last server, plus the sort, order and a hash of the filters it was issued
+ * for. The next page starts after that position, so servers added or removed
+ * between requests are neither skipped nor repeated. Cursors are signed with
+ * REGISTRY_CURSOR_SECRET (a random key per process when unset, so cursors do
+ * not survive a restart) and are rejected when edited or reused with a
+ * different query.
+ */
+
+export const SORTS = ['name', 'updated', 'popularity'];
+export const ORDERS = ['asc', 'desc'];
+
+const CURSOR_SECRET = process.env.REGISTRY_CURSOR_SECRET || crypto.randomBytes(32);
+
+const DEFAULT_ORDERS = { relevance: 'desc', name: 'asc', updated: 'desc', popularity: 'desc' };
+
+// Sort keys must be JSON strings or numbers so they survive the cursor
+const SORT_KEYS = {
+  relevance: (server, { scores }) => scores.get(server.id) || 0,
+  name: server => String(server.name || server.id).toLowerCase(),
+  updated: server => getUpdatedAt(server),
+  popularity: (server, { popularity }) => popularity.get(server.id) || 0
+};
+
+export class PaginationError extends Error {
+  constructor(message, code = 'INVALID_CURSOR') {
+    super(message);
+    this.name = 'PaginationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Resolves the sort and order of a list query. Without `sort`, searches are
+ * ordered by relevance and everything else by name.
+ */
+export function parseSort({ sort, order, q } = {}) {
+  const field = sort === undefined ? (q ? 'relevance' : 'name') : String(sort);
+  if (!(field in SORT_KEYS) || (field === 'relevance' && sort !== undefined)) {
+    throw new PaginationError(`Invalid sort. Use one of: ${SORTS.join(', ')}.`, 'INVALID_SORT');
+  }
+
+  const direction = order === undefined ? DEFAULT_ORDERS[field] : String(order);
+  if (!ORDERS.includes(direction)) {
+    throw new PaginationError(`Invalid order. Use one of: ${ORDERS.join(', ')}.`, 'INVALID_SORT');
+  }
+  return { sort: field, order: direction };
+}
+
+/**
+ * Short digest of the filters a cursor belongs to; unset filters are ignored
+ */
+export function hashFilters(filters) {
+  const normalized = Object.keys(filters)
+    .filter(name => filters[name] !== undefined && filters[name] !== '')
+    .sort()
+    .map(name => [name, String(filters[name])]);
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('base64url').slice(0, 16);
+}
+
+function checksum(payload) {
+  return crypto.createHmac('sha256', CURSOR_SECRET).update(`cursor:${payload}`).digest('base64url').slice(0, 22);
+}
+
+function isValidChecksum(payload, sum) {
+  const expected = Buffer.from(checksum(payload));
+  const actual = Buffer.from(String(sum));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export function encodeCursor(position) {
+  const payload = Buffer.from(JSON.stringify(position)).toString('base64url');
+  return `${payload}.${checksum(payload)}`;
+}
+
+export function decodeCursor(cursor) {
+  const [payload, sum, ...rest] = String(cursor).split('.');
+  if (!payload || sum === undefined || rest.length > 0 || !isValidChecksum(payload, sum)) {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw new PaginationError('Invalid cursor');
+  }
+  const { sort, order, filters, key, id } = position || {};
+  if (!(sort in SORT_KEYS) || !ORDERS.includes(order) || typeof filters !== 'string' ||
+      !['string', 'number'].includes(typeof key) || typeof id !== 'string') {
+    throw new PaginationError('Invalid cursor');
+  }
+  return { sort, order, filters, key, id };
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Orders by sort key, then id, so every server has a unique position
+function comparePositions(a, b, direction) {
+  return (compareValues(a.key, b.key) || compareValues(a.id, b.id)) * direction;
+}
+
+/**
+ * Sorts `servers` and returns the page of `limit` servers after `cursor`, with
+ * the cursor of the page after it (null on the last page). `context` holds
+ * relevance `scores` and `popularity` counts by server id for those sorts.
+ * Throws PaginationError when the cursor is invalid or was issued for another
+ * sort, order or set of filters.
+ */
+export function paginate(servers, { sort, order, filters, limit, cursor = null, context = {} }) {
+  const direction = order === 'asc' ? 1 : -1;
+  const keyOf = SORT_KEYS[sort];
+  const positions = servers
+    .map(server => ({ server, key: keyOf(server, context), id: server.id }))
+    .sort((a, b) => comparePositions(a, b, direction));
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (after.sort !== sort || after.order !== order || after.filters !== filters) {
+      throw new PaginationError('Cursor does not match the sort, order or filters of this query');
+    }
+    start = positions.findIndex(position => comparePositions(position, after, direction) > 0);
+    if (start === -1) {
+      start = positions.length;
+    }
+  }
+
+  const page = positions.slice(start, start + limit);
+  const last = page[page.length - 1];
+  return {
+    servers: page.map(position => position.server),
+    cursor: start + limit < positions.length
+      ? encodeCursor({ sort, order, filters, key: last.key, id: last.id })
+      : null
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Full-text search over the server catalog
+ * Queries and documents are tokenized and stemmed; each query term is matched
+ * against every field exactly, by prefix, or within a small edit distance, and
+ * matches are weighted by the field they occur in.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'into',
+  'is', 'it', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+export const SERVER_FIELD_WEIGHTS = {
+  name: 5,
+  tags: 3,
+  capabilities: 3,
+  toolNames: 2,
+  description: 2,
+  toolDescriptions: 1
+};
+
+export const TOOL_FIELD_WEIGHTS = {
+  name: 4,
+  description: 2,
+  serverName: 1,
+  serverTags: 0.5
+};
+
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  typo: 0.5
+};
+
+/**
+ * Light suffix-stripping stemmer, enough to match plurals and verb forms
+ * ("requests" / "request", "created" / "create", "automation" / "automate")
+ */
+export function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+
+  let stemmed = word;
+  if (stemmed.endsWith('ies') && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}y`;
+  } else if (stemmed.endsWith('sses')) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (/(ss|us|is)$/.test(stemmed)) {
+    // leave words like "access", "status" and "analysis" alone
+  } else if (/(ch|sh|x|z)es$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('s')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  if (stemmed.endsWith('ing') && stemmed.length > 5) {
+    stemmed = stemmed.slice(0, -3);
+  } else if (stemmed.endsWith('ed') && stemmed.length > 4) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('ation') && stemmed.length > 7) {
+    stemmed = stemmed.slice(0, -3);
+  } else if (stemmed.endsWith('ion') && stemmed.length > 6) {
+    stemmed = stemmed.slice(0, -3);
+  }
+
+  if (stemmed.endsWith('e') && stemmed.length > 4) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  return stemmed;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Optimal string alignment distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+function matchTerm(term, token) {
+  if (term === token) {
+    return MATCH_SCORES.exact;
+  }
+  if (term.length >= 3 && token.startsWith(term)) {
+    return MATCH_SCORES.prefix;
+  }
+  if (term.length >= 4 && token.length >= 4) {
+    const allowed = term.length >= 8 ? 2 : 1;
+    if (editDistance(term, token, allowed) <= allowed) {
+      return MATCH_SCORES.typo;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Scores a document (a map of field name to text) against a tokenized query.
+ * The total is scaled by the share of query terms that matched anything,
+ * so documents matching every term rank above those matching a few.
+ */
+export function scoreDocument(terms, document, weights) {
+  const fields = Object.entries(document).map(([field, text]) => [field, tokenize(text)]);
+  let score = 0;
+  let matchedTerms = 0;
+
+  terms.forEach(term => {
+    let termScore = 0;
+    fields.forEach(([field, tokens]) => {
+      const best = tokens.reduce((max, token) => Math.max(max, matchTerm(term, token)), 0);
+      termScore += best * (weights[field] || 0);
+    });
+    if (termScore > 0) {
+      matchedTerms++;
+      score += termScore;
+    }
+  });
+
+  return terms.length === 0 ? 0 : score * (matchedTerms / terms.length);
+}
+
+function serverDocument(server) {
+  const tools = server.tools || [];
+  return {
+    name: `${server.name} ${server.id}`,
+    tags: (server.tags || []).join(' '),
+    capabilities: (server.capabilities || []).join(' '),
+    toolNames: tools.map(tool => tool.name).join(' '),
+    description: server.description,
+    toolDescriptions: tools.map(tool => tool.description).join(' ')
+  };
+}
+
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Returns the servers matching `query`, best match first, as { server, score }
+ */
+export function searchServers(servers, query) {
+  const terms = tokenize(query);
+  return servers
+    .map(server => ({ server, score: roundScore(scoreDocument(terms, serverDocument(server), SERVER_FIELD_WEIGHTS)) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Returns the tools matching `query` across all servers, best match first,
+ * as { server, tool, score }
+ */
+export function searchTools(servers, query) {
+  const terms = tokenize(query);
+  return servers
+    .flatMap(server => (server.tools || []).map(tool => ({
+      server,
+      tool,
+      score: roundScore(scoreDocument(terms, {
+        name: tool.name,
+        description: tool.description,
+        serverName: server.name,
+        serverTags: (server.tags || []).join(' ')
+      }, TOOL_FIELD_WEIGHTS))
+    })))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,225 @@
+import semver from 'semver';
+import { parsePackage } from './packages.js';
+
+/**
+ * Trust signals for registry entries
+ * Scores an entry on checks anyone can repeat from its definition: whether the
+ * homepage belongs to the repository, whether the launched package is pinned
+ * to a version, whether the license is a valid SPDX expression, and which
+ * tools can destroy data or execute code. Each finding adds risk points;
+ * the total (capped at 100) maps to a risk level.
+ */
+
+export const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Lowest score of each level, in RISK_LEVELS order
+const LEVEL_THRESHOLDS = [0, 20, 50, 75];
+
+const MAX_TOOL_RISK = 50;
+
+// Words in tool names that mark what a tool can do, with the points each tool adds
+const TOOL_RISKS = {
+  'code-execution': {
+    points: 15,
+    words: new Set(['eval', 'evaluate', 'exec', 'execute', 'run', 'shell', 'script', 'command', 'terminal'])
+  },
+  destructive: {
+    points: 10,
+    words: new Set(['delete', 'remove', 'drop', 'destroy', 'merge', 'purge', 'truncate', 'overwrite', 'force', 'reset', 'revoke', 'kill', 'terminate', 'uninstall', 'wipe'])
+  }
+};
+
+// Common SPDX license identifiers (https://spdx.org/licenses/)
+const SPDX_LICENSES = [
+  '0BSD', 'AFL-3.0', 'AGPL-3.0-only', 'AGPL-3.0-or-later', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0',
+  'BlueOak-1.0.0', 'BSD-2-Clause', 'BSD-3-Clause', 'BSD-3-Clause-Clear', 'BSD-4-Clause', 'BSL-1.0',
+  'BUSL-1.1', 'CC-BY-4.0', 'CC-BY-SA-4.0', 'CC0-1.0', 'CDDL-1.0', 'CDDL-1.1', 'Elastic-2.0', 'EPL-1.0',
+  'EPL-2.0', 'EUPL-1.2', 'GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later', 'ISC',
+  'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MIT', 'MIT-0', 'MPL-2.0',
+  'MS-PL', 'MS-RL', 'NCSA', 'OFL-1.1', 'PostgreSQL', 'Python-2.0', 'SSPL-1.0', 'Unlicense', 'UPL-1.0',
+  'WTFPL', 'Zlib',
+  // Deprecated, but still found in package metadata
+  'AGPL-3.0', 'GPL-2.0', 'GPL-3.0', 'LGPL-2.1', 'LGPL-3.0'
+];
+const SPDX_EXCEPTIONS = ['Classpath-exception-2.0', 'GCC-exception-3.1', 'LLVM-exception'];
+
+const byLowerCase = ids => new Map(ids.map(id => [id.toLowerCase(), id]));
+const LICENSE_IDS = byLowerCase(SPDX_LICENSES);
+const EXCEPTION_IDS = byLowerCase(SPDX_EXCEPTIONS);
+
+export function getRiskLevel(score) {
+  const index = LEVEL_THRESHOLDS.findLastIndex(threshold => score >= threshold);
+  return RISK_LEVELS[index];
+}
+
+function check(id, status, points, message, details = {}) {
+  return { id, status, risk: points, message, ...details };
+}
+
+function parseUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return {
+      host: hostname.toLowerCase().replace(/^www\./, ''),
+      segments: pathname.replace(/\.git$/, '').split('/').filter(Boolean).map(segment => segment.toLowerCase())
+    };
+  } catch {
+    return null;
+  }
+}
+
+function checkSource({ repository, homepage }) {
+  const details = { repository: repository?.url || null, homepage: homepage || null };
+  const repo = parseUrl(repository?.url);
+
+  if (!repo) {
+    return check('source', 'warn', 15, 'No repository URL is declared', details);
+  }
+  if (!homepage) {
+    return check('source', 'pass', 0, 'Only a repository is declared', details);
+  }
+
+  const home = parseUrl(homepage);
+  if (home?.host !== repo.host) {
+    return check('source', 'warn', 10, 'The homepage is on another domain than the repository and cannot be matched to it', details);
+  }
+  // On the same host, the homepage must belong to the repository's owner
+  if (home.segments[0] !== repo.segments[0]) {
+    return check('source', 'fail', 25, 'The homepage and the repository belong to different owners', details);
+  }
+  return check('source', 'pass', 0, 'The homepage matches the repository', details);
+}
+
+function checkPinning({ configuration }) {
+  if (!configuration) {
+    return check('pinning', 'pass', 0, 'Remote only: nothing is installed');
+  }
+
+  const pkg = parsePackage(configuration);
+  if (!pkg) {
+    return check('pinning', 'warn', 10, `${configuration.command} is not a known package runner, so the installed version cannot be checked`);
+  }
+
+  const details = { package: { registryType: pkg.registryType, identifier: pkg.identifier, version: pkg.version || null } };
+  if (pkg.digest) {
+    return check('pinning', 'pass', 0, `${pkg.identifier} is pinned to a digest`, details);
+  }
+  if (!pkg.version || pkg.version === 'latest') {
+    return check('pinning', 'fail', 20, `${pkg.identifier} is not pinned, so installs get whatever was published last`, details);
+  }
+  if (!semver.valid(pkg.version)) {
+    return check('pinning', 'warn', 10, `${pkg.identifier} is pinned to a range or tag (${pkg.version}), not an exact version`, details);
+  }
+  return check('pinning', 'pass', 0, `${pkg.identifier} is pinned to ${pkg.version}`, details);
+}
+
+/**
+ * Parses an SPDX license expression, such as "MIT OR Apache-2.0". Returns the
+ * license ids it names, or null when it is not a valid expression of known ids.
+ * LicenseRef- ids are accepted but reported in `custom`.
+ */
+export function parseLicenseExpression(expression) {
+  const tokens = String(expression).replace(/[()]/g, ' $& ').trim().split(/\s+/);
+  const licenses = [];
+  const custom = [];
+  let position = 0;
+
+  const license = () => {
+    const token = tokens[position++] || '';
+    if (/^LicenseRef-[A-Za-z0-9.-]+$/.test(token)) {
+      custom.push(token);
+      return true;
+    }
+    const id = LICENSE_IDS.get(token.replace(/\+$/, '').toLowerCase());
+    if (!id) {
+      return false;
+    }
+    licenses.push(id);
+    if (tokens[position] === 'WITH') {
+      position++;
+      return EXCEPTION_IDS.has((tokens[position++] || '').toLowerCase());
+    }
+    return true;
+  };
+  const term = () => {
+    if (tokens[position] !== '(') {
+      return license();
+    }
+    position++;
+    return expressionList() && tokens[position++] === ')';
+  };
+  const expressionList = () => {
+    if (!term()) {
+      return false;
+    }
+    while (tokens[position] === 'AND' || tokens[position] === 'OR') {
+      position++;
+      if (!term()) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  return expressionList() && position === tokens.length ? { licenses, custom } : null;
+}
+
+function checkLicense({ license }) {
+  if (!license) {
+    return check('license', 'warn', 10, 'No license is declared', { license: null });
+  }
+  const parsed = parseLicenseExpression(license);
+  if (!parsed) {
+    return check('license', 'fail', 15, `${license} is not a valid SPDX license expression`, { license });
+  }
+  if (parsed.custom.length > 0) {
+    return check('license', 'warn', 5, `${parsed.custom.join(', ')} is a custom license that needs review`, { license });
+  }
+  return check('license', 'pass', 0, `${license} is a valid SPDX license expression`, { license });
+}
+
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Risks of a tool judged by the words in its name: code-execution and/or destructive
+ */
+export function getToolRisks(tool) {
+  const words = splitWords(tool.name);
+  return Object.keys(TOOL_RISKS).filter(risk => words.some(word => TOOL_RISKS[risk].words.has(word)));
+}
+
+function checkTools({ tools = [] }) {
+  const risky = tools
+    .map(tool => ({ name: tool.name, risks: getToolRisks(tool) }))
+    .filter(tool => tool.risks.length > 0);
+  const points = Math.min(MAX_TOOL_RISK, risky.reduce((sum, tool) =>
+    sum + tool.risks.reduce((toolSum, risk) => toolSum + TOOL_RISKS[risk].points, 0), 0));
+
+  if (risky.length === 0) {
+    return check('tools', 'pass', 0, 'No tool looks destructive or able to execute code', { tools: [] });
+  }
+  return check('tools', 'warn', points, `${risky.length} of ${tools.length} tools can destroy data or execute code`, { tools: risky });
+}
+
+/**
+ * Security report of a server entry: { score, level, checks }. Each check has
+ * an id (source, pinning, license, tools), a status (pass, warn or fail), the
+ * risk points it adds and a message.
+ */
+export function assessServer(server) {
+  const checks = [checkSource(server), checkPinning(server), checkLicense(server), checkTools(server)];
+  const score = Math.min(100, checks.reduce((sum, { risk }) => sum + risk, 0));
+  return { score, level: getRiskLevel(score), checks };
+}
+
+/**
+ * Whether a server's risk level is at most `maxRisk`
+ */
+export function isWithinRisk(server, maxRisk) {
+  return RISK_LEVELS.indexOf(assessServer(server).level) <= RISK_LEVELS.indexOf(maxRisk);
+}
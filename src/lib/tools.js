@@ -0,0 +1,81 @@
+/**
+ * Tool definitions
+ * Tools may declare a JSON Schema `inputSchema` or only a legacy `parameters`
+ * list of argument names. Served tools always carry both, so older consumers
+ * keep reading `parameters` while newer ones use the schema. MCP `annotations`
+ * (readOnlyHint, destructiveHint, idempotentHint, openWorldHint) are served as
+ * declared and can be filtered on.
+ */
+
+// Query parameters that filter on annotations, and the hints they read
+export const TOOL_FILTERS = {
+  readOnly: 'readOnlyHint',
+  destructive: 'destructiveHint',
+  idempotent: 'idempotentHint',
+  openWorld: 'openWorldHint'
+};
+
+export function normalizeTool(tool) {
+  const inputSchema = tool.inputSchema || {
+    type: 'object',
+    // Argument types are unknown for legacy parameter lists
+    properties: Object.fromEntries((tool.parameters || []).map(name => [name, {}]))
+  };
+  const parameters = tool.parameters || Object.keys(inputSchema.properties || {});
+
+  return { ...tool, parameters, inputSchema };
+}
+
+export function normalizeTools(tools = []) {
+  return tools.map(normalizeTool);
+}
+
+/**
+ * A tool's annotations with the MCP defaults for missing hints: not read-only,
+ * destructive and not idempotent unless read-only, and open world
+ */
+export function getToolHints(tool) {
+  const annotations = tool.annotations || {};
+  const readOnly = annotations.readOnlyHint ?? false;
+  return {
+    readOnly,
+    destructive: !readOnly && (annotations.destructiveHint ?? true),
+    idempotent: readOnly || (annotations.idempotentHint ?? false),
+    openWorld: annotations.openWorldHint ?? true
+  };
+}
+
+/**
+ * Reads the annotation filters (readOnly, destructive, idempotent, openWorld)
+ * from a query as booleans. Returns null when one is not true or false.
+ */
+export function parseToolFilters(query = {}) {
+  const filters = {};
+  for (const name of Object.keys(TOOL_FILTERS)) {
+    const value = query[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    if (![true, false, 'true', 'false'].includes(value)) {
+      return null;
+    }
+    filters[name] = value === true || value === 'true';
+  }
+  return filters;
+}
+
+export function matchesToolFilters(tool, filters) {
+  const hints = getToolHints(tool);
+  return Object.entries(filters).every(([name, value]) => hints[name] === value);
+}
+
+/**
+ * Whether every tool of a server matches the filters. Servers without
+ * declared tools never match, since nothing is known about what they do.
+ */
+export function serverMatchesToolFilters(server, filters) {
+  const tools = server.tools || [];
+  return tools.length > 0 && tools.every(tool => matchesToolFilters(tool, filters));
+}
+
+export default normalizeTool;
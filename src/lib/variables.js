@@ -0,0 +1,228 @@
+import vm from 'vm';
+
+/**
+ * Configuration variables
+ * Entries declare what their `{NAME}` placeholders stand for in `variables`:
+ * a description, whether the value is required or secret, a default, the
+ * format and pattern it must match and where to obtain it. Placeholders
+ * without a declaration, and names only listed in the older
+ * `deployment.requirements.environment`, are treated as required secrets.
+ */
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Placeholder names used by a stdio configuration or a remote endpoint
+ */
+export function findPlaceholders(configuration) {
+  const values = [
+    ...(configuration.args || []),
+    ...Object.values(configuration.env || {}),
+    ...(configuration.url ? [configuration.url] : []),
+    ...Object.values(configuration.headers || {})
+  ];
+  const names = values.flatMap(value => [...String(value).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+  return [...new Set(names)];
+}
+
+/**
+ * Copy of a stdio configuration or remote with each placeholder replaced by
+ * `replacement(name)`
+ */
+export function replacePlaceholders(configuration, replacement) {
+  const substitute = value => String(value).replace(PLACEHOLDER_PATTERN, (_, name) => replacement(name));
+  const substituteValues = values => Object.fromEntries(
+    Object.entries(values || {}).map(([key, value]) => [key, substitute(value)])
+  );
+
+  if (configuration.url) {
+    return {
+      ...configuration,
+      url: substitute(configuration.url),
+      headers: substituteValues(configuration.headers)
+    };
+  }
+  return {
+    ...configuration,
+    args: (configuration.args || []).map(substitute),
+    env: substituteValues(configuration.env)
+  };
+}
+
+// Formats (as in server.json) that constrain a value; string and filepath accept any text
+const FORMAT_PATTERNS = {
+  number: /^-?\d+(\.\d+)?$/,
+  boolean: /^(true|false)$/
+};
+
+// Values are matched against publisher-supplied patterns, so their length is capped
+export const MAX_VALUE_LENGTH = 4096;
+export const MAX_PATTERN_LENGTH = 256;
+
+// Quantifiers that repeat what precedes them, and all quantifiers including optional
+const REPEAT = new Set(['*', '+', '{']);
+const QUANTIFIERS = new Set([...REPEAT, '?']);
+
+// How long one value may take to match; patterns that pass the check below can still be polynomial
+const PATTERN_TIMEOUT_MS = 100;
+const patternMatch = new vm.Script('new RegExp(pattern).test(value)');
+const patternContext = vm.createContext({});
+
+/**
+ * Whether a variable pattern compiles and cannot backtrack catastrophically:
+ * no backreferences, and no repeated group that itself contains a quantifier
+ * or an alternation, such as (a+)+, (a?a?)+ or (a|ab)*
+ */
+export function isSafePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    return false;
+  }
+  try {
+    new RegExp(pattern);
+  } catch {
+    return false;
+  }
+
+  const groups = [{ ambiguous: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return false;
+      }
+      i++;
+    } else if (char === '[') {
+      // Character classes hold no groups or repetitions
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      groups.push({ ambiguous: false });
+      // (?:, (?= and (?<name> are group syntax, not a quantifier
+      if (pattern[i + 1] === '?') {
+        i++;
+      }
+    } else if (char === ')') {
+      const group = groups.pop();
+      if (group.ambiguous && REPEAT.has(pattern[i + 1])) {
+        return false;
+      }
+      groups[groups.length - 1].ambiguous ||= group.ambiguous;
+    } else if (char === '|' || QUANTIFIERS.has(char)) {
+      groups[groups.length - 1].ambiguous = true;
+    }
+  }
+  return true;
+}
+
+/**
+ * Tests a value against a publisher-supplied pattern, giving up after
+ * PATTERN_TIMEOUT_MS so a slow pattern cannot stall the event loop. Returns
+ * true, false, or null when the match timed out.
+ */
+function matchesPattern(pattern, value) {
+  patternContext.pattern = pattern;
+  patternContext.value = value;
+  try {
+    return patternMatch.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function undeclared(name) {
+  return { name, required: true, secret: true };
+}
+
+function normalize(variable) {
+  return {
+    ...variable,
+    required: variable.required ?? variable.default === undefined,
+    secret: variable.secret ?? false
+  };
+}
+
+/**
+ * Declarations of every variable a server uses, keyed by name. Pass a
+ * connection's configuration to only get the variables it refers to.
+ */
+export function getVariables(server, configuration = null) {
+  const declared = new Map((server.variables || []).map(variable => [variable.name, normalize(variable)]));
+
+  if (configuration) {
+    return new Map(findPlaceholders(configuration).map(name => [name, declared.get(name) || undeclared(name)]));
+  }
+
+  const names = [
+    ...findPlaceholders(server.configuration || {}),
+    ...(server.remotes || []).flatMap(findPlaceholders),
+    ...(server.deployment?.requirements?.environment || [])
+  ];
+  names.filter(name => !declared.has(name)).forEach(name => declared.set(name, undeclared(name)));
+  return declared;
+}
+
+/**
+ * Checks supplied `values` against the declarations and fills in defaults.
+ * Returns `{ values, errors }`; each error names the variable and the problem.
+ * Values for undeclared names are ignored.
+ */
+export function checkVariableValues(variables, values = {}) {
+  const resolved = {};
+  const errors = [];
+
+  variables.forEach(variable => {
+    const { name } = variable;
+    const value = Object.hasOwn(values, name) ? values[name] : variable.default;
+
+    if (value === undefined || value === null || value === '') {
+      if (variable.required) {
+        errors.push({ name, message: `${name} is required` });
+      }
+      return;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push({ name, message: `${name} must be a string, number or boolean` });
+      return;
+    }
+
+    const text = String(value);
+    if (text.length > MAX_VALUE_LENGTH) {
+      errors.push({ name, message: `${name} must be at most ${MAX_VALUE_LENGTH} characters` });
+      return;
+    }
+    if (FORMAT_PATTERNS[variable.format] && !FORMAT_PATTERNS[variable.format].test(text)) {
+      errors.push({ name, message: `${name} must be a ${variable.format}` });
+      return;
+    }
+    // Entries stored before patterns were vetted may still carry an unsafe one
+    if (variable.pattern) {
+      const matched = isSafePattern(variable.pattern) ? matchesPattern(variable.pattern, text) : false;
+      if (matched === null) {
+        errors.push({ name, message: `${name} took too long to check against the expected format` });
+        return;
+      }
+      if (!matched) {
+        errors.push({ name, message: `${name} does not match the expected format` });
+        return;
+      }
+    }
+    resolved[name] = text;
+  });
+
+  return { values: resolved, errors };
+}
+
+/**
+ * Declarations as returned by the API: secrets never expose a default
+ */
+export function describeVariables(variables) {
+  return [...variables.values()].map(({ default: defaultValue, ...variable }) => ({
+    ...variable,
+    ...(defaultValue !== undefined && !variable.secret && { default: defaultValue })
+  }));
+}
@@ -0,0 +1,72 @@
+import semver from 'semver';
+import { stripManagedFields, pickManagedFields } from './entries.js';
+
+/**
+ * Version history for server entries
+ * A stored entry holds its current definition at the top level plus a
+ * `versions` array of snapshots, one per published version. Entries without
+ * history (such as the seed data) are treated as having a single version.
+ */
+
+export function getVersionHistory(server) {
+  return server.versions || [{ ...stripManagedFields(server), publishedAt: null }];
+}
+
+/**
+ * Returns the entry to store after publishing `definition` on top of `existing`.
+ * Publishing a new version appends a snapshot; re-publishing the current
+ * version updates its snapshot in place. Other registry-managed fields of
+ * `existing` are carried over.
+ */
+export function publishVersion(existing, definition, publishedAt = new Date().toISOString()) {
+  const snapshot = { ...definition, publishedAt };
+
+  if (!existing) {
+    return { ...definition, versions: [snapshot] };
+  }
+
+  const history = getVersionHistory(existing);
+  const index = history.findIndex(entry => entry.version === definition.version);
+  const versions = index === -1
+    ? [...history, snapshot]
+    : history.map((entry, i) => i === index ? { ...snapshot, publishedAt: entry.publishedAt || publishedAt } : entry);
+
+  return { ...definition, ...pickManagedFields(existing), versions };
+}
+
+/**
+ * Whether an existing version other than the current one would be overwritten
+ */
+export function isHistoricalVersion(existing, version) {
+  return version !== existing.version &&
+    getVersionHistory(existing).some(entry => entry.version === version);
+}
+
+export function isValidVersionQuery(query) {
+  return Boolean(semver.valid(query) || semver.validRange(query));
+}
+
+/**
+ * Resolves an exact version or a semver range (e.g. ^1.2) to the best matching
+ * snapshot, or null when nothing matches
+ */
+export function resolveVersion(server, query) {
+  const history = getVersionHistory(server);
+
+  if (semver.valid(query)) {
+    return history.find(entry => semver.eq(entry.version, query)) || null;
+  }
+
+  const best = semver.maxSatisfying(history.map(entry => entry.version), query);
+  return best ? history.find(entry => entry.version === best) : null;
+}
+
+export function listVersions(server) {
+  return getVersionHistory(server)
+    .map(({ version, publishedAt }) => ({
+      version,
+      publishedAt,
+      isCurrent: version === server.version
+    }))
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+}
@@ -0,0 +1,183 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { store } from '../storage/index.js';
+import { stripManagedFields } from '../lib/entries.js';
+import { filterServers } from '../lib/filters.js';
+import { RISK_LEVELS } from '../lib/security.js';
+import { searchTools } from '../lib/search.js';
+import { isValidVersionQuery, resolveVersion, listVersions } from '../lib/versions.js';
+import { CLIENTS, TRANSPORTS, buildClientConfig, getTransports, selectConnection } from '../lib/clientConfig.js';
+import { normalizeTools } from '../lib/tools.js';
+import { getLifecycle, getState, isVisible } from '../lib/lifecycle.js';
+import { ANONYMOUS, canView } from '../auth/principal.js';
+import { auditLog } from '../audit/log.js';
+
+/**
+ * The registry as an MCP server
+ * Exposes catalog discovery as MCP tools so agents can find and install
+ * other MCP servers from a chat session. Backed by the same storage and
+ * helpers as the REST routes. Only approved servers the caller may see
+ * are discoverable.
+ */
+
+async function listVisible(principal) {
+  return (await store.list())
+    .filter(server => isVisible(server) && canView(principal, server))
+    .map(stripManagedFields);
+}
+
+function jsonResult(data) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+    structuredContent: data
+  };
+}
+
+function errorResult(message) {
+  return {
+    content: [{ type: 'text', text: message }],
+    isError: true
+  };
+}
+
+function summarize(server) {
+  return {
+    id: server.id,
+    name: server.name,
+    description: server.description,
+    version: server.version,
+    transports: getTransports(server),
+    tags: server.tags
+  };
+}
+
+/**
+ * Loads a server, resolving an optional version or semver range.
+ * Returns { server } or { error } with a message for the agent.
+ */
+async function findServer(principal, id, version) {
+  const record = await store.get(id);
+
+  if (!record || !canView(principal, record)) {
+    return { error: `MCP server ${id} not found` };
+  }
+
+  if (getState(record) === 'revoked') {
+    return { error: `MCP server ${id} has been revoked: ${getLifecycle(record).reason}` };
+  }
+
+  if (!version) {
+    return { server: stripManagedFields(record) };
+  }
+
+  if (!isValidVersionQuery(version)) {
+    return { error: `Invalid version or semver range: ${version}` };
+  }
+
+  const resolved = resolveVersion(record, version);
+  return resolved
+    ? { server: resolved }
+    : { error: `No published version of ${id} matches ${version}` };
+}
+
+export function createRegistryMcpServer({ principal = ANONYMOUS } = {}) {
+  const server = new McpServer({
+    name: 'dynamic-mcp-registry',
+    version: process.env.npm_package_version || '1.0.0'
+  }, {
+    instructions: 'Use search_servers to discover MCP servers in this registry, get_server for details and get_server_config for a ready-to-use client configuration.'
+  });
+
+  server.registerTool('search_servers', {
+    title: 'Search MCP servers',
+    description: 'Search the registry for MCP servers by free text, tags, capability or maximum risk level. Returns the best matches first.',
+    inputSchema: {
+      query: z.string().optional().describe('Free-text query, e.g. "create a pull request"'),
+      tags: z.string().optional().describe('Comma-separated tags'),
+      capability: z.string().optional().describe('Capability name or fragment'),
+      transport: z.enum(TRANSPORTS).optional().describe('Only servers reachable over this transport'),
+      maxRisk: z.enum(RISK_LEVELS).optional().describe('Only servers assessed at this risk level or lower'),
+      readOnly: z.boolean().optional().describe('true for servers whose tools are all read-only'),
+      limit: z.number().int().min(1).max(100).optional().describe('Maximum number of results (default 10)')
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false }
+  }, async ({ query, tags, capability, transport, maxRisk, readOnly, limit = 10 }) => {
+    const servers = filterServers(await listVisible(principal), { q: query, tags, capability, transport, maxRisk, readOnly });
+    return jsonResult({
+      servers: servers.slice(0, limit).map(summarize),
+      total: servers.length
+    });
+  });
+
+  server.registerTool('get_server', {
+    title: 'Get an MCP server',
+    description: 'Get the full registry entry of an MCP server, optionally at a specific version or semver range.',
+    inputSchema: {
+      id: z.string().describe('Server id, e.g. github-mcp-server'),
+      version: z.string().optional().describe('Exact version or semver range, e.g. ^1.2')
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false }
+  }, async ({ id, version }) => {
+    const { server: entry, error } = await findServer(principal, id, version);
+    if (error) {
+      return errorResult(error);
+    }
+    return jsonResult({
+      server: { ...entry, tools: normalizeTools(entry.tools) },
+      versions: listVersions(await store.get(id))
+    });
+  });
+
+  server.registerTool('get_server_config', {
+    title: 'Get an MCP server configuration',
+    description: 'Get the configuration needed to run an MCP server, optionally as a ready-to-paste file for a specific client.',
+    inputSchema: {
+      id: z.string().describe('Server id, e.g. github-mcp-server'),
+      client: z.enum(Object.keys(CLIENTS)).optional().describe('Client to build the configuration file for'),
+      transport: z.enum(TRANSPORTS).optional().describe('Connect over stdio, http or sse; defaults to stdio when available'),
+      version: z.string().optional().describe('Exact version or semver range, e.g. ^1.2')
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false }
+  }, async ({ id, client, transport, version }) => {
+    const { server: entry, error } = await findServer(principal, id, version);
+    if (error) {
+      return errorResult(error);
+    }
+    const connection = selectConnection(entry, transport);
+    if (!connection) {
+      return errorResult(`${id} cannot be reached over ${transport}. Available: ${getTransports(entry).join(', ')}`);
+    }
+    await auditLog.record({
+      action: 'config.read',
+      serverId: id,
+      details: { version: entry.version, client: client || null, transport: connection.transport, via: 'mcp' }
+    });
+    return jsonResult(client
+      ? { client, fileName: CLIENTS[client].fileName, transport: connection.transport, configuration: buildClientConfig(client, [entry], connection.transport) }
+      : { transport: connection.transport, configuration: connection.configuration });
+  });
+
+  server.registerTool('search_tools', {
+    title: 'Search tools across MCP servers',
+    description: 'Find tools by what they do across every server in the registry, with the server that provides each tool.',
+    inputSchema: {
+      query: z.string().describe('What the tool should do, e.g. "take a screenshot"'),
+      limit: z.number().int().min(1).max(100).optional().describe('Maximum number of results (default 10)')
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false }
+  }, async ({ query, limit = 10 }) => {
+    const results = searchTools(await listVisible(principal), query);
+    return jsonResult({
+      results: results.slice(0, limit).map(({ server: provider, tool, score }) => ({
+        server: { id: provider.id, name: provider.name, version: provider.version },
+        tool: { name: tool.name, description: tool.description },
+        score
+      })),
+      total: results.length
+    });
+  });
+
+  return server;
+}
+
+export default createRegistryMcpServer;
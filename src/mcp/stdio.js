@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createRegistryMcpServer } from './server.js';
+
+// Serve the registry over MCP stdio. stdout carries protocol messages, so log to stderr only.
+const server = createRegistryMcpServer();
+
+try {
+  await server.connect(new StdioServerTransport());
+  console.error('Dynamic MCP Registry MCP server running on stdio');
+} catch (error) {
+  console.error('Failed to start MCP stdio server:', error);
+  process.exit(1);
+}
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { ANONYMOUS } from '../auth/principal.js';
+import { runInAuditContext } from '../audit/context.js';
+import { auditLog } from '../audit/log.js';
+
+/**
+ * Audit recorder
+ * Runs every request in an audit context naming the caller, so catalog
+ * changes and sensitive reads are attributed wherever they happen. Mutating
+ * requests that recorded nothing themselves (rejected writes, for example)
+ * are logged as a `request` event with their status.
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// JSON-RPC over POST; its config reads are recorded by the tools themselves
+const READ_ONLY_PATHS = ['/mcp'];
+
+export function recordAudit(req, res, next) {
+  const { subject, role, org } = req.principal || ANONYMOUS;
+  const context = {
+    actor: { subject, role, org },
+    request: {
+      id: crypto.randomUUID(),
+      method: req.method,
+      path: req.path,
+      ip: req.ip
+    },
+    recorded: 0
+  };
+
+  if (MUTATING_METHODS.includes(req.method) && !READ_ONLY_PATHS.includes(req.path)) {
+    res.on('finish', () => {
+      if (context.recorded > 0) {
+        return;
+      }
+      runInAuditContext(context, () => auditLog.record({ action: 'request', details: { status: res.statusCode } }))
+        .catch(error => console.error('Failed to write audit event:', error.message));
+    });
+  }
+
+  runInAuditContext(context, next);
+}
+
+export default recordAudit;
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { ANONYMOUS, ROLES, hasRole } from '../auth/principal.js';
+import { TokenError, looksLikeJwt, verifyJwt } from '../auth/jwt.js';
+import { KEY_PREFIX, keyStore } from '../auth/keys.js';
+import { DEV_SIGNING_KEY } from '../auth/devKey.js';
+
+/**
+ * Bearer authentication and role checks
+ * `authenticate` runs ahead of every router and resolves the caller to a
+ * principal (see src/auth/principal.js) from one of:
+ *   - a JWT signed with REGISTRY_JWT_SECRET (HS256) or REGISTRY_JWT_PUBLIC_KEY
+ *     (RS256), carrying role/roles, org and teams claims
+ *   - an API key issued through /api/v0/admin/keys
+ *   - a static token from REGISTRY_API_TOKENS (comma-separated), which acts as admin
+ * Requests without credentials run as anonymous. `requireRole` then guards
+ * individual routes.
+ */
+
+function getConfiguredTokens() {
+  return (process.env.REGISTRY_API_TOKENS || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean);
+}
+
+function tokensMatch(provided, expected) {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+export function isDevAuthEnabled() {
+  return process.env.REGISTRY_DEV_AUTH === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// REGISTRY_JWT_PUBLIC_KEY holds a PEM key or the path to one
+function readPublicKey(value) {
+  if (!value) {
+    return null;
+  }
+  return value.trim().startsWith('-----BEGIN') ? value : fs.readFileSync(value, 'utf8');
+}
+
+let publicKeyCache = { value: undefined, key: null };
+
+function getJwtOptions() {
+  const value = process.env.REGISTRY_JWT_PUBLIC_KEY;
+  if (publicKeyCache.value !== value) {
+    publicKeyCache = { value, key: readPublicKey(value) };
+  }
+  return {
+    secret: process.env.REGISTRY_JWT_SECRET || (isDevAuthEnabled() ? DEV_SIGNING_KEY : null),
+    publicKey: publicKeyCache.key,
+    issuer: process.env.REGISTRY_JWT_ISSUER,
+    audience: process.env.REGISTRY_JWT_AUDIENCE
+  };
+}
+
+async function isAuthConfigured() {
+  const { secret, publicKey } = getJwtOptions();
+  return getConfiguredTokens().length > 0 || Boolean(secret || publicKey) || await keyStore.hasKeys();
+}
+
+// The highest registry role among a token's role/roles claims
+function roleFromClaims(claims) {
+  const claimed = [].concat(claims.roles ?? claims.role ?? 'reader');
+  return [...ROLES].reverse().find(role => claimed.includes(role)) || null;
+}
+
+function teamsFromClaims(claims) {
+  return [].concat(claims.teams ?? []).filter(team => typeof team === 'string');
+}
+
+/**
+ * Resolves a bearer token to a principal, or null when it is not accepted
+ */
+async function resolvePrincipal(token) {
+  if (looksLikeJwt(token)) {
+    const options = getJwtOptions();
+    if (!options.secret && !options.publicKey) {
+      return null;
+    }
+    const claims = verifyJwt(token, options);
+    const role = roleFromClaims(claims);
+    return role && {
+      subject: claims.sub ?? null,
+      role,
+      org: typeof claims.org === 'string' ? claims.org : null,
+      teams: teamsFromClaims(claims)
+    };
+  }
+
+  if (token.startsWith(KEY_PREFIX)) {
+    const key = await keyStore.authenticate(token);
+    return key && { subject: `key:${key.id}`, role: key.role, org: key.org, teams: key.teams };
+  }
+
+  if (getConfiguredTokens().some(expected => tokensMatch(token, expected))) {
+    return { subject: 'token', role: 'admin', org: null, teams: [] };
+  }
+
+  return null;
+}
+
+function sendUnauthorized(res, message = 'A valid bearer token is required') {
+  return res.status(401)
+    .set('WWW-Authenticate', 'Bearer realm="mcp-registry"')
+    .json({
+      success: false,
+      error: {
+        message,
+        code: 'UNAUTHORIZED'
+      }
+    });
+}
+
+export async function authenticate(req, res, next) {
+  req.principal = ANONYMOUS;
+  const header = req.get('Authorization');
+
+  // Credentials are ignored until some are configured; requireRole explains why
+  if (!header || !await isAuthConfigured()) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendUnauthorized(res);
+  }
+
+  try {
+    const principal = await resolvePrincipal(token);
+
+    if (!principal) {
+      return sendUnauthorized(res);
+    }
+
+    req.principal = Object.freeze(principal);
+    next();
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return sendUnauthorized(res, error.message);
+    }
+    next(error);
+  }
+}
+
+/**
+ * Route guard: anonymous callers get 401 and callers below `role` get 403
+ */
+export function requireRole(role) {
+  return async (req, res, next) => {
+    const principal = req.principal || ANONYMOUS;
+
+    if (hasRole(principal, role)) {
+      return next();
+    }
+
+    if (principal === ANONYMOUS && !await isAuthConfigured()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Write access is disabled. Configure REGISTRY_API_TOKENS, a JWT key or API keys to enable it.',
+          code: 'WRITE_ACCESS_DISABLED'
+        }
+      });
+    }
+
+    if (principal === ANONYMOUS) {
+      return sendUnauthorized(res);
+    }
+
+    res.status(403).json({
+      success: false,
+      error: {
+        message: `This operation requires the ${role} role`,
+        code: 'FORBIDDEN'
+      }
+    });
+  };
+}
+
+export default authenticate;
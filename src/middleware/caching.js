@@ -0,0 +1,40 @@
+import { ANONYMOUS } from '../auth/principal.js';
+import { getUpdatedAt } from '../lib/entries.js';
+
+/**
+ * HTTP caching for catalog reads
+ * Express computes a strong ETag from every response body (the app sets
+ * `etag` to strong) and answers 304 Not Modified when If-None-Match or
+ * If-Modified-Since show the client is up to date. Routes add Last-Modified
+ * from entry timestamps; `cacheControl` adds the Cache-Control policy from
+ * REGISTRY_CACHE_CONTROL (default: cache, but revalidate every time).
+ * Responses depend on the caller's visibility, so they vary on Authorization
+ * and are private to shared caches when the caller is authenticated.
+ */
+
+const DEFAULT_CACHE_CONTROL = 'public, no-cache';
+
+export function cacheControl(req, res, next) {
+  const policy = process.env.REGISTRY_CACHE_CONTROL || DEFAULT_CACHE_CONTROL;
+  const authenticated = (req.principal || ANONYMOUS) !== ANONYMOUS;
+
+  res.set('Cache-Control', authenticated ? policy.replace(/\bpublic\b/, 'private') : policy);
+  res.vary('Authorization');
+  next();
+}
+
+/**
+ * Sets Last-Modified to the latest update among the given entries and extra
+ * ISO timestamps (such as the latest change that removed an entry)
+ */
+export function setLastModified(res, servers, ...timestamps) {
+  const times = [...servers.map(getUpdatedAt), ...timestamps]
+    .filter(Boolean)
+    .map(timestamp => Date.parse(timestamp));
+
+  if (times.length > 0) {
+    res.set('Last-Modified', new Date(Math.max(...times)).toUTCString());
+  }
+}
+
+export default cacheControl;
@@ -0,0 +1,49 @@
+/**
+ * HTTP helpers shared by the package registry resolvers
+ */
+
+const FETCH_TIMEOUT_MS = 10000;
+
+export class PackageRegistryError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'PackageRegistryError';
+    this.status = status;
+  }
+}
+
+/**
+ * GETs a URL and returns the response, throwing PackageRegistryError on
+ * network errors and timeouts
+ */
+export async function request(url, { fetch: fetchImpl = fetch, headers = {} } = {}) {
+  try {
+    return await fetchImpl(url, {
+      headers: { 'User-Agent': 'dynamic-mcp-registry', ...headers },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new PackageRegistryError(`${url} could not be reached: ${error.message}`);
+  }
+}
+
+/**
+ * GETs a JSON document. Resolves with null when the registry answers 404,
+ * and throws PackageRegistryError for any other failure.
+ */
+export async function fetchJson(url, options = {}) {
+  const response = await request(url, { ...options, headers: { Accept: 'application/json', ...options.headers } });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new PackageRegistryError(`${url} responded ${response.status}`, response.status);
+  }
+  return response.json();
+}
+
+// Trailing slashes are dropped so paths can be appended
+export function baseUrl(url) {
+  return String(url).replace(/\/+$/, '');
+}
@@ -0,0 +1,128 @@
+import semver from 'semver';
+import { getPackageReferences } from '../lib/packages.js';
+import { createNpmResolver } from './npm.js';
+import { createPypiResolver } from './pypi.js';
+import { createOciResolver } from './oci.js';
+
+/**
+ * Package metadata enrichment
+ * Entries declare a `version`, but the package they launch is released on
+ * its own schedule. Resolvers look packages up in their registry (npm, PyPI
+ * or an OCI registry) for the latest version, its publish date, weekly
+ * downloads and deprecation status. Results are cached for
+ * REGISTRY_PACKAGE_CACHE_MS, failures for a minute. Registry URLs can be
+ * pointed at mirrors with REGISTRY_NPM_URL, REGISTRY_NPM_DOWNLOADS_URL,
+ * REGISTRY_PYPI_URL, REGISTRY_PYPI_STATS_URL and REGISTRY_OCI_URL; private
+ * OCI registries must be listed in REGISTRY_OCI_HOSTS.
+ *
+ * A resolver is `{ registryType, resolve(identifier) }`; `resolve` returns
+ * { latestVersion, publishedAt, weeklyDownloads, deprecated,
+ * deprecationMessage }, null when the package does not exist, or throws.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.REGISTRY_PACKAGE_CACHE_MS) || 60 * 60 * 1000;
+const ERROR_TTL_MS = 60 * 1000;
+
+/**
+ * The default resolvers, with registry URLs from the environment
+ */
+export function createResolvers({ env = process.env, fetch: fetchImpl = fetch } = {}) {
+  return [
+    createNpmResolver({
+      ...(env.REGISTRY_NPM_URL && { registryUrl: env.REGISTRY_NPM_URL }),
+      ...(env.REGISTRY_NPM_DOWNLOADS_URL && { downloadsUrl: env.REGISTRY_NPM_DOWNLOADS_URL }),
+      fetch: fetchImpl
+    }),
+    createPypiResolver({
+      ...(env.REGISTRY_PYPI_URL && { registryUrl: env.REGISTRY_PYPI_URL }),
+      ...(env.REGISTRY_PYPI_STATS_URL && { statsUrl: env.REGISTRY_PYPI_STATS_URL }),
+      fetch: fetchImpl
+    }),
+    createOciResolver({
+      registryUrl: env.REGISTRY_OCI_URL || null,
+      allowedHosts: (env.REGISTRY_OCI_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+      fetch: fetchImpl
+    })
+  ];
+}
+
+/**
+ * Whether an entry's declared version is older than the latest release of
+ * its package. Versions that are not semver (or tags such as v1.2) are
+ * compared after coercion; anything that cannot be compared is not lagging.
+ */
+export function isLagging(declaredVersion, latestVersion) {
+  const declared = semver.valid(declaredVersion) || semver.coerce(declaredVersion)?.version;
+  const latest = semver.valid(latestVersion) || semver.coerce(latestVersion)?.version;
+  return Boolean(declared && latest && semver.lt(declared, latest));
+}
+
+export class PackageMetadata {
+  constructor({ resolvers = createResolvers(), ttlMs = CACHE_TTL_MS, errorTtlMs = ERROR_TTL_MS, now = Date.now } = {}) {
+    this.resolvers = new Map(resolvers.map(resolver => [resolver.registryType, resolver]));
+    this.ttlMs = ttlMs;
+    this.errorTtlMs = errorTtlMs;
+    this.now = now;
+    this.cache = new Map();
+  }
+
+  /**
+   * Metadata of one package: { status, checkedAt, ...metadata }. `status` is
+   * ok, not-found, unsupported (no resolver for the registry) or error (with
+   * `error`). Concurrent lookups of a package share one request.
+   */
+  lookup(registryType, identifier) {
+    const resolver = this.resolvers.get(registryType);
+    if (!resolver) {
+      return Promise.resolve({ status: 'unsupported', checkedAt: null });
+    }
+
+    const key = `${registryType}:${identifier}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > this.now()) {
+      return cached.result;
+    }
+
+    const checkedAt = new Date(this.now()).toISOString();
+    const result = resolver.resolve(identifier).then(
+      metadata => metadata ? { status: 'ok', checkedAt, ...metadata } : { status: 'not-found', checkedAt },
+      error => ({ status: 'error', checkedAt, error: error.message })
+    );
+    this.cache.set(key, { result, expiresAt: Infinity });
+    result.then(({ status }) => {
+      this.cache.set(key, { result, expiresAt: this.now() + (status === 'error' ? this.errorTtlMs : this.ttlMs) });
+    });
+    return result;
+  }
+
+  /**
+   * Package metadata of an entry: every package it is distributed as, and
+   * whether its declared version lags the latest release of the package
+   * that launches it (the first one)
+   */
+  async describeServer(server) {
+    const references = getPackageReferences(server);
+    const packages = await Promise.all(references.map(async reference => ({
+      ...reference,
+      ...await this.lookup(reference.registryType, reference.identifier)
+    })));
+    const launcher = packages[0];
+    const latestVersion = launcher?.status === 'ok' ? launcher.latestVersion : null;
+
+    return {
+      id: server.id,
+      version: server.version,
+      latestVersion,
+      lagging: isLagging(server.version, latestVersion),
+      packages
+    };
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+export const packageMetadata = new PackageMetadata();
+
+export default packageMetadata;
@@ -0,0 +1,45 @@
+import { RUNTIMES } from '../lib/packages.js';
+import { baseUrl, fetchJson } from './http.js';
+
+/**
+ * npm resolver
+ * Reads the packument from the registry (dist-tags, publish times and
+ * deprecation notices) and last week's downloads from the downloads API.
+ */
+
+export const NPM_DOWNLOADS_URL = 'https://api.npmjs.org';
+
+export function createNpmResolver({
+  registryUrl = RUNTIMES.npx.registryBaseUrl,
+  downloadsUrl = NPM_DOWNLOADS_URL,
+  fetch: fetchImpl = fetch
+} = {}) {
+  const registry = baseUrl(registryUrl);
+  const downloads = baseUrl(downloadsUrl);
+
+  return {
+    registryType: 'npm',
+
+    async resolve(identifier) {
+      // Scoped names keep their @ but escape the slash
+      const packument = await fetchJson(`${registry}/${identifier.replace('/', '%2F')}`, { fetch: fetchImpl });
+      if (!packument) {
+        return null;
+      }
+
+      const latestVersion = packument['dist-tags']?.latest || null;
+      const deprecated = packument.versions?.[latestVersion]?.deprecated;
+      // Download counts are optional; the packument alone is enough
+      const counts = await fetchJson(`${downloads}/downloads/point/last-week/${identifier}`, { fetch: fetchImpl })
+        .catch(() => null);
+
+      return {
+        latestVersion,
+        publishedAt: packument.time?.[latestVersion] || null,
+        weeklyDownloads: counts?.downloads ?? null,
+        deprecated: Boolean(deprecated),
+        deprecationMessage: deprecated || null
+      };
+    }
+  };
+}
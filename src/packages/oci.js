@@ -0,0 +1,162 @@
+import semver from 'semver';
+import { PackageRegistryError, baseUrl, request } from './http.js';
+
+/**
+ * OCI image resolver
+ * Speaks the OCI distribution API: lists an image's tags, takes the highest
+ * semver tag as the latest version and reads its creation time from the
+ * image config. Anonymous bearer tokens are requested when the registry
+ * challenges for them (Docker Hub, GHCR). Images without a registry host are
+ * looked up on Docker Hub. Registries report neither downloads nor
+ * deprecation, so those are null.
+ *
+ * Image names come from publishers, so only well-known public registries
+ * (plus hosts added with REGISTRY_OCI_HOSTS) are contacted, and token realms
+ * are only followed to the hosts that registry is known to use.
+ */
+
+const DOCKER_HUB = 'registry-1.docker.io';
+
+// Public registries and the hosts that issue their pull tokens
+export const KNOWN_REGISTRIES = {
+  [DOCKER_HUB]: ['auth.docker.io'],
+  'ghcr.io': ['ghcr.io'],
+  'mcr.microsoft.com': [],
+  'quay.io': ['quay.io'],
+  'public.ecr.aws': ['public.ecr.aws'],
+  'registry.gitlab.com': ['gitlab.com']
+};
+
+const MANIFEST_TYPES = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.oci.image.manifest.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.docker.distribution.manifest.v2+json'
+].join(', ');
+
+/**
+ * Splits an image name into its registry host and repository, e.g.
+ * mcr.microsoft.com/playwright/mcp or node (Docker Hub's library/node)
+ */
+export function parseImageName(image) {
+  const [first, ...rest] = image.split('/');
+  if (rest.length > 0 && (first.includes('.') || first.includes(':') || first === 'localhost')) {
+    return { host: first === 'docker.io' ? DOCKER_HUB : first, repository: rest.join('/') };
+  }
+  return { host: DOCKER_HUB, repository: rest.length > 0 ? image : `library/${image}` };
+}
+
+// Parses `Bearer realm="...",service="...",scope="..."`
+function parseChallenge(header) {
+  if (!/^Bearer\s/i.test(header || '')) {
+    return null;
+  }
+  return Object.fromEntries([...header.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+// Release tags such as 1.2.3, v1.2 or 18; variants like 18-alpine are skipped
+const VERSION_TAG = /^v?\d+(\.\d+){0,2}$/;
+
+function latestTag(tags) {
+  return tags
+    .filter(tag => VERSION_TAG.test(tag))
+    .sort((a, b) => semver.rcompare(semver.coerce(a), semver.coerce(b)))[0] || null;
+}
+
+/**
+ * `registryUrl` sends every image to one registry (a mirror, or a stub in
+ * tests) instead of the host named in the image. `allowedHosts` adds
+ * registries beyond KNOWN_REGISTRIES; their tokens must come from the
+ * registry itself, as must a mirror's.
+ */
+export function createOciResolver({ registryUrl = null, allowedHosts = [], fetch: fetchImpl = fetch } = {}) {
+  const realmHosts = registry => {
+    if (registryUrl) {
+      return [new URL(registryUrl).host];
+    }
+    return Object.hasOwn(KNOWN_REGISTRIES, registry) ? KNOWN_REGISTRIES[registry]
+      : allowedHosts.includes(registry) ? [registry] : null;
+  };
+
+  return {
+    registryType: 'oci',
+
+    async resolve(identifier) {
+      const { host, repository } = parseImageName(identifier);
+      const tokenHosts = realmHosts(host);
+      if (!tokenHosts) {
+        throw new PackageRegistryError(`${host} is not an allowed OCI registry; add it to REGISTRY_OCI_HOSTS`);
+      }
+      const registry = baseUrl(registryUrl || `https://${host}`);
+      let token = null;
+
+      const get = async (path, accept = 'application/json') => {
+        const url = `${registry}/v2/${repository}/${path}`;
+        const headers = { Accept: accept, ...(token && { Authorization: `Bearer ${token}` }) };
+        let response = await request(url, { fetch: fetchImpl, headers });
+
+        const challenge = response.status === 401 && !token && parseChallenge(response.headers.get('www-authenticate'));
+        if (challenge?.realm) {
+          const realm = parseUrl(challenge.realm);
+          if (!realm || !tokenHosts.includes(realm.host)) {
+            throw new PackageRegistryError(`${host} asked for a pull token from ${challenge.realm}, which is not one of its token hosts`);
+          }
+          const params = new URLSearchParams({
+            ...(challenge.service && { service: challenge.service }),
+            scope: challenge.scope || `repository:${repository}:pull`
+          });
+          const grant = await request(`${challenge.realm}?${params}`, { fetch: fetchImpl });
+          if (!grant.ok) {
+            throw new PackageRegistryError(`${challenge.realm} refused a pull token for ${identifier}`, grant.status);
+          }
+          const body = await grant.json();
+          token = body.token || body.access_token;
+          response = await request(url, { fetch: fetchImpl, headers: { ...headers, Authorization: `Bearer ${token}` } });
+        }
+
+        // Registries answer 401 or 403 for images that do not exist
+        if ([401, 403, 404].includes(response.status)) {
+          return null;
+        }
+        if (!response.ok) {
+          throw new PackageRegistryError(`${url} responded ${response.status}`, response.status);
+        }
+        return response.json();
+      };
+
+      const tags = await get('tags/list?n=1000');
+      if (!tags) {
+        return null;
+      }
+
+      const latestVersion = latestTag(tags.tags || []);
+      let publishedAt = null;
+      if (latestVersion) {
+        let manifest = await get(`manifests/${latestVersion}`, MANIFEST_TYPES);
+        // Multi-platform images list one manifest per platform; they share a build time
+        if (manifest?.manifests?.length > 0) {
+          manifest = await get(`manifests/${manifest.manifests[0].digest}`, MANIFEST_TYPES);
+        }
+        if (manifest?.config?.digest) {
+          publishedAt = (await get(`blobs/${manifest.config.digest}`))?.created || null;
+        }
+      }
+
+      return {
+        latestVersion,
+        publishedAt,
+        weeklyDownloads: null,
+        deprecated: null,
+        deprecationMessage: null
+      };
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import { RUNTIMES } from '../lib/packages.js';
+import { baseUrl, fetchJson } from './http.js';
+
+/**
+ * PyPI resolver
+ * Reads the project's JSON API document for its latest release and upload
+ * time, and last week's downloads from pypistats.org. A project is reported
+ * as deprecated when its latest release is yanked or it is classified as
+ * inactive.
+ */
+
+export const PYPI_STATS_URL = 'https://pypistats.org';
+
+const INACTIVE_CLASSIFIER = 'Development Status :: 7 - Inactive';
+
+// PEP 503 normalized project name
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+export function createPypiResolver({
+  registryUrl = RUNTIMES.uvx.registryBaseUrl,
+  statsUrl = PYPI_STATS_URL,
+  fetch: fetchImpl = fetch
+} = {}) {
+  const registry = baseUrl(registryUrl);
+  const stats = baseUrl(statsUrl);
+
+  return {
+    registryType: 'pypi',
+
+    async resolve(identifier) {
+      const name = normalizeName(identifier);
+      const project = await fetchJson(`${registry}/pypi/${name}/json`, { fetch: fetchImpl });
+      if (!project) {
+        return null;
+      }
+
+      const latestVersion = project.info?.version || null;
+      const files = project.releases?.[latestVersion] || project.urls || [];
+      const uploads = files.map(file => file.upload_time_iso_8601).filter(Boolean).sort();
+      const yanked = files.length > 0 && files.every(file => file.yanked);
+      const inactive = (project.info?.classifiers || []).includes(INACTIVE_CLASSIFIER);
+      const recent = await fetchJson(`${stats}/api/packages/${name}/recent`, { fetch: fetchImpl }).catch(() => null);
+
+      return {
+        latestVersion,
+        publishedAt: uploads[0] || null,
+        weeklyDownloads: recent?.data?.last_week ?? null,
+        deprecated: yanked || inactive,
+        deprecationMessage: yanked
+          ? `${latestVersion} was yanked${files[0].yanked_reason ? `: ${files[0].yanked_reason}` : ''}`
+          : inactive ? 'Classified as inactive' : null
+      };
+    }
+  };
+}
@@ -0,0 +1,222 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { keyStore, KeyError } from '../auth/keys.js';
+import { auditLog } from '../audit/log.js';
+import { store } from '../storage/index.js';
+import { mcpServers } from '../data/mcpServers.js';
+import { reloadCatalog } from '../lib/catalog.js';
+import { packageMetadata } from '../packages/index.js';
+
+const router = express.Router();
+
+// Every admin route requires the admin role
+router.use(requireRole('admin'));
+
+function sendInternalError(res, error) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Internal server error',
+      details: error.message
+    }
+  });
+}
+
+/**
+ * @api {get} /api/v0/admin/keys List API keys
+ * @apiName ListApiKeys
+ * @apiGroup Admin
+ * @apiDescription List issued API keys. Key values are never returned after creation. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * 
+ * @apiSuccess {Object[]} keys Issued keys
+ * @apiSuccess {String} keys.id Key id, used to revoke the key
+ * @apiSuccess {String} keys.name Description of who or what uses the key
+ * @apiSuccess {String} keys.role reader, publisher or admin
+ * @apiSuccess {String} keys.org Org the key acts for (null for none)
+ * @apiSuccess {String[]} keys.teams Teams within the org
+ * @apiSuccess {String} keys.prefix First characters of the key, to recognize it
+ * @apiSuccess {String} keys.createdAt ISO timestamp of creation
+ * @apiSuccess {String} keys.expiresAt ISO timestamp after which the key is rejected (null for never)
+ */
+router.get('/keys', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        keys: await keyStore.list()
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/admin/keys Issue an API key
+ * @apiName CreateApiKey
+ * @apiGroup Admin
+ * @apiDescription Issue an API key for a role, optionally scoped to an org and its teams. The key
+ * is returned once in the response; only a hash is stored. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiBody {String} name Description of who or what uses the key
+ * @apiBody {String} role reader, publisher or admin
+ * @apiBody {String} [org] Org the key acts for
+ * @apiBody {String[]} [teams] Teams within the org
+ * @apiBody {String} [expiresAt] ISO timestamp after which the key is rejected
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 201 Created
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "key": "mcpr_...",
+ *         "record": { "id": "...", "name": "partner-portal", "role": "reader", "org": "acme", ... }
+ *       }
+ *     }
+ * 
+ * @apiError InvalidKey The name, role, org, teams or expiry is missing or invalid
+ */
+router.post('/keys', async (req, res) => {
+  try {
+    const { key, record } = await keyStore.create(req.body);
+    await auditLog.record({ action: 'key.create', details: { keyId: record.id, name: record.name, role: record.role, org: record.org } });
+    
+    res.status(201)
+      .location(`${req.baseUrl}/keys/${record.id}`)
+      .json({
+        success: true,
+        data: {
+          key,
+          record
+        }
+      });
+  } catch (error) {
+    if (error instanceof KeyError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {delete} /api/v0/admin/keys/:keyId Revoke an API key
+ * @apiName RevokeApiKey
+ * @apiGroup Admin
+ * @apiDescription Revoke an API key; requests using it are rejected from then on. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {String} keyId Id of the key
+ * 
+ * @apiError KeyNotFound No key has the given id
+ */
+router.delete('/keys/:keyId', async (req, res) => {
+  try {
+    const record = await keyStore.revoke(req.params.keyId);
+    
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: `API key ${req.params.keyId} not found`,
+          code: 'KEY_NOT_FOUND'
+        }
+      });
+    }
+    
+    await auditLog.record({ action: 'key.revoke', details: { keyId: record.id, name: record.name } });
+    
+    res.json({
+      success: true,
+      data: {
+        record
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/admin/reload Reload the seed catalog
+ * @apiName ReloadCatalog
+ * @apiGroup Admin
+ * @apiDescription Re-apply the seed catalog (src/data/mcpServers.js): deleted seed servers are
+ * restored and seed servers whose current version was edited are reset to the seed definition.
+ * Seed servers since published at another version, and mirrored entries, are skipped. Every
+ * change is recorded in the audit log. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * 
+ * @apiSuccess {String[]} restored Seed servers that were re-created
+ * @apiSuccess {String[]} reset Seed servers reset to the seed definition
+ * @apiSuccess {String[]} unchanged Seed servers that already matched
+ * @apiSuccess {String[]} skipped Seed servers left alone
+ */
+router.post('/reload', async (req, res) => {
+  try {
+    const result = await reloadCatalog(store, mcpServers);
+    await auditLog.record({ action: 'catalog.reload', details: result });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/admin/packages Check catalog entries against their package registries
+ * @apiName ListPackageMetadata
+ * @apiGroup Admin
+ * @apiDescription Look up the packages of every catalog entry in npm, PyPI or their OCI registry, and
+ * flag entries whose declared version is older than the latest release of the package that launches
+ * them. Registry lookups are cached. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {Boolean} [lagging] true to only list lagging entries
+ * 
+ * @apiSuccess {Object[]} servers Entries with their latestVersion, lagging flag and package metadata
+ * @apiSuccess {String[]} lagging Ids of the entries whose declared version lags
+ * 
+ * @apiError InvalidFilter lagging is not true or false
+ */
+router.get('/packages', async (req, res) => {
+  try {
+    const { lagging } = req.query;
+    
+    if (lagging !== undefined && lagging !== 'true' && lagging !== 'false') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'lagging must be true or false',
+          code: 'INVALID_FILTER'
+        }
+      });
+    }
+    
+    const servers = await Promise.all((await store.list()).map(server => packageMetadata.describeServer(server)));
+    
+    res.json({
+      success: true,
+      data: {
+        servers: lagging === undefined ? servers : servers.filter(server => server.lagging === (lagging === 'true')),
+        lagging: servers.filter(server => server.lagging).map(server => server.id)
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { auditLog } from '../audit/log.js';
+
+const router = express.Router();
+
+// The audit trail is admin-only
+router.use(requireRole('admin'));
+
+function sendInvalidFilter(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      code: 'INVALID_FILTER'
+    }
+  });
+}
+
+/**
+ * Reads the actor, serverId, action, since and until filters. Returns
+ * { filters } or { error } when a time is not an ISO timestamp.
+ */
+function parseFilters(query) {
+  const times = {};
+  for (const name of ['since', 'until']) {
+    if (query[name] === undefined) {
+      times[name] = null;
+      continue;
+    }
+    times[name] = Date.parse(query[name]);
+    if (Number.isNaN(times[name])) {
+      return { error: `${name} must be an ISO timestamp` };
+    }
+  }
+  return {
+    filters: {
+      actor: query.actor,
+      serverId: query.serverId,
+      action: query.action,
+      ...times
+    }
+  };
+}
+
+/**
+ * @api {get} /api/v0/audit Query the audit log
+ * @apiName GetAuditLog
+ * @apiGroup Audit
+ * @apiDescription Read the append-only audit trail of catalog changes, reviews, API key changes,
+ * config fetches and rejected writes, newest first. Catalog changes carry a before/after diff.
+ * Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {String} [actor] Only events by this subject (JWT sub, key:<id> or token)
+ * @apiParam {String} [serverId] Only events about this server
+ * @apiParam {String} [action] Only this action (e.g. server.update) or family (e.g. server)
+ * @apiParam {String} [since] Only events at or after this ISO timestamp
+ * @apiParam {String} [until] Only events at or before this ISO timestamp
+ * @apiParam {Number} [limit] Limit number of results (default: 100, max: 1000)
+ * @apiParam {String} [cursor] Cursor for pagination
+ * 
+ * @apiSuccess {Object[]} events Audit events
+ * @apiSuccess {String} events.id Event id
+ * @apiSuccess {String} events.timestamp ISO timestamp
+ * @apiSuccess {Object} events.actor Who acted: subject, role and org
+ * @apiSuccess {String} events.action What happened, e.g. server.create, server.approve, config.read
+ * @apiSuccess {String} events.serverId Server the event is about (null for none)
+ * @apiSuccess {Object} events.request Request the event happened in: id, method, path and ip
+ * @apiSuccess {Object[]} [events.diff] Changed fields as { path, before, after }
+ * @apiSuccess {Object} [events.details] Action-specific details
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "events": [
+ *           {
+ *             "id": "…",
+ *             "timestamp": "2025-01-02T00:00:00.000Z",
+ *             "actor": { "subject": "pat", "role": "publisher", "org": "acme" },
+ *             "action": "server.update",
+ *             "serverId": "acme-internal",
+ *             "request": { "id": "…", "method": "PATCH", "path": "/api/v0/servers/acme-internal", "ip": "::1" },
+ *             "diff": [{ "path": "/description", "before": "Old", "after": "New" }]
+ *           }
+ *         ],
+ *         "total": 1,
+ *         "limit": 100,
+ *         "cursor": null
+ *       }
+ *     }
+ * 
+ * @apiError InvalidFilter since or until is not an ISO timestamp
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    
+    if (error) {
+      return sendInvalidFilter(res, error);
+    }
+    
+    const events = await auditLog.query(filters);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = req.query.cursor ? parseInt(Buffer.from(req.query.cursor, 'base64').toString()) || 0 : 0;
+    const nextOffset = offset + limit;
+    
+    res.json({
+      success: true,
+      data: {
+        events: events.slice(offset, nextOffset),
+        total: events.length,
+        limit,
+        cursor: nextOffset < events.length ? Buffer.from(nextOffset.toString()).toString('base64') : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @api {get} /api/v0/audit/export Export the audit log
+ * @apiName ExportAuditLog
+ * @apiGroup Audit
+ * @apiDescription Download matching audit events as JSON Lines, oldest first, for archiving or
+ * loading into a SIEM. Takes the same filters as the query endpoint. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * 
+ * @apiError InvalidFilter since or until is not an ISO timestamp
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    
+    if (error) {
+      return sendInvalidFilter(res, error);
+    }
+    
+    const events = (await auditLog.query(filters)).reverse();
+    
+    res.attachment('audit.jsonl')
+      .type('application/x-ndjson')
+      .send(events.map(event => `${JSON.stringify(event)}\n`).join(''));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+export default router;
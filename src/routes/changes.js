@@ -0,0 +1,168 @@
+import express from 'express';
+import { changeFeed, canSeeChange } from '../changes/feed.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+// Sequence number to resume after: a non-negative integer, 0 when absent, null when invalid
+function parseSince(value) {
+  if (value === undefined || value === '') {
+    return 0;
+  }
+  const since = Number(value);
+  return Number.isInteger(since) && since >= 0 ? since : null;
+}
+
+function sendInvalidSince(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'since must be a non-negative sequence number',
+      code: 'INVALID_SINCE'
+    }
+  });
+}
+
+/**
+ * @api {get} /api/v0/changes List catalog changes
+ * @apiName GetChanges
+ * @apiGroup Changes
+ * @apiDescription List catalog changes after a sequence number, oldest first. Sequence numbers
+ * only ever increase, so a client stores the last one it processed and asks for what came after.
+ * Changes to servers the caller cannot see, and to pending servers (except for admins), are left out.
+ * 
+ * @apiParam {Number} [since=0] Return changes with a higher sequence number
+ * @apiParam {Number} [limit] Limit number of results (default: 100, max: 1000)
+ * 
+ * @apiSuccess {Object[]} changes Changes, oldest first
+ * @apiSuccess {Number} changes.seq Sequence number
+ * @apiSuccess {String} changes.type server.created, server.updated, server.approved, server.deprecated, server.revoked or server.deleted
+ * @apiSuccess {String} changes.serverId Server that changed
+ * @apiSuccess {String} changes.version Current version after the change
+ * @apiSuccess {String} [changes.previousVersion] Version before an update that published a new version
+ * @apiSuccess {String} changes.status Lifecycle state after the change
+ * @apiSuccess {String} changes.timestamp ISO timestamp of the change
+ * @apiSuccess {Number} nextSince Value of since for the next request
+ * @apiSuccess {Number} lastSeq Latest sequence number in the feed
+ * @apiSuccess {Boolean} hasMore Whether more changes follow this page
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "changes": [
+ *           { "seq": 42, "type": "server.updated", "serverId": "github-mcp-server", "version": "1.1.0", "previousVersion": "1.0.0", "status": "approved", "visibility": "public", "timestamp": "2025-01-02T00:00:00.000Z" }
+ *         ],
+ *         "nextSince": 42,
+ *         "lastSeq": 42,
+ *         "hasMore": false
+ *       }
+ *     }
+ * 
+ * @apiError InvalidSince since is not a non-negative integer
+ */
+router.get('/', async (req, res) => {
+  try {
+    const since = parseSince(req.query.since);
+    
+    if (since === null) {
+      return sendInvalidSince(res);
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const changes = (await changeFeed.since(since)).filter(change => canSeeChange(req.principal, change));
+    const page = changes.slice(0, limit);
+    
+    res.json({
+      success: true,
+      data: {
+        changes: page,
+        nextSince: page.length > 0 ? page[page.length - 1].seq : since,
+        lastSeq: await changeFeed.getLastSeq(),
+        hasMore: changes.length > limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @api {get} /api/v0/changes/stream Stream catalog changes
+ * @apiName StreamChanges
+ * @apiGroup Changes
+ * @apiDescription Server-Sent Events stream of the change feed. Each event's id is its sequence
+ * number and its event name the change type. Changes after since (or the Last-Event-ID header
+ * sent on reconnect) are replayed first, then new changes follow as they happen.
+ * 
+ * @apiHeader {String} [Last-Event-ID] Sequence number to resume after
+ * @apiParam {Number} [since=0] Sequence number to resume after
+ * 
+ * @apiSuccessExample Event:
+ *     id: 43
+ *     event: server.deprecated
+ *     data: {"seq":43,"type":"server.deprecated","serverId":"old-server",...}
+ * 
+ * @apiError InvalidSince since is not a non-negative integer
+ */
+router.get('/stream', async (req, res) => {
+  const since = parseSince(req.get('Last-Event-ID') ?? req.query.since);
+  
+  if (since === null) {
+    return sendInvalidSince(res);
+  }
+  
+  let lastSeq = since;
+  let backlog = [];
+  
+  const send = change => {
+    if (change.seq <= lastSeq) {
+      return;
+    }
+    lastSeq = change.seq;
+    if (canSeeChange(req.principal, change)) {
+      res.write(`id: ${change.seq}\nevent: ${change.type}\ndata: ${JSON.stringify(change)}\n\n`);
+      res.flush?.();
+    }
+  };
+  
+  // Listen before replaying so changes published meanwhile are not missed
+  const listener = change => backlog ? backlog.push(change) : send(change);
+  changeFeed.on('change', listener);
+  
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    res.flush?.();
+  }, HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    changeFeed.off('change', listener);
+  });
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  try {
+    (await changeFeed.since(since)).forEach(send);
+  } catch (error) {
+    console.error('Failed to replay changes:', error.message);
+  }
+  backlog.forEach(send);
+  backlog = null;
+});
+
+export default router;
@@ -0,0 +1,420 @@
+import express from 'express';
+import { store } from '../storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { canManage, canView, withOwner } from '../auth/principal.js';
+import { auditLog } from '../audit/log.js';
+import { cacheControl, setLastModified } from '../middleware/caching.js';
+import {
+  collectionStore,
+  CollectionError,
+  checkCollectionRequest,
+  resolveMember
+} from '../collections/store.js';
+import { sendBundleConfig } from './config.js';
+
+const router = express.Router();
+
+function sendCollectionNotFound(res, name) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: `Collection ${name} not found`,
+      code: 'COLLECTION_NOT_FOUND'
+    }
+  });
+}
+
+function sendInvalidCollection(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: error.message,
+      code: error.code
+    }
+  });
+}
+
+function sendForbidden(res, message) {
+  return res.status(403).json({
+    success: false,
+    error: {
+      message,
+      code: 'FORBIDDEN'
+    }
+  });
+}
+
+function sendInternalError(res, error) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Internal server error',
+      details: error.message
+    }
+  });
+}
+
+/**
+ * Looks up the members of a collection in the catalog. Servers hidden from
+ * the caller are reported as dangling, as if they had been removed.
+ */
+async function resolveMembers(req, collection) {
+  const records = await Promise.all(collection.members.map(member => store.get(member.id)));
+  return collection.members.map((member, index) => {
+    const record = records[index] && canView(req.principal, records[index]) ? records[index] : null;
+    return { member: resolveMember(member, record), record };
+  });
+}
+
+function describeCollection(collection, resolved) {
+  const members = resolved.map(({ member }) => member);
+  return {
+    ...collection,
+    members,
+    dangling: members.filter(member => member.status === 'dangling').map(member => member.id)
+  };
+}
+
+const MEMBER_PROBLEMS = {
+  dangling: member => `${member.id} is not in the catalog`,
+  unresolved: member => `No published version of ${member.id} matches ${member.version}`,
+  revoked: member => `${member.id} has been revoked`
+};
+
+/**
+ * Checks that every member of a collection request can be installed: the
+ * server exists, its pin matches a published version, it is not revoked and
+ * its tool allowlist only names declared tools. Sends 400 and returns false
+ * otherwise.
+ */
+async function checkMembers(req, res, fields) {
+  const violations = (await resolveMembers(req, fields)).flatMap(({ member }) => [
+    ...(MEMBER_PROBLEMS[member.status] ? [{ id: member.id, message: MEMBER_PROBLEMS[member.status](member) }] : []),
+    ...(member.unknownTools || []).map(tool => ({ id: member.id, message: `${member.id} does not declare the tool ${tool}` }))
+  ]);
+
+  if (violations.length === 0) {
+    return true;
+  }
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Some members cannot be added to the collection',
+      code: 'INVALID_MEMBERS',
+      violations
+    }
+  });
+  return false;
+}
+
+/**
+ * @api {get} /api/v0/collections List collections
+ * @apiName ListCollections
+ * @apiGroup Collections
+ * @apiDescription List curated collections of MCP servers, by name. Each member is looked up in
+ * the catalog: servers removed since they were added, or hidden from the caller, are listed in
+ * `dangling`.
+ *
+ * @apiSuccess {Object[]} collections Collections (name, description, version, members, dangling, createdAt, updatedAt)
+ */
+router.get('/', cacheControl, async (req, res) => {
+  try {
+    const collections = await collectionStore.list();
+    const described = await Promise.all(collections.map(async collection =>
+      describeCollection(collection, await resolveMembers(req, collection))));
+
+    res.json({
+      success: true,
+      data: {
+        collections: described
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/collections Create a collection
+ * @apiName CreateCollection
+ * @apiGroup Collections
+ * @apiDescription Create a named collection of catalog servers, such as a team's standard setup.
+ * Members refer to servers by id and may pin a version or semver range and limit the tools
+ * to an allowlist. Every member must exist, resolve to a published version and not be revoked.
+ * The collection starts at version 1 and is owned by the caller's org. Requires the publisher role.
+ *
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiBody {String} name Unique name (lowercase letters, digits, dots, dashes and underscores)
+ * @apiBody {String} [description] What the collection is for
+ * @apiBody {Object[]} members Servers in the collection
+ * @apiBody {String} members.id Server id
+ * @apiBody {String} [members.version] Version or semver range to install (default: current)
+ * @apiBody {String[]} [members.tools] Tools to enable (default: all)
+ *
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 201 Created
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "collection": {
+ *           "name": "frontend-dev",
+ *           "version": 1,
+ *           "members": [
+ *             { "id": "playwright-mcp-server", "version": null, "tools": null, "status": "ok", "resolvedVersion": "0.0.39" },
+ *             { "id": "github-mcp-server", "version": "^1.0.0", "tools": ["create_pull_request"], "status": "ok", "resolvedVersion": "1.0.0" }
+ *           ],
+ *           "dangling": [],
+ *           ...
+ *         }
+ *       }
+ *     }
+ *
+ * @apiError InvalidCollection The name, description or members are malformed
+ * @apiError InvalidMembers Some members are missing, unresolvable, revoked or allowlist undeclared tools
+ * @apiError CollectionExists A collection with this name already exists (409)
+ */
+router.post('/', requireRole('publisher'), async (req, res) => {
+  try {
+    const fields = checkCollectionRequest(req.body);
+
+    if (!await checkMembers(req, res, fields)) {
+      return;
+    }
+
+    const collection = await collectionStore.create(fields, withOwner(req.principal, {}).owner);
+
+    if (!collection) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Collection ${fields.name} already exists`,
+          code: 'COLLECTION_EXISTS'
+        }
+      });
+    }
+
+    await auditLog.record({
+      action: 'collection.create',
+      details: { collection: collection.name, version: collection.version, members: collection.members.map(member => member.id) }
+    });
+
+    res.status(201)
+      .location(`${req.baseUrl}/${collection.name}`)
+      .json({
+        success: true,
+        data: {
+          collection: describeCollection(collection, await resolveMembers(req, collection))
+        }
+      });
+  } catch (error) {
+    if (error instanceof CollectionError) {
+      return sendInvalidCollection(res, error);
+    }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/collections/:name Get a collection
+ * @apiName GetCollection
+ * @apiGroup Collections
+ * @apiDescription Get a collection with its members. Each member reports the version its pin
+ * resolves to and a `status`: ok, dangling (removed from the catalog or hidden from the caller),
+ * unresolved (no published version matches the pin) or revoked.
+ *
+ * @apiParam {String} name Collection name
+ *
+ * @apiSuccess {Object} collection Collection with its resolved members and dangling server ids
+ *
+ * @apiError CollectionNotFound No collection has the given name
+ */
+router.get('/:name', cacheControl, async (req, res) => {
+  try {
+    const collection = await collectionStore.get(req.params.name);
+
+    if (!collection) {
+      return sendCollectionNotFound(res, req.params.name);
+    }
+
+    const resolved = await resolveMembers(req, collection);
+    setLastModified(res, resolved.map(({ record }) => record).filter(Boolean), collection.updatedAt);
+
+    res.json({
+      success: true,
+      data: {
+        collection: describeCollection(collection, resolved)
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {put} /api/v0/collections/:name Update a collection
+ * @apiName UpdateCollection
+ * @apiGroup Collections
+ * @apiDescription Replace the description and members of a collection and bump its version.
+ * Members are checked as on creation. Requires the publisher role; publishers may only update
+ * collections owned by their org.
+ *
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} name Collection name
+ * @apiBody {String} [description] What the collection is for
+ * @apiBody {Object[]} members Servers in the collection, as on creation
+ *
+ * @apiError CollectionNotFound No collection has the given name
+ * @apiError InvalidCollection The description or members are malformed
+ * @apiError InvalidMembers Some members are missing, unresolvable, revoked or allowlist undeclared tools
+ * @apiError Forbidden The collection is owned by another org
+ */
+router.put('/:name', requireRole('publisher'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const existing = await collectionStore.get(name);
+
+    if (!existing) {
+      return sendCollectionNotFound(res, name);
+    }
+
+    if (!canManage(req.principal, existing)) {
+      return sendForbidden(res, `${name} is owned by another org`);
+    }
+
+    const fields = checkCollectionRequest({ ...req.body, name });
+
+    if (!await checkMembers(req, res, fields)) {
+      return;
+    }
+
+    const collection = await collectionStore.update(name, fields);
+
+    if (!collection) {
+      return sendCollectionNotFound(res, name);
+    }
+
+    await auditLog.record({
+      action: 'collection.update',
+      details: { collection: name, version: collection.version, members: collection.members.map(member => member.id) }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        collection: describeCollection(collection, await resolveMembers(req, collection))
+      }
+    });
+  } catch (error) {
+    if (error instanceof CollectionError) {
+      return sendInvalidCollection(res, error);
+    }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {delete} /api/v0/collections/:name Delete a collection
+ * @apiName DeleteCollection
+ * @apiGroup Collections
+ * @apiDescription Delete a collection. The servers it refers to are not affected. Requires the
+ * publisher role; publishers may only delete collections owned by their org.
+ *
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} name Collection name
+ *
+ * @apiError CollectionNotFound No collection has the given name
+ * @apiError Forbidden The collection is owned by another org
+ */
+router.delete('/:name', requireRole('publisher'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const existing = await collectionStore.get(name);
+
+    if (!existing) {
+      return sendCollectionNotFound(res, name);
+    }
+
+    if (!canManage(req.principal, existing)) {
+      return sendForbidden(res, `${name} is owned by another org`);
+    }
+
+    const collection = await collectionStore.remove(name);
+
+    if (!collection) {
+      return sendCollectionNotFound(res, name);
+    }
+
+    await auditLog.record({ action: 'collection.delete', details: { collection: name, version: collection.version } });
+
+    res.json({
+      success: true,
+      data: {
+        collection
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/collections/:name/config Get the combined configuration of a collection
+ * @apiName GetCollectionConfig
+ * @apiGroup Collections
+ * @apiDescription Resolve every member at its pinned version and merge their configurations into
+ * a single client configuration, as `/api/v0/config` does. Tool allowlists are advisory: none of
+ * the client file layouts can restrict a server's tools, so they are only returned with each server
+ * (in JSON responses) for the installer to apply. Collections with dangling members cannot be
+ * resolved until they are updated.
+ *
+ * @apiParam {String} name Collection name
+ * @apiParam {String} [client] Client file layout (vscode, claude-desktop, cursor)
+ * @apiParam {String} [format=json] Configuration format (json, yaml, toml)
+ * @apiParam {String} [transport] Connect every server over stdio, http or sse (default: each server's first available)
+ *
+ * @apiSuccess {Object} collection Name and version of the resolved collection
+ * @apiSuccess {Object} configuration Combined configuration
+ * @apiSuccess {Object[]} servers Resolved servers, versions and (advisory) tool allowlists
+ * @apiSuccess {Object[]} sharedSecrets Secret placeholders used by more than one server
+ * @apiSuccess {Object[]} collisions Keys that clash between the merged servers
+ *
+ * @apiError CollectionNotFound No collection has the given name
+ * @apiError DanglingMembers Some members are no longer in the catalog (409)
+ * @apiError ServerRevoked Some members have been revoked (410)
+ * @apiError VersionNotFound A pinned version no longer matches any published version
+ * @apiError TransportNotAvailable Some members cannot be reached over the requested transport
+ */
+router.get('/:name/config', cacheControl, async (req, res) => {
+  try {
+    const collection = await collectionStore.get(req.params.name);
+
+    if (!collection) {
+      return sendCollectionNotFound(res, req.params.name);
+    }
+
+    const { dangling } = describeCollection(collection, await resolveMembers(req, collection));
+
+    if (dangling.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Collection ${collection.name} refers to servers that are no longer in the catalog: ${dangling.join(', ')}`,
+          code: 'DANGLING_MEMBERS',
+          dangling
+        }
+      });
+    }
+
+    const refs = collection.members.map(({ id, version, tools }) => ({
+      ref: version ? `${id}@${version}` : id,
+      id,
+      version: version || undefined,
+      tools
+    }));
+    await sendBundleConfig(req, res, refs, { collection });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,272 @@
+import express from 'express';
+import { store } from '../storage/index.js';
+import { stripManagedFields } from '../lib/entries.js';
+import { getState } from '../lib/lifecycle.js';
+import { canView } from '../auth/principal.js';
+import { auditLog } from '../audit/log.js';
+import { cacheControl, setLastModified } from '../middleware/caching.js';
+import { isValidVersionQuery, resolveVersion } from '../lib/versions.js';
+import { FORMATS } from '../lib/formats.js';
+import {
+  CLIENTS,
+  TRANSPORTS,
+  buildClientConfig,
+  findSharedSecrets,
+  findCollisions,
+  findUnavailable,
+  selectConnection
+} from '../lib/clientConfig.js';
+
+const router = express.Router();
+
+/**
+ * Parses "id" or "id@version" references from a comma-separated list
+ */
+function parseServerRefs(ids) {
+  return String(ids)
+    .split(',')
+    .map(ref => ref.trim())
+    .filter(Boolean)
+    .map(ref => {
+      const [id, version] = ref.split('@');
+      return { ref, id, version };
+    });
+}
+
+/**
+ * @api {get} /api/v0/config Get a combined configuration for several MCP servers
+ * @apiName GetBundleConfig
+ * @apiGroup Config
+ * @apiDescription Merge the configurations of several MCP servers into a single client
+ * configuration file. Secret placeholders shared by several servers become a single input,
+ * and keys that clash between servers are reported in `collisions`. Each fetch is recorded in
+ * the audit log. Responses carry a strong ETag and Last-Modified for conditional requests.
+ * 
+ * @apiParam {String} ids Comma-separated server IDs, each optionally pinned with @version or @range
+ * @apiParam {String} [client] Client file layout (vscode, claude-desktop, cursor)
+ * @apiParam {String} [format=json] Configuration format (json, yaml, toml)
+ * @apiParam {String} [transport] Connect every server over stdio, http or sse (default: each server's first available)
+ * 
+ * @apiSuccess {String} [client] Client the configuration was built for
+ * @apiSuccess {String} [fileName] File the client reads the configuration from
+ * @apiSuccess {Object} configuration Combined configuration
+ * @apiSuccess {Object[]} servers Resolved servers and versions
+ * @apiSuccess {Object[]} sharedSecrets Secret placeholders used by more than one server
+ * @apiSuccess {Object[]} collisions Keys that clash between the merged servers
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "client": "vscode",
+ *         "fileName": ".vscode/mcp.json",
+ *         "configuration": {
+ *           "inputs": [...],
+ *           "servers": {...}
+ *         },
+ *         "servers": [
+ *           { "id": "github-mcp-server", "version": "1.0.0" },
+ *           { "id": "playwright-mcp-server", "version": "0.0.39" }
+ *         ],
+ *         "sharedSecrets": [],
+ *         "collisions": []
+ *       }
+ *     }
+ * 
+ * @apiError MissingIds No server IDs were given
+ * @apiError ServerNotFound One or more servers were not found
+ * @apiError ServerRevoked One or more servers have been revoked (410)
+ * @apiError VersionNotFound A pinned version does not match any published version
+ * @apiError UnsupportedTransport The transport is not stdio, http or sse
+ * @apiError TransportNotAvailable Some servers cannot be reached over the requested transport
+ */
+router.get('/', cacheControl, async (req, res) => {
+  try {
+    const refs = parseServerRefs(req.query.ids || '');
+    
+    if (refs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'At least one server id is required in the ids parameter',
+          code: 'MISSING_IDS'
+        }
+      });
+    }
+    
+    await sendBundleConfig(req, res, refs);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * Resolves server references ({ ref, id, version, tools }) and sends their
+ * combined configuration in the format, client layout and transport of the
+ * query, or the error response when a server is missing, revoked, has no
+ * matching version or cannot be reached. `tools` allowlists are advisory:
+ * no client layout can express them, so they leave the configuration as it
+ * is and are only listed with the servers. `collection` names the collection being
+ * resolved in the audit log and adds its `updatedAt` to Last-Modified.
+ */
+export async function sendBundleConfig(req, res, refs, { collection = null } = {}) {
+  const format = req.query.format || 'json';
+  const client = req.query.client;
+  const transport = req.query.transport;
+  
+  if (!Object.hasOwn(FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Unsupported format. Supported formats: ${Object.keys(FORMATS).join(', ')}.`,
+        code: 'UNSUPPORTED_FORMAT'
+      }
+    });
+  }
+  
+  if (client && !Object.hasOwn(CLIENTS, client)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Unsupported client. Supported clients: ${Object.keys(CLIENTS).join(', ')}.`,
+        code: 'UNSUPPORTED_CLIENT'
+      }
+    });
+  }
+  
+  if (transport && !TRANSPORTS.includes(transport)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Unsupported transport. Supported transports: ${TRANSPORTS.join(', ')}.`,
+        code: 'UNSUPPORTED_TRANSPORT'
+      }
+    });
+  }
+  
+  const collisions = [];
+  const uniqueRefs = [];
+  refs.forEach(ref => {
+    const first = uniqueRefs.find(other => other.id === ref.id);
+    if (!first) {
+      uniqueRefs.push(ref);
+    } else if (first.ref !== ref.ref) {
+      collisions.push({ type: 'server', key: ref.id, values: [first.ref, ref.ref] });
+    }
+  });
+  
+  // Servers hidden from the caller are reported as missing
+  const records = (await Promise.all(uniqueRefs.map(ref => store.get(ref.id))))
+    .map(record => record && canView(req.principal, record) ? record : null);
+  const missing = uniqueRefs.filter((ref, index) => !records[index]).map(ref => ref.id);
+  
+  if (missing.length > 0) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `MCP servers not found: ${missing.join(', ')}`,
+        code: 'SERVER_NOT_FOUND',
+        missing
+      }
+    });
+  }
+  
+  const revoked = records.filter(record => getState(record) === 'revoked').map(record => record.id);
+  
+  if (revoked.length > 0) {
+    return res.status(410).json({
+      success: false,
+      error: {
+        message: `MCP servers revoked: ${revoked.join(', ')}`,
+        code: 'SERVER_REVOKED',
+        revoked
+      }
+    });
+  }
+  
+  const unresolved = [];
+  const servers = uniqueRefs.map((ref, index) => {
+    if (!ref.version) {
+      return stripManagedFields(records[index]);
+    }
+    const resolved = isValidVersionQuery(ref.version) && resolveVersion(records[index], ref.version);
+    if (!resolved) {
+      unresolved.push(ref.ref);
+    }
+    return resolved;
+  });
+  
+  if (unresolved.length > 0) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `No published version matches: ${unresolved.join(', ')}`,
+        code: 'VERSION_NOT_FOUND',
+        unresolved
+      }
+    });
+  }
+  
+  const unavailable = findUnavailable(servers, transport);
+  
+  if (unavailable.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Not reachable over ${transport}: ${unavailable.join(', ')}`,
+        code: 'TRANSPORT_NOT_AVAILABLE',
+        unavailable
+      }
+    });
+  }
+  
+  const configuration = client
+    ? buildClientConfig(client, servers, transport)
+    : { servers: Object.fromEntries(servers.map(server => [server.id, selectConnection(server, transport).configuration])) };
+  
+  setLastModified(res, records, ...(collection ? [collection.updatedAt] : []));
+  
+  for (const server of servers) {
+    await auditLog.record({
+      action: 'config.read',
+      serverId: server.id,
+      details: {
+        version: server.version,
+        client: client || null,
+        transport: transport || null,
+        format,
+        bundle: true,
+        ...(collection && { collection: collection.name })
+      }
+    });
+  }
+  
+  if (format !== 'json') {
+    return res.type(FORMATS[format].contentType).send(FORMATS[format].serialize(configuration));
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      ...(collection && { collection: { name: collection.name, version: collection.version } }),
+      ...(client && { client, fileName: CLIENTS[client].fileName }),
+      configuration,
+      servers: servers.map(({ id, version }, index) => ({
+        id,
+        version,
+        ...(uniqueRefs[index].tools && { tools: uniqueRefs[index].tools })
+      })),
+      sharedSecrets: findSharedSecrets(servers, transport),
+      collisions: [...collisions, ...findCollisions(servers, transport)]
+    }
+  });
+}
+
+export default router;
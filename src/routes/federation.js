@@ -0,0 +1,93 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { upstreams, syncNow, getFederationStatus } from '../federation/index.js';
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/v0/federation List upstream registries
+ * @apiName GetFederationStatus
+ * @apiGroup Federation
+ * @apiDescription List the upstream registries mirrored into this catalog with the state of their last sync
+ * 
+ * @apiSuccess {Object[]} upstreams Configured upstreams (name, url, format, namespace, allow, deny, onConflict, intervalMs)
+ * @apiSuccess {String} upstreams.lastSyncAt When the last sync started
+ * @apiSuccess {String} upstreams.lastSuccessAt When the last successful sync finished
+ * @apiSuccess {String} upstreams.lastError Error of the last sync, if it failed
+ * @apiSuccess {Object} upstreams.lastResult Counts, invalid entries and conflicts of the last successful sync
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "upstreams": [
+ *           {
+ *             "name": "acme",
+ *             "url": "https://registry.acme.dev",
+ *             "format": "registry",
+ *             "namespace": "acme",
+ *             "lastSuccessAt": "2025-01-01T00:00:00.000Z",
+ *             "lastResult": { "added": 2, "updated": 0, "removed": 0, "conflicts": [] },
+ *             ...
+ *           }
+ *         ]
+ *       }
+ *     }
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      upstreams: getFederationStatus()
+    }
+  });
+});
+
+/**
+ * @api {post} /api/v0/federation/sync Sync upstream registries now
+ * @apiName SyncUpstreams
+ * @apiGroup Federation
+ * @apiDescription Sync every upstream, or only the one named in the upstream parameter, without
+ * waiting for the schedule. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {String} [upstream] Name of the upstream to sync
+ * 
+ * @apiSuccess {Object[]} results Sync result per upstream (added, updated, removed, filtered, invalid, conflicts) or its error
+ * 
+ * @apiError UpstreamNotFound No upstream has the given name
+ */
+router.post('/sync', requireRole('admin'), async (req, res) => {
+  const selected = req.query.upstream
+    ? upstreams.filter(upstream => upstream.name === req.query.upstream)
+    : upstreams;
+  
+  if (req.query.upstream && selected.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `Upstream ${req.query.upstream} is not configured`,
+        code: 'UPSTREAM_NOT_FOUND'
+      }
+    });
+  }
+  
+  const results = [];
+  for (const upstream of selected) {
+    try {
+      results.push(await syncNow(upstream));
+    } catch (error) {
+      results.push({ upstream: upstream.name, error: error.message });
+    }
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      results
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { createRegistryMcpServer } from '../mcp/server.js';
+
+const router = express.Router();
+
+/**
+ * @api {post} /mcp MCP streamable HTTP endpoint
+ * @apiName MCPEndpoint
+ * @apiGroup MCP
+ * @apiDescription Serve the registry's MCP tools (search_servers, get_server, get_server_config,
+ * search_tools) over the streamable HTTP transport. The endpoint is stateless: every request
+ * gets its own server instance and no session is kept. Tools only see the servers the bearer
+ * token's principal may view.
+ */
+router.post('/', async (req, res) => {
+  const server = createRegistryMcpServer({ principal: req.principal });
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined,
+    enableJsonResponse: true
+  });
+  
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+  
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('MCP request failed:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: {
+          code: -32603,
+          message: 'Internal server error'
+        },
+        id: null
+      });
+    }
+  }
+});
+
+// Stateless mode has no server-initiated stream or session to delete
+router.all('/', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: {
+      code: -32000,
+      message: 'Method not allowed'
+    },
+    id: null
+  });
+});
+
+export default router;
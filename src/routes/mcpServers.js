@@ -1,18 +1,328 @@
 import express from 'express';
-import { mcpServers } from '../data/mcpServers.js';
+import { store } from '../storage/index.js';
+import { ServerExistsError } from '../storage/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { canManage, canView, withOwner } from '../auth/principal.js';
+import { validateServer } from '../validation/index.js';
+import { stripManagedFields, getSource, getUpdatedAt } from '../lib/entries.js';
+import {
+  publishVersion,
+  isHistoricalVersion,
+  isValidVersionQuery,
+  resolveVersion,
+  listVersions
+} from '../lib/versions.js';
+import { FORMATS } from '../lib/formats.js';
+import { CLIENTS, TRANSPORTS, buildClientConfig, getTransports, selectConnection } from '../lib/clientConfig.js';
+import { filterServers } from '../lib/filters.js';
+import { searchServers } from '../lib/search.js';
+import { PaginationError, parseSort, hashFilters, paginate } from '../lib/pagination.js';
+import { TOOL_FILTERS, normalizeTool, normalizeTools, parseToolFilters, matchesToolFilters } from '../lib/tools.js';
+import { getVariables, checkVariableValues, describeVariables, replacePlaceholders } from '../lib/variables.js';
+import { RISK_LEVELS, assessServer } from '../lib/security.js';
+import { CompatibilityError, parseEnvironment, checkCompatibility, getCompatibility } from '../lib/compatibility.js';
+import { introspectServer, getSandboxWrapper } from '../introspection/index.js';
+import { packageMetadata } from '../packages/index.js';
+import { auditLog } from '../audit/log.js';
+import { changeFeed } from '../changes/feed.js';
+import { collectionStore } from '../collections/store.js';
+import { cacheControl, setLastModified } from '../middleware/caching.js';
+import {
+  STATES,
+  VISIBLE_STATES,
+  getLifecycle,
+  getState,
+  isVisible,
+  submitLifecycle,
+  checkReview,
+  reviewLifecycle
+} from '../lib/lifecycle.js';
 
 const router = express.Router();
 
+const INTROSPECTION_TIMEOUT_MS = parseInt(process.env.INTROSPECTION_TIMEOUT_MS) || 30000;
+
+function sendServerNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'MCP server not found',
+      code: 'SERVER_NOT_FOUND'
+    }
+  });
+}
+
+function sendInvalidServer(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      code: 'INVALID_SERVER'
+    }
+  });
+}
+
+function sendValidationFailed(res, violations) {
+  return res.status(422).json({
+    success: false,
+    error: {
+      message: 'MCP server entry failed schema validation',
+      code: 'VALIDATION_FAILED',
+      violations
+    }
+  });
+}
+
+function sendVersionConflict(res, server) {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: `Version ${server.version} of ${server.id} was already published and cannot be changed`,
+      code: 'VERSION_CONFLICT'
+    }
+  });
+}
+
+function sendServerRevoked(res, server) {
+  const { reason, reviewer, reviewedAt } = getLifecycle(server);
+  return res.status(410).json({
+    success: false,
+    error: {
+      message: `${server.id} has been revoked: ${reason}`,
+      code: 'SERVER_REVOKED',
+      reason,
+      reviewer,
+      revokedAt: reviewedAt
+    }
+  });
+}
+
+function sendForbidden(res, message) {
+  return res.status(403).json({
+    success: false,
+    error: {
+      message,
+      code: 'FORBIDDEN'
+    }
+  });
+}
+
+function sendMirroredEntry(res, server) {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: `${server.id} is mirrored from upstream ${server.source.upstream} and cannot be changed here`,
+      code: 'MIRRORED_ENTRY'
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Lifecycle states requested with ?status= (comma-separated, or "all");
+ * approved servers only by default. Returns null for unknown states.
+ */
+function parseStates(status) {
+  if (!status) {
+    return VISIBLE_STATES;
+  }
+  if (status === 'all') {
+    return STATES;
+  }
+  const states = String(status).split(',').map(state => state.trim());
+  return states.every(state => STATES.includes(state)) ? states : null;
+}
+
+// Listing servers that are not approved is an admin override
+function requireAdminForHiddenStates(req, res, next) {
+  const states = parseStates(req.query.status);
+  
+  if (!states) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid status. Use all or a comma-separated list of: ${STATES.join(', ')}.`,
+        code: 'INVALID_STATUS'
+      }
+    });
+  }
+  
+  if (states.every(state => VISIBLE_STATES.includes(state))) {
+    return next();
+  }
+  requireRole('admin')(req, res, next);
+}
+
+// Servers the caller may not see are reported as missing rather than forbidden
+async function getViewable(req) {
+  const record = await store.get(req.params.id);
+  return record && canView(req.principal, record) ? record : null;
+}
+
+/**
+ * Loads the server named in the route, resolving the optional ?version= query
+ * to a published version, and sets Last-Modified from the entry. Sends the
+ * error response and returns null when the server or version cannot be found,
+ * or the server has been revoked.
+ */
+async function loadServer(req, res) {
+  const server = await getViewable(req);
+  
+  if (!server) {
+    sendServerNotFound(res);
+    return null;
+  }
+  
+  if (getState(server) === 'revoked') {
+    sendServerRevoked(res, server);
+    return null;
+  }
+  
+  setLastModified(res, [server]);
+  const requestedVersion = req.query.version;
+  
+  if (!requestedVersion) {
+    return stripManagedFields(server);
+  }
+  
+  if (!isValidVersionQuery(requestedVersion)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid version or semver range: ${requestedVersion}`,
+        code: 'INVALID_VERSION'
+      }
+    });
+    return null;
+  }
+  
+  const resolved = resolveVersion(server, requestedVersion);
+  
+  if (!resolved) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: `No published version of ${server.id} matches ${requestedVersion}`,
+        code: 'VERSION_NOT_FOUND'
+      }
+    });
+    return null;
+  }
+  
+  return resolved;
+}
+
+function sendInternalError(res, error) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Internal server error',
+      details: error.message
+    }
+  });
+}
+
+function sendInvalidToolFilter(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: `Tool annotation filters (${Object.keys(TOOL_FILTERS).join(', ')}) must be true or false`,
+      code: 'INVALID_FILTER'
+    }
+  });
+}
+
+function summarizeSecurity(server) {
+  const { score, level } = assessServer(server);
+  return { score, level };
+}
+
+function sendBadConfigRequest(res, message, code, extra = {}) {
+  res.status(400).json({
+    success: false,
+    error: { message, code, ...extra }
+  });
+  return null;
+}
+
+/**
+ * Reads ?format, ?client and ?transport for a configuration of `server`.
+ * Returns { format, client, connection }, or sends a 400 and returns null.
+ */
+function parseConfigRequest(req, res, server) {
+  const format = req.query.format || 'json';
+  const { client, transport } = req.query;
+  
+  if (!Object.hasOwn(FORMATS, format)) {
+    return sendBadConfigRequest(res, `Unsupported format. Supported formats: ${Object.keys(FORMATS).join(', ')}.`, 'UNSUPPORTED_FORMAT');
+  }
+  
+  if (client && !Object.hasOwn(CLIENTS, client)) {
+    return sendBadConfigRequest(res, `Unsupported client. Supported clients: ${Object.keys(CLIENTS).join(', ')}.`, 'UNSUPPORTED_CLIENT');
+  }
+  
+  if (transport && !TRANSPORTS.includes(transport)) {
+    return sendBadConfigRequest(res, `Unsupported transport. Supported transports: ${TRANSPORTS.join(', ')}.`, 'UNSUPPORTED_TRANSPORT');
+  }
+  
+  const connection = selectConnection(server, transport);
+  
+  if (!connection) {
+    return sendBadConfigRequest(res, `${server.id} cannot be reached over ${transport}`, 'TRANSPORT_NOT_AVAILABLE', {
+      available: getTransports(server)
+    });
+  }
+  
+  return { format, client, connection };
+}
+
+// JSON uses the standard envelope; YAML and TOML are sent as plain documents
+function sendConfiguration(res, { format, client, connection }, configuration, extra = {}) {
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: {
+        ...(client && { client, fileName: CLIENTS[client].fileName }),
+        transport: connection.transport,
+        configuration,
+        ...extra
+      }
+    });
+  }
+  
+  res.type(FORMATS[format].contentType).send(FORMATS[format].serialize(configuration));
+}
+
 /**
  * @api {get} /api/v0/servers Get all MCP servers
  * @apiName GetMCPServers
  * @apiGroup MCPServers
- * @apiDescription Retrieve all available MCP servers in the registry
+ * @apiDescription Retrieve all available MCP servers in the registry. Servers restricted to an org
+ * or team are only listed to callers from that org or team. Responses carry a strong ETag and
+ * Last-Modified, and the Cache-Control policy set by REGISTRY_CACHE_CONTROL.
  * 
+ * @apiHeader {String} [If-None-Match] ETag of a cached response; answered with 304 Not Modified when it still matches
+ * @apiHeader {String} [If-Modified-Since] Answered with 304 Not Modified when nothing changed since
+ * @apiParam {String} [q] Full-text search over names, descriptions, tags, capabilities and tools; results are ordered by relevance
  * @apiParam {String} [tags] Filter by comma-separated tags
  * @apiParam {String} [capability] Filter by specific capability
- * @apiParam {Number} [limit] Limit number of results (default: 50)
- * @apiParam {String} [cursor] Cursor for pagination
+ * @apiParam {String} [transport] Filter by transport: stdio, http or sse
+ * @apiParam {String} [source] Filter by origin: "local" or the name of an upstream registry
+ * @apiParam {String} [status=approved] Lifecycle states to include, comma-separated, or "all". Anything
+ * other than approved requires the admin role.
+ * @apiParam {String} [maxRisk] Only servers assessed at this risk level or lower: low, medium, high or critical
+ * @apiParam {Boolean} [readOnly] Only servers whose tools all have this readOnlyHint, e.g. true for servers
+ * that change nothing. Likewise destructive, idempotent and openWorld; missing hints take the MCP
+ * defaults, and servers without declared tools never match.
+ * @apiParam {String} [sort] Sort by name, updated or popularity (how often the configuration was
+ * fetched). Defaults to relevance when searching with q, otherwise name.
+ * @apiParam {String} [order] asc or desc (default: asc for name, desc otherwise)
+ * @apiParam {Number} [limit] Limit number of results (1-100, default: 50)
+ * @apiParam {String} [cursor] Opaque cursor of the next page, from a previous response with the same
+ * filters, sort and order
  * 
  * @apiSuccess {Object[]} servers Array of MCP server definitions
  * @apiSuccess {String} servers.id Unique identifier for the server
@@ -21,11 +331,18 @@ const router = express.Router();
  * @apiSuccess {String} servers.version Current version of the server
  * @apiSuccess {String} servers.author Author/organization of the server
  * @apiSuccess {String} servers.license License type
- * @apiSuccess {Object} servers.configuration Configuration object for deployment
+ * @apiSuccess {Object} servers.configuration Configuration for running the server locally over stdio
+ * @apiSuccess {Object[]} servers.remotes Remote endpoints (type http or sse, url, headers, auth)
  * @apiSuccess {String[]} servers.capabilities Array of server capabilities
  * @apiSuccess {Object[]} servers.tools Array of available tools/functions
  * @apiSuccess {String[]} servers.tags Array of tags for categorization
  * @apiSuccess {Object} servers.deployment Deployment requirements and configuration
+ * @apiSuccess {Object} servers.source Origin of the entry: { type: "local" } or the upstream it is mirrored from
+ * @apiSuccess {String} servers.status Lifecycle state: pending, approved, deprecated or revoked
+ * @apiSuccess {String} servers.updatedAt ISO timestamp of the last change to the definition or state
+ * @apiSuccess {Object} servers.security Risk score (0-100) and level; the full report is at /:id/security
+ * @apiSuccess {String} servers.visibility Who may see the server: public (default), org or team
+ * @apiSuccess {Object} servers.owner Owning org and optional team
  * 
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -35,69 +352,94 @@ const router = express.Router();
  *         "servers": [...],
  *         "total": 2,
  *         "limit": 50,
+ *         "sort": "name",
+ *         "order": "asc",
  *         "cursor": null
  *       }
  *     }
+ * 
+ * @apiError InvalidRisk The maxRisk parameter is not a risk level (400)
+ * @apiError InvalidFilter A tool annotation filter is not true or false (400)
+ * @apiError InvalidSort The sort or order parameter is unknown (400)
+ * @apiError InvalidCursor The cursor was altered or belongs to a different query (400)
  */
-router.get('/', (req, res) => {
+router.get('/', requireAdminForHiddenStates, cacheControl, async (req, res) => {
   try {
-    let filteredServers = [...mcpServers];
-    
-    // Filter by tags
-    if (req.query.tags) {
-      const filterTags = req.query.tags.split(',').map(tag => tag.trim().toLowerCase());
-      filteredServers = filteredServers.filter(server => 
-        server.tags.some(tag => filterTags.includes(tag.toLowerCase()))
-      );
-    }
-    
-    // Filter by capability
-    if (req.query.capability) {
-      const capability = req.query.capability.toLowerCase();
-      filteredServers = filteredServers.filter(server =>
-        server.capabilities.some(cap => cap.toLowerCase().includes(capability))
-      );
-    }
-    
-    // Pagination with cursor support
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
-    const cursor = req.query.cursor || null;
-    const total = filteredServers.length;
-    
-    // For simplicity, implementing cursor as base64 encoded offset
-    // In production, this would be a more sophisticated cursor implementation
-    let offset = 0;
-    if (cursor) {
-      try {
-        offset = parseInt(Buffer.from(cursor, 'base64').toString());
-      } catch (e) {
-        offset = 0;
-      }
+    const { sort, order } = parseSort(req.query);
+    
+    if (req.query.maxRisk && !RISK_LEVELS.includes(req.query.maxRisk)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid maxRisk. Use one of: ${RISK_LEVELS.join(', ')}.`,
+          code: 'INVALID_RISK'
+        }
+      });
     }
     
-    const paginatedServers = filteredServers.slice(offset, offset + limit);
+    if (!parseToolFilters(req.query)) {
+      return sendInvalidToolFilter(res);
+    }
+    
+    const states = parseStates(req.query.status);
+    const records = await store.list();
+    const servers = records
+      .filter(server => isVisible(server, states) && canView(req.principal, server))
+      .map(server => ({
+        ...stripManagedFields(server),
+        source: getSource(server),
+        status: getState(server),
+        updatedAt: getUpdatedAt(server),
+        security: summarizeSecurity(server)
+      }));
+    
+    // The latest change also covers servers that were removed from the list.
+    // Popularity moves without any change, so that order is left to the ETag.
+    if (sort !== 'popularity') {
+      setLastModified(res, records, (await changeFeed.getLastChange())?.timestamp);
+    }
+    const filteredServers = filterServers(servers, req.query);
     
-    // Generate next cursor
-    const nextOffset = offset + limit;
-    const nextCursor = nextOffset < total ? Buffer.from(nextOffset.toString()).toString('base64') : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const { q, tags, capability, transport, source, status, maxRisk, readOnly, destructive, idempotent, openWorld } = req.query;
+    const context = {
+      scores: sort === 'relevance'
+        ? new Map(searchServers(filteredServers, q).map(result => [result.server.id, result.score]))
+        : new Map(),
+      // Popularity is how often a server's configuration has been fetched
+      popularity: sort === 'popularity' ? await auditLog.countByServer('config.read') : new Map()
+    };
+    const page = paginate(filteredServers, {
+      sort,
+      order,
+      filters: hashFilters({ q, tags, capability, transport, source, status, maxRisk, readOnly, destructive, idempotent, openWorld }),
+      limit,
+      cursor: req.query.cursor || null,
+      context
+    });
     
     res.json({
       success: true,
       data: {
-        servers: paginatedServers,
-        total,
+        servers: page.servers,
+        total: filteredServers.length,
         limit,
-        cursor: nextCursor
+        sort,
+        order,
+        cursor: page.cursor
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Internal server error',
-        details: error.message
-      }
-    });
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
+    sendInternalError(res, error);
   }
 });
 
@@ -105,10 +447,12 @@ router.get('/', (req, res) => {
  * @api {get} /api/v0/servers/:id Get specific MCP server
  * @apiName GetMCPServer
  * @apiGroup MCPServers
- * @apiDescription Retrieve a specific MCP server by ID
+ * @apiDescription Retrieve a specific MCP server by ID. Supports conditional requests like the list.
  * 
+ * @apiHeader {String} [If-None-Match] ETag of a cached response; answered with 304 Not Modified when it still matches
+ * @apiHeader {String} [If-Modified-Since] Answered with 304 Not Modified when nothing changed since
  * @apiParam {String} id Unique identifier of the MCP server
- * @apiParam {String} [version] Specific version of the MCP server
+ * @apiParam {String} [version] Exact version or semver range (e.g. ^1.2) to resolve
  * 
  * @apiSuccess {Object} server MCP server definition
  * @apiSuccess {String} server.id Unique identifier for the server
@@ -117,11 +461,16 @@ router.get('/', (req, res) => {
  * @apiSuccess {String} server.version Current version of the server
  * @apiSuccess {String} server.author Author/organization of the server
  * @apiSuccess {String} server.license License type
- * @apiSuccess {Object} server.configuration Configuration object for deployment
+ * @apiSuccess {Object} server.configuration Configuration for running the server locally over stdio
+ * @apiSuccess {Object[]} server.remotes Remote endpoints (type http or sse, url, headers, auth)
  * @apiSuccess {String[]} server.capabilities Array of server capabilities
  * @apiSuccess {Object[]} server.tools Array of available tools/functions
  * @apiSuccess {String[]} server.tags Array of tags for categorization
  * @apiSuccess {Object} server.deployment Deployment requirements and configuration
+ * @apiSuccess {Object} server.source Origin of the entry: { type: "local" } or the upstream it is mirrored from
+ * @apiSuccess {String} server.status Lifecycle state: pending, approved or deprecated
+ * @apiSuccess {String} server.updatedAt ISO timestamp of the last change to the definition or state
+ * @apiSuccess {Object} server.security Risk score (0-100) and level; the full report is at /:id/security
  * 
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -132,7 +481,10 @@ router.get('/', (req, res) => {
  *       }
  *     }
  * 
- * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError ServerNotFound The MCP server with the given ID was not found or is not visible to the caller
+ * @apiError ServerRevoked The MCP server has been revoked (410, with the reason)
+ * @apiError VersionNotFound No published version matches the requested version
+ * @apiError InvalidVersion The version parameter is not a version or semver range
  * @apiErrorExample Error-Response:
  *     HTTP/1.1 404 Not Found
  *     {
@@ -143,116 +495,272 @@ router.get('/', (req, res) => {
  *       }
  *     }
  */
-router.get('/:id', (req, res) => {
+router.get('/:id', cacheControl, async (req, res) => {
   try {
-    const { id } = req.params;
-    const requestedVersion = req.query.version;
-    const server = mcpServers.find(s => s.id === id);
+    const server = await loadServer(req, res);
     
     if (!server) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'MCP server not found',
-          code: 'SERVER_NOT_FOUND'
-        }
-      });
+      return;
     }
     
-    // If a specific version is requested, check if it matches
-    // For now, just add a warning if version doesn't match current version
-    let responseServer = { ...server };
-    if (requestedVersion && requestedVersion !== server.version) {
-      responseServer.versionNote = `Requested version ${requestedVersion} not available. Returning current version ${server.version}.`;
-    }
+    const record = await store.get(server.id) || server;
     
     res.json({
       success: true,
       data: {
-        server: responseServer
+        server: {
+          ...server,
+          source: getSource(record),
+          status: getState(record),
+          updatedAt: getUpdatedAt(record),
+          security: summarizeSecurity(server)
+        }
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Internal server error',
-        details: error.message
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/versions List published versions
+ * @apiName GetMCPServerVersions
+ * @apiGroup MCPServers
+ * @apiDescription List every published version of an MCP server, newest first
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * 
+ * @apiSuccess {String} current Current version of the server
+ * @apiSuccess {Object[]} versions Published versions
+ * @apiSuccess {String} versions.version Semantic version
+ * @apiSuccess {String} versions.publishedAt ISO timestamp of publication (null for seed data)
+ * @apiSuccess {Boolean} versions.isCurrent Whether this is the current version
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "current": "1.1.0",
+ *         "versions": [
+ *           { "version": "1.1.0", "publishedAt": "2025-01-02T00:00:00.000Z", "isCurrent": true },
+ *           { "version": "1.0.0", "publishedAt": null, "isCurrent": false }
+ *         ]
+ *       }
+ *     }
+ */
+router.get('/:id/versions', cacheControl, async (req, res) => {
+  try {
+    const server = await getViewable(req);
+    
+    if (!server) {
+      return sendServerNotFound(res);
+    }
+    
+    if (getState(server) === 'revoked') {
+      return sendServerRevoked(res, server);
+    }
+    
+    setLastModified(res, [server]);
+    res.json({
+      success: true,
+      data: {
+        current: server.version,
+        versions: listVersions(server)
       }
     });
+  } catch (error) {
+    sendInternalError(res, error);
   }
 });
 
 /**
- * @api {get} /api/mcp-servers/:id/config Get MCP server configuration
+ * @api {get} /api/v0/servers/:id/config Get MCP server configuration
  * @apiName GetMCPServerConfig
  * @apiGroup MCPServers
- * @apiDescription Get the deployment configuration for a specific MCP server
+ * @apiDescription Get the deployment configuration for a specific MCP server, either as stored
+ * in the registry or shaped for a specific MCP client. JSON responses use the standard
+ * envelope; YAML and TOML are returned as plain documents. Each fetch is recorded in the audit log.
+ * Supports conditional requests like the server list.
  * 
+ * @apiHeader {String} [If-None-Match] ETag of a cached response; answered with 304 Not Modified when it still matches
+ * @apiHeader {String} [If-Modified-Since] Answered with 304 Not Modified when nothing changed since
  * @apiParam {String} id Unique identifier of the MCP server
  * @apiParam {String} [format=json] Configuration format (json, yaml, toml)
+ * @apiParam {String} [client] Client file layout (vscode, claude-desktop, cursor)
+ * @apiParam {String} [transport] Connect over stdio, http or sse (default: stdio when available, else the first remote)
+ * @apiParam {String} [version] Exact version or semver range to resolve
  * 
- * @apiSuccess {Object} configuration MCP server configuration
+ * @apiSuccess {String} [client] Client the configuration was built for
+ * @apiSuccess {String} [fileName] File the client reads the configuration from
+ * @apiSuccess {String} transport Transport the configuration connects over
+ * @apiSuccess {Object} configuration MCP server configuration: the stdio configuration or the remote endpoint
  * @apiSuccess {String} configuration.command Command to run the server
  * @apiSuccess {String[]} configuration.args Command arguments
  * @apiSuccess {Object} configuration.env Environment variables
+ * @apiSuccess {Object[]} variables Declarations of the {PLACEHOLDER} variables the configuration uses
+ * (name, description, required, secret, default, format, pattern, obtainFrom)
  * 
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
  *     {
  *       "success": true,
  *       "data": {
+ *         "transport": "stdio",
  *         "configuration": {
  *           "command": "npx",
  *           "args": ["@github/github-mcp-server"],
  *           "env": {
  *             "GITHUB_TOKEN": "{GITHUB_TOKEN}"
  *           }
+ *         },
+ *         "variables": [
+ *           { "name": "GITHUB_TOKEN", "description": "GitHub personal access token", "required": true, "secret": true, ... }
+ *         ]
+ *       }
+ *     }
+ * 
+ * @apiSuccessExample VS Code (client=vscode):
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "client": "vscode",
+ *         "fileName": ".vscode/mcp.json",
+ *         "transport": "stdio",
+ *         "configuration": {
+ *           "inputs": [
+ *             { "type": "promptString", "id": "github-token", "description": "GitHub personal access token", "password": true }
+ *           ],
+ *           "servers": {
+ *             "github-mcp-server": {
+ *               "type": "stdio",
+ *               "command": "npx",
+ *               "args": ["@github/github-mcp-server"],
+ *               "env": { "GITHUB_TOKEN": "${input:github-token}" }
+ *             }
+ *           }
  *         }
  *       }
  *     }
+ * 
+ * @apiError UnsupportedFormat The format is not json, yaml or toml
+ * @apiError UnsupportedClient The client is not a supported MCP client
+ * @apiError UnsupportedTransport The transport is not stdio, http or sse
+ * @apiError TransportNotAvailable The server cannot be reached over the requested transport
  */
-router.get('/:id/config', (req, res) => {
+router.get('/:id/config', cacheControl, async (req, res) => {
   try {
-    const { id } = req.params;
-    const server = mcpServers.find(s => s.id === id);
+    const server = await loadServer(req, res);
     
     if (!server) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'MCP server not found',
-          code: 'SERVER_NOT_FOUND'
-        }
-      });
+      return;
     }
     
-    const format = req.query.format || 'json';
+    const request = parseConfigRequest(req, res, server);
     
-    if (format === 'json') {
-      res.json({
-        success: true,
-        data: {
-          configuration: server.configuration
-        }
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: {
-          message: 'Unsupported format. Only json is currently supported.',
-          code: 'UNSUPPORTED_FORMAT'
-        }
-      });
+    if (!request) {
+      return;
     }
+    
+    const { format, client, connection } = request;
+    const configuration = client ? buildClientConfig(client, [server], connection.transport) : connection.configuration;
+    
+    await auditLog.record({
+      action: 'config.read',
+      serverId: server.id,
+      details: { version: server.version, client: client || null, transport: connection.transport, format }
+    });
+    
+    sendConfiguration(res, request, configuration, {
+      variables: describeVariables(getVariables(server, connection.configuration))
+    });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Internal server error',
-        details: error.message
-      }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/servers/:id/config/resolve Resolve MCP server configuration
+ * @apiName ResolveMCPServerConfig
+ * @apiGroup MCPServers
+ * @apiDescription Fill the configuration's {PLACEHOLDER} variables with supplied values and return the
+ * ready-to-use configuration, optionally shaped for a client. Values are checked against the variable
+ * declarations, and defaults fill in values that are not supplied. Values are never stored or logged,
+ * and the response is not cacheable.
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiParam {String} [format=json] Configuration format (json, yaml, toml)
+ * @apiParam {String} [client] Client file layout (vscode, claude-desktop, cursor)
+ * @apiParam {String} [transport] Connect over stdio, http or sse (default: stdio when available, else the first remote)
+ * @apiParam {String} [version] Exact version or semver range to resolve
+ * @apiBody {Object} values Variable values by name
+ * 
+ * @apiParamExample {json} Request-Example:
+ *     {
+ *       "values": { "GITHUB_TOKEN": "ghp_..." }
+ *     }
+ * 
+ * @apiSuccess {String} [client] Client the configuration was built for
+ * @apiSuccess {String} [fileName] File the client reads the configuration from
+ * @apiSuccess {String} transport Transport the configuration connects over
+ * @apiSuccess {Object} configuration Configuration with every variable filled in
+ * 
+ * @apiError InvalidVariables Values are missing, unknown or do not match their declarations (listed in violations)
+ * @apiError UnsupportedFormat The format is not json, yaml or toml
+ * @apiError UnsupportedClient The client is not a supported MCP client
+ * @apiError UnsupportedTransport The transport is not stdio, http or sse
+ * @apiError TransportNotAvailable The server cannot be reached over the requested transport
+ */
+router.post('/:id/config/resolve', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    const server = await loadServer(req, res);
+    
+    if (!server) {
+      return;
+    }
+    
+    const request = parseConfigRequest(req, res, server);
+    
+    if (!request) {
+      return;
+    }
+    
+    const { format, client, connection } = request;
+    const values = req.body?.values;
+    
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return sendBadConfigRequest(res, 'values must be an object of variable values by name', 'INVALID_VARIABLES');
+    }
+    
+    const variables = getVariables(server, connection.configuration);
+    const result = checkVariableValues(variables, values);
+    const violations = [
+      ...Object.keys(values)
+        .filter(name => !variables.has(name))
+        .map(name => ({ name, message: `${name} is not used by this configuration` })),
+      ...result.errors
+    ];
+    
+    if (violations.length > 0) {
+      return sendBadConfigRequest(res, 'Variable values are missing or invalid', 'INVALID_VARIABLES', { violations });
+    }
+    
+    const configuration = client
+      ? buildClientConfig(client, [server], connection.transport, result.values)
+      : replacePlaceholders(connection.configuration, name => result.values[name] ?? '');
+    
+    // The values themselves stay out of the audit log
+    await auditLog.record({
+      action: 'config.read',
+      serverId: server.id,
+      details: { version: server.version, client: client || null, transport: connection.transport, format, resolved: true }
     });
+    
+    sendConfiguration(res, request, configuration);
+  } catch (error) {
+    sendInternalError(res, error);
   }
 });
 
@@ -260,14 +768,22 @@ router.get('/:id/config', (req, res) => {
  * @api {get} /api/mcp-servers/:id/tools Get MCP server tools
  * @apiName GetMCPServerTools
  * @apiGroup MCPServers
- * @apiDescription Get the available tools for a specific MCP server
+ * @apiDescription Get the available tools for a specific MCP server. Every tool includes a
+ * JSON Schema `inputSchema`; tools registered with a plain parameter list get an
+ * untyped schema derived from it. Supports conditional requests like the server list.
  * 
  * @apiParam {String} id Unique identifier of the MCP server
+ * @apiParam {String} [version] Exact version or semver range to resolve
+ * @apiParam {Boolean} [readOnly] Only tools with this readOnlyHint; likewise destructive, idempotent
+ * and openWorld. Missing hints take the MCP defaults.
  * 
  * @apiSuccess {Object[]} tools Array of available tools
  * @apiSuccess {String} tools.name Tool name
  * @apiSuccess {String} tools.description Tool description
- * @apiSuccess {String[]} tools.parameters Tool parameters
+ * @apiSuccess {String[]} tools.parameters Tool parameter names
+ * @apiSuccess {Object} tools.inputSchema JSON Schema of the tool arguments
+ * @apiSuccess {Object} [tools.outputSchema] JSON Schema of the tool's structured result
+ * @apiSuccess {Object} [tools.annotations] MCP annotations: readOnlyHint, destructiveHint, idempotentHint, openWorldHint
  * 
  * @apiSuccessExample Success-Response:
  *     HTTP/1.1 200 OK
@@ -277,18 +793,82 @@ router.get('/:id/config', (req, res) => {
  *         "tools": [...]
  *       }
  *     }
+ * 
+ * @apiError InvalidFilter A tool annotation filter is not true or false
  */
-router.get('/:id/tools', (req, res) => {
+router.get('/:id/tools', cacheControl, async (req, res) => {
   try {
-    const { id } = req.params;
-    const server = mcpServers.find(s => s.id === id);
+    const server = await loadServer(req, res);
+    
+    if (!server) {
+      return;
+    }
+    
+    const filters = parseToolFilters(req.query);
+    
+    if (!filters) {
+      return sendInvalidToolFilter(res);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        tools: normalizeTools((server.tools || []).filter(tool => matchesToolFilters(tool, filters)))
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/tools/:toolName Get a single MCP server tool
+ * @apiName GetMCPServerTool
+ * @apiGroup MCPServers
+ * @apiDescription Get one tool of an MCP server, including its input and output schemas
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiParam {String} toolName Name of the tool
+ * @apiParam {String} [version] Exact version or semver range to resolve
+ * 
+ * @apiSuccess {Object} tool Tool definition
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "tool": {
+ *           "name": "get_repository",
+ *           "description": "Get detailed information about a specific repository",
+ *           "parameters": ["owner", "repo"],
+ *           "inputSchema": {
+ *             "type": "object",
+ *             "properties": {...},
+ *             "required": ["owner", "repo"]
+ *           }
+ *         }
+ *       }
+ *     }
+ * 
+ * @apiError ToolNotFound The server has no tool with the given name
+ */
+router.get('/:id/tools/:toolName', cacheControl, async (req, res) => {
+  try {
+    const server = await loadServer(req, res);
     
     if (!server) {
+      return;
+    }
+    
+    const tool = (server.tools || []).find(t => t.name === req.params.toolName);
+    
+    if (!tool) {
       return res.status(404).json({
         success: false,
         error: {
-          message: 'MCP server not found',
-          code: 'SERVER_NOT_FOUND'
+          message: `Tool ${req.params.toolName} not found on ${server.id}`,
+          code: 'TOOL_NOT_FOUND'
         }
       });
     }
@@ -296,17 +876,751 @@ router.get('/:id/tools', (req, res) => {
     res.json({
       success: true,
       data: {
-        tools: server.tools
+        tool: normalizeTool(tool)
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Internal server error',
-        details: error.message
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/security Get MCP server security report
+ * @apiName GetMCPServerSecurity
+ * @apiGroup MCPServers
+ * @apiDescription Trust signals computed from the entry: whether the homepage matches the repository,
+ * whether the launched package is pinned to a version, whether the license is a valid SPDX expression,
+ * and which tools can destroy data or execute code. Each finding adds risk points to a score from 0 to
+ * 100, which maps to a risk level. Supports conditional requests like the server list.
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiParam {String} [version] Exact version or semver range to resolve
+ * 
+ * @apiSuccess {String} id Server id
+ * @apiSuccess {String} version Version that was assessed
+ * @apiSuccess {Number} score Risk score from 0 (no findings) to 100
+ * @apiSuccess {String} level Risk level: low, medium, high or critical
+ * @apiSuccess {Object[]} checks Checks with id (source, pinning, license, tools), status (pass, warn or fail),
+ * the risk points they add, a message and their details
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "id": "playwright-mcp-server",
+ *         "version": "1.0.0",
+ *         "score": 45,
+ *         "level": "medium",
+ *         "checks": [
+ *           { "id": "pinning", "status": "fail", "risk": 20, "message": "@playwright/mcp is not pinned, ...", "package": {...} },
+ *           { "id": "tools", "status": "warn", "risk": 15, "message": "1 of 12 tools can destroy data or execute code",
+ *             "tools": [{ "name": "browser_evaluate", "risks": ["code-execution"] }] },
+ *           ...
+ *         ]
+ *       }
+ *     }
+ */
+router.get('/:id/security', cacheControl, async (req, res) => {
+  try {
+    const server = await loadServer(req, res);
+    
+    if (!server) {
+      return;
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        id: server.id,
+        version: server.version,
+        ...assessServer(server)
       }
     });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/compatibility Check MCP server compatibility
+ * @apiName GetMCPServerCompatibility
+ * @apiGroup MCPServers
+ * @apiDescription Check whether a server can run in the caller's environment. The server's declared
+ * `compatibility` (MCP protocol versions, runtime ranges, operating systems and client minimum versions)
+ * is evaluated against the query: the client, protocol and OS are checked when given, and every runtime
+ * the server needs is checked, or reported as unknown when its version is not given. Versions may be
+ * partial, such as 1.95. Supports conditional requests like the server list.
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiParam {String} [version] Exact version or semver range to resolve
+ * @apiParam {String} [client] Client name, such as vscode, claude-desktop or cursor
+ * @apiParam {String} [clientVersion] Client version (requires client)
+ * @apiParam {String} [protocolVersion] MCP protocol revision, such as 2025-06-18
+ * @apiParam {String} [os] Operating system: linux, darwin or win32
+ * @apiParam {String} [node] Node.js version
+ * @apiParam {String} [python] Python version
+ * @apiParam {String} [dotnet] .NET version
+ * @apiParam {String} [docker] Docker version
+ * 
+ * @apiSuccess {String} id Server id
+ * @apiSuccess {String} version Version that was checked
+ * @apiSuccess {Boolean} compatible Whether no check failed
+ * @apiSuccess {Object} compatibility Declared compatibility of the server
+ * @apiSuccess {Object[]} checks Checks with id (client, protocol, os or a runtime), status (pass, fail or unknown),
+ * a message and the required and actual values
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "id": "github-mcp-server",
+ *         "version": "1.0.0",
+ *         "compatible": false,
+ *         "compatibility": {...},
+ *         "checks": [
+ *           { "id": "client", "status": "fail", "message": "Requires vscode >=1.99.0, but 1.95.0 was given", "required": ">=1.99.0", "actual": "1.95.0", "client": "vscode" },
+ *           { "id": "node", "status": "pass", "message": "node 18.17.0 satisfies >=18.0.0", "required": ">=18.0.0", "actual": "18.17.0" }
+ *         ]
+ *       }
+ *     }
+ * 
+ * @apiError InvalidEnvironment A version, protocol revision or OS in the query is malformed
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ */
+router.get('/:id/compatibility', cacheControl, async (req, res) => {
+  try {
+    const environment = parseEnvironment(req.query);
+    const server = await loadServer(req, res);
+    
+    if (!server) {
+      return;
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        id: server.id,
+        version: server.version,
+        ...checkCompatibility(server, environment),
+        compatibility: getCompatibility(server)
+      }
+    });
+  } catch (error) {
+    if (error instanceof CompatibilityError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/packages Get MCP server package metadata
+ * @apiName GetMCPServerPackages
+ * @apiGroup MCPServers
+ * @apiDescription Look up the packages the server is distributed as (the npm, PyPI or OCI package its
+ * configuration launches, and its deployment Docker image) in their registries: latest version, publish
+ * date, weekly downloads and deprecation status. `lagging` flags entries whose declared version is older
+ * than the latest release of the package that launches them. Registry lookups are cached.
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiParam {String} [version] Exact version or semver range to resolve
+ * 
+ * @apiSuccess {String} id Server id
+ * @apiSuccess {String} version Declared version of the entry
+ * @apiSuccess {String} latestVersion Latest release of the launched package (null when unknown)
+ * @apiSuccess {Boolean} lagging Whether the declared version is older than latestVersion
+ * @apiSuccess {Object[]} packages Packages with their registry metadata and lookup `status`
+ * (ok, not-found, unsupported or error)
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "id": "playwright-mcp-server",
+ *         "version": "0.0.39",
+ *         "latestVersion": "0.0.41",
+ *         "lagging": true,
+ *         "packages": [
+ *           {
+ *             "registryType": "npm",
+ *             "identifier": "@playwright/mcp",
+ *             "pinnedVersion": "latest",
+ *             "source": "configuration",
+ *             "status": "ok",
+ *             "checkedAt": "2025-10-02T09:00:00.000Z",
+ *             "latestVersion": "0.0.41",
+ *             "publishedAt": "2025-09-30T17:12:45.000Z",
+ *             "weeklyDownloads": 912345,
+ *             "deprecated": false,
+ *             "deprecationMessage": null
+ *           },
+ *           ...
+ *         ]
+ *       }
+ *     }
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ */
+router.get('/:id/packages', async (req, res) => {
+  try {
+    const server = await loadServer(req, res);
+    
+    if (!server) {
+      return;
+    }
+    
+    // Registry metadata changes independently of the entry
+    res.removeHeader('Last-Modified');
+    
+    res.json({
+      success: true,
+      data: await packageMetadata.describeServer(server)
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/servers Publish a new MCP server
+ * @apiName CreateMCPServer
+ * @apiGroup MCPServers
+ * @apiDescription Add a new MCP server to the registry. It starts as pending and is hidden from
+ * the server list until approved through the review endpoint. The owner defaults to the caller's
+ * org; publishers can only publish servers owned by their org or team. Requires the publisher role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiBody {Object} server MCP server definition conforming to the registry schema
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 201 Created
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "server": {...}
+ *       }
+ *     }
+ * 
+ * @apiError InvalidServer The request body is not a JSON object
+ * @apiError ValidationFailed The entry does not conform to the MCP server schema (422)
+ * @apiError ServerExists A server with the same ID is already registered
+ * @apiError Forbidden The owner is an org or team the publisher does not belong to
+ */
+router.post('/', requireRole('publisher'), async (req, res) => {
+  try {
+    if (!isPlainObject(req.body)) {
+      return sendInvalidServer(res, 'Request body must be a JSON object');
+    }
+    
+    const server = withOwner(req.principal, stripManagedFields(req.body));
+    const violations = validateServer(server);
+    
+    if (violations.length > 0) {
+      return sendValidationFailed(res, violations);
+    }
+    
+    if (!canManage(req.principal, server)) {
+      return sendForbidden(res, 'Publishers can only publish servers owned by their org or team');
+    }
+    
+    await store.create({ ...publishVersion(null, server), lifecycle: submitLifecycle() });
+    
+    res.status(201)
+      .location(`${req.baseUrl}/${encodeURIComponent(server.id)}`)
+      .json({
+        success: true,
+        data: {
+          server
+        }
+      });
+  } catch (error) {
+    if (error instanceof ServerExistsError) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {put} /api/v0/servers/:id Replace an MCP server
+ * @apiName ReplaceMCPServer
+ * @apiGroup MCPServers
+ * @apiDescription Replace the full definition of an existing MCP server. Changing the version
+ * publishes a new version; earlier versions stay available. Requires the publisher role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiBody {Object} server Complete MCP server definition
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError InvalidServer The request body is not a JSON object or changes the server id
+ * @apiError ValidationFailed The entry does not conform to the MCP server schema (422)
+ * @apiError VersionConflict The version matches an earlier published version
+ * @apiError MirroredEntry The server is mirrored from an upstream registry and is read-only here
+ * @apiError Forbidden The server is owned by another org or team, or the change would move it to one
+ * @apiError ServerRevoked The server has been revoked and can no longer be changed (410)
+ */
+router.put('/:id', requireRole('publisher'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!isPlainObject(req.body)) {
+      return sendInvalidServer(res, 'Request body must be a JSON object');
+    }
+    
+    if (req.body.id !== undefined && req.body.id !== id) {
+      return sendInvalidServer(res, 'Server id in body does not match the URL');
+    }
+    
+    const existing = await getViewable(req);
+    
+    if (!existing) {
+      return sendServerNotFound(res);
+    }
+    
+    if (!canManage(req.principal, existing)) {
+      return sendForbidden(res, `${id} is owned by another org or team`);
+    }
+    
+    if (existing.source) {
+      return sendMirroredEntry(res, existing);
+    }
+    
+    if (getState(existing) === 'revoked') {
+      return sendServerRevoked(res, existing);
+    }
+    
+    const server = withOwner(req.principal, stripManagedFields({ ...req.body, id }), existing);
+    const violations = validateServer(server);
+    
+    if (violations.length > 0) {
+      return sendValidationFailed(res, violations);
+    }
+    
+    if (!canManage(req.principal, server)) {
+      return sendForbidden(res, 'Publishers cannot hand a server to another org or team');
+    }
+    
+    if (isHistoricalVersion(existing, server.version)) {
+      return sendVersionConflict(res, server);
+    }
+    
+    if (!await store.replace(id, publishVersion(existing, server))) {
+      return sendServerNotFound(res);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        server
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {patch} /api/v0/servers/:id Update an MCP server
+ * @apiName UpdateMCPServer
+ * @apiGroup MCPServers
+ * @apiDescription Merge the given top-level fields into an existing MCP server. Changing the
+ * version publishes a new version; earlier versions stay available. Requires the publisher role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiBody {Object} fields Top-level fields to overwrite
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError InvalidServer The request body is not a JSON object or changes the server id
+ * @apiError ValidationFailed The merged entry does not conform to the MCP server schema (422)
+ * @apiError VersionConflict The version matches an earlier published version
+ * @apiError MirroredEntry The server is mirrored from an upstream registry and is read-only here
+ * @apiError Forbidden The server is owned by another org or team, or the change would move it to one
+ * @apiError ServerRevoked The server has been revoked and can no longer be changed (410)
+ */
+router.patch('/:id', requireRole('publisher'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await getViewable(req);
+    
+    if (!existing) {
+      return sendServerNotFound(res);
+    }
+    
+    if (!canManage(req.principal, existing)) {
+      return sendForbidden(res, `${id} is owned by another org or team`);
+    }
+    
+    if (existing.source) {
+      return sendMirroredEntry(res, existing);
+    }
+    
+    if (getState(existing) === 'revoked') {
+      return sendServerRevoked(res, existing);
+    }
+    
+    if (!isPlainObject(req.body)) {
+      return sendInvalidServer(res, 'Request body must be a JSON object');
+    }
+    
+    if (req.body.id !== undefined && req.body.id !== id) {
+      return sendInvalidServer(res, 'Server id cannot be changed');
+    }
+    
+    const server = stripManagedFields({ ...existing, ...req.body, id });
+    const violations = validateServer(server);
+    
+    if (violations.length > 0) {
+      return sendValidationFailed(res, violations);
+    }
+    
+    if (!canManage(req.principal, server)) {
+      return sendForbidden(res, 'Publishers cannot hand a server to another org or team');
+    }
+    
+    if (isHistoricalVersion(existing, server.version)) {
+      return sendVersionConflict(res, server);
+    }
+    
+    if (!await store.replace(id, publishVersion(existing, server))) {
+      return sendServerNotFound(res);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        server
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {delete} /api/v0/servers/:id Remove an MCP server
+ * @apiName DeleteMCPServer
+ * @apiGroup MCPServers
+ * @apiDescription Remove an MCP server from the registry. Requires the publisher role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} id Unique identifier of the MCP server
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "server": {...},
+ *         "danglingIn": ["frontend-dev"]
+ *       }
+ *     }
+ * 
+ * @apiSuccess {String[]} danglingIn Collections that still list the server and now have a dangling member
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError Forbidden The server is owned by another org or team
+ * @apiError MirroredEntry The server is mirrored from an upstream registry and is read-only here
+ */
+router.delete('/:id', requireRole('publisher'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await getViewable(req);
+    
+    if (!existing) {
+      return sendServerNotFound(res);
+    }
+    
+    if (!canManage(req.principal, existing)) {
+      return sendForbidden(res, `${id} is owned by another org or team`);
+    }
+    
+    if (existing.source) {
+      return sendMirroredEntry(res, existing);
+    }
+    
+    const server = await store.remove(id);
+    
+    if (!server) {
+      return sendServerNotFound(res);
+    }
+    
+    const collections = await collectionStore.findByMember(id);
+    
+    res.json({
+      success: true,
+      data: {
+        server: stripManagedFields(server),
+        danglingIn: collections.map(collection => collection.name)
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/servers/:id/introspect Introspect an MCP server
+ * @apiName IntrospectMCPServer
+ * @apiGroup MCPServers
+ * @apiDescription Launch the server from its stdio configuration in a child process wrapped by
+ * INTROSPECTION_SANDBOX_WRAPPER, run the MCP initialize, tools/list, resources/list and
+ * prompts/list handshake, and store the result against the entry together with a diff against
+ * the declared tools. Secrets are used for this run only and are redacted from the result. Requires the
+ * publisher role. The command is publisher-supplied, so nothing is launched until a sandbox
+ * wrapper is configured.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiBody {Object} [secrets] Values for {PLACEHOLDER} variables in the configuration
+ * @apiBody {Number} [timeoutMs] Per-request timeout in milliseconds (max 120000)
+ * 
+ * @apiSuccess {Object} introspection Introspection result
+ * @apiSuccess {String} introspection.status succeeded or failed
+ * @apiSuccess {Object[]} introspection.tools Tools reported by the server
+ * @apiSuccess {Object[]} introspection.resources Resources reported by the server
+ * @apiSuccess {Object[]} introspection.prompts Prompts reported by the server
+ * @apiSuccess {Object} introspection.diff Differences from the declared tools (missing, undeclared, changed)
+ * @apiSuccess {String} [introspection.error] Why the introspection failed
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError Forbidden The server is owned by another org or team
+ * @apiError TransportNotAvailable The server has no stdio configuration to launch
+ * @apiError SandboxNotConfigured INTROSPECTION_SANDBOX_WRAPPER is not set on this registry
+ */
+router.post('/:id/introspect', requireRole('publisher'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = await getViewable(req);
+    
+    if (!record) {
+      return sendServerNotFound(res);
+    }
+    
+    if (!canManage(req.principal, record)) {
+      return sendForbidden(res, `${id} is owned by another org or team`);
+    }
+    
+    if (!record.configuration) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only servers with a stdio configuration can be introspected',
+          code: 'TRANSPORT_NOT_AVAILABLE',
+          available: getTransports(record)
+        }
+      });
+    }
+    
+    if (getSandboxWrapper().length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          message: 'Introspection is disabled until INTROSPECTION_SANDBOX_WRAPPER is configured',
+          code: 'SANDBOX_NOT_CONFIGURED'
+        }
+      });
+    }
+    
+    const body = isPlainObject(req.body) ? req.body : {};
+    const secrets = isPlainObject(body.secrets) ? body.secrets : {};
+    const timeoutMs = Math.min(Math.max(parseInt(body.timeoutMs) || INTROSPECTION_TIMEOUT_MS, 1000), 120000);
+    
+    const introspection = await introspectServer(stripManagedFields(record), { secrets, timeoutMs });
+    
+    // Re-read so a concurrent update made while the server was running is not lost
+    const latest = await store.get(id);
+    if (!latest || !await store.replace(id, { ...latest, introspection })) {
+      return sendServerNotFound(res);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        introspection
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/introspection Get the latest introspection result
+ * @apiName GetMCPServerIntrospection
+ * @apiGroup MCPServers
+ * @apiDescription Get the result of the most recent introspection of an MCP server. The run's
+ * output can reveal details of the publisher's environment, so only admins and publishers who
+ * manage the server can read it.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiParam {String} id Unique identifier of the MCP server
+ * 
+ * @apiSuccess {Object} introspection Introspection result
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError Forbidden The server is owned by another org or team
+ * @apiError IntrospectionNotFound The server has not been introspected yet
+ */
+router.get('/:id/introspection', requireRole('publisher'), async (req, res) => {
+  try {
+    const record = await getViewable(req);
+    
+    if (!record) {
+      return sendServerNotFound(res);
+    }
+    
+    if (!canManage(req.principal, record)) {
+      return sendForbidden(res, `${record.id} is owned by another org or team`);
+    }
+    
+    if (!record.introspection) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: `${record.id} has not been introspected yet`,
+          code: 'INTROSPECTION_NOT_FOUND'
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        introspection: record.introspection
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/servers/:id/review Review an MCP server
+ * @apiName ReviewMCPServer
+ * @apiGroup MCPServers
+ * @apiDescription Move a server through the approval workflow: pending servers are approved or
+ * revoked, approved servers deprecated or revoked, and deprecated servers approved again or revoked.
+ * Revocation is final. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {String} id Unique identifier of the MCP server
+ * @apiBody {String} state New state: approved, deprecated or revoked
+ * @apiBody {String} reviewer Who made the decision
+ * @apiBody {String} [reason] Why; required for deprecated and revoked
+ * 
+ * @apiSuccess {Object} lifecycle Updated lifecycle (state, reviewer, reason, submittedAt, reviewedAt, history)
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "lifecycle": {
+ *           "state": "approved",
+ *           "reviewer": "security-team",
+ *           "reason": null,
+ *           "submittedAt": "2025-01-01T00:00:00.000Z",
+ *           "reviewedAt": "2025-01-02T00:00:00.000Z",
+ *           "history": [...]
+ *         }
+ *       }
+ *     }
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ * @apiError InvalidReview The state, reviewer or reason is missing or the transition is not allowed
+ */
+router.post('/:id/review', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await store.get(id);
+    
+    if (!existing) {
+      return sendServerNotFound(res);
+    }
+    
+    const body = isPlainObject(req.body) ? req.body : {};
+    const review = {
+      state: body.state,
+      reviewer: typeof body.reviewer === 'string' ? body.reviewer.trim() : '',
+      reason: typeof body.reason === 'string' ? body.reason.trim() : ''
+    };
+    const problem = review.reviewer ? checkReview(existing, review) : 'reviewer is required';
+    
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: problem,
+          code: 'INVALID_REVIEW'
+        }
+      });
+    }
+    
+    const lifecycle = reviewLifecycle(existing, review);
+    
+    // Re-read so a concurrent update is not lost
+    const latest = await store.get(id);
+    if (!latest || !await store.replace(id, { ...latest, lifecycle })) {
+      return sendServerNotFound(res);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        lifecycle
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/servers/:id/lifecycle Get the lifecycle of an MCP server
+ * @apiName GetMCPServerLifecycle
+ * @apiGroup MCPServers
+ * @apiDescription Get the approval state of an MCP server with its full review history.
+ * Available for revoked servers too.
+ * 
+ * @apiParam {String} id Unique identifier of the MCP server
+ * 
+ * @apiSuccess {Object} lifecycle Lifecycle (state, reviewer, reason, submittedAt, reviewedAt, history)
+ * 
+ * @apiError ServerNotFound The MCP server with the given ID was not found
+ */
+router.get('/:id/lifecycle', async (req, res) => {
+  try {
+    const record = await getViewable(req);
+    
+    if (!record) {
+      return sendServerNotFound(res);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        lifecycle: getLifecycle(record)
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
   }
 });
 
@@ -0,0 +1,275 @@
+import express from 'express';
+import { store } from '../storage/index.js';
+import { ServerExistsError } from '../storage/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { canManage, canView, withOwner } from '../auth/principal.js';
+import { validateServer } from '../validation/index.js';
+import { stripManagedFields } from '../lib/entries.js';
+import { filterServers } from '../lib/filters.js';
+import { getVersionHistory, isHistoricalVersion, publishVersion } from '../lib/versions.js';
+import { getLifecycle, getState, isVisible, submitLifecycle } from '../lib/lifecycle.js';
+import { toServerName, toServerResponse, fromServerJson, ServerJsonError } from '../compat/serverJson.js';
+
+/**
+ * Compatibility mode for the official MCP Registry API
+ * Serves entries as server.json documents using the official routes, response
+ * shapes and problem+json errors, so clients built for the official registry
+ * can point at this one unchanged. Mounted at /v0 and /v0.1.
+ */
+
+const router = express.Router();
+
+function sendProblem(res, status, title, detail, extra = {}) {
+  return res.status(status)
+    .type('application/problem+json')
+    .send(JSON.stringify({ title, status, detail, ...extra }));
+}
+
+// Servers hidden from the caller are treated as missing
+async function findByName(principal, serverName) {
+  const servers = await store.list();
+  return servers.find(server => toServerName(server) === serverName && canView(principal, server)) || null;
+}
+
+// Sends the response for a missing or revoked server; returns whether one was sent
+function sendUnavailable(res, record) {
+  if (!record) {
+    sendProblem(res, 404, 'Not Found', 'Server not found');
+    return true;
+  }
+  if (getState(record) === 'revoked') {
+    sendProblem(res, 410, 'Gone', `Server has been revoked: ${getLifecycle(record).reason}`);
+    return true;
+  }
+  return false;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(offset.toString()).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  const offset = parseInt(Buffer.from(cursor, 'base64').toString());
+  return Number.isInteger(offset) && offset >= 0 ? offset : null;
+}
+
+/**
+ * @api {get} /v0.1/servers List servers (official registry format)
+ * @apiName ListServerJson
+ * @apiGroup RegistryCompat
+ * @apiDescription List the latest version of every approved server as server.json, in the official MCP Registry response shape
+ * 
+ * @apiParam {String} [search] Search servers by name and description
+ * @apiParam {String} [updated_since] Only servers published at or after this RFC 3339 timestamp
+ * @apiParam {String} [version] Only "latest" is supported
+ * @apiParam {Number} [limit] Limit number of results (default: 30, max: 100)
+ * @apiParam {String} [cursor] Pagination cursor from metadata.nextCursor
+ * 
+ * @apiSuccess {Object[]} servers Entries with `server` (server.json) and `_meta` (registry metadata)
+ * @apiSuccess {Object} metadata Pagination metadata (nextCursor, count)
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "servers": [
+ *         {
+ *           "server": { "name": "io.github.github/github-mcp-server", "version": "1.0.0", "packages": [...], ... },
+ *           "_meta": { "io.modelcontextprotocol.registry/official": { "status": "active", "isLatest": true, ... } }
+ *         }
+ *       ],
+ *       "metadata": { "nextCursor": null, "count": 1 }
+ *     }
+ * 
+ * @apiError BadRequest The cursor, version or updated_since parameter is invalid
+ */
+router.get('/servers', async (req, res) => {
+  try {
+    const { search, updated_since: updatedSince, version } = req.query;
+    
+    if (version !== undefined && version !== 'latest') {
+      return sendProblem(res, 400, 'Bad Request', 'Only version=latest is supported when listing servers');
+    }
+    
+    const since = updatedSince !== undefined ? Date.parse(updatedSince) : null;
+    if (Number.isNaN(since)) {
+      return sendProblem(res, 400, 'Bad Request', 'updated_since must be an RFC 3339 timestamp');
+    }
+    
+    const offset = req.query.cursor ? decodeCursor(req.query.cursor) : 0;
+    if (offset === null) {
+      return sendProblem(res, 400, 'Bad Request', 'Invalid cursor');
+    }
+    
+    const records = (await store.list())
+      .filter(record => isVisible(record) && canView(req.principal, record));
+    const matchingIds = new Set(filterServers(records.map(stripManagedFields), { q: search }).map(server => server.id));
+    const results = records
+      .filter(record => matchingIds.has(record.id))
+      .map(record => toServerResponse(record))
+      .filter(entry => since === null ||
+        Date.parse(entry._meta['io.modelcontextprotocol.registry/official'].updatedAt) >= since);
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+    const page = results.slice(offset, offset + limit);
+    const nextOffset = offset + limit;
+    
+    res.json({
+      servers: page,
+      metadata: {
+        nextCursor: nextOffset < results.length ? encodeCursor(nextOffset) : null,
+        count: page.length
+      }
+    });
+  } catch (error) {
+    sendProblem(res, 500, 'Internal Server Error', error.message);
+  }
+});
+
+/**
+ * @api {get} /v0.1/servers/:serverName/versions List versions of a server (official registry format)
+ * @apiName ListServerJsonVersions
+ * @apiGroup RegistryCompat
+ * @apiDescription List every published version of a server as server.json, oldest first
+ * 
+ * @apiParam {String} serverName URL-encoded reverse-DNS server name, e.g. io.github.github%2Fgithub-mcp-server
+ * 
+ * @apiError NotFound No server has the given name
+ * @apiError Gone The server has been revoked
+ */
+router.get('/servers/:serverName/versions', async (req, res) => {
+  try {
+    const record = await findByName(req.principal, req.params.serverName);
+    
+    if (sendUnavailable(res, record)) {
+      return;
+    }
+    
+    const servers = getVersionHistory(record).map(snapshot => toServerResponse(record, snapshot));
+    
+    res.json({
+      servers,
+      metadata: {
+        nextCursor: null,
+        count: servers.length
+      }
+    });
+  } catch (error) {
+    sendProblem(res, 500, 'Internal Server Error', error.message);
+  }
+});
+
+/**
+ * @api {get} /v0.1/servers/:serverName/versions/:version Get a server version (official registry format)
+ * @apiName GetServerJson
+ * @apiGroup RegistryCompat
+ * @apiDescription Retrieve one version of a server as server.json. Use "latest" for the current version.
+ * 
+ * @apiParam {String} serverName URL-encoded reverse-DNS server name
+ * @apiParam {String} version Exact version or "latest"
+ * 
+ * @apiError NotFound No server has the given name, or it has no such version
+ * @apiError Gone The server has been revoked
+ */
+router.get('/servers/:serverName/versions/:version', async (req, res) => {
+  try {
+    const record = await findByName(req.principal, req.params.serverName);
+    
+    if (sendUnavailable(res, record)) {
+      return;
+    }
+    
+    const { version } = req.params;
+    const snapshot = version === 'latest'
+      ? stripManagedFields(record)
+      : getVersionHistory(record).find(entry => entry.version === version);
+    
+    if (!snapshot) {
+      return sendProblem(res, 404, 'Not Found', `Version ${version} not found`);
+    }
+    
+    res.json(toServerResponse(record, snapshot));
+  } catch (error) {
+    sendProblem(res, 500, 'Internal Server Error', error.message);
+  }
+});
+
+/**
+ * @api {post} /v0.1/publish Publish a server.json
+ * @apiName PublishServerJson
+ * @apiGroup RegistryCompat
+ * @apiDescription Ingest a server.json document. A new server name creates an entry; a new version
+ * of a known name publishes that version. New servers start as pending review. The first stdio package becomes the launch configuration
+ * and streamable HTTP or SSE remotes become remotes. New servers are owned by the caller's org;
+ * publishers can only publish versions of servers their org or team owns.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the publisher or admin role
+ * @apiBody {Object} server server.json document
+ * 
+ * @apiError BadRequest The body is not a server.json document
+ * @apiError Conflict The version is already published, the derived id belongs to a different server, or the
+ * server is mirrored from an upstream (code MIRRORED_ENTRY)
+ * @apiError Forbidden The server belongs to another org or team
+ * @apiError Gone The server has been revoked
+ * @apiError UnprocessableEntity The server has no runnable stdio package or usable remote, or fails entry validation
+ */
+router.post('/publish', requireRole('publisher'), async (req, res) => {
+  try {
+    const serverJson = req.body;
+    
+    if (!serverJson || typeof serverJson !== 'object' || Array.isArray(serverJson) ||
+        typeof serverJson.name !== 'string' || typeof serverJson.version !== 'string') {
+      return sendProblem(res, 400, 'Bad Request', 'Request body must be a server.json document with name and version');
+    }
+    
+    const converted = fromServerJson(serverJson);
+    const existing = await store.get(converted.id);
+    const server = withOwner(req.principal, converted, existing);
+    const violations = validateServer(server);
+    
+    if (violations.length > 0) {
+      return sendProblem(res, 422, 'Unprocessable Entity', 'server.json does not map to a valid registry entry', {
+        errors: violations.map(({ path, message }) => ({ location: path, message }))
+      });
+    }
+    
+    if ((existing && !canManage(req.principal, existing)) || !canManage(req.principal, server)) {
+      return sendProblem(res, 403, 'Forbidden', 'Publishers can only publish servers owned by their org or team');
+    }
+    
+    if (!existing) {
+      await store.create({ ...publishVersion(null, server), lifecycle: submitLifecycle() });
+      return res.json(toServerResponse(await store.get(server.id)));
+    }
+    
+    if (existing.source) {
+      return sendProblem(res, 409, 'Conflict', `${existing.id} is mirrored from upstream ${existing.source.upstream} and cannot be changed here`, {
+        code: 'MIRRORED_ENTRY'
+      });
+    }
+    
+    if (getState(existing) === 'revoked') {
+      return sendProblem(res, 410, 'Gone', `Server has been revoked: ${getLifecycle(existing).reason}`);
+    }
+    
+    if (toServerName(existing) !== server.registryName) {
+      return sendProblem(res, 409, 'Conflict', `Server id ${server.id} is already used by ${toServerName(existing)}`);
+    }
+    
+    if (server.version === existing.version || isHistoricalVersion(existing, server.version)) {
+      return sendProblem(res, 409, 'Conflict', `Version ${server.version} is already published`);
+    }
+    
+    const updated = await store.replace(server.id, publishVersion(existing, server));
+    res.json(toServerResponse(updated));
+  } catch (error) {
+    if (error instanceof ServerJsonError) {
+      return sendProblem(res, 422, 'Unprocessable Entity', error.message);
+    }
+    if (error instanceof ServerExistsError) {
+      return sendProblem(res, 409, 'Conflict', error.message);
+    }
+    sendProblem(res, 500, 'Internal Server Error', error.message);
+  }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import { store } from '../storage/index.js';
+import { stripManagedFields } from '../lib/entries.js';
+import { searchTools } from '../lib/search.js';
+import { TOOL_FILTERS, normalizeTool, parseToolFilters, matchesToolFilters } from '../lib/tools.js';
+import { isVisible } from '../lib/lifecycle.js';
+import { canView } from '../auth/principal.js';
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/v0/tools/search Search tools across all MCP servers
+ * @apiName SearchTools
+ * @apiGroup Tools
+ * @apiDescription Find tools by what they do, ranked by relevance, together with the server that provides them.
+ * Only approved servers are searched.
+ * 
+ * @apiParam {String} q Search query, e.g. "create a pull request"
+ * @apiParam {Boolean} [readOnly] Only tools with this readOnlyHint; likewise destructive, idempotent and openWorld
+ * @apiParam {Number} [limit] Limit number of results (default: 20, max: 100)
+ * 
+ * @apiSuccess {Object[]} results Matching tools, best match first
+ * @apiSuccess {Object} results.server Server providing the tool (id, name, version)
+ * @apiSuccess {Object} results.tool Tool definition
+ * @apiSuccess {Number} results.score Relevance score
+ * @apiSuccess {Number} total Total number of matching tools
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 200 OK
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "results": [
+ *           {
+ *             "server": { "id": "github-mcp-server", "name": "GitHub MCP Server", "version": "1.0.0" },
+ *             "tool": { "name": "create_pull_request", "description": "Create a new pull request", ... },
+ *             "score": 18
+ *           }
+ *         ],
+ *         "total": 1
+ *       }
+ *     }
+ * 
+ * @apiError MissingQuery The q parameter is missing
+ * @apiError InvalidFilter A tool annotation filter is not true or false
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A search query is required in the q parameter',
+          code: 'MISSING_QUERY'
+        }
+      });
+    }
+    
+    const filters = parseToolFilters(req.query);
+    
+    if (!filters) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Tool annotation filters (${Object.keys(TOOL_FILTERS).join(', ')}) must be true or false`,
+          code: 'INVALID_FILTER'
+        }
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const servers = (await store.list())
+      .filter(server => isVisible(server) && canView(req.principal, server))
+      .map(stripManagedFields);
+    const results = searchTools(servers, query).filter(({ tool }) => matchesToolFilters(tool, filters));
+    
+    res.json({
+      success: true,
+      data: {
+        results: results.slice(0, limit).map(({ server, tool, score }) => ({
+          server: {
+            id: server.id,
+            name: server.name,
+            version: server.version
+          },
+          tool: normalizeTool(tool),
+          score
+        })),
+        total: results.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+export default router;
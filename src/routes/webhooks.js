@@ -0,0 +1,182 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { webhookStore, WebhookError } from '../changes/webhooks.js';
+import { auditLog } from '../audit/log.js';
+
+const router = express.Router();
+
+// Webhook subscriptions are managed by admins
+router.use(requireRole('admin'));
+
+function sendWebhookNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: `Webhook ${id} not found`,
+      code: 'WEBHOOK_NOT_FOUND'
+    }
+  });
+}
+
+function sendInternalError(res, error) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Internal server error',
+      details: error.message
+    }
+  });
+}
+
+/**
+ * @api {get} /api/v0/webhooks List webhook subscriptions
+ * @apiName ListWebhooks
+ * @apiGroup Webhooks
+ * @apiDescription List webhook subscriptions. Secrets are never returned after creation. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * 
+ * @apiSuccess {Object[]} webhooks Subscriptions (id, url, events, description, createdAt)
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        webhooks: await webhookStore.list()
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {post} /api/v0/webhooks Subscribe to catalog changes
+ * @apiName CreateWebhook
+ * @apiGroup Webhooks
+ * @apiDescription Subscribe a URL to change feed events. Every matching change is POSTed as
+ * `{ delivery, change }` with X-Registry-Event, X-Registry-Delivery, X-Registry-Timestamp and
+ * X-Registry-Signature headers; the signature is `sha256=` followed by the hex HMAC-SHA256 of
+ * `<timestamp>.<body>` keyed with the secret. Failed deliveries are retried with exponential
+ * backoff. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiBody {String} url http or https URL to deliver to
+ * @apiBody {String[]} [events] Change types to deliver (default: all)
+ * @apiBody {String} [description] What the subscription is for
+ * @apiBody {String} [secret] Signing secret of at least 16 characters (default: generated)
+ * 
+ * @apiSuccessExample Success-Response:
+ *     HTTP/1.1 201 Created
+ *     {
+ *       "success": true,
+ *       "data": {
+ *         "webhook": { "id": "...", "url": "https://portal.example.com/hooks/registry", "events": ["server.created"], ... },
+ *         "secret": "..."
+ *       }
+ *     }
+ * 
+ * @apiError InvalidWebhook The url, events, description or secret is invalid
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { subscription, secret } = await webhookStore.create(req.body);
+    await auditLog.record({ action: 'webhook.create', details: { webhookId: subscription.id, url: subscription.url, events: subscription.events } });
+    
+    res.status(201)
+      .location(`${req.baseUrl}/${subscription.id}`)
+      .json({
+        success: true,
+        data: {
+          webhook: subscription,
+          secret
+        }
+      });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {delete} /api/v0/webhooks/:webhookId Unsubscribe
+ * @apiName DeleteWebhook
+ * @apiGroup Webhooks
+ * @apiDescription Remove a webhook subscription. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {String} webhookId Id of the subscription
+ * 
+ * @apiError WebhookNotFound No subscription has the given id
+ */
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    const subscription = await webhookStore.remove(req.params.webhookId);
+    
+    if (!subscription) {
+      return sendWebhookNotFound(res, req.params.webhookId);
+    }
+    
+    await auditLog.record({ action: 'webhook.delete', details: { webhookId: subscription.id, url: subscription.url } });
+    
+    res.json({
+      success: true,
+      data: {
+        webhook: subscription
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+/**
+ * @api {get} /api/v0/webhooks/:webhookId/deliveries List recent deliveries
+ * @apiName GetWebhookDeliveries
+ * @apiGroup Webhooks
+ * @apiDescription The latest deliveries to a subscription, newest first, with their attempts and
+ * outcome. Requires the admin role.
+ * 
+ * @apiHeader {String} Authorization Bearer token or API key with the admin role
+ * @apiParam {String} webhookId Id of the subscription
+ * 
+ * @apiSuccess {Object[]} deliveries Deliveries
+ * @apiSuccess {String} deliveries.id Delivery id, also sent as X-Registry-Delivery
+ * @apiSuccess {Number} deliveries.seq Sequence number of the change
+ * @apiSuccess {String} deliveries.type Change type
+ * @apiSuccess {String} deliveries.status pending (being retried), delivered or failed
+ * @apiSuccess {Number} deliveries.attempts Attempts made so far
+ * @apiSuccess {Number} deliveries.responseStatus HTTP status of the last attempt (null when it did not connect)
+ * @apiSuccess {String} deliveries.error Error of the last attempt
+ * 
+ * @apiError WebhookNotFound No subscription has the given id
+ */
+router.get('/:webhookId/deliveries', async (req, res) => {
+  try {
+    const subscriptions = await webhookStore.list();
+    
+    if (!subscriptions.some(subscription => subscription.id === req.params.webhookId)) {
+      return sendWebhookNotFound(res, req.params.webhookId);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        deliveries: webhookStore.getDeliveries(req.params.webhookId)
+      }
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+export default router;
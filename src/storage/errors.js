@@ -0,0 +1,13 @@
+/**
+ * Errors raised by storage backends
+ */
+
+export class ServerExistsError extends Error {
+  constructor(id) {
+    super(`MCP server ${id} already exists`);
+    this.name = 'ServerExistsError';
+    this.code = 'SERVER_EXISTS';
+  }
+}
+
+export default ServerExistsError;
@@ -0,0 +1,48 @@
+import { mcpServers } from '../data/mcpServers.js';
+import { assertValidCatalog } from '../validation/index.js';
+import { MemoryStore } from './memoryStore.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { SqliteStore } from './sqliteStore.js';
+import { withTimestamps } from './timestamps.js';
+import { withAudit } from '../audit/store.js';
+import { auditLog } from '../audit/log.js';
+import { withChangeFeed } from '../changes/store.js';
+import { changeFeed } from '../changes/feed.js';
+
+/**
+ * Storage backend selection
+ * REGISTRY_STORAGE picks the backend (memory, json or sqlite) and
+ * REGISTRY_STORAGE_PATH the file used by the persistent backends.
+ * Persistent backends are seeded from src/data/mcpServers.js on first use;
+ * the seed data is validated against the server schema before any backend starts.
+ * The shared store stamps when entries change and records every change in the
+ * audit log and the change feed.
+ */
+
+const DEFAULT_PATHS = {
+  json: 'data/registry.json',
+  sqlite: 'data/registry.db'
+};
+
+export async function createStore({
+  backend = process.env.REGISTRY_STORAGE || 'memory',
+  filePath = process.env.REGISTRY_STORAGE_PATH,
+  seed = mcpServers
+} = {}) {
+  assertValidCatalog(seed);
+  
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore(seed);
+    case 'json':
+      return new JsonFileStore(filePath || DEFAULT_PATHS.json, seed).init();
+    case 'sqlite':
+      return new SqliteStore(filePath || DEFAULT_PATHS.sqlite, seed).init();
+    default:
+      throw new Error(`Unknown REGISTRY_STORAGE backend "${backend}". Use memory, json or sqlite.`);
+  }
+}
+
+export const store = withChangeFeed(withAudit(withTimestamps(await createStore()), auditLog), changeFeed);
+
+export default store;
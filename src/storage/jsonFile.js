@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON files behind the registry's stores
+ * A store keeps its data in memory, or in the file it is given. Files are
+ * re-read on every access. JSON documents are rewritten through a uniquely
+ * named temporary file and a rename, so readers never see a partial file;
+ * JSON Lines files are only appended to. Read-modify-write cycles are
+ * serialized within the process by a queue, and across processes sharing the
+ * file by a lock file created with O_EXCL next to it.
+ */
+
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 10000;
+// A lock this old was left behind by a process that died while holding it
+const STALE_LOCK_MS = 30000;
+
+export class LockTimeoutError extends Error {
+  constructor(lockPath) {
+    super(`Timed out waiting for the lock on ${lockPath}`);
+    this.name = 'LockTimeoutError';
+    this.code = 'LOCK_TIMEOUT';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `task` while holding `${filePath}.lock`
+ */
+export async function withFileLock(filePath, task) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  for (;;) {
+    try {
+      await (await fs.open(lockPath, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    const stat = await fs.stat(lockPath).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new LockTimeoutError(lockPath);
+    }
+    await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+  }
+
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * A JSON document (an array of records), replaced as a whole on every write.
+ * `mode` sets the file permissions, e.g. 0o600 for files holding secrets.
+ */
+export class JsonFile {
+  constructor(filePath = null, { mode } = {}) {
+    this.filePath = filePath && path.resolve(filePath);
+    this.mode = mode;
+    this.memory = [];
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Resolves with [] when the file does not exist yet
+  async read() {
+    if (!this.filePath) {
+      return this.memory;
+    }
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async write(data) {
+    if (!this.filePath) {
+      this.memory = data;
+      return;
+    }
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), this.mode && { mode: this.mode });
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write, serialized within the process and locked across
+   * processes. `change(data)` returns { data, value }: the document to write
+   * (left out to write nothing) and the value to resolve with.
+   */
+  mutate(change) {
+    const cycle = async () => {
+      const { data, value } = change(await this.read());
+      if (data) {
+        await this.write(data);
+      }
+      return value;
+    };
+    const result = this.pendingWrite.then(() => this.filePath ? withFileLock(this.filePath, cycle) : cycle());
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+}
+
+const TAIL_CHUNK_BYTES = 4096;
+
+/**
+ * An append-only JSON Lines file: one record per line, never rewritten
+ */
+export class JsonLinesFile {
+  constructor(filePath = null) {
+    this.filePath = filePath && path.resolve(filePath);
+    this.memory = [];
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Resolves with [] when the file does not exist yet
+  async read() {
+    if (!this.filePath) {
+      return this.memory;
+    }
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // The last record, or null. Reads the file backwards from its end.
+  async readLast() {
+    if (!this.filePath) {
+      return this.memory[this.memory.length - 1] || null;
+    }
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      const { size } = await handle.stat();
+      let tail = Buffer.alloc(0);
+      for (let end = size; end > 0;) {
+        const start = Math.max(0, end - TAIL_CHUNK_BYTES);
+        const chunk = Buffer.alloc(end - start);
+        await handle.read(chunk, 0, chunk.length, start);
+        tail = Buffer.concat([chunk, tail]);
+        end = start;
+        // Complete once a newline precedes the last line
+        const text = tail.toString('utf8').replace(/\n+$/, '');
+        const newline = text.lastIndexOf('\n');
+        if (newline !== -1 || (start === 0 && text)) {
+          return JSON.parse(text.slice(newline + 1));
+        }
+      }
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Appends the record `next(last)` builds from the current last record (or
+   * null), serialized within the process and locked across processes
+   */
+  append(next) {
+    const cycle = async () => {
+      const record = next(await this.readLast());
+      if (this.filePath) {
+        await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+      } else {
+        this.memory.push(record);
+      }
+      return record;
+    };
+    const result = this.pendingWrite.then(() => this.filePath ? withFileLock(this.filePath, cycle) : cycle());
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+}
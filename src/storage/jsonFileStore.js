@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import { ServerExistsError } from './errors.js';
+import { JsonFile, withFileLock } from './jsonFile.js';
+
+/**
+ * JSON file storage backend
+ * Persists the catalog as a JSON array on disk. The file is re-read on every
+ * operation and writes are locked (see JsonFile), so replicas sharing a
+ * volume see each other's changes without losing any.
+ */
+export class JsonFileStore {
+  constructor(filePath, seed = []) {
+    this.file = new JsonFile(filePath);
+    this.seed = seed;
+  }
+
+  // Seeds the file unless another process already created it
+  async init() {
+    await withFileLock(this.file.filePath, async () => {
+      try {
+        await fs.access(this.file.filePath);
+      } catch {
+        await this.file.write(this.seed);
+      }
+    });
+    return this;
+  }
+
+  async list() {
+    return this.file.read();
+  }
+
+  async get(id) {
+    const servers = await this.file.read();
+    return servers.find(s => s.id === id) || null;
+  }
+
+  create(server) {
+    return this.file.mutate(servers => {
+      if (servers.some(s => s.id === server.id)) {
+        throw new ServerExistsError(server.id);
+      }
+      return { data: [...servers, server], value: server };
+    });
+  }
+
+  replace(id, server) {
+    return this.file.mutate(servers => {
+      const index = servers.findIndex(s => s.id === id);
+      if (index === -1) {
+        return { value: null };
+      }
+      const updated = [...servers];
+      updated[index] = server;
+      return { data: updated, value: server };
+    });
+  }
+
+  remove(id) {
+    return this.file.mutate(servers => {
+      const server = servers.find(s => s.id === id);
+      if (!server) {
+        return { value: null };
+      }
+      return { data: servers.filter(s => s.id !== id), value: server };
+    });
+  }
+}
+
+export default JsonFileStore;
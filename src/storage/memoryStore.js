@@ -0,0 +1,43 @@
+import { ServerExistsError } from './errors.js';
+
+/**
+ * In-memory storage backend
+ * Keeps the catalog in process memory; registrations are lost on restart
+ */
+export class MemoryStore {
+  constructor(seed = []) {
+    this.servers = new Map(structuredClone(seed).map(server => [server.id, server]));
+  }
+
+  async list() {
+    return [...this.servers.values()];
+  }
+
+  async get(id) {
+    return this.servers.get(id) || null;
+  }
+
+  async create(server) {
+    if (this.servers.has(server.id)) {
+      throw new ServerExistsError(server.id);
+    }
+    this.servers.set(server.id, server);
+    return server;
+  }
+
+  async replace(id, server) {
+    if (!this.servers.has(id)) {
+      return null;
+    }
+    this.servers.set(id, server);
+    return server;
+  }
+
+  async remove(id) {
+    const server = this.servers.get(id) || null;
+    this.servers.delete(id);
+    return server;
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { ServerExistsError } from './errors.js';
+
+/**
+ * SQLite storage backend
+ * Stores each server entry as a JSON document keyed by id. WAL mode and a busy
+ * timeout let several registry replicas share one database file.
+ * Requires the optional better-sqlite3 dependency.
+ */
+export class SqliteStore {
+  constructor(filePath, seed = []) {
+    this.filePath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+    this.seed = seed;
+  }
+
+  async init() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`SQLite storage requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS servers (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        position INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS registry_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    // Seed only once so that deleting every entry does not bring the seed data back
+    const seedCatalog = this.db.transaction(() => {
+      const seeded = this.db.prepare("SELECT value FROM registry_meta WHERE key = 'seeded'").get();
+      if (seeded) {
+        return;
+      }
+      this.seed.forEach(server => this.insert(server));
+      this.db.prepare("INSERT INTO registry_meta (key, value) VALUES ('seeded', ?)").run(new Date().toISOString());
+    });
+    seedCatalog.immediate();
+
+    return this;
+  }
+
+  insert(server) {
+    this.db.prepare(`
+      INSERT INTO servers (id, data, position)
+      VALUES (?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM servers))
+    `).run(server.id, JSON.stringify(server));
+  }
+
+  async list() {
+    return this.db.prepare('SELECT data FROM servers ORDER BY position')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async get(id) {
+    const row = this.db.prepare('SELECT data FROM servers WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(server) {
+    try {
+      this.insert(server);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new ServerExistsError(server.id);
+      }
+      throw error;
+    }
+    return server;
+  }
+
+  async replace(id, server) {
+    const result = this.db.prepare('UPDATE servers SET data = ? WHERE id = ?')
+      .run(JSON.stringify(server), id);
+    return result.changes > 0 ? server : null;
+  }
+
+  async remove(id) {
+    const row = this.db.prepare('DELETE FROM servers WHERE id = ? RETURNING data').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default SqliteStore;
@@ -0,0 +1,38 @@
+import { stripManagedFields } from '../lib/entries.js';
+import { getState } from '../lib/lifecycle.js';
+
+/**
+ * Store wrapper that stamps `updatedAt` on entries whose published definition
+ * or lifecycle state changes. Writes that only touch other registry-managed
+ * fields (introspection results, upstream sync times) keep the previous stamp,
+ * so Last-Modified only moves when what clients see does.
+ */
+
+function isUnchanged(before, after) {
+  return JSON.stringify(stripManagedFields(before)) === JSON.stringify(stripManagedFields(after)) &&
+    getState(before) === getState(after);
+}
+
+export function withTimestamps(store) {
+  return {
+    list: () => store.list(),
+    get: id => store.get(id),
+
+    create(server) {
+      return store.create({ ...server, updatedAt: new Date().toISOString() });
+    },
+
+    async replace(id, server) {
+      const before = await store.get(id);
+      const { updatedAt, ...record } = server;
+      if (before && isUnchanged(before, record)) {
+        return store.replace(id, before.updatedAt ? { ...record, updatedAt: before.updatedAt } : record);
+      }
+      return store.replace(id, { ...record, updatedAt: new Date().toISOString() });
+    },
+
+    remove: id => store.remove(id)
+  };
+}
+
+export default withTimestamps;
@@ -0,0 +1,49 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import semver from 'semver';
+import { mcpServerSchema } from './mcpServerSchema.js';
+import { isSafePattern } from '../lib/variables.js';
+
+/**
+ * Server entry validation
+ * Wraps the compiled JSON Schema and turns Ajv errors into
+ * { path, message } pairs that point at the offending field.
+ */
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+ajv.addFormat('semver-range', range => semver.validRange(range) !== null);
+ajv.addFormat('safe-regex', isSafePattern);
+
+const validate = ajv.compile(mcpServerSchema);
+
+function toViolation(error) {
+  const path = error.keyword === 'required'
+    ? `${error.instancePath}/${error.params.missingProperty}`
+    : error.instancePath || '/';
+  return { path, message: error.message };
+}
+
+export function validateServer(server) {
+  if (validate(server)) {
+    return [];
+  }
+  return validate.errors.map(toViolation);
+}
+
+/**
+ * Throws when any entry of a catalog fails validation, listing each violation
+ */
+export function assertValidCatalog(servers) {
+  const problems = servers.flatMap((server, index) =>
+    validateServer(server).map(({ path, message }) =>
+      `${server?.id || `entry ${index}`} ${path}: ${message}`
+    )
+  );
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid MCP server catalog:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+export default validateServer;
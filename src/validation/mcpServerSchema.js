@@ -0,0 +1,270 @@
+import { RUNTIME_NAMES, OPERATING_SYSTEMS } from '../lib/compatibility.js';
+
+/**
+ * JSON Schema for MCP server registry entries
+ * Every entry in the catalog, including the seed data, must conform to this schema
+ */
+
+// Semantic Versioning 2.0.0 (https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string)
+export const SEMVER_PATTERN = '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)' +
+  '(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?' +
+  '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$';
+
+export const SERVER_ID_PATTERN = '^[a-z0-9][a-z0-9._-]*$';
+
+// Reverse-DNS name used by the official MCP Registry, e.g. io.github.owner/server
+export const REGISTRY_NAME_PATTERN = '^[a-zA-Z0-9.-]+/[a-zA-Z0-9._-]+$';
+
+const stringArray = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 }
+};
+
+// MCP requires tool input and output schemas to describe a JSON object
+const objectSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { const: 'object' },
+    properties: {
+      type: 'object',
+      additionalProperties: { type: ['object', 'boolean'] }
+    },
+    required: stringArray
+  }
+};
+
+export const mcpServerSchema = {
+  $id: 'https://github.com/petercort/dynamic-mcp-registry/schemas/mcp-server.json',
+  type: 'object',
+  required: ['id', 'name', 'description', 'version', 'capabilities', 'tools', 'tags'],
+  // Servers run locally over stdio, are hosted remotely, or both
+  anyOf: [
+    { required: ['configuration'] },
+    { required: ['remotes'] }
+  ],
+  // Servers restricted to an org or team must name it
+  allOf: [
+    {
+      if: { required: ['visibility'], properties: { visibility: { const: 'org' } } },
+      then: { required: ['owner'] }
+    },
+    {
+      if: { required: ['visibility'], properties: { visibility: { const: 'team' } } },
+      then: { required: ['owner'], properties: { owner: { type: 'object', required: ['org', 'team'] } } }
+    }
+  ],
+  properties: {
+    id: {
+      type: 'string',
+      pattern: SERVER_ID_PATTERN,
+      maxLength: 128
+    },
+    registryName: { type: 'string', pattern: REGISTRY_NAME_PATTERN, maxLength: 200 },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    version: { type: 'string', pattern: SEMVER_PATTERN },
+    author: { type: 'string' },
+    license: { type: 'string' },
+    homepage: { type: 'string', format: 'uri' },
+    repository: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        type: { type: 'string' },
+        url: { type: 'string', format: 'uri' }
+      }
+    },
+    configuration: {
+      type: 'object',
+      required: ['command'],
+      properties: {
+        command: { type: 'string', minLength: 1 },
+        args: { type: 'array', items: { type: 'string' } },
+        env: {
+          type: 'object',
+          additionalProperties: { type: 'string' }
+        }
+      }
+    },
+    remotes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'url'],
+        properties: {
+          type: { enum: ['http', 'sse'] },
+          // May contain {PLACEHOLDER} segments, so not validated as a URI
+          url: { type: 'string', pattern: '^https?://' },
+          headers: {
+            type: 'object',
+            additionalProperties: { type: 'string' }
+          },
+          auth: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { enum: ['none', 'header', 'oauth2'] },
+              authorizationServer: { type: 'string', format: 'uri' },
+              scopes: stringArray,
+              description: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    // Declarations of the {PLACEHOLDER} variables used by configuration and remotes
+    variables: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+          description: { type: 'string' },
+          required: { type: 'boolean' },
+          secret: { type: 'boolean' },
+          default: { type: ['string', 'number', 'boolean'] },
+          format: { enum: ['string', 'number', 'boolean', 'filepath'] },
+          // Rejects patterns prone to catastrophic backtracking
+          pattern: { type: 'string', maxLength: 256, format: 'safe-regex' },
+          // URL or short instructions for getting a value
+          obtainFrom: { type: 'string' }
+        }
+      }
+    },
+    capabilities: stringArray,
+    tools: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'description'],
+        properties: {
+          name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+          description: { type: 'string' },
+          parameters: stringArray,
+          inputSchema: objectSchema,
+          outputSchema: objectSchema,
+          // MCP tool annotations
+          annotations: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              title: { type: 'string' },
+              readOnlyHint: { type: 'boolean' },
+              destructiveHint: { type: 'boolean' },
+              idempotentHint: { type: 'boolean' },
+              openWorldHint: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+    tags: stringArray,
+    deployment: {
+      type: 'object',
+      properties: {
+        requirements: {
+          type: 'object',
+          properties: {
+            // Superseded by `compatibility.runtimes.node`
+            node: { type: 'string', format: 'semver-range' },
+            // Superseded by `variables`; names listed here are treated as required secrets
+            environment: stringArray
+          }
+        },
+        docker: {
+          type: 'object',
+          properties: {
+            image: { type: 'string', minLength: 1 },
+            ports: stringArray
+          }
+        }
+      }
+    },
+    // Where the server can run; see src/lib/compatibility.js
+    compatibility: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        protocolVersions: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+        },
+        runtimes: {
+          type: 'object',
+          propertyNames: { enum: RUNTIME_NAMES },
+          additionalProperties: { type: 'string', format: 'semver-range' }
+        },
+        os: {
+          type: 'array',
+          minItems: 1,
+          items: { enum: OPERATING_SYSTEMS }
+        },
+        // Minimum versions of the clients the server works with, by client name
+        clients: {
+          type: 'object',
+          propertyNames: { pattern: SERVER_ID_PATTERN },
+          additionalProperties: { type: 'string', format: 'semver-range' }
+        }
+      }
+    },
+    documentation: {
+      type: 'object',
+      additionalProperties: { type: 'string', format: 'uri' }
+    },
+    introspection: {
+      type: 'object',
+      required: ['status'],
+      properties: {
+        status: { enum: ['succeeded', 'failed'] }
+      }
+    },
+    visibility: { enum: ['public', 'org', 'team'] },
+    owner: {
+      type: 'object',
+      required: ['org'],
+      additionalProperties: false,
+      properties: {
+        org: { type: 'string', minLength: 1 },
+        team: { type: 'string', minLength: 1 }
+      }
+    },
+    lifecycle: {
+      type: 'object',
+      required: ['state'],
+      properties: {
+        state: { enum: ['pending', 'approved', 'deprecated', 'revoked'] },
+        history: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    updatedAt: { type: 'string', format: 'date-time' },
+    source: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['local', 'upstream'] },
+        upstream: { type: 'string' },
+        url: { type: 'string', format: 'uri' },
+        id: { type: 'string' },
+        syncedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    versions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['version'],
+        properties: {
+          version: { type: 'string', pattern: SEMVER_PATTERN },
+          publishedAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+export default mcpServerSchema;
@@ -1,6 +1,22 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { signJwt } from '../src/auth/jwt.js';
+import { DEV_SIGNING_KEY } from '../src/auth/devKey.js';
+import { signPayload } from '../src/changes/webhooks.js';
+
+const API_TOKEN = 'test-publisher-token';
+process.env.REGISTRY_API_TOKENS = API_TOKEN;
+process.env.REGISTRY_DEV_AUTH = 'true';
+process.env.REGISTRY_WEBHOOK_RETRY_MS = '10';
+
+// Package registry lookups go to a stub started by the package metadata test
+const PACKAGE_REGISTRY_URL = 'http://localhost:3103';
+process.env.REGISTRY_NPM_URL = PACKAGE_REGISTRY_URL;
+process.env.REGISTRY_NPM_DOWNLOADS_URL = PACKAGE_REGISTRY_URL;
+process.env.REGISTRY_OCI_URL = PACKAGE_REGISTRY_URL;
 
 test('Basic API structure validation', async () => {
   // Test that our MCP server data structure is valid
@@ -37,21 +53,44 @@ test('Configuration structure validation', async () => {
   });
 });
 
+test('Seed data conforms to the server schema', async () => {
+  const { mcpServers } = await import('../src/data/mcpServers.js');
+  const { validateServer, assertValidCatalog } = await import('../src/validation/index.js');
+  
+  mcpServers.forEach(server => {
+    assert.deepStrictEqual(validateServer(server), [], `${server.id} should be valid`);
+  });
+  
+  assert.throws(
+    () => assertValidCatalog([{ ...mcpServers[0], tags: undefined }]),
+    /github-mcp-server \/tags/
+  );
+});
+
 // Helper function to make HTTP requests
-function makeRequest(path) {
+function makeRequest(path, { method = 'GET', headers = {}, body, rawBody } = {}) {
   return new Promise((resolve, reject) => {
-    const req = http.get(`http://localhost:3000${path}`, (res) => {
+    const payload = rawBody ?? (body === undefined ? null : JSON.stringify(body));
+    const req = http.request(`http://localhost:3000${path}`, {
+      method,
+      headers: {
+        ...(payload && { 'Content-Type': 'application/json' }),
+        ...headers
+      }
+    }, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
         try {
           resolve({
             statusCode: res.statusCode,
+            headers: res.headers,
             data: JSON.parse(data)
           });
         } catch (e) {
           resolve({
             statusCode: res.statusCode,
+            headers: res.headers,
             data: data
           });
         }
@@ -59,9 +98,12 @@ function makeRequest(path) {
     });
     req.on('error', reject);
     req.setTimeout(5000, () => reject(new Error('Request timeout')));
+    req.end(payload);
   });
 }
 
+const authHeaders = { Authorization: `Bearer ${API_TOKEN}` };
+
 test('New API v0 endpoints validation', async (t) => {
   // Import and start the server
   const app = await import('../src/index.js');
@@ -108,10 +150,182 @@ test('New API v0 endpoints validation', async (t) => {
   });
   
   await t.test('Server details with version parameter works', async () => {
-    const response = await makeRequest('/api/v0/servers/github-mcp-server?version=2.0.0');
+    const response = await makeRequest('/api/v0/servers/github-mcp-server?version=1.0.0');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.data.server.version, '1.0.0');
+    
+    const missing = await makeRequest('/api/v0/servers/github-mcp-server?version=2.0.0');
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(missing.data.error.code, 'VERSION_NOT_FOUND');
+    
+    const invalid = await makeRequest('/api/v0/servers/github-mcp-server?version=not-a-version');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.data.error.code, 'INVALID_VERSION');
+  });
+  
+  await t.test('Servers list supports ranked full-text search', async () => {
+    const response = await makeRequest('/api/v0/servers?q=browser+screenshots');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.data.servers[0].id, 'playwright-mcp-server');
+    assert.strictEqual(response.data.data.total, 1);
+    
+    const none = await makeRequest('/api/v0/servers?q=kubernetes');
+    assert.strictEqual(none.data.data.total, 0);
+  });
+  
+  await t.test('Tool search returns matching tools with their server', async () => {
+    const response = await makeRequest('/api/v0/tools/search?q=create+a+pull+request');
+    assert.strictEqual(response.statusCode, 200);
+    const [best] = response.data.data.results;
+    assert.strictEqual(best.tool.name, 'create_pull_request');
+    assert.deepStrictEqual(best.server, { id: 'github-mcp-server', name: 'GitHub MCP Server', version: '1.0.0' });
+    
+    const missing = await makeRequest('/api/v0/tools/search');
+    assert.strictEqual(missing.statusCode, 400);
+    assert.strictEqual(missing.data.error.code, 'MISSING_QUERY');
+  });
+  
+  await t.test('Tools endpoint serves input schemas', async () => {
+    const response = await makeRequest('/api/v0/servers/github-mcp-server/tools');
+    assert.strictEqual(response.statusCode, 200);
+    const getRepository = response.data.data.tools.find(tool => tool.name === 'get_repository');
+    assert.deepStrictEqual(getRepository.parameters, ['owner', 'repo']);
+    assert.strictEqual(getRepository.inputSchema.properties.owner.type, 'string');
+    assert.deepStrictEqual(getRepository.inputSchema.required, ['owner', 'repo']);
+    assert.ok(getRepository.outputSchema);
+    
+    // Legacy parameter lists are still served, with a schema derived from them
+    const legacy = await makeRequest('/api/v0/servers/playwright-mcp-server/tools');
+    const navigate = legacy.data.data.tools.find(tool => tool.name === 'browser_navigate');
+    assert.deepStrictEqual(navigate.parameters, ['url']);
+    assert.deepStrictEqual(navigate.inputSchema, { type: 'object', properties: { url: {} } });
+  });
+  
+  await t.test('Single tool endpoint works at /api/v0/servers/:id/tools/:toolName', async () => {
+    const response = await makeRequest('/api/v0/servers/github-mcp-server/tools/merge_pull_request');
     assert.strictEqual(response.statusCode, 200);
-    assert.ok(response.data.data.server.versionNote);
-    assert.ok(response.data.data.server.versionNote.includes('2.0.0'));
+    assert.strictEqual(response.data.data.tool.inputSchema.properties.pull_number.type, 'integer');
+    
+    const missing = await makeRequest('/api/v0/servers/github-mcp-server/tools/not_a_tool');
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(missing.data.error.code, 'TOOL_NOT_FOUND');
+  });
+  
+  await t.test('Tool input schemas must describe an object', async () => {
+    const response = await makeRequest('/api/v0/servers/playwright-mcp-server', {
+      method: 'PATCH',
+      headers: authHeaders,
+      body: { tools: [{ name: 'browser_navigate', description: 'Navigate', inputSchema: { type: 'string' } }] }
+    });
+    assert.strictEqual(response.statusCode, 422);
+    assert.strictEqual(response.data.error.violations[0].path, '/tools/0/inputSchema/type');
+  });
+  
+  await t.test('Config endpoint exports YAML and TOML', async () => {
+    const yaml = await makeRequest('/api/v0/servers/github-mcp-server/config?format=yaml');
+    assert.strictEqual(yaml.statusCode, 200);
+    assert.match(yaml.headers['content-type'], /application\/yaml/);
+    assert.match(yaml.data, /^command: npx$/m);
+    assert.match(yaml.data, /GITHUB_TOKEN: "\{GITHUB_TOKEN\}"/);
+    
+    const toml = await makeRequest('/api/v0/servers/github-mcp-server/config?format=toml');
+    assert.strictEqual(toml.statusCode, 200);
+    assert.match(toml.headers['content-type'], /application\/toml/);
+    assert.match(toml.data, /^command = "npx"$/m);
+    assert.match(toml.data, /^\[env\]$/m);
+    
+    const unsupported = await makeRequest('/api/v0/servers/github-mcp-server/config?format=xml');
+    assert.strictEqual(unsupported.statusCode, 400);
+    assert.strictEqual(unsupported.data.error.code, 'UNSUPPORTED_FORMAT');
+  });
+  
+  await t.test('Config endpoint builds client-specific files', async () => {
+    const vscode = await makeRequest('/api/v0/servers/github-mcp-server/config?client=vscode');
+    assert.strictEqual(vscode.statusCode, 200);
+    assert.strictEqual(vscode.data.data.fileName, '.vscode/mcp.json');
+    assert.deepStrictEqual(vscode.data.data.configuration, {
+      inputs: [
+        { type: 'promptString', id: 'github-token', description: 'GitHub personal access token', password: true }
+      ],
+      servers: {
+        'github-mcp-server': {
+          type: 'stdio',
+          command: 'npx',
+          args: ['@github/github-mcp-server'],
+          env: { GITHUB_TOKEN: '${input:github-token}' }
+        }
+      }
+    });
+    
+    const claude = await makeRequest('/api/v0/servers/github-mcp-server/config?client=claude-desktop');
+    assert.strictEqual(claude.data.data.fileName, 'claude_desktop_config.json');
+    assert.deepStrictEqual(claude.data.data.configuration.mcpServers['github-mcp-server'].env, {
+      GITHUB_TOKEN: '<GITHUB_TOKEN>'
+    });
+    
+    const cursor = await makeRequest('/api/v0/servers/playwright-mcp-server/config?client=cursor');
+    assert.deepStrictEqual(cursor.data.data.configuration, {
+      mcpServers: {
+        'playwright-mcp-server': { command: 'npx', args: ['@playwright/mcp@latest'] }
+      }
+    });
+    
+    const vscodeYaml = await makeRequest('/api/v0/servers/github-mcp-server/config?client=vscode&format=yaml');
+    assert.match(vscodeYaml.data, /^servers:$/m);
+    
+    const unsupported = await makeRequest('/api/v0/servers/github-mcp-server/config?client=emacs');
+    assert.strictEqual(unsupported.statusCode, 400);
+    assert.strictEqual(unsupported.data.error.code, 'UNSUPPORTED_CLIENT');
+  });
+  
+  await t.test('Registry is served over MCP streamable HTTP at /mcp', async () => {
+    const mcpHeaders = { Accept: 'application/json, text/event-stream' };
+    const initialized = await makeRequest('/mcp', {
+      method: 'POST',
+      headers: mcpHeaders,
+      body: {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'api-test', version: '1.0.0' } }
+      }
+    });
+    assert.strictEqual(initialized.statusCode, 200);
+    assert.strictEqual(initialized.data.result.serverInfo.name, 'dynamic-mcp-registry');
+    
+    const call = await makeRequest('/mcp', {
+      method: 'POST',
+      headers: mcpHeaders,
+      body: {
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'get_server', arguments: { id: 'github-mcp-server', version: '^1.0' } }
+      }
+    });
+    assert.strictEqual(call.statusCode, 200);
+    assert.strictEqual(call.data.result.structuredContent.server.id, 'github-mcp-server');
+    assert.ok(call.data.result.structuredContent.server.tools[0].inputSchema);
+    
+    const get = await makeRequest('/mcp');
+    assert.strictEqual(get.statusCode, 405);
+  });
+  
+  await t.test('Malformed and oversized request bodies are client errors', async () => {
+    const malformed = await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, rawBody: '{"id": ' });
+    assert.strictEqual(malformed.statusCode, 400);
+    assert.deepStrictEqual(malformed.data, {
+      success: false,
+      error: { message: 'Request body is not valid JSON', code: 'INVALID_JSON' }
+    });
+    
+    const oversized = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { id: 'huge', description: 'x'.repeat(1024 * 1024) }
+    });
+    assert.strictEqual(oversized.statusCode, 413);
+    assert.strictEqual(oversized.data.error.code, 'PAYLOAD_TOO_LARGE');
   });
   
   await t.test('Old endpoints return 404', async () => {
@@ -121,4 +335,1416 @@ test('New API v0 endpoints validation', async (t) => {
     const response2 = await makeRequest('/api/mcp-servers');
     assert.strictEqual(response2.statusCode, 404);
   });
-});
\ No newline at end of file
+  
+  await t.test('Write endpoints require a bearer token', async () => {
+    const response = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      body: { id: 'unauthorized-server', name: 'Unauthorized' }
+    });
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(response.data.error.code, 'UNAUTHORIZED');
+    
+    const response2 = await makeRequest('/api/v0/servers/github-mcp-server', {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer wrong-token' }
+    });
+    assert.strictEqual(response2.statusCode, 401);
+  });
+  
+  await t.test('Servers can be published, updated and removed', async () => {
+    const server = {
+      id: 'internal-docs-server',
+      name: 'Internal Docs Server',
+      description: 'Search internal documentation',
+      version: '0.1.0',
+      configuration: { command: 'npx', args: ['@acme/docs-mcp'], env: {} },
+      capabilities: ['documentation-search'],
+      tools: [],
+      tags: ['docs']
+    };
+    
+    const created = await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    assert.strictEqual(created.statusCode, 201);
+    assert.strictEqual(created.headers.location, '/api/v0/servers/internal-docs-server');
+    
+    const duplicate = await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    assert.strictEqual(duplicate.statusCode, 409);
+    assert.strictEqual(duplicate.data.error.code, 'SERVER_EXISTS');
+    
+    const hidden = await makeRequest('/api/v0/servers?tags=docs');
+    assert.strictEqual(hidden.data.data.total, 0);
+    
+    await makeRequest('/api/v0/servers/internal-docs-server/review', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { state: 'approved', reviewer: 'docs-team' }
+    });
+    
+    const listed = await makeRequest('/api/v0/servers?tags=docs');
+    assert.strictEqual(listed.data.data.total, 1);
+    
+    const patched = await makeRequest('/api/v0/servers/internal-docs-server', {
+      method: 'PATCH',
+      headers: authHeaders,
+      body: { version: '0.2.0' }
+    });
+    assert.strictEqual(patched.statusCode, 200);
+    assert.strictEqual(patched.data.data.server.version, '0.2.0');
+    assert.strictEqual(patched.data.data.server.name, 'Internal Docs Server');
+    
+    const renamed = await makeRequest('/api/v0/servers/internal-docs-server', {
+      method: 'PUT',
+      headers: authHeaders,
+      body: { ...server, id: 'other-id' }
+    });
+    assert.strictEqual(renamed.statusCode, 400);
+    assert.strictEqual(renamed.data.error.code, 'INVALID_SERVER');
+    
+    const replaced = await makeRequest('/api/v0/servers/internal-docs-server', {
+      method: 'PUT',
+      headers: authHeaders,
+      body: { ...server, name: 'Docs Server', version: '0.3.0' }
+    });
+    assert.strictEqual(replaced.statusCode, 200);
+    assert.strictEqual(replaced.data.data.server.version, '0.3.0');
+    
+    const fetched = await makeRequest('/api/v0/servers/internal-docs-server');
+    assert.strictEqual(fetched.data.data.server.name, 'Docs Server');
+    
+    // A body read from the API can be sent back without storing the computed fields
+    const roundTrip = await makeRequest('/api/v0/servers/internal-docs-server', {
+      method: 'PUT',
+      headers: authHeaders,
+      body: { ...fetched.data.data.server, version: '0.4.0' }
+    });
+    assert.strictEqual(roundTrip.statusCode, 200);
+    const { store } = await import('../src/storage/index.js');
+    const stored = await store.get('internal-docs-server');
+    assert.strictEqual(stored.status, undefined);
+    assert.strictEqual(stored.security, undefined);
+    assert.ok(stored.versions.every(snapshot => !('status' in snapshot) && !('security' in snapshot)));
+    
+    const deleted = await makeRequest('/api/v0/servers/internal-docs-server', { method: 'DELETE', headers: authHeaders });
+    assert.strictEqual(deleted.statusCode, 200);
+    
+    const missing = await makeRequest('/api/v0/servers/internal-docs-server');
+    assert.strictEqual(missing.statusCode, 404);
+  });
+  
+  await t.test('Published versions are kept and resolvable', async () => {
+    const server = {
+      id: 'versioned-server',
+      name: 'Versioned Server',
+      description: 'Server with several releases',
+      version: '1.0.0',
+      configuration: { command: 'npx', args: ['versioned-server@1.0.0'], env: {} },
+      capabilities: [],
+      tools: [],
+      tags: ['versioned']
+    };
+    
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    for (const version of ['1.1.0', '1.2.3']) {
+      const response = await makeRequest('/api/v0/servers/versioned-server', {
+        method: 'PATCH',
+        headers: authHeaders,
+        body: { version, configuration: { command: 'npx', args: [`versioned-server@${version}`], env: {} } }
+      });
+      assert.strictEqual(response.statusCode, 200);
+      assert.ok(!('versions' in response.data.data.server));
+    }
+    
+    const versions = await makeRequest('/api/v0/servers/versioned-server/versions', { headers: authHeaders });
+    assert.strictEqual(versions.statusCode, 200);
+    assert.strictEqual(versions.data.data.current, '1.2.3');
+    assert.deepStrictEqual(versions.data.data.versions.map(v => v.version), ['1.2.3', '1.1.0', '1.0.0']);
+    assert.ok(versions.data.data.versions[0].isCurrent);
+    
+    const current = await makeRequest('/api/v0/servers/versioned-server', { headers: authHeaders });
+    assert.strictEqual(current.data.data.server.version, '1.2.3');
+    
+    const exact = await makeRequest('/api/v0/servers/versioned-server?version=1.0.0', { headers: authHeaders });
+    assert.strictEqual(exact.data.data.server.version, '1.0.0');
+    
+    const caret = await makeRequest('/api/v0/servers/versioned-server?version=%5E1.1', { headers: authHeaders });
+    assert.strictEqual(caret.data.data.server.version, '1.2.3');
+    
+    const tilde = await makeRequest('/api/v0/servers/versioned-server?version=~1.1', { headers: authHeaders });
+    assert.strictEqual(tilde.data.data.server.version, '1.1.0');
+    
+    const config = await makeRequest('/api/v0/servers/versioned-server/config?version=1.0.0', { headers: authHeaders });
+    assert.deepStrictEqual(config.data.data.configuration.args, ['versioned-server@1.0.0']);
+    
+    const noMatch = await makeRequest('/api/v0/servers/versioned-server/tools?version=%5E2', { headers: authHeaders });
+    assert.strictEqual(noMatch.statusCode, 404);
+    assert.strictEqual(noMatch.data.error.code, 'VERSION_NOT_FOUND');
+    
+    const republish = await makeRequest('/api/v0/servers/versioned-server', {
+      method: 'PATCH',
+      headers: authHeaders,
+      body: { version: '1.0.0' }
+    });
+    assert.strictEqual(republish.statusCode, 409);
+    assert.strictEqual(republish.data.error.code, 'VERSION_CONFLICT');
+    
+    await makeRequest('/api/v0/servers/versioned-server', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Bundle config merges several servers into one file', async () => {
+    const response = await makeRequest('/api/v0/config?ids=github-mcp-server,playwright-mcp-server&client=vscode');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.data.fileName, '.vscode/mcp.json');
+    assert.deepStrictEqual(Object.keys(response.data.data.configuration.servers), ['github-mcp-server', 'playwright-mcp-server']);
+    assert.strictEqual(response.data.data.configuration.inputs.length, 1);
+    assert.deepStrictEqual(response.data.data.servers, [
+      { id: 'github-mcp-server', version: '1.0.0' },
+      { id: 'playwright-mcp-server', version: '0.0.39' }
+    ]);
+    assert.deepStrictEqual(response.data.data.collisions, []);
+    
+    const missing = await makeRequest('/api/v0/config?ids=github-mcp-server,unknown-server');
+    assert.strictEqual(missing.statusCode, 404);
+    assert.deepStrictEqual(missing.data.error.missing, ['unknown-server']);
+    
+    const unpinned = await makeRequest('/api/v0/config?ids=github-mcp-server@%5E2');
+    assert.strictEqual(unpinned.statusCode, 404);
+    assert.strictEqual(unpinned.data.error.code, 'VERSION_NOT_FOUND');
+    
+    const noIds = await makeRequest('/api/v0/config');
+    assert.strictEqual(noIds.statusCode, 400);
+    assert.strictEqual(noIds.data.error.code, 'MISSING_IDS');
+  });
+  
+  await t.test('Bundle config shares secrets and reports collisions', async () => {
+    const base = {
+      description: 'GitHub helper',
+      version: '1.0.0',
+      capabilities: [],
+      tools: [],
+      tags: []
+    };
+    await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { ...base, id: 'gh-shared', name: 'Shared', configuration: { command: 'npx', args: ['gh-shared'], env: { GITHUB_TOKEN: '{GITHUB_TOKEN}' } } }
+    });
+    await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { ...base, id: 'gh-clash', name: 'Clash', configuration: { command: 'npx', args: ['gh-clash'], env: { GITHUB_TOKEN: '{github_token}' } } }
+    });
+    
+    const response = await makeRequest('/api/v0/config?ids=github-mcp-server,gh-shared,gh-clash,gh-shared&client=vscode', { headers: authHeaders });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.data.data.sharedSecrets, [
+      { name: 'GITHUB_TOKEN', servers: ['github-mcp-server', 'gh-shared'] }
+    ]);
+    assert.strictEqual(response.data.data.configuration.inputs.length, 1);
+    assert.deepStrictEqual(response.data.data.collisions.map(c => `${c.type}:${c.key}`), ['input:github-token', 'env:GITHUB_TOKEN']);
+    
+    const toml = await makeRequest('/api/v0/config?ids=gh-shared,gh-clash&client=claude-desktop&format=toml', { headers: authHeaders });
+    assert.match(toml.data, /^\[mcpServers\.gh-shared\.env\]$/m);
+    
+    await makeRequest('/api/v0/servers/gh-shared', { method: 'DELETE', headers: authHeaders });
+    await makeRequest('/api/v0/servers/gh-clash', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Servers can be introspected over stdio', async () => {
+    const fakeServerPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'fake-mcp-server.js');
+    await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: {
+        id: 'fake-mcp-server',
+        name: 'Fake MCP Server',
+        description: 'Local fake for introspection',
+        version: '1.0.0',
+        configuration: { command: process.execPath, args: [fakeServerPath], env: { FAKE_TOKEN: '{FAKE_TOKEN}' } },
+        capabilities: [],
+        tools: [{ name: 'echo', description: 'Echo a message back', parameters: ['message'] }],
+        tags: []
+      }
+    });
+    
+    const before = await makeRequest('/api/v0/servers/fake-mcp-server/introspection', { headers: authHeaders });
+    assert.strictEqual(before.statusCode, 404);
+    assert.strictEqual(before.data.error.code, 'INTROSPECTION_NOT_FOUND');
+    
+    const unauthorized = await makeRequest('/api/v0/servers/fake-mcp-server/introspect', { method: 'POST' });
+    assert.strictEqual(unauthorized.statusCode, 401);
+    
+    // Publisher-supplied commands are never launched outside a sandbox
+    const unsandboxed = await makeRequest('/api/v0/servers/fake-mcp-server/introspect', { method: 'POST', headers: authHeaders });
+    assert.strictEqual(unsandboxed.statusCode, 503);
+    assert.strictEqual(unsandboxed.data.error.code, 'SANDBOX_NOT_CONFIGURED');
+    
+    // `env` stands in for a real sandbox: it just runs the command it is given
+    process.env.INTROSPECTION_SANDBOX_WRAPPER = 'env';
+    const response = await makeRequest('/api/v0/servers/fake-mcp-server/introspect', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { secrets: { FAKE_TOKEN: 'abc' }, timeoutMs: 5000 }
+    }).finally(() => { delete process.env.INTROSPECTION_SANDBOX_WRAPPER; });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.data.introspection.status, 'succeeded');
+    assert.deepStrictEqual(response.data.data.introspection.diff.undeclared, ['get_time', 'shutdown']);
+    
+    const stored = await makeRequest('/api/v0/servers/fake-mcp-server/introspection', { headers: authHeaders });
+    assert.strictEqual(stored.data.data.introspection.instructions, 'token:[REDACTED]');
+    
+    // Results are for the server's managers only
+    const anonymousRead = await makeRequest('/api/v0/servers/fake-mcp-server/introspection');
+    assert.strictEqual(anonymousRead.statusCode, 401);
+    await makeRequest('/api/v0/servers/fake-mcp-server/review', { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'alice' } });
+    const outsider = { Authorization: `Bearer ${signJwt({ sub: 'mallory', role: 'publisher', org: 'other' }, DEV_SIGNING_KEY)}` };
+    const outsiderRead = await makeRequest('/api/v0/servers/fake-mcp-server/introspection', { headers: outsider });
+    assert.strictEqual(outsiderRead.statusCode, 403);
+    assert.strictEqual(stored.statusCode, 200);
+    assert.strictEqual(stored.data.data.introspection.tools.length, 3);
+    
+    // Introspection results are served separately and survive updates to the entry
+    await makeRequest('/api/v0/servers/fake-mcp-server', { method: 'PATCH', headers: authHeaders, body: { tags: ['fake'] } });
+    const server = await makeRequest('/api/v0/servers/fake-mcp-server', { headers: authHeaders });
+    assert.ok(!('introspection' in server.data.data.server));
+    const kept = await makeRequest('/api/v0/servers/fake-mcp-server/introspection', { headers: authHeaders });
+    assert.strictEqual(kept.statusCode, 200);
+    
+    await makeRequest('/api/v0/servers/fake-mcp-server', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Invalid server entries are rejected with each violation', async () => {
+    const response = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: {
+        id: 'Not A Valid Id',
+        name: 'Bad',
+        description: 'Missing tags and a broken version',
+        version: 'latest',
+        configuration: { command: 'npx', args: [], env: {} },
+        capabilities: [],
+        tools: []
+      }
+    });
+    assert.strictEqual(response.statusCode, 422);
+    assert.strictEqual(response.data.error.code, 'VALIDATION_FAILED');
+    const paths = response.data.error.violations.map(v => v.path).sort();
+    assert.deepStrictEqual(paths, ['/id', '/tags', '/version']);
+    
+    const patched = await makeRequest('/api/v0/servers/github-mcp-server', {
+      method: 'PATCH',
+      headers: authHeaders,
+      body: { tags: 'github' }
+    });
+    assert.strictEqual(patched.statusCode, 422);
+    assert.strictEqual(patched.data.error.violations[0].path, '/tags');
+    
+    const notAnObject = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: ['not', 'an', 'object']
+    });
+    assert.strictEqual(notAnObject.statusCode, 400);
+    assert.strictEqual(notAnObject.data.error.code, 'INVALID_SERVER');
+  });
+  
+  await t.test('Entries are served and ingested as official server.json', async () => {
+    const list = await makeRequest('/v0.1/servers?limit=1');
+    assert.strictEqual(list.statusCode, 200);
+    assert.strictEqual(list.data.servers.length, 1);
+    assert.ok(list.data.metadata.nextCursor);
+    
+    const latest = await makeRequest('/v0/servers/io.github.github%2Fgithub-mcp-server/versions/latest');
+    assert.strictEqual(latest.statusCode, 200);
+    const { server } = latest.data;
+    assert.strictEqual(server.name, 'io.github.github/github-mcp-server');
+    assert.strictEqual(server.packages[0].registryType, 'npm');
+    assert.strictEqual(server.packages[0].identifier, '@github/github-mcp-server');
+    assert.strictEqual(server.packages[0].transport.type, 'stdio');
+    assert.ok(server.packages[0].environmentVariables.some(v => v.name === 'GITHUB_TOKEN' && v.isSecret));
+    assert.strictEqual(latest.data._meta['io.modelcontextprotocol.registry/official'].isLatest, true);
+    
+    const missing = await makeRequest('/v0.1/servers/io.example%2Fnope/versions/latest');
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(missing.data.title, 'Not Found');
+    
+    const serverJson = {
+      name: 'io.github.example/weather',
+      title: 'Weather',
+      description: 'Forecasts from a public API',
+      version: '0.2.0',
+      repository: { url: 'https://github.com/example/weather', source: 'github' },
+      packages: [{
+        registryType: 'pypi',
+        identifier: 'weather-mcp',
+        version: '0.2.0',
+        transport: { type: 'stdio' },
+        environmentVariables: [
+          { name: 'WEATHER_API_KEY', isRequired: true, isSecret: true },
+          { name: 'UNITS', default: 'metric' }
+        ]
+      }]
+    };
+    
+    const unauthorized = await makeRequest('/v0.1/publish', { method: 'POST', body: serverJson });
+    assert.strictEqual(unauthorized.statusCode, 401);
+    
+    const published = await makeRequest('/v0.1/publish', { method: 'POST', headers: authHeaders, body: serverJson });
+    assert.strictEqual(published.statusCode, 200);
+    assert.strictEqual(published.data.server.name, 'io.github.example/weather');
+    
+    const entry = await makeRequest('/api/v0/servers/weather', { headers: authHeaders });
+    assert.strictEqual(entry.statusCode, 200);
+    assert.deepStrictEqual(entry.data.data.server.configuration, {
+      command: 'uvx',
+      args: ['weather-mcp==0.2.0'],
+      env: { WEATHER_API_KEY: '{WEATHER_API_KEY}', UNITS: 'metric' }
+    });
+    
+    const duplicate = await makeRequest('/v0.1/publish', { method: 'POST', headers: authHeaders, body: serverJson });
+    assert.strictEqual(duplicate.statusCode, 409);
+    
+    const next = await makeRequest('/v0.1/publish', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { ...serverJson, version: '0.3.0', packages: [{ ...serverJson.packages[0], version: '0.3.0' }] }
+    });
+    assert.strictEqual(next.statusCode, 200);
+    
+    const versions = await makeRequest('/v0.1/servers/io.github.example%2Fweather/versions', { headers: authHeaders });
+    assert.deepStrictEqual(versions.data.servers.map(s => s.server.version), ['0.2.0', '0.3.0']);
+    
+    const remoteOnly = await makeRequest('/v0.1/publish', {
+      method: 'POST',
+      headers: authHeaders,
+      body: {
+        name: 'com.example/remote',
+        description: 'Remote',
+        version: '1.0.0',
+        remotes: [{ type: 'streamable-http', url: 'https://mcp.example.com/mcp', headers: [{ name: 'X-Api-Key', isSecret: true }] }]
+      }
+    });
+    assert.strictEqual(remoteOnly.statusCode, 200);
+    assert.deepStrictEqual(remoteOnly.data.server.remotes, [{
+      type: 'streamable-http',
+      url: 'https://mcp.example.com/mcp',
+      headers: [{ name: 'X-Api-Key', value: '{X_API_KEY}', isRequired: true, isSecret: true }]
+    }]);
+    
+    const unusable = await makeRequest('/v0.1/publish', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { name: 'com.example/socket', description: 'Socket', version: '1.0.0', remotes: [{ type: 'websocket', url: 'wss://mcp.example.com' }] }
+    });
+    assert.strictEqual(unusable.statusCode, 422);
+    
+    // Entries mirrored from an upstream are only changed by syncing it
+    const { store } = await import('../src/storage/index.js');
+    await store.create({
+      id: 'mirrored-weather',
+      name: 'Mirrored Weather',
+      description: 'Synced from an upstream',
+      version: '1.0.0',
+      configuration: { command: 'uvx', args: ['mirrored-weather'], env: {} },
+      capabilities: [],
+      tools: [],
+      tags: [],
+      source: { type: 'upstream', upstream: 'acme', url: 'https://registry.acme.example', id: 'weather' }
+    });
+    const mirrored = await makeRequest('/v0.1/publish', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { ...serverJson, name: 'io.github.example/mirrored-weather', version: '2.0.0' }
+    });
+    assert.strictEqual(mirrored.statusCode, 409);
+    assert.strictEqual(mirrored.data.code, 'MIRRORED_ENTRY');
+    assert.strictEqual((await store.get('mirrored-weather')).version, '1.0.0');
+    await store.remove('mirrored-weather');
+    
+    await makeRequest('/api/v0/servers/weather', { method: 'DELETE', headers: authHeaders });
+    await makeRequest('/api/v0/servers/remote', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Entries report their source and upstreams are listed', async () => {
+    const list = await makeRequest('/api/v0/servers?source=local');
+    assert.strictEqual(list.data.data.total, 2);
+    assert.ok(list.data.data.servers.every(server => server.source.type === 'local'));
+    
+    const mirroredOnly = await makeRequest('/api/v0/servers?source=acme');
+    assert.strictEqual(mirroredOnly.data.data.total, 0);
+    
+    const single = await makeRequest('/api/v0/servers/github-mcp-server');
+    assert.deepStrictEqual(single.data.data.server.source, { type: 'local' });
+    
+    const federation = await makeRequest('/api/v0/federation');
+    assert.strictEqual(federation.statusCode, 200);
+    assert.deepStrictEqual(federation.data.data.upstreams, []);
+    
+    const unknown = await makeRequest('/api/v0/federation/sync?upstream=acme', { method: 'POST', headers: authHeaders });
+    assert.strictEqual(unknown.statusCode, 404);
+    assert.strictEqual(unknown.data.error.code, 'UPSTREAM_NOT_FOUND');
+  });
+  
+  await t.test('Remote transports are filtered and exported', async () => {
+    const http = await makeRequest('/api/v0/servers?transport=http');
+    assert.deepStrictEqual(http.data.data.servers.map(server => server.id), ['github-mcp-server']);
+    
+    const stdio = await makeRequest('/api/v0/servers?transport=stdio');
+    assert.strictEqual(stdio.data.data.total, 2);
+    
+    const raw = await makeRequest('/api/v0/servers/github-mcp-server/config?transport=http');
+    assert.strictEqual(raw.data.data.transport, 'http');
+    assert.strictEqual(raw.data.data.configuration.url, 'https://api.githubcopilot.com/mcp/');
+    
+    const vscode = await makeRequest('/api/v0/servers/github-mcp-server/config?client=vscode&transport=http');
+    assert.deepStrictEqual(vscode.data.data.configuration.servers['github-mcp-server'], {
+      type: 'http',
+      url: 'https://api.githubcopilot.com/mcp/',
+      headers: { Authorization: 'Bearer ${input:github-token}' }
+    });
+    assert.strictEqual(vscode.data.data.configuration.inputs[0].id, 'github-token');
+    
+    const claude = await makeRequest('/api/v0/servers/github-mcp-server/config?client=claude-desktop&transport=http');
+    assert.deepStrictEqual(claude.data.data.configuration.mcpServers['github-mcp-server'].args, [
+      '-y', 'mcp-remote', 'https://api.githubcopilot.com/mcp/', '--header', 'Authorization: Bearer <GITHUB_TOKEN>', '--transport', 'http-only'
+    ]);
+    
+    const unavailable = await makeRequest('/api/v0/servers/playwright-mcp-server/config?transport=sse');
+    assert.strictEqual(unavailable.statusCode, 400);
+    assert.strictEqual(unavailable.data.error.code, 'TRANSPORT_NOT_AVAILABLE');
+    assert.deepStrictEqual(unavailable.data.error.available, ['stdio']);
+    
+    const unsupported = await makeRequest('/api/v0/config?ids=github-mcp-server&transport=websocket');
+    assert.strictEqual(unsupported.data.error.code, 'UNSUPPORTED_TRANSPORT');
+    
+    const bundle = await makeRequest('/api/v0/config?ids=github-mcp-server,playwright-mcp-server&transport=http');
+    assert.strictEqual(bundle.statusCode, 400);
+    assert.deepStrictEqual(bundle.data.error.unavailable, ['playwright-mcp-server']);
+  });
+  
+  await t.test('Remote-only servers can be published', async () => {
+    const remoteServer = {
+      id: 'hosted-server',
+      name: 'Hosted Server',
+      description: 'Only reachable over SSE',
+      version: '1.0.0',
+      remotes: [{
+        type: 'sse',
+        url: 'https://mcp.example.com/sse',
+        auth: { type: 'oauth2', authorizationServer: 'https://auth.example.com', scopes: ['mcp'] }
+      }],
+      capabilities: [],
+      tools: [],
+      tags: []
+    };
+    
+    const created = await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: remoteServer });
+    assert.strictEqual(created.statusCode, 201);
+    
+    const cursor = await makeRequest('/api/v0/servers/hosted-server/config?client=cursor', { headers: authHeaders });
+    assert.deepStrictEqual(cursor.data.data.configuration.mcpServers['hosted-server'], { url: 'https://mcp.example.com/sse' });
+    
+    const introspect = await makeRequest('/api/v0/servers/hosted-server/introspect', { method: 'POST', headers: authHeaders });
+    assert.strictEqual(introspect.statusCode, 400);
+    assert.strictEqual(introspect.data.error.code, 'TRANSPORT_NOT_AVAILABLE');
+    
+    const { remotes, ...neither } = remoteServer;
+    const rejected = await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: { ...neither, id: 'nowhere' } });
+    assert.strictEqual(rejected.statusCode, 422);
+    
+    await makeRequest('/api/v0/servers/hosted-server', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Servers move through the approval workflow', async () => {
+    const server = {
+      id: 'reviewed-server',
+      name: 'Reviewed Server',
+      description: 'Goes through review',
+      version: '1.0.0',
+      configuration: { command: 'npx', args: ['reviewed-server'], env: {} },
+      capabilities: [],
+      tools: [],
+      tags: ['review']
+    };
+    const review = body => makeRequest('/api/v0/servers/reviewed-server/review', { method: 'POST', headers: authHeaders, body });
+    
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    
+    const pending = await makeRequest('/api/v0/servers/reviewed-server', { headers: authHeaders });
+    assert.strictEqual(pending.data.data.server.status, 'pending');
+    
+    // Until it is approved, only admins and its publisher can see it or fetch its config
+    const unreviewed = await makeRequest('/api/v0/servers/reviewed-server');
+    assert.strictEqual(unreviewed.statusCode, 404);
+    const unreviewedConfig = await makeRequest('/api/v0/servers/reviewed-server/config');
+    assert.strictEqual(unreviewedConfig.statusCode, 404);
+    const unreviewedBundle = await makeRequest('/api/v0/config?ids=github-mcp-server,reviewed-server');
+    assert.strictEqual(unreviewedBundle.statusCode, 404);
+    const unreviewedMcp = await makeRequest('/mcp', {
+      method: 'POST',
+      headers: { Accept: 'application/json, text/event-stream' },
+      body: { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_server_config', arguments: { id: 'reviewed-server' } } }
+    });
+    assert.strictEqual(unreviewedMcp.data.result.isError, true);
+    
+    const anonymousOverride = await makeRequest('/api/v0/servers?status=pending');
+    assert.strictEqual(anonymousOverride.statusCode, 401);
+    
+    const adminOverride = await makeRequest('/api/v0/servers?status=pending', { headers: authHeaders });
+    assert.deepStrictEqual(adminOverride.data.data.servers.map(s => s.id), ['reviewed-server']);
+    
+    const invalidStatus = await makeRequest('/api/v0/servers?status=archived');
+    assert.strictEqual(invalidStatus.data.error.code, 'INVALID_STATUS');
+    
+    const skipped = await review({ state: 'deprecated', reviewer: 'alice', reason: 'old' });
+    assert.strictEqual(skipped.statusCode, 400);
+    assert.strictEqual(skipped.data.error.code, 'INVALID_REVIEW');
+    
+    const anonymous = await review({ state: 'approved' });
+    assert.strictEqual(anonymous.statusCode, 400);
+    
+    const approved = await review({ state: 'approved', reviewer: 'alice' });
+    assert.strictEqual(approved.data.data.lifecycle.state, 'approved');
+    assert.strictEqual(approved.data.data.lifecycle.reviewer, 'alice');
+    assert.ok(approved.data.data.lifecycle.reviewedAt);
+    
+    const listed = await makeRequest('/api/v0/servers?tags=review');
+    assert.strictEqual(listed.data.data.servers[0].status, 'approved');
+    
+    const noReason = await review({ state: 'revoked', reviewer: 'bob' });
+    assert.strictEqual(noReason.statusCode, 400);
+    
+    await review({ state: 'revoked', reviewer: 'bob', reason: 'Exfiltrates tokens' });
+    
+    const gone = await makeRequest('/api/v0/servers/reviewed-server');
+    assert.strictEqual(gone.statusCode, 410);
+    assert.strictEqual(gone.data.error.code, 'SERVER_REVOKED');
+    assert.strictEqual(gone.data.error.reason, 'Exfiltrates tokens');
+    
+    const config = await makeRequest('/api/v0/servers/reviewed-server/config');
+    assert.strictEqual(config.statusCode, 410);
+    
+    const bundle = await makeRequest('/api/v0/config?ids=github-mcp-server,reviewed-server');
+    assert.strictEqual(bundle.statusCode, 410);
+    assert.deepStrictEqual(bundle.data.error.revoked, ['reviewed-server']);
+    
+    const replaced = await makeRequest('/api/v0/servers/reviewed-server', { method: 'PUT', headers: authHeaders, body: server });
+    assert.strictEqual(replaced.statusCode, 410);
+    
+    const reinstated = await review({ state: 'approved', reviewer: 'alice' });
+    assert.strictEqual(reinstated.statusCode, 400);
+    
+    const lifecycle = await makeRequest('/api/v0/servers/reviewed-server/lifecycle');
+    assert.deepStrictEqual(lifecycle.data.data.lifecycle.history.map(entry => entry.state), ['pending', 'approved', 'revoked']);
+    
+    await makeRequest('/api/v0/servers/reviewed-server', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Roles and visibility scope what callers see and change', async () => {
+    const bearer = token => ({ Authorization: `Bearer ${token}` });
+    const acmeReader = bearer(signJwt({ sub: 'ana', role: 'reader', org: 'acme' }, DEV_SIGNING_KEY));
+    const acmePublisher = bearer(signJwt({ sub: 'pat', roles: ['reader', 'publisher'], org: 'acme', teams: ['platform'] }, DEV_SIGNING_KEY));
+    const globexPublisher = bearer(signJwt({ sub: 'gus', role: 'publisher', org: 'globex' }, DEV_SIGNING_KEY));
+    const server = {
+      id: 'acme-internal',
+      name: 'Acme Internal',
+      description: 'Only for Acme staff',
+      version: '1.0.0',
+      visibility: 'org',
+      configuration: { command: 'npx', args: ['acme-internal'], env: {} },
+      capabilities: [],
+      tools: [{ name: 'acme_lookup', description: 'Look up Acme records' }],
+      tags: ['acme']
+    };
+    
+    const readerPublish = await makeRequest('/api/v0/servers', { method: 'POST', headers: acmeReader, body: server });
+    assert.strictEqual(readerPublish.statusCode, 403);
+    assert.strictEqual(readerPublish.data.error.code, 'FORBIDDEN');
+    
+    const foreignOwner = await makeRequest('/api/v0/servers', { method: 'POST', headers: globexPublisher, body: { ...server, owner: { org: 'acme' } } });
+    assert.strictEqual(foreignOwner.statusCode, 403);
+    
+    const created = await makeRequest('/api/v0/servers', { method: 'POST', headers: acmePublisher, body: server });
+    assert.strictEqual(created.statusCode, 201);
+    assert.deepStrictEqual(created.data.data.server.owner, { org: 'acme' });
+    
+    const pendingOverride = await makeRequest('/api/v0/servers?status=pending', { headers: acmePublisher });
+    assert.strictEqual(pendingOverride.statusCode, 403);
+    
+    const publisherReview = await makeRequest('/api/v0/servers/acme-internal/review', { method: 'POST', headers: acmePublisher, body: { state: 'approved', reviewer: 'pat' } });
+    assert.strictEqual(publisherReview.statusCode, 403);
+    
+    await makeRequest('/api/v0/servers/acme-internal/review', { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'admin' } });
+    
+    const listIds = async headers => (await makeRequest('/api/v0/servers?tags=acme', { headers })).data.data.servers.map(s => s.id);
+    assert.deepStrictEqual(await listIds(), []);
+    assert.deepStrictEqual(await listIds(globexPublisher), []);
+    assert.deepStrictEqual(await listIds(acmeReader), ['acme-internal']);
+    
+    assert.strictEqual((await makeRequest('/api/v0/servers/acme-internal')).statusCode, 404);
+    assert.strictEqual((await makeRequest('/api/v0/servers/acme-internal/config')).statusCode, 404);
+    assert.strictEqual((await makeRequest('/api/v0/config?ids=acme-internal')).statusCode, 404);
+    assert.strictEqual((await makeRequest('/api/v0/servers/acme-internal', { headers: acmeReader })).statusCode, 200);
+    
+    const toolHits = async headers => (await makeRequest('/api/v0/tools/search?q=acme+records', { headers })).data.data.results.length;
+    assert.strictEqual(await toolHits(), 0);
+    assert.strictEqual(await toolHits(acmeReader), 1);
+    
+    const compat = await makeRequest('/v0.1/servers?search=acme');
+    assert.strictEqual(compat.data.servers.length, 0);
+    
+    const foreignPatch = await makeRequest('/api/v0/servers/acme-internal', { method: 'PATCH', headers: globexPublisher, body: { description: 'Taken over' } });
+    assert.strictEqual(foreignPatch.statusCode, 404);
+    
+    const handOff = await makeRequest('/api/v0/servers/acme-internal', { method: 'PATCH', headers: acmePublisher, body: { owner: { org: 'globex' } } });
+    assert.strictEqual(handOff.statusCode, 403);
+    
+    const teamOnly = await makeRequest('/api/v0/servers/acme-internal', { method: 'PATCH', headers: acmePublisher, body: { visibility: 'team', owner: { org: 'acme', team: 'platform' } } });
+    assert.strictEqual(teamOnly.statusCode, 200);
+    assert.strictEqual((await makeRequest('/api/v0/servers/acme-internal', { headers: acmeReader })).statusCode, 404);
+    
+    const expired = bearer(signJwt({ role: 'admin', exp: Math.floor(Date.now() / 1000) - 3600 }, DEV_SIGNING_KEY, { expiresIn: null }));
+    assert.strictEqual((await makeRequest('/api/v0/servers', { headers: expired })).statusCode, 401);
+    
+    const forged = bearer(signJwt({ role: 'admin' }, 'not-the-signing-key'));
+    assert.strictEqual((await makeRequest('/api/v0/servers', { headers: forged })).statusCode, 401);
+    
+    await makeRequest('/api/v0/servers/acme-internal', { method: 'DELETE', headers: acmePublisher });
+  });
+  
+  await t.test('Admins manage API keys', async () => {
+    const publisher = { Authorization: `Bearer ${signJwt({ role: 'publisher', org: 'acme' }, DEV_SIGNING_KEY)}` };
+    
+    const forbidden = await makeRequest('/api/v0/admin/keys', { headers: publisher });
+    assert.strictEqual(forbidden.statusCode, 403);
+    
+    const invalid = await makeRequest('/api/v0/admin/keys', { method: 'POST', headers: authHeaders, body: { name: 'ci', role: 'owner' } });
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.data.error.code, 'INVALID_KEY');
+    
+    const created = await makeRequest('/api/v0/admin/keys', { method: 'POST', headers: authHeaders, body: { name: 'ci', role: 'publisher', org: 'acme' } });
+    assert.strictEqual(created.statusCode, 201);
+    assert.match(created.data.data.key, /^mcpr_/);
+    const keyHeaders = { Authorization: `Bearer ${created.data.data.key}` };
+    
+    const listed = await makeRequest('/api/v0/admin/keys', { headers: authHeaders });
+    const record = listed.data.data.keys.find(key => key.id === created.data.data.record.id);
+    assert.strictEqual(record.role, 'publisher');
+    assert.strictEqual(record.hash, undefined);
+    
+    const keyPublish = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: keyHeaders,
+      body: {
+        id: 'keyed-server',
+        name: 'Keyed Server',
+        description: 'Published with an API key',
+        version: '1.0.0',
+        configuration: { command: 'npx', args: ['keyed-server'], env: {} },
+        capabilities: [],
+        tools: [],
+        tags: []
+      }
+    });
+    assert.strictEqual(keyPublish.statusCode, 201);
+    assert.deepStrictEqual(keyPublish.data.data.server.owner, { org: 'acme' });
+    
+    const revoked = await makeRequest(`/api/v0/admin/keys/${record.id}`, { method: 'DELETE', headers: authHeaders });
+    assert.strictEqual(revoked.statusCode, 200);
+    
+    const rejected = await makeRequest('/api/v0/servers/keyed-server', { method: 'DELETE', headers: keyHeaders });
+    assert.strictEqual(rejected.statusCode, 401);
+    
+    const missing = await makeRequest(`/api/v0/admin/keys/${record.id}`, { method: 'DELETE', headers: authHeaders });
+    assert.strictEqual(missing.data.error.code, 'KEY_NOT_FOUND');
+    
+    await makeRequest('/api/v0/servers/keyed-server', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Changes, reviews and config reads are audited', async () => {
+    const publisher = { Authorization: `Bearer ${signJwt({ sub: 'pat', role: 'publisher', org: 'acme' }, DEV_SIGNING_KEY)}` };
+    const audit = query => makeRequest(`/api/v0/audit?${query}`, { headers: authHeaders });
+    const server = {
+      id: 'audited-server',
+      name: 'Audited Server',
+      description: 'Before',
+      version: '1.0.0',
+      configuration: { command: 'npx', args: ['audited-server'], env: {} },
+      capabilities: [],
+      tools: [],
+      tags: []
+    };
+    
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: publisher, body: server });
+    await makeRequest('/api/v0/servers/audited-server', { method: 'PATCH', headers: publisher, body: { description: 'After' } });
+    await makeRequest('/api/v0/servers/audited-server/review', { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'alice' } });
+    await makeRequest('/api/v0/servers/audited-server/config?client=vscode');
+    await makeRequest('/api/v0/servers/audited-server', { method: 'DELETE', headers: authHeaders });
+    
+    const trail = await audit('serverId=audited-server');
+    const { events } = trail.data.data;
+    assert.deepStrictEqual(events.map(event => event.action), ['server.delete', 'config.read', 'server.approve', 'server.update', 'server.create']);
+    assert.deepStrictEqual(events[3].actor, { subject: 'pat', role: 'publisher', org: 'acme' });
+    assert.deepStrictEqual(events[3].request.method, 'PATCH');
+    assert.deepStrictEqual(events[3].diff.find(change => change.path === '/description'), { path: '/description', before: 'Before', after: 'After' });
+    assert.strictEqual(events[2].actor.subject, 'token');
+    assert.strictEqual(events[1].actor.role, 'anonymous');
+    assert.strictEqual(events[1].details.client, 'vscode');
+    
+    const byActor = await audit('serverId=audited-server&actor=pat');
+    assert.deepStrictEqual(byActor.data.data.events.map(event => event.action), ['server.update', 'server.create']);
+    
+    const byFamily = await audit('serverId=audited-server&action=config');
+    assert.strictEqual(byFamily.data.data.total, 1);
+    
+    const future = await audit(`serverId=audited-server&since=${new Date(Date.now() + 60000).toISOString()}`);
+    assert.strictEqual(future.data.data.total, 0);
+    
+    const invalid = await audit('since=yesterday');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.data.error.code, 'INVALID_FILTER');
+    
+    const exported = await makeRequest('/api/v0/audit/export?serverId=audited-server', { headers: authHeaders });
+    assert.match(exported.headers['content-type'], /application\/x-ndjson/);
+    const lines = exported.data.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(event => event.action), events.map(event => event.action).reverse());
+    
+    const rejected = await makeRequest('/api/v0/servers', { method: 'POST', body: server });
+    assert.strictEqual(rejected.statusCode, 401);
+    const requests = await audit('action=request&limit=1');
+    assert.strictEqual(requests.data.data.events[0].details.status, 401);
+    assert.strictEqual(requests.data.data.events[0].request.path, '/api/v0/servers');
+    
+    const readerAudit = await makeRequest('/api/v0/audit', { headers: publisher });
+    assert.strictEqual(readerAudit.statusCode, 403);
+    
+    await makeRequest('/api/v0/servers/playwright-mcp-server', { method: 'PATCH', headers: authHeaders, body: { description: 'Drifted' } });
+    const reload = await makeRequest('/api/v0/admin/reload', { method: 'POST', headers: authHeaders });
+    assert.deepStrictEqual(reload.data.data.reset, ['playwright-mcp-server']);
+    const restored = await makeRequest('/api/v0/servers/playwright-mcp-server');
+    assert.notStrictEqual(restored.data.data.server.description, 'Drifted');
+    const reloads = await audit('action=catalog.reload');
+    assert.deepStrictEqual(reloads.data.data.events[0].details.reset, ['playwright-mcp-server']);
+  });
+  
+  await t.test('Changes are fed, streamed and sent to webhooks', async () => {
+    const waitFor = async (check, timeoutMs = 5000) => {
+      const deadline = Date.now() + timeoutMs;
+      while (!check()) {
+        assert.ok(Date.now() < deadline, 'timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+    
+    const received = [];
+    let failFirst = true;
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        if (failFirst) {
+          failFirst = false;
+          return res.writeHead(503).end();
+        }
+        received.push({ headers: req.headers, body });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    t.after(() => receiver.close());
+    
+    const secret = 'portal-webhook-secret';
+    const invalid = await makeRequest('/api/v0/webhooks', { method: 'POST', headers: authHeaders, body: { url: 'ftp://example.com' } });
+    assert.strictEqual(invalid.data.error.code, 'INVALID_WEBHOOK');
+    
+    const subscribed = await makeRequest('/api/v0/webhooks', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { url: `http://localhost:${receiver.address().port}/hook`, events: ['server.created', 'server.updated', 'server.deprecated'], secret }
+    });
+    assert.strictEqual(subscribed.statusCode, 201);
+    const webhookId = subscribed.data.data.webhook.id;
+    assert.strictEqual(subscribed.data.data.webhook.secret, undefined);
+    
+    const { lastSeq } = (await makeRequest('/api/v0/changes')).data.data;
+    
+    let streamed = '';
+    const stream = http.get(`http://localhost:3000/api/v0/changes/stream?since=${lastSeq}`, res => {
+      assert.match(res.headers['content-type'], /^text\/event-stream/);
+      res.on('data', chunk => streamed += chunk);
+    });
+    stream.on('error', () => {});
+    t.after(() => stream.destroy());
+    
+    const server = {
+      id: 'feed-server',
+      name: 'Feed Server',
+      description: 'Watched by the portal',
+      version: '1.0.0',
+      configuration: { command: 'npx', args: ['feed-server'], env: {} },
+      capabilities: [],
+      tools: [],
+      tags: []
+    };
+    const review = body => makeRequest('/api/v0/servers/feed-server/review', { method: 'POST', headers: authHeaders, body });
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    await review({ state: 'approved', reviewer: 'alice' });
+    await makeRequest('/api/v0/servers/feed-server', { method: 'PATCH', headers: authHeaders, body: { version: '1.1.0' } });
+    await review({ state: 'deprecated', reviewer: 'alice', reason: 'Superseded' });
+    await makeRequest('/api/v0/servers/feed-server', { method: 'DELETE', headers: authHeaders });
+    
+    const anonymousFeed = (await makeRequest(`/api/v0/changes?since=${lastSeq}`)).data.data;
+    assert.deepStrictEqual(anonymousFeed.changes.map(change => change.type), ['server.approved', 'server.updated', 'server.deprecated', 'server.deleted']);
+    assert.strictEqual(anonymousFeed.changes[1].previousVersion, '1.0.0');
+    assert.strictEqual(anonymousFeed.nextSince, anonymousFeed.lastSeq);
+    
+    const adminFeed = (await makeRequest(`/api/v0/changes?since=${lastSeq}&limit=2`, { headers: authHeaders })).data.data;
+    assert.deepStrictEqual(adminFeed.changes.map(change => change.type), ['server.created', 'server.approved']);
+    assert.deepStrictEqual(adminFeed.changes.map(change => change.seq), [lastSeq + 1, lastSeq + 2]);
+    assert.strictEqual(adminFeed.hasMore, true);
+    
+    // A limit below one still moves polling forward
+    const negativeLimit = (await makeRequest(`/api/v0/changes?since=${lastSeq}&limit=-1`, { headers: authHeaders })).data.data;
+    assert.deepStrictEqual(negativeLimit.changes.map(change => change.seq), [lastSeq + 1]);
+    assert.strictEqual(negativeLimit.nextSince, lastSeq + 1);
+    
+    const invalidSince = await makeRequest('/api/v0/changes?since=-1');
+    assert.strictEqual(invalidSince.data.error.code, 'INVALID_SINCE');
+    
+    await waitFor(() => streamed.includes('event: server.deleted'));
+    assert.match(streamed, new RegExp(`id: ${lastSeq + 2}\nevent: server.approved\n`));
+    assert.ok(!streamed.includes('server.created'));
+    
+    await waitFor(() => received.length === 3);
+    const types = received.map(delivery => JSON.parse(delivery.body).change.type).sort();
+    assert.deepStrictEqual(types, ['server.created', 'server.deprecated', 'server.updated']);
+    for (const { headers, body } of received) {
+      assert.strictEqual(headers['x-registry-signature'], signPayload(secret, headers['x-registry-timestamp'], body));
+    }
+    
+    const { deliveries } = (await makeRequest(`/api/v0/webhooks/${webhookId}/deliveries`, { headers: authHeaders })).data.data;
+    assert.ok(deliveries.every(delivery => delivery.status === 'delivered'));
+    assert.strictEqual(Math.max(...deliveries.map(delivery => delivery.attempts)), 2);
+    
+    const removed = await makeRequest(`/api/v0/webhooks/${webhookId}`, { method: 'DELETE', headers: authHeaders });
+    assert.strictEqual(removed.statusCode, 200);
+  });
+
+  await t.test('Catalog reads support conditional requests', async () => {
+    const server = {
+      id: 'cached-server',
+      name: 'Cached Server',
+      description: 'Revalidated by clients',
+      version: '1.0.0',
+      configuration: { command: 'npx', args: ['cached-server'], env: {} },
+      capabilities: [],
+      tools: [{ name: 'lookup', description: 'Look something up' }],
+      tags: []
+    };
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    await makeRequest('/api/v0/servers/cached-server/review', { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'alice' } });
+    
+    const first = await makeRequest('/api/v0/servers/cached-server');
+    assert.strictEqual(first.statusCode, 200);
+    assert.ok(first.headers.etag && !first.headers.etag.startsWith('W/'));
+    assert.ok(first.headers['last-modified']);
+    assert.strictEqual(first.headers['cache-control'], 'public, no-cache');
+    assert.match(first.headers.vary, /Authorization/);
+    assert.strictEqual(first.data.data.server.updatedAt, new Date(first.data.data.server.updatedAt).toISOString());
+    
+    const byEtag = await makeRequest('/api/v0/servers/cached-server', { headers: { 'If-None-Match': first.headers.etag } });
+    assert.strictEqual(byEtag.statusCode, 304);
+    const byDate = await makeRequest('/api/v0/servers/cached-server', { headers: { 'If-Modified-Since': first.headers['last-modified'] } });
+    assert.strictEqual(byDate.statusCode, 304);
+    
+    const authenticated = await makeRequest('/api/v0/servers/cached-server', { headers: authHeaders });
+    assert.strictEqual(authenticated.headers['cache-control'], 'private, no-cache');
+    
+    for (const subroute of ['/config?client=vscode', '/tools', '/tools/lookup', '/versions']) {
+      const fresh = await makeRequest(`/api/v0/servers/cached-server${subroute}`);
+      assert.strictEqual(fresh.statusCode, 200);
+      const revalidated = await makeRequest(`/api/v0/servers/cached-server${subroute}`, { headers: { 'If-None-Match': fresh.headers.etag } });
+      assert.strictEqual(revalidated.statusCode, 304, subroute);
+    }
+    
+    const list = await makeRequest('/api/v0/servers?tag=none-such');
+    assert.ok(list.headers['last-modified']);
+    assert.strictEqual((await makeRequest('/api/v0/servers?tag=none-such', { headers: { 'If-None-Match': list.headers.etag } })).statusCode, 304);
+    
+    await makeRequest('/api/v0/servers/cached-server', { method: 'PATCH', headers: authHeaders, body: { version: '1.1.0' } });
+    const changed = await makeRequest('/api/v0/servers/cached-server', { headers: { 'If-None-Match': first.headers.etag } });
+    assert.strictEqual(changed.statusCode, 200);
+    assert.notStrictEqual(changed.headers.etag, first.headers.etag);
+    assert.ok(changed.data.data.server.updatedAt >= first.data.data.server.updatedAt);
+    
+    await makeRequest('/api/v0/servers/cached-server', { method: 'DELETE', headers: authHeaders });
+  });
+
+  await t.test('Cursors page through a changing catalog in a stable order', async () => {
+    const publish = id => makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: {
+        id,
+        name: id,
+        description: 'Paged by the portal',
+        version: '1.0.0',
+        configuration: { command: 'npx', args: [id], env: {} },
+        capabilities: [],
+        tools: [],
+        tags: ['paging']
+      }
+    });
+    const approve = id => makeRequest(`/api/v0/servers/${id}/review`, { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'alice' } });
+    const remove = id => makeRequest(`/api/v0/servers/${id}`, { method: 'DELETE', headers: authHeaders });
+    const ids = ['page-b', 'page-d', 'page-a', 'page-c'];
+    for (const id of ids) {
+      await publish(id);
+      await approve(id);
+    }
+    
+    const first = (await makeRequest('/api/v0/servers?tags=paging&limit=2')).data.data;
+    assert.deepStrictEqual(first.servers.map(s => s.id), ['page-a', 'page-b']);
+    assert.strictEqual(first.sort, 'name');
+    assert.strictEqual(first.order, 'asc');
+    
+    // Entries added before and removed after the cursor do not shift the next page
+    await publish('page-0');
+    await approve('page-0');
+    await remove('page-a');
+    const second = (await makeRequest(`/api/v0/servers?tags=paging&limit=2&cursor=${first.cursor}`)).data.data;
+    assert.deepStrictEqual(second.servers.map(s => s.id), ['page-c', 'page-d']);
+    assert.strictEqual(second.cursor, null);
+    
+    const descending = (await makeRequest('/api/v0/servers?tags=paging&sort=name&order=desc&limit=1')).data.data;
+    assert.deepStrictEqual(descending.servers.map(s => s.id), ['page-d']);
+    
+    // Limits below one are raised to one
+    const negative = await makeRequest('/api/v0/servers?tags=paging&limit=-5');
+    assert.strictEqual(negative.statusCode, 200);
+    assert.deepStrictEqual(negative.data.data.servers.map(s => s.id), ['page-0']);
+    assert.ok(negative.data.data.cursor);
+    
+    await makeRequest('/api/v0/servers/page-c/config');
+    await makeRequest('/api/v0/servers/page-c/config?client=vscode');
+    await makeRequest('/api/v0/servers/page-b/config');
+    const popular = (await makeRequest('/api/v0/servers?tags=paging&sort=popularity')).data.data;
+    assert.deepStrictEqual(popular.servers.map(s => s.id).slice(0, 2), ['page-c', 'page-b']);
+    
+    const updated = (await makeRequest('/api/v0/servers?tags=paging&sort=updated&limit=1')).data.data;
+    assert.deepStrictEqual(updated.servers.map(s => s.id), ['page-0']);
+    
+    const [payload, checksum] = first.cursor.split('.');
+    const position = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...position, id: 'page-c' })).toString('base64url');
+    const tampered = await makeRequest(`/api/v0/servers?tags=paging&limit=2&cursor=${forged}.${checksum}`);
+    assert.strictEqual(tampered.statusCode, 400);
+    assert.strictEqual(tampered.data.error.code, 'INVALID_CURSOR');
+    
+    const garbage = await makeRequest('/api/v0/servers?cursor=not-a-cursor');
+    assert.strictEqual(garbage.data.error.code, 'INVALID_CURSOR');
+    
+    const otherFilters = await makeRequest(`/api/v0/servers?tags=paging,other&limit=2&cursor=${first.cursor}`);
+    assert.strictEqual(otherFilters.statusCode, 400);
+    const otherOrder = await makeRequest(`/api/v0/servers?tags=paging&order=desc&limit=2&cursor=${first.cursor}`);
+    assert.strictEqual(otherOrder.statusCode, 400);
+    
+    const invalidSort = await makeRequest('/api/v0/servers?sort=stars');
+    assert.strictEqual(invalidSort.statusCode, 400);
+    assert.strictEqual(invalidSort.data.error.code, 'INVALID_SORT');
+    
+    for (const id of ['page-0', 'page-b', 'page-c', 'page-d']) {
+      await remove(id);
+    }
+  });
+
+  await t.test('Declared variables drive config prompts and resolution', async () => {
+    const server = {
+      id: 'weather-server',
+      name: 'Weather Server',
+      description: 'Forecasts for a region',
+      version: '1.0.0',
+      configuration: {
+        command: 'npx',
+        args: ['weather-server', '--region', '{WEATHER_REGION}'],
+        env: { WEATHER_API_KEY: '{WEATHER_API_KEY}', WEATHER_UNITS: '{WEATHER_UNITS}' }
+      },
+      variables: [
+        { name: 'WEATHER_API_KEY', description: 'Weather API key', secret: true, pattern: '^wk_[a-z0-9]+$', obtainFrom: 'https://weather.example.com/keys' },
+        { name: 'WEATHER_REGION', description: 'Forecast region', default: 'eu' },
+        { name: 'WEATHER_UNITS', required: false }
+      ],
+      capabilities: [],
+      tools: [],
+      tags: []
+    };
+    const created = await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    assert.strictEqual(created.statusCode, 201);
+    const invalid = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { ...server, id: 'weather-invalid', variables: [{ name: 'WEATHER_API_KEY', format: 'date' }] }
+    });
+    assert.strictEqual(invalid.statusCode, 422);
+    for (const pattern of ['^(a+)+$', '^(a?a?)+$']) {
+      const backtracking = await makeRequest('/api/v0/servers', {
+        method: 'POST',
+        headers: authHeaders,
+        body: { ...server, id: 'weather-invalid', variables: [{ name: 'WEATHER_API_KEY', pattern }] }
+      });
+      assert.strictEqual(backtracking.statusCode, 422, pattern);
+      assert.strictEqual(backtracking.data.error.violations[0].path, '/variables/0/pattern');
+    }
+    
+    const config = (await makeRequest('/api/v0/servers/weather-server/config', { headers: authHeaders })).data.data;
+    assert.deepStrictEqual(config.variables.map(v => [v.name, v.required, v.secret]), [
+      ['WEATHER_REGION', false, false],
+      ['WEATHER_API_KEY', true, true],
+      ['WEATHER_UNITS', false, false]
+    ]);
+    
+    const vscode = (await makeRequest('/api/v0/servers/weather-server/config?client=vscode', { headers: authHeaders })).data.data;
+    assert.deepStrictEqual(vscode.configuration.inputs[0], {
+      type: 'promptString', id: 'weather-region', description: 'Forecast region', password: false, default: 'eu'
+    });
+    assert.deepStrictEqual(vscode.configuration.inputs[1], {
+      type: 'promptString', id: 'weather-api-key', description: 'Weather API key', password: true
+    });
+    
+    const resolve = (body, query = '') => makeRequest(`/api/v0/servers/weather-server/config/resolve${query}`, {
+      method: 'POST',
+      headers: authHeaders,
+      body
+    });
+    const rejected = await resolve({ values: { WEATHER_API_KEY: 'not-a-key', WEATHER_CITY: 'Oslo' } });
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.strictEqual(rejected.data.error.code, 'INVALID_VARIABLES');
+    assert.deepStrictEqual(rejected.data.error.violations.map(v => v.name), ['WEATHER_CITY', 'WEATHER_API_KEY']);
+    assert.ok(!JSON.stringify(rejected.data).includes('not-a-key'));
+    const missing = await resolve({ values: {} });
+    assert.deepStrictEqual(missing.data.error.violations, [{ name: 'WEATHER_API_KEY', message: 'WEATHER_API_KEY is required' }]);
+    const tooLong = await resolve({ values: { WEATHER_API_KEY: `wk_${'a'.repeat(5000)}` } });
+    assert.deepStrictEqual(tooLong.data.error.violations, [{ name: 'WEATHER_API_KEY', message: 'WEATHER_API_KEY must be at most 4096 characters' }]);
+    
+    // Slow patterns the check lets through give up instead of stalling the server
+    await makeRequest('/api/v0/servers/weather-server', {
+      method: 'PATCH',
+      headers: authHeaders,
+      body: { variables: [{ name: 'WEATHER_API_KEY', secret: true, pattern: '^\\d*\\d*\\d*x$' }, ...server.variables.slice(1)] }
+    });
+    const started = Date.now();
+    const slow = await resolve({ values: { WEATHER_API_KEY: '1'.repeat(4000) } });
+    assert.ok(Date.now() - started < 2000);
+    assert.deepStrictEqual(slow.data.error.violations, [{ name: 'WEATHER_API_KEY', message: 'WEATHER_API_KEY took too long to check against the expected format' }]);
+    await makeRequest('/api/v0/servers/weather-server', { method: 'PATCH', headers: authHeaders, body: { variables: server.variables } });
+    
+    const resolved = await resolve({ values: { WEATHER_API_KEY: 'wk_secret42' } });
+    assert.strictEqual(resolved.statusCode, 200);
+    assert.strictEqual(resolved.headers['cache-control'], 'no-store');
+    assert.deepStrictEqual(resolved.data.data.configuration, {
+      command: 'npx',
+      args: ['weather-server', '--region', 'eu'],
+      env: { WEATHER_API_KEY: 'wk_secret42', WEATHER_UNITS: '' }
+    });
+    
+    const cursor = await resolve({ values: { WEATHER_API_KEY: 'wk_secret42', WEATHER_REGION: 'us' } }, '?client=cursor');
+    assert.deepStrictEqual(cursor.data.data.configuration.mcpServers['weather-server'].args, ['weather-server', '--region', 'us']);
+    
+    const { events } = (await makeRequest('/api/v0/audit?serverId=weather-server&action=config', { headers: authHeaders })).data.data;
+    assert.ok(events.some(event => event.details.resolved));
+    assert.ok(!JSON.stringify(events).includes('wk_secret42'));
+    const stored = await makeRequest('/api/v0/servers/weather-server', { headers: authHeaders });
+    assert.ok(!JSON.stringify(stored.data).includes('wk_secret42'));
+    
+    await makeRequest('/api/v0/servers/weather-server', { method: 'DELETE', headers: authHeaders });
+  });
+
+  await t.test('Security reports score trust signals and gate the list', async () => {
+    const playwright = await makeRequest('/api/v0/servers/playwright-mcp-server/security');
+    assert.strictEqual(playwright.statusCode, 200);
+    const checks = Object.fromEntries(playwright.data.data.checks.map(check => [check.id, check]));
+    assert.strictEqual(checks.source.status, 'warn');
+    assert.strictEqual(checks.pinning.status, 'fail');
+    assert.strictEqual(checks.pinning.package.version, 'latest');
+    assert.strictEqual(checks.license.status, 'pass');
+    assert.deepStrictEqual(checks.tools.tools, [{ name: 'browser_evaluate', risks: ['code-execution'] }]);
+    assert.strictEqual(playwright.data.data.score, playwright.data.data.checks.reduce((sum, check) => sum + check.risk, 0));
+    
+    const github = (await makeRequest('/api/v0/servers/github-mcp-server/security')).data.data;
+    const githubTools = github.checks.find(check => check.id === 'tools').tools;
+    assert.deepStrictEqual(githubTools.map(tool => tool.name), ['delete_branch', 'merge_pull_request']);
+    assert.ok(githubTools.every(tool => tool.risks.includes('destructive')));
+    
+    const server = {
+      id: 'pinned-server',
+      name: 'Pinned Server',
+      description: 'Reads notes',
+      version: '2.1.0',
+      license: 'MIT OR Apache-2.0',
+      homepage: 'https://github.com/acme/pinned-server#readme',
+      repository: { type: 'git', url: 'https://github.com/acme/pinned-server.git' },
+      configuration: { command: 'npx', args: ['-y', 'pinned-server@2.1.0'], env: {} },
+      capabilities: [],
+      tools: [{ name: 'read_note', description: 'Read a note' }],
+      tags: []
+    };
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    await makeRequest('/api/v0/servers/pinned-server/review', { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'alice' } });
+    
+    const pinned = (await makeRequest('/api/v0/servers/pinned-server/security')).data.data;
+    assert.deepStrictEqual({ score: pinned.score, level: pinned.level }, { score: 0, level: 'low' });
+    assert.ok(pinned.checks.every(check => check.status === 'pass'));
+    const detail = (await makeRequest('/api/v0/servers/pinned-server')).data.data.server;
+    assert.deepStrictEqual(detail.security, { score: 0, level: 'low' });
+    
+    const low = (await makeRequest('/api/v0/servers?maxRisk=low')).data.data;
+    assert.deepStrictEqual(low.servers.map(s => s.id), ['pinned-server']);
+    const medium = (await makeRequest('/api/v0/servers?maxRisk=medium')).data.data;
+    assert.ok(medium.servers.some(s => s.id === 'playwright-mcp-server'));
+    const invalid = await makeRequest('/api/v0/servers?maxRisk=severe');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.data.error.code, 'INVALID_RISK');
+    
+    await makeRequest('/api/v0/servers/pinned-server', { method: 'PATCH', headers: authHeaders, body: { license: 'Proprietary-ish', version: '2.2.0' } });
+    const unlicensed = (await makeRequest('/api/v0/servers/pinned-server/security')).data.data;
+    assert.strictEqual(unlicensed.checks.find(check => check.id === 'license').status, 'fail');
+    const previous = (await makeRequest('/api/v0/servers/pinned-server/security?version=2.1.0')).data.data;
+    assert.strictEqual(previous.version, '2.1.0');
+    assert.strictEqual(previous.score, 0);
+    
+    await makeRequest('/api/v0/servers/pinned-server', { method: 'DELETE', headers: authHeaders });
+  });
+
+  await t.test('Tool annotations are served and filter servers and tools', async () => {
+    const tools = (await makeRequest('/api/v0/servers/github-mcp-server/tools')).data.data.tools;
+    assert.deepStrictEqual(tools.find(tool => tool.name === 'get_repository').annotations, { readOnlyHint: true, openWorldHint: true });
+    assert.strictEqual(tools.find(tool => tool.name === 'delete_branch').annotations.destructiveHint, true);
+    
+    const readOnlyTools = (await makeRequest('/api/v0/servers/github-mcp-server/tools?readOnly=true')).data.data.tools;
+    assert.deepStrictEqual(readOnlyTools.map(tool => tool.name), ['get_repository', 'list_repositories', 'list_branches', 'list_issues']);
+    const safeWrites = (await makeRequest('/api/v0/servers/github-mcp-server/tools?readOnly=false&destructive=false')).data.data.tools;
+    assert.ok(safeWrites.every(tool => tool.name.startsWith('create_')));
+    
+    const searched = (await makeRequest('/api/v0/tools/search?q=branch&readOnly=true')).data.data.results;
+    assert.deepStrictEqual(searched.map(result => result.tool.name), ['list_branches']);
+    
+    const server = {
+      id: 'reader-server',
+      name: 'Reader Server',
+      description: 'Looks things up',
+      version: '1.0.0',
+      configuration: { command: 'npx', args: ['reader-server'], env: {} },
+      capabilities: [],
+      tools: [
+        { name: 'lookup', description: 'Look something up', annotations: { readOnlyHint: true, openWorldHint: false } },
+        { name: 'browse', description: 'Browse the catalog', annotations: { readOnlyHint: true } }
+      ],
+      tags: ['annotated']
+    };
+    const invalid = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: { ...server, tools: [{ name: 'lookup', description: 'Look', annotations: { readOnlyHint: 'yes' } }] }
+    });
+    assert.strictEqual(invalid.statusCode, 422);
+    await makeRequest('/api/v0/servers', { method: 'POST', headers: authHeaders, body: server });
+    await makeRequest('/api/v0/servers/reader-server/review', { method: 'POST', headers: authHeaders, body: { state: 'approved', reviewer: 'alice' } });
+    
+    const readOnlyServers = (await makeRequest('/api/v0/servers?readOnly=true')).data.data.servers;
+    assert.deepStrictEqual(readOnlyServers.map(s => s.id), ['reader-server']);
+    const closedWorld = (await makeRequest('/api/v0/servers?openWorld=false')).data.data.servers;
+    assert.deepStrictEqual(closedWorld, []);
+    const nonDestructive = (await makeRequest('/api/v0/servers?destructive=false')).data.data.servers;
+    assert.deepStrictEqual(nonDestructive.map(s => s.id), ['reader-server']);
+    
+    const invalidFilter = await makeRequest('/api/v0/servers?readOnly=yes');
+    assert.strictEqual(invalidFilter.statusCode, 400);
+    assert.strictEqual(invalidFilter.data.error.code, 'INVALID_FILTER');
+    
+    await makeRequest('/api/v0/servers/reader-server', { method: 'DELETE', headers: authHeaders });
+  });
+  
+  await t.test('Collections pin members, resolve to one config and report dangling references', async () => {
+    const publisher = { Authorization: `Bearer ${signJwt({ role: 'publisher', org: 'acme' }, DEV_SIGNING_KEY)}` };
+    const otherPublisher = { Authorization: `Bearer ${signJwt({ role: 'publisher', org: 'globex' }, DEV_SIGNING_KEY)}` };
+    const collection = {
+      name: 'frontend-dev',
+      description: 'Browser testing and pull requests',
+      members: [
+        { id: 'playwright-mcp-server' },
+        { id: 'github-mcp-server', version: '^1.0.0', tools: ['create_pull_request', 'list_issues'] }
+      ]
+    };
+    
+    const anonymous = await makeRequest('/api/v0/collections', { method: 'POST', body: collection });
+    assert.strictEqual(anonymous.statusCode, 401);
+    
+    const unknownTool = await makeRequest('/api/v0/collections', {
+      method: 'POST',
+      headers: publisher,
+      body: { ...collection, members: [{ id: 'github-mcp-server', tools: ['launch_rockets'] }, { id: 'missing-server' }] }
+    });
+    assert.strictEqual(unknownTool.statusCode, 400);
+    assert.strictEqual(unknownTool.data.error.code, 'INVALID_MEMBERS');
+    assert.deepStrictEqual(unknownTool.data.error.violations.map(violation => violation.id), ['github-mcp-server', 'missing-server']);
+    
+    const duplicate = await makeRequest('/api/v0/collections', {
+      method: 'POST',
+      headers: publisher,
+      body: { ...collection, members: [{ id: 'github-mcp-server' }, { id: 'github-mcp-server' }] }
+    });
+    assert.strictEqual(duplicate.data.error.code, 'INVALID_COLLECTION');
+    
+    const created = await makeRequest('/api/v0/collections', { method: 'POST', headers: publisher, body: collection });
+    assert.strictEqual(created.statusCode, 201);
+    assert.strictEqual(created.headers.location, '/api/v0/collections/frontend-dev');
+    assert.strictEqual(created.data.data.collection.version, 1);
+    assert.deepStrictEqual(created.data.data.collection.owner, { org: 'acme' });
+    assert.deepStrictEqual(created.data.data.collection.members.map(member => [member.id, member.status, member.resolvedVersion]), [
+      ['playwright-mcp-server', 'ok', '0.0.39'],
+      ['github-mcp-server', 'ok', '1.0.0']
+    ]);
+    
+    const taken = await makeRequest('/api/v0/collections', { method: 'POST', headers: publisher, body: collection });
+    assert.strictEqual(taken.statusCode, 409);
+    
+    const config = await makeRequest('/api/v0/collections/frontend-dev/config?client=vscode');
+    assert.strictEqual(config.statusCode, 200);
+    assert.deepStrictEqual(config.data.data.collection, { name: 'frontend-dev', version: 1 });
+    assert.deepStrictEqual(Object.keys(config.data.data.configuration.servers).sort(), ['github-mcp-server', 'playwright-mcp-server']);
+    assert.deepStrictEqual(config.data.data.servers.find(server => server.id === 'github-mcp-server').tools, ['create_pull_request', 'list_issues']);
+    // Allowlists are advisory: the client file is the one the server gets without them
+    const unrestricted = await makeRequest('/api/v0/config?ids=github-mcp-server@^1.0.0&client=vscode');
+    assert.strictEqual(unrestricted.statusCode, 200);
+    assert.deepStrictEqual(config.data.data.configuration.servers['github-mcp-server'], unrestricted.data.data.configuration.servers['github-mcp-server']);
+    
+    const forbidden = await makeRequest('/api/v0/collections/frontend-dev', { method: 'PUT', headers: otherPublisher, body: collection });
+    assert.strictEqual(forbidden.statusCode, 403);
+    
+    await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: publisher,
+      body: {
+        id: 'storybook-server',
+        name: 'Storybook Server',
+        description: 'Browses component stories',
+        version: '1.0.0',
+        configuration: { command: 'npx', args: ['storybook-server@1.0.0'], env: {} },
+        capabilities: [],
+        tools: [],
+        tags: []
+      }
+    });
+    const updated = await makeRequest('/api/v0/collections/frontend-dev', {
+      method: 'PUT',
+      headers: publisher,
+      body: { members: [...collection.members, { id: 'storybook-server', version: '1.0.0' }] }
+    });
+    assert.strictEqual(updated.statusCode, 200);
+    assert.strictEqual(updated.data.data.collection.version, 2);
+    assert.strictEqual(updated.data.data.collection.description, null);
+    
+    const removed = await makeRequest('/api/v0/servers/storybook-server', { method: 'DELETE', headers: publisher });
+    assert.deepStrictEqual(removed.data.data.danglingIn, ['frontend-dev']);
+    
+    const detail = await makeRequest('/api/v0/collections/frontend-dev');
+    assert.deepStrictEqual(detail.data.data.collection.dangling, ['storybook-server']);
+    assert.strictEqual(detail.data.data.collection.members[2].status, 'dangling');
+    const listed = (await makeRequest('/api/v0/collections')).data.data.collections;
+    assert.deepStrictEqual(listed.find(entry => entry.name === 'frontend-dev').dangling, ['storybook-server']);
+    
+    const danglingConfig = await makeRequest('/api/v0/collections/frontend-dev/config');
+    assert.strictEqual(danglingConfig.statusCode, 409);
+    assert.strictEqual(danglingConfig.data.error.code, 'DANGLING_MEMBERS');
+    
+    const deleted = await makeRequest('/api/v0/collections/frontend-dev', { method: 'DELETE', headers: publisher });
+    assert.strictEqual(deleted.statusCode, 200);
+    const gone = await makeRequest('/api/v0/collections/frontend-dev');
+    assert.strictEqual(gone.data.error.code, 'COLLECTION_NOT_FOUND');
+  });
+  
+  await t.test('Compatibility metadata is checked against client and runtime versions', async () => {
+    const old = await makeRequest('/api/v0/servers/github-mcp-server/compatibility?client=vscode&clientVersion=1.95&node=18.17');
+    assert.strictEqual(old.statusCode, 200);
+    assert.strictEqual(old.data.data.compatible, false);
+    const client = old.data.data.checks.find(check => check.id === 'client');
+    assert.strictEqual(client.status, 'fail');
+    assert.strictEqual(client.actual, '1.95.0');
+    assert.strictEqual(old.data.data.checks.find(check => check.id === 'node').status, 'pass');
+    
+    const current = await makeRequest('/api/v0/servers/github-mcp-server/compatibility?client=vscode&clientVersion=1.99.3&node=20&os=darwin&protocolVersion=2025-06-18');
+    assert.strictEqual(current.data.data.compatible, true);
+    assert.deepStrictEqual(current.data.data.checks.map(check => [check.id, check.status]), [
+      ['client', 'pass'], ['protocol', 'pass'], ['os', 'pass'], ['node', 'pass']
+    ]);
+    
+    const unknownRuntime = await makeRequest('/api/v0/servers/playwright-mcp-server/compatibility?client=claude-desktop');
+    assert.strictEqual(unknownRuntime.data.data.compatible, true);
+    assert.deepStrictEqual(unknownRuntime.data.data.checks.map(check => [check.id, check.status]), [['client', 'pass'], ['node', 'unknown']]);
+    
+    const unsupported = await makeRequest('/api/v0/servers/playwright-mcp-server/compatibility?client=zed&node=16.20');
+    assert.strictEqual(unsupported.data.data.compatible, false);
+    assert.deepStrictEqual(unsupported.data.data.checks.map(check => check.status), ['fail', 'fail']);
+    
+    const invalid = await makeRequest('/api/v0/servers/github-mcp-server/compatibility?os=beos');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.data.error.code, 'INVALID_ENVIRONMENT');
+    
+    const invalidRange = await makeRequest('/api/v0/servers', {
+      method: 'POST',
+      headers: authHeaders,
+      body: {
+        id: 'ranged-server',
+        name: 'Ranged Server',
+        description: 'Declares an invalid range',
+        version: '1.0.0',
+        configuration: { command: 'uvx', args: ['ranged-server==1.0.0'], env: {} },
+        capabilities: [],
+        tools: [],
+        tags: [],
+        compatibility: { runtimes: { python: 'three or later' } }
+      }
+    });
+    assert.strictEqual(invalidRange.statusCode, 422);
+    assert.strictEqual(invalidRange.data.error.violations[0].path, '/compatibility/runtimes/python');
+  });
+  
+  await t.test('Package metadata flags entries that lag their registry', async () => {
+    const registry = http.createServer((req, res) => {
+      if (req.url === '/@playwright%2Fmcp') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+          'dist-tags': { latest: '0.0.41' },
+          time: { '0.0.41': '2025-09-30T17:12:45.000Z' },
+          versions: { '0.0.41': {} }
+        }));
+      }
+      res.writeHead(404).end();
+    });
+    await new Promise(resolve => registry.listen(new URL(PACKAGE_REGISTRY_URL).port, resolve));
+    
+    try {
+      const packages = await makeRequest('/api/v0/servers/playwright-mcp-server/packages');
+      assert.strictEqual(packages.statusCode, 200);
+      assert.strictEqual(packages.headers['last-modified'], undefined);
+      assert.strictEqual(packages.data.data.latestVersion, '0.0.41');
+      assert.strictEqual(packages.data.data.lagging, true);
+      assert.deepStrictEqual(packages.data.data.packages.map(pkg => [pkg.identifier, pkg.status]), [
+        ['@playwright/mcp', 'ok'],
+        ['mcr.microsoft.com/playwright/mcp', 'not-found']
+      ]);
+      assert.strictEqual(packages.data.data.packages[0].publishedAt, '2025-09-30T17:12:45.000Z');
+      
+      const forbidden = await makeRequest('/api/v0/admin/packages', {
+        headers: { Authorization: `Bearer ${signJwt({ role: 'publisher' }, DEV_SIGNING_KEY)}` }
+      });
+      assert.strictEqual(forbidden.statusCode, 403);
+      
+      const lagging = await makeRequest('/api/v0/admin/packages?lagging=true', { headers: authHeaders });
+      assert.deepStrictEqual(lagging.data.data.lagging, ['playwright-mcp-server']);
+      assert.deepStrictEqual(lagging.data.data.servers.map(server => server.id), ['playwright-mcp-server']);
+    } finally {
+      registry.close();
+    }
+  });
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createStore } from '../src/storage/index.js';
+import { parseUpstreams } from '../src/federation/config.js';
+import { syncUpstream } from '../src/federation/sync.js';
+
+const UPSTREAM_PORT = 3101;
+const UPSTREAM_URL = `http://localhost:${UPSTREAM_PORT}`;
+const appEntry = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'index.js');
+
+const localSeed = [
+  {
+    id: 'github-mcp-server',
+    name: 'Local GitHub',
+    description: 'Local entry that shares an id with the upstream',
+    version: '9.0.0',
+    configuration: { command: 'npx', args: ['local-github'], env: {} },
+    capabilities: [],
+    tools: [],
+    tags: []
+  }
+];
+
+// Runs another registry instance, seeded with the GitHub and Playwright servers
+async function startUpstream(t) {
+  const child = spawn(process.execPath, [appEntry], {
+    env: { ...process.env, PORT: String(UPSTREAM_PORT), REGISTRY_STORAGE: 'memory', REGISTRY_UPSTREAMS: '' },
+    stdio: 'ignore'
+  });
+  t.after(() => child.kill());
+  
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${UPSTREAM_URL}/api/v0/health`)).ok) {
+        return;
+      }
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Upstream registry did not start');
+}
+
+function upstream(overrides = {}) {
+  return parseUpstreams(JSON.stringify([{ name: 'acme', url: UPSTREAM_URL, ...overrides }]))[0];
+}
+
+test('Upstream registries are mirrored into the catalog', async (t) => {
+  await startUpstream(t);
+  
+  await t.test('namespaces mirrored entries and records their source', async () => {
+    const store = await createStore({ backend: 'memory', seed: localSeed });
+    const result = await syncUpstream(upstream(), { store });
+    
+    assert.strictEqual(result.added, 2);
+    assert.deepStrictEqual(result.conflicts, []);
+    
+    const mirrored = await store.get('acme.github-mcp-server');
+    assert.strictEqual(mirrored.name, 'GitHub MCP Server');
+    // The upstream lists computed fields, which are not stored
+    assert.strictEqual(mirrored.status, undefined);
+    assert.strictEqual(mirrored.security, undefined);
+    assert.deepStrictEqual(
+      { type: mirrored.source.type, upstream: mirrored.source.upstream, id: mirrored.source.id },
+      { type: 'upstream', upstream: 'acme', id: 'github-mcp-server' }
+    );
+    assert.strictEqual((await store.get('github-mcp-server')).name, 'Local GitHub');
+    
+    const again = await syncUpstream(upstream(), { store });
+    assert.strictEqual(again.added, 0);
+    assert.strictEqual(again.updated, 2);
+  });
+  
+  await t.test('applies allow and deny lists and drops entries they exclude', async () => {
+    const store = await createStore({ backend: 'memory', seed: localSeed });
+    await syncUpstream(upstream({ allow: ['*-mcp-server'] }), { store });
+    assert.strictEqual((await store.list()).length, 3);
+    
+    const result = await syncUpstream(upstream({ deny: ['playwright-*'] }), { store });
+    assert.strictEqual(result.filtered, 1);
+    assert.strictEqual(result.removed, 1);
+    assert.deepStrictEqual((await store.list()).map(s => s.id).sort(), ['acme.github-mcp-server', 'github-mcp-server']);
+  });
+  
+  await t.test('keeps local entries on id conflicts unless told otherwise', async () => {
+    const store = await createStore({ backend: 'memory', seed: localSeed });
+    const kept = await syncUpstream(upstream({ namespace: null }), { store });
+    
+    assert.deepStrictEqual(kept.conflicts, [{ id: 'github-mcp-server', with: 'local', resolution: 'kept' }]);
+    assert.strictEqual((await store.get('github-mcp-server')).source, undefined);
+    assert.strictEqual((await store.get('playwright-mcp-server')).source.upstream, 'acme');
+    
+    const replaced = await syncUpstream(upstream({ namespace: null, onConflict: 'prefer-upstream' }), { store });
+    assert.strictEqual(replaced.conflicts[0].resolution, 'replaced');
+    const server = await store.get('github-mcp-server');
+    assert.strictEqual(server.name, 'GitHub MCP Server');
+    assert.strictEqual(server.source.upstream, 'acme');
+  });
+  
+  await t.test('mirrors official-format registries from server.json', async () => {
+    const store = await createStore({ backend: 'memory', seed: [] });
+    const result = await syncUpstream(upstream({ format: 'official', namespace: 'official' }), { store });
+    
+    assert.strictEqual(result.added, 2);
+    const server = await store.get('official.github-mcp-server');
+    assert.deepStrictEqual(server.configuration.args, ['@github/github-mcp-server']);
+    assert.strictEqual(server.registryName, 'io.github.github/github-mcp-server');
+  });
+  
+  await t.test('leaves mirrored entries in place when the upstream is unreachable', async () => {
+    const store = await createStore({ backend: 'memory', seed: [] });
+    await syncUpstream(upstream(), { store });
+    
+    await assert.rejects(
+      syncUpstream(upstream({ url: 'http://localhost:1' }), { store }),
+      /fetch failed/
+    );
+    assert.strictEqual((await store.list()).length, 2);
+  });
+});
+
+test('Invalid upstream configuration is rejected', () => {
+  assert.throws(() => parseUpstreams('[{"name":"Bad Name","url":"http://x"}]'), /name must be a lowercase identifier/);
+  assert.throws(() => parseUpstreams('[{"name":"a","url":"ftp://x"}]'), /url must be an http/);
+  assert.throws(() => parseUpstreams('[{"name":"a","url":"http://x","onConflict":"merge"}]'), /onConflict/);
+  assert.throws(() => parseUpstreams('[{"name":"a","url":"http://x"},{"name":"a","url":"http://y"}]'), /Duplicate upstream/);
+  assert.deepStrictEqual(parseUpstreams(''), []);
+});
@@ -0,0 +1,65 @@
+/**
+ * Fake MCP server speaking newline-delimited JSON-RPC over stdio, used to test introspection.
+ * Set FAKE_MCP_CRASH=1 to exit right after initialize, printing FAKE_TOKEN to stderr.
+ */
+import readline from 'node:readline';
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo a message back',
+    inputSchema: {
+      type: 'object',
+      properties: { message: { type: 'string' } },
+      required: ['message']
+    }
+  },
+  {
+    name: 'get_time',
+    description: 'Get the current server time',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'shutdown',
+    description: 'Undeclared administrative tool',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+const handlers = {
+  initialize: () => ({
+    protocolVersion: '2025-06-18',
+    capabilities: { tools: {}, resources: {}, prompts: {} },
+    serverInfo: { name: 'fake-mcp-server', version: '9.9.9' },
+    instructions: process.env.FAKE_TOKEN ? `token:${process.env.FAKE_TOKEN}` : 'anonymous'
+  }),
+  // Two pages, to exercise cursor handling
+  'tools/list': params => params.cursor === 'page-2'
+    ? { tools: tools.slice(2) }
+    : { tools: tools.slice(0, 2), nextCursor: 'page-2' },
+  'resources/list': () => ({
+    resources: [{ uri: 'file:///readme.md', name: 'readme', mimeType: 'text/markdown' }]
+  }),
+  'prompts/list': () => ({
+    prompts: [{ name: 'greet', description: 'Say hello', arguments: [{ name: 'name', required: true }] }]
+  })
+};
+
+console.log('fake MCP server starting');
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  const message = JSON.parse(line);
+  if (message.id === undefined) {
+    return;
+  }
+  const handler = handlers[message.method];
+  const response = handler
+    ? { jsonrpc: '2.0', id: message.id, result: handler(message.params || {}) }
+    : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+  process.stdout.write(`${JSON.stringify(response)}\n`);
+
+  if (message.method === 'initialize' && process.env.FAKE_MCP_CRASH) {
+    process.stderr.write(`crashing with token ${process.env.FAKE_TOKEN}\n`);
+    process.exit(3);
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { introspectServer, resolveLaunchConfig } from '../src/introspection/index.js';
+import { diffTools } from '../src/introspection/diff.js';
+
+const fakeServerPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'fake-mcp-server.js');
+
+function fakeServer(env = {}) {
+  return {
+    id: 'fake-mcp-server',
+    version: '1.0.0',
+    configuration: {
+      command: process.execPath,
+      args: [fakeServerPath],
+      env
+    },
+    tools: [
+      {
+        name: 'echo',
+        description: 'Echo a message back',
+        inputSchema: {
+          type: 'object',
+          properties: { message: { type: 'string' } },
+          required: ['message']
+        }
+      },
+      { name: 'get_time', description: 'Get the time', parameters: [] },
+      { name: 'reboot', description: 'Declared but not implemented', parameters: [] }
+    ]
+  };
+}
+
+test('Introspection harvests tools, resources and prompts over stdio', async () => {
+  const result = await introspectServer(fakeServer({ FAKE_TOKEN: '{FAKE_TOKEN}' }), {
+    secrets: { FAKE_TOKEN: 'secret-value' },
+    timeoutMs: 5000
+  });
+  
+  assert.strictEqual(result.status, 'succeeded', result.error);
+  assert.deepStrictEqual(result.serverInfo, { name: 'fake-mcp-server', version: '9.9.9' });
+  // The server saw the secret; the result never holds it
+  assert.strictEqual(result.instructions, 'token:[REDACTED]');
+  assert.ok(!JSON.stringify(result).includes('secret-value'));
+  assert.deepStrictEqual(result.tools.map(tool => tool.name), ['echo', 'get_time', 'shutdown']);
+  assert.strictEqual(result.resources[0].uri, 'file:///readme.md');
+  assert.strictEqual(result.prompts[0].name, 'greet');
+  assert.deepStrictEqual(result.diff, {
+    inSync: false,
+    missing: ['reboot'],
+    undeclared: ['shutdown'],
+    changed: [{ name: 'get_time', fields: ['description'] }]
+  });
+});
+
+test('Introspection leaves out variables without a secret value', async () => {
+  const result = await introspectServer(fakeServer({ FAKE_TOKEN: '{FAKE_TOKEN}' }), { timeoutMs: 5000 });
+  assert.strictEqual(result.status, 'succeeded', result.error);
+  assert.strictEqual(result.instructions, 'anonymous');
+  assert.deepStrictEqual(result.unresolvedSecrets, ['FAKE_TOKEN']);
+});
+
+test('Introspection reports servers that exit during the handshake', async () => {
+  const result = await introspectServer(fakeServer({ FAKE_MCP_CRASH: '1', FAKE_TOKEN: '{FAKE_TOKEN}' }), {
+    secrets: { FAKE_TOKEN: 'secret-value' },
+    timeoutMs: 5000
+  });
+  assert.strictEqual(result.status, 'failed');
+  assert.match(result.error, /exited \(code 3\): crashing with token \[REDACTED\]/);
+});
+
+test('Introspection reports commands that cannot be started', async () => {
+  const server = { ...fakeServer(), configuration: { command: 'definitely-not-a-real-command', args: [] } };
+  const result = await introspectServer(server, { timeoutMs: 5000 });
+  assert.strictEqual(result.status, 'failed');
+  assert.match(result.error, /Failed to start MCP server/);
+});
+
+test('Launch config substitutes placeholders in args and env', () => {
+  const launch = resolveLaunchConfig({
+    command: 'npx',
+    args: ['server', '--token={TOKEN}'],
+    env: { TOKEN: '{TOKEN}', REGION: 'eu', MISSING: '{OTHER}' }
+  }, { TOKEN: 'abc' });
+  assert.deepStrictEqual(launch.args, ['server', '--token=abc']);
+  assert.deepStrictEqual(launch.env, { TOKEN: 'abc', REGION: 'eu' });
+  assert.deepStrictEqual(launch.unresolved, ['OTHER']);
+});
+
+test('Tool diff compares legacy parameter lists by name', () => {
+  const diff = diffTools(
+    [{ name: 'navigate', description: 'Go', parameters: ['url'] }],
+    [{ name: 'navigate', description: 'Go', inputSchema: { type: 'object', properties: { url: { type: 'string' }, wait: {} } } }]
+  );
+  assert.deepStrictEqual(diff.changed, [{ name: 'navigate', fields: ['parameters'] }]);
+});
+
+test('Tool diff compares declared annotations with MCP defaults', () => {
+  const declared = [
+    { name: 'read', description: 'Read', parameters: [], annotations: { readOnlyHint: true } },
+    { name: 'write', description: 'Write', parameters: [], annotations: { readOnlyHint: false, destructiveHint: true } },
+    { name: 'legacy', description: 'Legacy', parameters: [] }
+  ];
+  const diff = diffTools(declared, [
+    { name: 'read', description: 'Read', inputSchema: { type: 'object' }, annotations: { readOnlyHint: true, openWorldHint: true } },
+    { name: 'write', description: 'Write', inputSchema: { type: 'object' }, annotations: { destructiveHint: false } },
+    { name: 'legacy', description: 'Legacy', inputSchema: { type: 'object' }, annotations: { readOnlyHint: true } }
+  ]);
+  assert.deepStrictEqual(diff.changed, [{ name: 'write', fields: ['annotations'] }]);
+});
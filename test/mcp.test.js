@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { StdioClient } from '../src/introspection/stdioClient.js';
+
+const stdioEntry = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'mcp', 'stdio.js');
+
+test('Registry speaks MCP over stdio', async (t) => {
+  const client = new StdioClient({ command: process.execPath, args: [stdioEntry], timeoutMs: 10000 }).start();
+  t.after(() => client.close());
+  
+  const initialized = await client.request('initialize', {
+    protocolVersion: '2025-06-18',
+    capabilities: {},
+    clientInfo: { name: 'registry-test', version: '1.0.0' }
+  });
+  client.notify('notifications/initialized');
+  assert.strictEqual(initialized.serverInfo.name, 'dynamic-mcp-registry');
+  
+  const { tools } = await client.request('tools/list');
+  assert.deepStrictEqual(
+    tools.map(tool => tool.name).sort(),
+    ['get_server', 'get_server_config', 'search_servers', 'search_tools']
+  );
+  
+  const search = await client.request('tools/call', {
+    name: 'search_servers',
+    arguments: { query: 'browser screenshots' }
+  });
+  assert.strictEqual(search.structuredContent.servers[0].id, 'playwright-mcp-server');
+  
+  const config = await client.request('tools/call', {
+    name: 'get_server_config',
+    arguments: { id: 'github-mcp-server', client: 'vscode' }
+  });
+  assert.strictEqual(config.structuredContent.fileName, '.vscode/mcp.json');
+  assert.ok(config.structuredContent.configuration.servers['github-mcp-server']);
+  
+  const missing = await client.request('tools/call', {
+    name: 'get_server',
+    arguments: { id: 'unknown-server' }
+  });
+  assert.strictEqual(missing.isError, true);
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { createNpmResolver } from '../src/packages/npm.js';
+import { createPypiResolver } from '../src/packages/pypi.js';
+import { createOciResolver, parseImageName } from '../src/packages/oci.js';
+import { PackageMetadata, isLagging } from '../src/packages/index.js';
+import { parsePackage } from '../src/lib/packages.js';
+
+const TOKEN = 'stub-pull-token';
+
+// Serves canned npm, npm downloads, PyPI, pypistats and OCI registry responses
+async function startRegistryStub(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+    const route = `${req.method} ${url.pathname}`;
+
+    switch (route) {
+      case 'GET /@acme%2Fmcp-server':
+        return send(200, {
+          'dist-tags': { latest: '2.1.0' },
+          time: { '2.0.0': '2025-01-10T00:00:00.000Z', '2.1.0': '2025-03-01T12:00:00.000Z' },
+          versions: { '2.0.0': {}, '2.1.0': { deprecated: 'Moved to @acme/mcp' } }
+        });
+      case 'GET /downloads/point/last-week/@acme/mcp-server':
+        return send(200, { downloads: 1234, package: '@acme/mcp-server' });
+      case 'GET /pypi/acme-mcp/json':
+        return send(200, {
+          info: { version: '0.4.0', classifiers: ['Development Status :: 7 - Inactive'] },
+          releases: { '0.4.0': [{ upload_time_iso_8601: '2025-02-02T08:00:00.000000Z', yanked: false }] }
+        });
+      case 'GET /api/packages/acme-mcp/recent':
+        return send(200, { data: { last_day: 10, last_week: 70, last_month: 300 } });
+      case 'GET /token':
+        return send(200, { token: TOKEN });
+      case 'GET /v2/acme/elsewhere/tags/list':
+        return send(401, {}, { 'WWW-Authenticate': 'Bearer realm="http://169.254.169.254/token",service="stub"' });
+    }
+
+    if (url.pathname.startsWith('/v2/')) {
+      if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return send(401, {}, {
+          'WWW-Authenticate': `Bearer realm="http://localhost:${server.address().port}/token",service="stub"`
+        });
+      }
+      switch (route) {
+        case 'GET /v2/acme/mcp/tags/list':
+          return send(200, { name: 'acme/mcp', tags: ['latest', '1.9.0', 'v1.10.0', '1.10.0-rc.1', '1.10-alpine'] });
+        case 'GET /v2/acme/mcp/manifests/v1.10.0':
+          return send(200, { manifests: [{ digest: 'sha256:amd64' }] });
+        case 'GET /v2/acme/mcp/manifests/sha256:amd64':
+          return send(200, { config: { digest: 'sha256:config' } });
+        case 'GET /v2/acme/mcp/blobs/sha256:config':
+          return send(200, { created: '2025-04-04T04:04:04Z' });
+      }
+    }
+    send(404, { error: 'Not found' });
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  return { url: `http://localhost:${server.address().port}`, requests };
+}
+
+test('Resolvers read npm, PyPI and OCI registries', async (t) => {
+  const stub = await startRegistryStub(t);
+
+  await t.test('npm packuments give the latest version, downloads and deprecation', async () => {
+    const npm = createNpmResolver({ registryUrl: stub.url, downloadsUrl: stub.url });
+    assert.deepStrictEqual(await npm.resolve('@acme/mcp-server'), {
+      latestVersion: '2.1.0',
+      publishedAt: '2025-03-01T12:00:00.000Z',
+      weeklyDownloads: 1234,
+      deprecated: true,
+      deprecationMessage: 'Moved to @acme/mcp'
+    });
+    assert.strictEqual(await npm.resolve('missing-package'), null);
+  });
+
+  await t.test('PyPI projects are looked up by normalized name', async () => {
+    const pypi = createPypiResolver({ registryUrl: stub.url, statsUrl: stub.url });
+    const metadata = await pypi.resolve('Acme_MCP');
+    assert.strictEqual(metadata.latestVersion, '0.4.0');
+    assert.strictEqual(metadata.publishedAt, '2025-02-02T08:00:00.000000Z');
+    assert.strictEqual(metadata.weeklyDownloads, 70);
+    assert.strictEqual(metadata.deprecated, true);
+    assert.strictEqual(metadata.deprecationMessage, 'Classified as inactive');
+  });
+
+  await t.test('OCI images get a pull token and take the highest release tag', async () => {
+    const oci = createOciResolver({ registryUrl: stub.url });
+    assert.deepStrictEqual(await oci.resolve('ghcr.io/acme/mcp'), {
+      latestVersion: 'v1.10.0',
+      publishedAt: '2025-04-04T04:04:04Z',
+      weeklyDownloads: null,
+      deprecated: null,
+      deprecationMessage: null
+    });
+    assert.strictEqual(await oci.resolve('ghcr.io/acme/missing'), null);
+  });
+
+  await t.test('OCI lookups stay on allowed registries and token hosts', async () => {
+    const requested = [];
+    const recordingFetch = async url => {
+      requested.push(url);
+      return new Response('{}', { status: 404 });
+    };
+    const oci = createOciResolver({ allowedHosts: ['registry.acme.example'], fetch: recordingFetch });
+    await assert.rejects(oci.resolve('10.0.0.1:5000/acme/mcp'), /not an allowed OCI registry/);
+    await assert.rejects(oci.resolve('localhost/acme/mcp'), /not an allowed OCI registry/);
+    assert.deepStrictEqual(requested, []);
+    assert.strictEqual(await oci.resolve('registry.acme.example/acme/mcp'), null);
+    assert.deepStrictEqual(requested, ['https://registry.acme.example/v2/acme/mcp/tags/list?n=1000']);
+
+    const mirror = createOciResolver({ registryUrl: stub.url });
+    await assert.rejects(mirror.resolve('ghcr.io/acme/elsewhere'), /not one of its token hosts/);
+  });
+
+  await t.test('image names default to Docker Hub', () => {
+    assert.deepStrictEqual(parseImageName('node'), { host: 'registry-1.docker.io', repository: 'library/node' });
+    assert.deepStrictEqual(parseImageName('acme/mcp'), { host: 'registry-1.docker.io', repository: 'acme/mcp' });
+    assert.deepStrictEqual(parseImageName('mcr.microsoft.com/playwright/mcp'), { host: 'mcr.microsoft.com', repository: 'playwright/mcp' });
+  });
+
+  await t.test('unreachable registries are reported, not thrown', async () => {
+    const metadata = new PackageMetadata({ resolvers: [createNpmResolver({ registryUrl: 'http://localhost:1' })] });
+    const result = await metadata.lookup('npm', 'anything');
+    assert.strictEqual(result.status, 'error');
+    assert.match(result.error, /could not be reached/);
+  });
+});
+
+test('Package metadata is cached and flags lagging entries', async (t) => {
+  const stub = await startRegistryStub(t);
+  let now = Date.parse('2025-05-01T00:00:00Z');
+  const metadata = new PackageMetadata({
+    resolvers: [
+      createNpmResolver({ registryUrl: stub.url, downloadsUrl: stub.url }),
+      createOciResolver({ registryUrl: stub.url })
+    ],
+    ttlMs: 1000,
+    now: () => now
+  });
+  const server = {
+    id: 'acme-mcp-server',
+    version: '2.0.0',
+    configuration: { command: 'npx', args: ['-y', '@acme/mcp-server@2.0.0'], env: {} },
+    deployment: { docker: { image: 'ghcr.io/acme/mcp' } }
+  };
+
+  const described = await metadata.describeServer(server);
+  assert.strictEqual(described.latestVersion, '2.1.0');
+  assert.strictEqual(described.lagging, true);
+  assert.deepStrictEqual(described.packages.map(pkg => [pkg.registryType, pkg.identifier, pkg.pinnedVersion, pkg.source, pkg.status]), [
+    ['npm', '@acme/mcp-server', '2.0.0', 'configuration', 'ok'],
+    ['oci', 'ghcr.io/acme/mcp', null, 'deployment', 'ok']
+  ]);
+
+  const fetched = stub.requests.length;
+  await metadata.describeServer({ ...server, version: '2.1.0' });
+  assert.strictEqual(stub.requests.length, fetched, 'cached lookups do not hit the registry');
+
+  now += 1001;
+  const refreshed = await metadata.describeServer({ ...server, version: '2.1.0' });
+  assert.strictEqual(refreshed.lagging, false);
+  assert.ok(stub.requests.length > fetched, 'expired lookups hit the registry again');
+
+  const unsupported = await metadata.describeServer({ ...server, configuration: { command: 'uvx', args: ['acme-mcp'] }, deployment: undefined });
+  assert.strictEqual(unsupported.packages[0].status, 'unsupported');
+  assert.strictEqual(unsupported.lagging, false);
+
+  assert.strictEqual(isLagging('1.9.0', 'v1.10.0'), true);
+  assert.strictEqual(isLagging('1.0.0', null), false);
+});
+
+test('docker run arguments are split at the image', () => {
+  const image = args => {
+    const { identifier, version, packageArgs } = parsePackage({ command: 'docker', args });
+    return { identifier, version, packageArgs };
+  };
+  assert.deepStrictEqual(image(['run', '-i', '--rm', 'ghcr.io/x/y', 'stdio']), { identifier: 'ghcr.io/x/y', version: undefined, packageArgs: ['stdio'] });
+  assert.deepStrictEqual(image(['run', '-i', '--rm', '-e', 'GITHUB_TOKEN', '-v', '/data:/data', 'ghcr.io/github/github-mcp-server:1.2.0']), {
+    identifier: 'ghcr.io/github/github-mcp-server', version: '1.2.0', packageArgs: []
+  });
+  assert.deepStrictEqual(image(['run', '--env=TOKEN', '--name', 'mcp', 'localhost:5000/acme/mcp', '--verbose']), {
+    identifier: 'localhost:5000/acme/mcp', version: undefined, packageArgs: ['--verbose']
+  });
+  assert.strictEqual(parsePackage({ command: 'docker', args: ['run', '-i', '--rm'] }), null);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { stem, tokenize, searchServers, searchTools } from '../src/lib/search.js';
+import { mcpServers } from '../src/data/mcpServers.js';
+
+test('Stemming matches plurals and verb forms', () => {
+  assert.strictEqual(stem('requests'), stem('request'));
+  assert.strictEqual(stem('created'), stem('create'));
+  assert.strictEqual(stem('creating'), stem('create'));
+  assert.strictEqual(stem('repositories'), stem('repository'));
+  assert.strictEqual(stem('automation'), stem('automate'));
+  assert.strictEqual(stem('access'), 'access');
+});
+
+test('Tokenizing drops stop words and splits identifiers', () => {
+  assert.deepStrictEqual(tokenize('Create a pull_request'), ['creat', 'pull', 'request']);
+});
+
+test('Tool search ranks the best match first', () => {
+  const results = searchTools(mcpServers, 'create a pull request');
+  assert.strictEqual(results[0].tool.name, 'create_pull_request');
+  assert.strictEqual(results[0].server.id, 'github-mcp-server');
+  assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+});
+
+test('Search tolerates typos', () => {
+  const results = searchServers(mcpServers, 'screnshot');
+  assert.strictEqual(results[0].server.id, 'playwright-mcp-server');
+});
+
+test('Search returns nothing for unrelated queries', () => {
+  assert.deepStrictEqual(searchServers(mcpServers, 'kubernetes'), []);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStore } from '../src/storage/index.js';
+import { JsonFile, JsonLinesFile } from '../src/storage/jsonFile.js';
+import { ChangeFeed } from '../src/changes/feed.js';
+
+const seed = [
+  {
+    id: 'seed-server',
+    name: 'Seed Server',
+    description: 'Seed entry',
+    version: '1.0.0',
+    configuration: { command: 'npx', args: ['seed-server'], env: {} },
+    capabilities: [],
+    tools: [],
+    tags: []
+  }
+];
+
+let sqliteAvailable = true;
+try {
+  await import('better-sqlite3');
+} catch {
+  sqliteAvailable = false;
+}
+
+function tempPath(fileName) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-'));
+  return path.join(dir, fileName);
+}
+
+async function exerciseStore(t, backend, filePath) {
+  const store = await createStore({ backend, filePath, seed });
+  
+  await t.test('is seeded on first use', async () => {
+    const servers = await store.list();
+    assert.deepStrictEqual(servers.map(s => s.id), ['seed-server']);
+  });
+  
+  await t.test('creates, replaces and removes entries', async () => {
+    await store.create({ id: 'new-server', name: 'New Server' });
+    await assert.rejects(store.create({ id: 'new-server', name: 'Again' }), { code: 'SERVER_EXISTS' });
+    
+    const replaced = await store.replace('new-server', { id: 'new-server', name: 'Renamed' });
+    assert.strictEqual(replaced.name, 'Renamed');
+    assert.strictEqual(await store.replace('missing', { id: 'missing' }), null);
+    
+    const removed = await store.remove('seed-server');
+    assert.strictEqual(removed.id, 'seed-server');
+    assert.strictEqual(await store.remove('seed-server'), null);
+  });
+  
+  await t.test('survives a restart without re-seeding', async () => {
+    store.close?.();
+    const reopened = await createStore({ backend, filePath, seed });
+    const servers = await reopened.list();
+    assert.deepStrictEqual(servers, [{ id: 'new-server', name: 'Renamed' }]);
+    reopened.close?.();
+  });
+}
+
+test('Memory storage does not share state with the seed data', async () => {
+  const store = await createStore({ backend: 'memory', seed });
+  const server = await store.get('seed-server');
+  server.name = 'Changed';
+  assert.strictEqual(seed[0].name, 'Seed Server');
+});
+
+test('JSON file storage backend', async (t) => {
+  await exerciseStore(t, 'json', tempPath('registry.json'));
+});
+
+test('JSON files keep every write from replicas sharing them', async () => {
+  const filePath = tempPath('shared.json');
+  // Two instances stand in for two replicas: they share the file but not a write queue
+  const replicas = [new JsonFile(filePath), new JsonFile(filePath)];
+  await Promise.all(Array.from({ length: 40 }, (_, index) =>
+    replicas[index % 2].mutate(items => ({ data: [...items, index], value: index }))
+  ));
+  
+  assert.deepStrictEqual((await replicas[0].read()).sort((a, b) => a - b), Array.from({ length: 40 }, (_, index) => index));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['shared.json']);
+});
+
+test('JSON file locks left behind by a crashed process expire', async () => {
+  const filePath = tempPath('stale.json');
+  fs.writeFileSync(`${filePath}.lock`, '');
+  const longAgo = new Date(Date.now() - 60000);
+  fs.utimesSync(`${filePath}.lock`, longAgo, longAgo);
+  
+  const file = new JsonFile(filePath, { mode: 0o600 });
+  assert.strictEqual(await file.mutate(() => ({ data: ['kept'], value: 'written' })), 'written');
+  assert.deepStrictEqual(await file.read(), ['kept']);
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+  assert.ok(!fs.existsSync(`${filePath}.lock`));
+});
+
+test('JSON Lines files append after the last record across replicas', async () => {
+  const filePath = tempPath('shared.jsonl');
+  const replicas = [new JsonLinesFile(filePath), new JsonLinesFile(filePath)];
+  assert.strictEqual(await replicas[0].readLast(), null);
+
+  // Records longer than one tail chunk, so readLast has to read backwards more than once
+  const padding = 'x'.repeat(5000);
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    replicas[index % 2].append(last => ({ n: (last?.n || 0) + 1, padding }))
+  ));
+
+  assert.deepStrictEqual((await replicas[1].read()).map(record => record.n), Array.from({ length: 20 }, (_, index) => index + 1));
+  assert.strictEqual((await replicas[0].readLast()).n, 20);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['shared.jsonl']);
+});
+
+test('Change feeds sharing a file number changes after each other', async () => {
+  const filePath = tempPath('changes.jsonl');
+  const replicas = [new ChangeFeed(filePath), new ChangeFeed(filePath)];
+  await replicas[0].publish({ type: 'server.created', serverId: 'first' });
+  // The second replica has not published yet, so it must not number from zero
+  assert.strictEqual(await replicas[1].getLastSeq(), 1);
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    replicas[index % 2].publish({ type: 'server.updated', serverId: `server-${index}` })
+  ));
+
+  const seqs = (await replicas[0].since(0)).map(change => change.seq);
+  assert.deepStrictEqual(seqs, Array.from({ length: 21 }, (_, index) => index + 1));
+  assert.strictEqual(await replicas[1].getLastSeq(), 21);
+});
+
+test('SQLite storage backend', { skip: !sqliteAvailable && 'better-sqlite3 is not installed' }, async (t) => {
+  await exerciseStore(t, 'sqlite', tempPath('registry.db'));
+});
+
+test('Invalid seed data is rejected at startup', async () => {
+  await assert.rejects(
+    createStore({ backend: 'memory', seed: [{ ...seed[0], version: 'one' }] }),
+    /seed-server \/version/
+  );
+});
+
+test('Unknown storage backends are rejected', async () => {
+  await assert.rejects(createStore({ backend: 'redis' }), /Unknown REGISTRY_STORAGE backend/);
+});